@@ -0,0 +1,80 @@
+/**
+ * In-memory stand-in for the Firestore client SDK in tests
+ * (`jest.mock('firebase/firestore')`): documents are kept in a map by path,
+ * queries support `==` and `array-contains` filters, server timestamps are
+ * the time of the write and array unions are applied
+ */
+
+const docs = new Map();
+let nextId = 0;
+
+const snapshot = ({ id, path }) => ({
+  id,
+  exists: () => docs.has(path),
+  data: () => docs.get(path)
+});
+
+// Apply server timestamps and array unions to the stored document
+const resolveFields = (current, data) => Object.fromEntries(
+  Object.entries(data).map(([field, value]) => {
+    if (value?.isServerTimestamp) return [field, { toDate: () => new Date() }];
+    if (value?.arrayUnion) return [field, [...new Set([...(current[field] || []), ...value.arrayUnion])]];
+    return [field, value];
+  })
+);
+
+export const collection = (db, name) => ({ name });
+
+export const doc = (dbOrCollection, name, id) => {
+  if (name === undefined) {
+    const generated = `doc-${++nextId}`;
+    return { id: generated, path: `${dbOrCollection.name}/${generated}` };
+  }
+  return { id, path: `${name}/${id}` };
+};
+
+export const where = (field, op, value) => ({ field, op, value });
+export const orderBy = () => null;
+export const limit = () => null;
+export const query = (collectionRef, ...constraints) => ({ ...collectionRef, filters: constraints.filter(Boolean) });
+
+const matches = (data, { field, op, value }) => {
+  if (op === '==') return data[field] === value;
+  if (op === 'array-contains') return Array.isArray(data[field]) && data[field].includes(value);
+  throw new Error(`Unsupported filter: ${op}`);
+};
+
+export const getDocs = async ({ name, filters = [] }) => ({
+  docs: [...docs]
+    .filter(([path, data]) => path.startsWith(`${name}/`) && filters.every(filter => matches(data, filter)))
+    .map(([path]) => snapshot({ id: path.split('/')[1], path }))
+});
+
+export const getDoc = async (ref) => snapshot(ref);
+
+export const setDoc = async (ref, data, { merge = false } = {}) => {
+  const current = merge ? docs.get(ref.path) || {} : {};
+  docs.set(ref.path, { ...current, ...resolveFields(current, data) });
+};
+
+export const addDoc = async (collectionRef, data) => {
+  const ref = doc(collectionRef);
+  await setDoc(ref, data);
+  return ref;
+};
+
+export const updateDoc = async (ref, data) => {
+  if (!docs.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+  await setDoc(ref, data, { merge: true });
+};
+
+export const deleteDoc = async (ref) => {
+  docs.delete(ref.path);
+};
+
+export const serverTimestamp = () => ({ isServerTimestamp: true });
+export const arrayUnion = (...values) => ({ arrayUnion: values });
+
+// Test helpers: seed and read documents
+export const __setDoc = (path, data) => docs.set(path, data);
+export const __getDoc = (path) => docs.get(path);
@@ -0,0 +1,18 @@
+import nextJest from 'next/jest.js';
+
+// Compiles with the app's SWC settings
+const createJestConfig = nextJest({ dir: './' });
+
+/** @type {import('jest').Config} */
+const config = {
+  testEnvironment: 'node',
+  // Same alias as tsconfig.json, for `jest.mock()` paths too
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/src/$1',
+    // Its `require` build is a browser script that exports nothing
+    '^@breezystack/lamejs$': '<rootDir>/node_modules/@breezystack/lamejs/dist/lamejs.js'
+  },
+  testMatch: ['<rootDir>/src/**/__tests__/**/*.test.js']
+};
+
+export default createJestConfig(config);
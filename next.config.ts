@@ -2,6 +2,8 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  // ES module audio codecs used by the soundscape mixer (compiled for Jest too)
+  transpilePackages: ['mpg123-decoder', '@wasm-audio-decoders/common', 'simple-yenc', '@breezystack/lamejs'],
   images: {
     remotePatterns: [
       {
@@ -0,0 +1,43 @@
+import { NextRequest } from 'next/server';
+import { middleware } from '@/middleware';
+import { createSessionToken, SESSION_COOKIE } from '@/lib/session';
+
+const pageRequest = (pathname, token) => new NextRequest(`http://localhost${pathname}`, {
+  headers: token ? { cookie: `${SESSION_COOKIE}=${token}` } : {}
+});
+
+const redirectPath = (response) => response.headers.get('location') && new URL(response.headers.get('location')).pathname;
+
+describe('middleware', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SESSION_SECRET = 'test-session-secret';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('sends visitors without a session to the login page', async () => {
+    expect(redirectPath(await middleware(pageRequest('/dashboard')))).toBe('/login');
+  });
+
+  it('treats a forged session as signed out and clears it', async () => {
+    const forged = Buffer.from(JSON.stringify({ uid: 'parent-1', role: 'parent', exp: 9999999999 })).toString('base64url');
+    const response = await middleware(pageRequest('/dashboard', `${forged}.c2lnbmF0dXJl`));
+
+    expect(redirectPath(response)).toBe('/login');
+    expect(response.cookies.get(SESSION_COOKIE)?.value).toBe('');
+  });
+
+  it('lets parents into the dashboard and keeps children out of it', async () => {
+    const parent = await createSessionToken({ uid: 'parent-1', role: 'parent', familyId: 'parent-1' });
+    const child = await createSessionToken({ uid: 'child-1', role: 'child', familyId: 'parent-1' });
+
+    expect(redirectPath(await middleware(pageRequest('/my-stories', parent)))).toBeFalsy();
+    expect(redirectPath(await middleware(pageRequest('/my-stories', child)))).toBe('/');
+  });
+});
@@ -4,7 +4,6 @@ import { useState } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/contexts/AuthContext';
-import { USER_ROLES } from '@/utils/constants';
 import { validatePassword, isValidEmail } from '@/utils/helpers';
 import Header from '@/components/common/Header';
 import Footer from '@/components/common/Footer';
@@ -24,9 +23,7 @@ export default function Register() {
     password: '',
     confirmPassword: '',
     displayName: '',
-    role: USER_ROLES.PARENT, // Default role is parent
-    familyName: '', // Used for parent accounts to create a family
-    familyId: '' // Optional, only needed for child accounts
+    familyName: '' // Used to create the family
   });
   
   // Error and loading states
@@ -120,12 +117,6 @@ export default function Register() {
     //   return false;
     // }
     
-    // Family ID validation for child accounts
-    if (formData.role === USER_ROLES.CHILD && !formData.familyId.trim()) {
-      setError('Please enter the family ID provided by a parent.');
-      return false;
-    }
-    
     return true;
   };
 
@@ -143,23 +134,10 @@ export default function Register() {
     }
     
     try {
-      console.log('Registering user with role:', formData.role); // Debug log
-      
-      // ✅ CORREÇÃO: Passar os parâmetros corretos baseados no role
-      await register(
-        formData.email,
-        formData.password,
-        formData.displayName,
-        formData.role, // ✅ Usar o role selecionado pelo usuário
-        formData.role === USER_ROLES.CHILD ? formData.familyId : null // ✅ Só passa familyId para crianças
-      );
+      // Only parents register; children sign in at /login/kid once a parent has added them
+      await register(formData.email, formData.password, formData.displayName);
       
-      // ✅ CORREÇÃO: Redirecionar corretamente baseado no role
-      if (formData.role === USER_ROLES.PARENT) {
-        router.push('/dashboard');
-      } else {
-        router.push('/kid/dashboard');
-      }
+      router.push('/dashboard');
     } catch (err) {
       console.error('Registration error:', err);
       
@@ -278,84 +256,31 @@ export default function Register() {
                 )}
               </div>
               
+              {/* Family Name field */}
               <div>
-                <label htmlFor="role" className="block text-sm font-medium text-gray-700">
-                  Account Type
+                <label htmlFor="familyName" className="block text-sm font-medium text-gray-700">
+                  Family Name (Optional)
                 </label>
-                <div className="mt-1 grid grid-cols-2 gap-3">
-                  <div
-                    className={`cursor-pointer rounded-md border ${
-                      formData.role === USER_ROLES.PARENT
-                        ? 'bg-indigo-50 border-indigo-500'
-                        : 'border-gray-300 hover:bg-gray-50'
-                    } px-4 py-3 text-center`}
-                    onClick={() => handleChange({ target: { name: 'role', value: USER_ROLES.PARENT } })}
-                  >
-                    <span className={`text-sm font-medium ${
-                      formData.role === USER_ROLES.PARENT ? 'text-indigo-800' : 'text-gray-700'
-                    }`}>
-                      Parent
-                    </span>
-                  </div>
-                  <div
-                    className={`cursor-pointer rounded-md border ${
-                      formData.role === USER_ROLES.CHILD
-                        ? 'bg-indigo-50 border-indigo-500'
-                        : 'border-gray-300 hover:bg-gray-50'
-                    } px-4 py-3 text-center`}
-                    onClick={() => handleChange({ target: { name: 'role', value: USER_ROLES.CHILD } })}
-                  >
-                    <span className={`text-sm font-medium ${
-                      formData.role === USER_ROLES.CHILD ? 'text-indigo-800' : 'text-gray-700'
-                    }`}>
-                      Child
-                    </span>
-                  </div>
-                </div>
+                <input
+                  id="familyName"
+                  name="familyName"
+                  type="text"
+                  value={formData.familyName}
+                  onChange={handleChange}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="e.g., The Smiths"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  This will be used to group all family members and their stories.
+                </p>
               </div>
               
-              {/* Family Name field - only shown for parent accounts */}
-              {formData.role === USER_ROLES.PARENT && (
-                <div>
-                  <label htmlFor="familyName" className="block text-sm font-medium text-gray-700">
-                    Family Name (Optional)
-                  </label>
-                  <input
-                    id="familyName"
-                    name="familyName"
-                    type="text"
-                    value={formData.familyName}
-                    onChange={handleChange}
-                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    placeholder="e.g., The Smiths"
-                  />
-                  <p className="mt-1 text-xs text-gray-500">
-                    This will be used to group all family members and their stories.
-                  </p>
-                </div>
-              )}
-              
-              {/* Family ID field - only shown for child accounts */}
-              {formData.role === USER_ROLES.CHILD && (
-                <div>
-                  <label htmlFor="familyId" className="block text-sm font-medium text-gray-700">
-                    Family ID
-                  </label>
-                  <input
-                    id="familyId"
-                    name="familyId"
-                    type="text"
-                    value={formData.familyId}
-                    onChange={handleChange}
-                    required
-                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    placeholder="Enter the Family ID provided by a parent"
-                  />
-                  <p className="mt-1 text-xs text-gray-500">
-                    Ask your parent for the Family ID. This links your account to your family&apos;s stories.
-                  </p>
-                </div>
-              )}
+              <p className="text-sm text-gray-600">
+                Signing up a child? Add them on the My Children page after you register, and they sign in with your family code at{' '}
+                <Link href="/login/kid" className="font-medium text-indigo-600 hover:text-indigo-500">
+                  the kids&apos; sign-in
+                </Link>.
+              </p>
             </div>
             
             <div>
@@ -1,15 +1,19 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
+import { useState, useEffect, useRef } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { useAuth } from '@/contexts/AuthContext';
 import { useFamily } from '@/contexts/FamilyContext';
 import useAIStoryGeneration from '@/hooks/useAIStoryGeneration';
 import useTextToSpeech from '@/hooks/useTextToSpeech';
 import useImageGeneration from '@/hooks/useImageGeneration';
-import { createStoryForChild } from '@/firebase/firestore';
-import { extractTitleFromText, generateExcerpt } from '@/utils/helpers';
-import { STORY_THEMES, STORY_MOODS, AGE_GROUPS, STORY_LENGTHS, VOICE_OPTIONS, API_CONFIGS } from '@/utils/constants';
+import useCharacterLibrary, { toCharacterProfile } from '@/hooks/useCharacterLibrary';
+import { createStoryForChild, getSeriesForStory, addStoryToSeries } from '@/firebase/firestore';
+import { uploadRecordedNarration } from '@/firebase/storage';
+import { generateExcerpt, buildStoryStructureFields, getStorySummary, buildSeriesRecap, getAgeGroupForAge, alignPageImages, getVoiceLanguageCode, getBakedSoundscape } from '@/utils/helpers';
+import { getStorySpeakers } from '@/utils/dialogue';
+import { buildRecordedTrack, getRecordedPages } from '@/utils/recording';
+import { STORY_THEMES, STORY_MOODS, AGE_GROUPS, STORY_LENGTHS, STORY_LENGTH_MINUTES, VOICE_OPTIONS, DEFAULT_NARRATION, DEFAULT_STORY_LANGUAGE, DEFAULT_SOUNDSCAPE, RECORDING_SAMPLE_RATE, API_CONFIGS } from '@/utils/constants';
 import Header from '@/components/common/Header';
 import Footer from '@/components/common/Footer';
 import Button from '@/components/common/Button';
@@ -17,6 +21,12 @@ import LoadingSpinner from '@/components/common/LoadingSpinner';
 import ErrorMessage from '@/components/common/ErrorMessage';
 import SuccessMessage from '@/components/common/SuccessMessage';
 import ChildSelector from '@/components/family/ChildSelector';
+import PageIllustrations from '@/components/story/PageIllustrations';
+import CharacterVoices from '@/components/story/CharacterVoices';
+import StoryVoicePicker from '@/components/story/StoryVoicePicker';
+import NarrationControls from '@/components/story/NarrationControls';
+import SoundscapePicker from '@/components/story/SoundscapePicker';
+import NarrationRecorder from '@/components/story/NarrationRecorder';
 import ProtectedRoute from '@/components/auth/ProtectedRoute';
 
 /**
@@ -66,8 +76,10 @@ const removeUserDraft = (userId) => {
 export default function CreateStory() {
   // Auth state
   const { user, loading: authLoading } = useAuth();
-  const { children, activeChild } = useFamily();
+  const { children, activeChild, familyNarration, updateChild } = useFamily();
   const router = useRouter();
+  const searchParams = useSearchParams();
+  const continueFromId = searchParams.get('continueFrom');
   
   // Form state
   const [formData, setFormData] = useState({
@@ -77,12 +89,20 @@ export default function CreateStory() {
     age: AGE_GROUPS.PRESCHOOL,
     length: STORY_LENGTHS.MEDIUM,
     characters: '',
+    characterIds: [],
+    personalize: true,
     setting: '',
     mood: STORY_MOODS[0],
     voice: VOICE_OPTIONS[0].id,
+    language: DEFAULT_STORY_LANGUAGE,
     isPublished: true,
     childId: null,
     imageUrl: null,
+    pageImages: [],
+    characterVoices: {},
+    narration: DEFAULT_NARRATION,
+    soundscape: DEFAULT_SOUNDSCAPE,
+    structured: null,
   });
   
   // UI state
@@ -91,12 +111,21 @@ export default function CreateStory() {
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [formError, setFormError] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const generationCancelledRef = useRef(false);
+  
+  // Parent's own narration, recorded page by page (kept in memory until the story is saved)
+  const [recordings, setRecordings] = useState([]);
+  
+  // Series being continued ("Continue this series" on My Stories)
+  const [series, setSeries] = useState(null);
   
   // Hooks for AI and TTS functionality
   const { 
     generateStory, 
     generateTitle, 
     generateSuggestion,
+    cancelGeneration,
     loading: aiLoading, 
     error: aiError 
   } = useAIStoryGeneration();
@@ -116,6 +145,21 @@ export default function CreateStory() {
     loading: imageLoading,
     error: imageError
   } = useImageGeneration();
+  
+  // Family character library, selectable in the AI tab
+  const { characters: libraryCharacters } = useCharacterLibrary();
+  const selectedCharacterIds = formData.characterIds || [];
+  const characterProfiles = libraryCharacters
+    .filter(character => selectedCharacterIds.includes(character.id))
+    .map(toCharacterProfile);
+  
+  // Child the story is for, whose profile can personalize the story
+  const selectedChild = children.find(child => child.id === formData.childId) || null;
+  const isPersonalized = Boolean(selectedChild) && formData.personalize !== false;
+  
+  // Pages as they will be saved, for the per-page illustrations
+  const storyPages = buildStoryStructureFields(formData.content, formData.structured).pages;
+  const storySpeakers = getStorySpeakers(formData.content, formData.structured?.speakers);
 
   // FIXED: Load draft specific to current user when user changes
   useEffect(() => {
@@ -142,29 +186,91 @@ export default function CreateStory() {
         age: AGE_GROUPS.PRESCHOOL,
         length: STORY_LENGTHS.MEDIUM,
         characters: '',
+        characterIds: [],
+        personalize: true,
         setting: '',
         mood: STORY_MOODS[0],
         voice: VOICE_OPTIONS[0].id,
+        language: DEFAULT_STORY_LANGUAGE,
         isPublished: true,
         childId: null,
         imageUrl: null,
+        pageImages: [],
+        characterVoices: {},
+        narration: DEFAULT_NARRATION,
+        soundscape: DEFAULT_SOUNDSCAPE,
+        structured: null,
       });
     }
   }, [user?.uid]);
   
+  // New stories start from the family's narration profile once it has loaded;
+  // a saved draft keeps the narration it was saved with
+  useEffect(() => {
+    if (!familyNarration || !user?.uid || loadUserDraft(user.uid)) return;
+    
+    setFormData(prevData => ({
+      ...prevData,
+      narration: { ...DEFAULT_NARRATION, ...familyNarration }
+    }));
+  }, [familyNarration, user?.uid]);
+  
   // Set active child when available
   useEffect(() => {
     if (activeChild && user?.uid) {
       setFormData(prevData => ({
         ...prevData,
         childId: activeChild.id,
-        age: activeChild.age && AGE_GROUPS[activeChild.age.toUpperCase()] 
-          ? AGE_GROUPS[activeChild.age.toUpperCase()] 
-          : prevData.age
+        age: getAgeGroupForAge(activeChild.age) || prevData.age
       }));
     }
   }, [activeChild, user?.uid]);
   
+  // Load the series to continue and start from the settings of its latest chapter
+  useEffect(() => {
+    async function loadSeries() {
+      if (!continueFromId || !user?.uid) return;
+      
+      try {
+        const seriesData = await getSeriesForStory(continueFromId);
+        
+        if (!seriesData || seriesData.userId !== user.uid) {
+          setFormError('The series to continue could not be found.');
+          return;
+        }
+        
+        const latest = seriesData.chapters[seriesData.chapters.length - 1];
+        
+        setSeries(seriesData);
+        setFormData(prevData => ({
+          ...prevData,
+          title: '',
+          content: '',
+          structured: null,
+          pageImages: [],
+          prompt: `The next adventure in "${seriesData.title}"`,
+          childId: latest.childId || prevData.childId,
+          age: latest.age || prevData.age,
+          length: latest.length || prevData.length,
+          characters: Array.isArray(latest.characters) ? latest.characters.join(', ') : prevData.characters,
+          characterIds: latest.characterIds || prevData.characterIds,
+          setting: latest.setting || prevData.setting,
+          mood: latest.mood || prevData.mood,
+          voice: latest.voice || prevData.voice,
+          language: latest.language || prevData.language,
+          narration: latest.narration || prevData.narration,
+          soundscape: latest.soundscape || prevData.soundscape
+        }));
+        setActiveTab('generate');
+      } catch (error) {
+        console.error('Error loading series:', error);
+        setFormError('Failed to load the series. Please try again.');
+      }
+    }
+    
+    loadSeries();
+  }, [continueFromId, user?.uid]);
+  
   // Redirect if not authenticated or not a parent
   useEffect(() => {
     if (!authLoading && (!user || user.role !== 'parent')) {
@@ -176,8 +282,8 @@ export default function CreateStory() {
    * FIXED: Handle input changes with user-specific storage
    */
   const handleChange = (e) => {
-    const { name, value } = e.target;
-    const updatedData = { ...formData, [name]: value };
+    const { name, value, type, checked } = e.target;
+    const updatedData = { ...formData, [name]: type === 'checkbox' ? checked : value };
     
     setFormData(updatedData);
     setFormError(null);
@@ -205,7 +311,38 @@ export default function CreateStory() {
   };
   
   /**
-   * Handle story generation
+   * Pick or unpick a character from the family character library
+   */
+  const handleCharacterToggle = (characterId) => {
+    const characterIds = selectedCharacterIds.includes(characterId)
+      ? selectedCharacterIds.filter(id => id !== characterId)
+      : [...selectedCharacterIds, characterId];
+    const updatedData = { ...formData, characterIds };
+    
+    setFormData(updatedData);
+    
+    // Save to user-specific localStorage
+    if (user?.uid) {
+      saveUserDraft(user.uid, updatedData);
+      setIsDraft(true);
+    }
+  };
+  
+  /**
+   * Make the selected child the hero of their stories, or not. This is saved
+   * on the child account, so it applies to every story for that child.
+   */
+  const handleStoryHeroToggle = async (e) => {
+    if (!selectedChild) return;
+    
+    const updated = await updateChild(selectedChild.id, { isStoryHero: e.target.checked });
+    if (!updated) {
+      setFormError('Failed to update the child profile. Please try again.');
+    }
+  };
+  
+  /**
+   * Handle story generation, streaming the text into the content textarea
    */
   const handleGenerateStory = async () => {
     try {
@@ -215,22 +352,44 @@ export default function CreateStory() {
         setFormError('Please enter a prompt for the story.');
         return;
       }
+
+      generationCancelledRef.current = false;
+      setIsStreaming(true);
+      setFormData(prevData => ({ ...prevData, content: '', structured: null, pageImages: [] }));
+      setActiveTab('write');
       
-      const generatedStory = await generateStory({
+      const { content, structured } = await generateStory({
         prompt: formData.prompt,
         age: formData.age,
         length: formData.length,
         characters: formData.characters ? formData.characters.split(',').map(c => c.trim()) : [],
+        characterProfiles,
+        child: isPersonalized ? {
+          name: selectedChild.name,
+          ageGroup: getAgeGroupForAge(selectedChild.age) || formData.age,
+          favorites: selectedChild.preferences || '',
+          avoid: selectedChild.avoid || '',
+          isHero: selectedChild.isStoryHero === true
+        } : undefined,
         setting: formData.setting,
-        mood: formData.mood
+        mood: formData.mood,
+        language: formData.language,
+        series: series ? {
+          title: series.title,
+          chapters: series.chapters.map(chapter => ({ title: chapter.title, summary: getStorySummary(chapter) }))
+        } : undefined,
+        stream: true,
+        onToken: (chunk, textSoFar) => {
+          setFormData(prevData => ({ ...prevData, content: textSoFar }));
+        }
       });
       
-      const { title, content } = extractTitleFromText(generatedStory);
-      
       const updatedData = {
         ...formData,
-        title: title || formData.title,
-        content: content || generatedStory
+        title: structured?.title || formData.title,
+        content,
+        structured,
+        pageImages: []
       };
       
       setFormData(updatedData);
@@ -241,12 +400,26 @@ export default function CreateStory() {
         setIsDraft(true);
       }
       
-      setActiveTab('preview');
+      if (!generationCancelledRef.current) {
+        setActiveTab('preview');
+      }
     } catch (error) {
       console.error('Error generating story:', error);
-      setFormError('Failed to generate story. Please try again.');
+      setFormError(error.code === 'content/blocked'
+        ? error.message
+        : 'Failed to generate story. Please try again.');
+    } finally {
+      setIsStreaming(false);
     }
   };
+
+  /**
+   * Stop the story that is being streamed, keeping the text written so far
+   */
+  const handleCancelGeneration = () => {
+    generationCancelledRef.current = true;
+    cancelGeneration();
+  };
   
   /**
    * Handle title generation
@@ -288,7 +461,7 @@ export default function CreateStory() {
         return;
       }
       
-      const suggestion = await generateSuggestion(formData.content);
+      const suggestion = await generateSuggestion(formData.content, formData.age);
       const updatedContent = formData.content + '\n\n' + suggestion;
       
       const updatedData = { ...formData, content: updatedContent };
@@ -301,10 +474,102 @@ export default function CreateStory() {
       }
     } catch (error) {
       console.error('Error generating suggestion:', error);
-      setFormError('Failed to generate suggestion. Please try again.');
+      setFormError(error.code === 'content/blocked'
+        ? error.message
+        : 'Failed to generate suggestion. Please try again.');
     }
   };
 
+  /**
+   * Handle changes to the per-page illustrations
+   */
+  const handlePageImagesChange = (pageImages) => {
+    setFormData(prevData => {
+      const updatedData = { ...prevData, pageImages };
+      
+      // Save to user-specific localStorage
+      if (user?.uid) {
+        saveUserDraft(user.uid, updatedData);
+      }
+      
+      return updatedData;
+    });
+    setIsDraft(true);
+  };
+  
+  /**
+   * Handle changes to the story language and narrator voice. Character
+   * voices that do not speak the new language are dropped.
+   */
+  const handleStoryVoiceChange = ({ language, voice }) => {
+    setFormData(prevData => {
+      const characterVoices = Object.fromEntries(
+        Object.entries(prevData.characterVoices || {})
+          .filter(([, characterVoice]) => getVoiceLanguageCode(characterVoice).startsWith(language))
+      );
+      const updatedData = { ...prevData, language, voice, characterVoices };
+      
+      // Save to user-specific localStorage
+      if (user?.uid) {
+        saveUserDraft(user.uid, updatedData);
+      }
+      
+      return updatedData;
+    });
+    setIsDraft(true);
+  };
+  
+  /**
+   * Handle changes to the character voices
+   */
+  const handleCharacterVoicesChange = (characterVoices) => {
+    setFormData(prevData => {
+      const updatedData = { ...prevData, characterVoices };
+      
+      // Save to user-specific localStorage
+      if (user?.uid) {
+        saveUserDraft(user.uid, updatedData);
+      }
+      
+      return updatedData;
+    });
+    setIsDraft(true);
+  };
+  
+  /**
+   * Handle changes to the background soundscape
+   */
+  const handleSoundscapeChange = (soundscape) => {
+    setFormData(prevData => {
+      const updatedData = { ...prevData, soundscape };
+      
+      // Save to user-specific localStorage
+      if (user?.uid) {
+        saveUserDraft(user.uid, updatedData);
+      }
+      
+      return updatedData;
+    });
+    setIsDraft(true);
+  };
+  
+  /**
+   * Handle changes to the narration profile
+   */
+  const handleNarrationChange = (narration) => {
+    setFormData(prevData => {
+      const updatedData = { ...prevData, narration };
+      
+      // Save to user-specific localStorage
+      if (user?.uid) {
+        saveUserDraft(user.uid, updatedData);
+      }
+      
+      return updatedData;
+    });
+    setIsDraft(true);
+  };
+  
   /**
    * Handle image generation for story
    */
@@ -321,6 +586,7 @@ export default function CreateStory() {
         storyText: formData.content,
         prompt: formData.prompt || "Main scene from the story",
         characters: formData.characters,
+        characterProfiles,
         setting: formData.setting,
         mood: formData.mood
       });
@@ -358,28 +624,47 @@ export default function CreateStory() {
         return;
       }
   
+      // Audio files of the story are named after the same key
+      const audioKey = Date.now().toString();
+      
       // Generate audio if needed
       let audioUrl = null;
+      let audioDuration = null;
+      let audioTimings = null;
       if (!ttsLoading) {
         try {
-          const selectedVoice = VOICE_OPTIONS.find(v => v.id === formData.voice);
-          if (!selectedVoice) {
-            throw new Error(`Voice "${formData.voice}" not found in VOICE_OPTIONS`);
-          }
-  
-          audioUrl = await convertTextToSpeech({
+          ({ audioUrl, duration: audioDuration, timings: audioTimings } = await convertTextToSpeech({
             text: formData.content,
             voice: formData.voice,
-            storyId: Date.now().toString(),
-            userId: user.uid
-          });
+            storyId: audioKey,
+            userId: user.uid,
+            speakers: storySpeakers,
+            characterVoices: formData.characterVoices,
+            narration: formData.narration,
+            soundscape: getBakedSoundscape(formData.soundscape, formData.mood)
+          }));
         } catch (ttsError) {
           console.error('TTS conversion failed:', ttsError.message || ttsError);
           setFormError('Text-to-Speech failed. Story will be saved without audio.');
         }
       }
+      
+      // Upload the parent's recording once every page is recorded
+      let recordedAudio = null;
+      const recordedPages = getRecordedPages(storyPages, recordings);
+      if (recordedPages) {
+        try {
+          const { wav, duration, timings } = buildRecordedTrack(storyPages, recordedPages, RECORDING_SAMPLE_RATE);
+          const recordingUrl = await uploadRecordedNarration(user.uid, audioKey, wav);
+          recordedAudio = { audioUrl: recordingUrl, duration, timings, text: formData.content };
+        } catch (recordingError) {
+          console.error('Recording upload failed:', recordingError);
+          setFormError('Your recording could not be uploaded. Story will be saved without it.');
+        }
+      }
   
       // Create story data object
+      const structureFields = buildStoryStructureFields(formData.content, formData.structured);
       const storyData = {
         title: formData.title,
         content: formData.content,
@@ -387,20 +672,35 @@ export default function CreateStory() {
         userId: user.uid,
         familyId: user.familyId,
         audioUrl: audioUrl || null,
+        audioDuration,
+        audioTimings,
+        recordedAudio,
         imageUrl: formData.imageUrl || null,
         isPublished: publish,
         age: formData.age,
         length: formData.length,
         theme: formData.prompt,
         characters: formData.characters ? formData.characters.split(',').map(c => c.trim()) : [],
+        characterIds: selectedCharacterIds,
         setting: formData.setting,
         mood: formData.mood,
         voice: formData.voice,
-        isFavorite: false
+        language: formData.language,
+        characterVoices: formData.characterVoices || {},
+        narration: formData.narration,
+        soundscape: formData.soundscape,
+        isFavorite: false,
+        ...structureFields,
+        pageImages: alignPageImages(formData.pageImages, structureFields.pages.length),
+        ...(series && { recap: buildSeriesRecap(series.title, series.chapters) })
       };
   
       // Save with child ID if selected
-      await createStoryForChild(storyData, formData.childId);
+      const savedStory = await createStoryForChild(storyData, formData.childId);
+      
+      if (series) {
+        await addStoryToSeries(series, savedStory.id);
+      }
   
       // FIXED: Clear user-specific draft
       if (user?.uid) {
@@ -418,7 +718,9 @@ export default function CreateStory() {
       }
     } catch (error) {
       console.error('Error saving story:', error);
-      setFormError('Failed to save story. Please try again.');
+      setFormError(error.code === 'content/blocked'
+        ? 'This story contains content that is not suitable for the selected age group. Please revise it before saving.'
+        : 'Failed to save story. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -437,6 +739,18 @@ export default function CreateStory() {
         <main className="flex-grow container mx-auto px-4 py-8">
           <h1 className="text-3xl font-bold text-indigo-800 mb-6">Create a New Story</h1>
           
+          {/* Series being continued */}
+          {series && (
+            <div className="mb-6 bg-indigo-50 border border-indigo-200 p-4 rounded-lg">
+              <p className="text-indigo-800 font-medium">
+                📚 Continuing &quot;{series.title}&quot; — Chapter {series.chapters.length + 1}
+              </p>
+              <p className="text-indigo-600 text-sm mt-1">
+                {buildSeriesRecap(series.title, series.chapters)}
+              </p>
+            </div>
+          )}
+          
           {/* Child Selector */}
           {children && children.length > 0 && (
             <div className="mb-6 bg-white p-4 rounded-lg shadow-sm">
@@ -538,13 +852,27 @@ export default function CreateStory() {
                     name="content"
                     value={formData.content}
                     onChange={handleChange}
+                    readOnly={isStreaming}
                     rows="12"
                     className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
                     placeholder="Write your story here..."
                   ></textarea>
                   
+                  {/* Cancel button while the story is being written by the AI */}
+                  {isStreaming && (
+                    <div className="absolute bottom-2 right-2">
+                      <button
+                        type="button"
+                        onClick={handleCancelGeneration}
+                        className="px-3 py-1 text-xs bg-red-500 text-white rounded-md hover:bg-red-600 shadow-sm"
+                      >
+                        ■ Stop Writing
+                      </button>
+                    </div>
+                  )}
+
                   {/* Suggestion button inside textarea area */}
-                  {formData.content.trim() && (
+                  {formData.content.trim() && !isStreaming && (
                     <div className="absolute bottom-2 right-2">
                       <button
                         type="button"
@@ -615,40 +943,64 @@ export default function CreateStory() {
                 </div>
               )}
               
-              <div className="mb-4">
-                <label htmlFor="voice" className="block text-sm font-medium text-gray-700 mb-1">
-                  Text-to-Speech Voice
-                </label>
-                <select
-                  id="voice"
-                  name="voice"
-                  value={formData.voice}
-                  onChange={handleChange}
-                  className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                >
-                  {VOICE_OPTIONS.map(voice => (
-                    <option key={voice.id} value={voice.id}>
-                      {voice.label}
-                    </option>
-                  ))}
-                </select>
-                <p className="mt-1 text-xs text-gray-500">
-                  This voice will be used when converting your story to audio.
-                </p>
-              </div>
+              {formData.content.trim() && !isStreaming && (
+                <PageIllustrations
+                  pages={storyPages}
+                  pageImages={formData.pageImages}
+                  onChange={handlePageImagesChange}
+                  scene={{
+                    title: formData.title,
+                    characters: formData.characters,
+                    characterProfiles,
+                    setting: formData.setting,
+                    mood: formData.mood
+                  }}
+                />
+              )}
+              
+              <StoryVoicePicker
+                language={formData.language}
+                voice={formData.voice}
+                onChange={handleStoryVoiceChange}
+                hint="This voice will be used when converting your story to audio."
+              />
+              
+              <CharacterVoices
+                speakers={storySpeakers}
+                characterVoices={formData.characterVoices}
+                onChange={handleCharacterVoicesChange}
+                language={formData.language}
+              />
+              
+              <NarrationControls
+                narration={formData.narration}
+                onChange={handleNarrationChange}
+              />
+              
+              <SoundscapePicker
+                soundscape={formData.soundscape}
+                mood={formData.mood}
+                onChange={handleSoundscapeChange}
+              />
+              
+              <NarrationRecorder
+                pages={storyPages}
+                recordings={recordings}
+                onChange={setRecordings}
+              />
               
               <div className="flex justify-end space-x-3 mt-6">
                 <Button
                   variant="secondary"
                   onClick={() => handleSubmit(false)}
-                  disabled={isSubmitting || ttsLoading}
+                  disabled={isSubmitting || ttsLoading || isStreaming}
                 >
                   Save as Draft
                 </Button>
                 <Button
                   variant="primary"
                   onClick={() => handleSubmit(true)}
-                  disabled={isSubmitting || ttsLoading}
+                  disabled={isSubmitting || ttsLoading || isStreaming}
                 >
                   {isSubmitting || ttsLoading ? (
                     <>
@@ -717,13 +1069,86 @@ export default function CreateStory() {
                   >
                     {Object.entries(STORY_LENGTHS).map(([key, value]) => (
                       <option key={key} value={value}>
-                        {value}
+                        {value} ({STORY_LENGTH_MINUTES[value].min}-{STORY_LENGTH_MINUTES[value].max} min)
                       </option>
                     ))}
                   </select>
                 </div>
               </div>
               
+              {selectedChild && (
+                <div className="mb-4 p-4 bg-indigo-50 rounded-lg border border-indigo-100">
+                  <label htmlFor="personalize" className="flex items-center text-sm font-medium text-indigo-800">
+                    <input
+                      type="checkbox"
+                      id="personalize"
+                      name="personalize"
+                      checked={formData.personalize !== false}
+                      onChange={handleChange}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+                    />
+                    Personalize for {selectedChild.name}
+                  </label>
+                  <p className="mt-1 ml-6 text-xs text-indigo-600">
+                    Uses the name, age, favorite things and fears to avoid from {selectedChild.name}&apos;s profile.
+                  </p>
+                  
+                  {isPersonalized && (
+                    <>
+                      <label htmlFor="isStoryHero" className="flex items-center mt-3 text-sm text-indigo-800">
+                        <input
+                          type="checkbox"
+                          id="isStoryHero"
+                          checked={selectedChild.isStoryHero === true}
+                          onChange={handleStoryHeroToggle}
+                          className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+                        />
+                        Make {selectedChild.name} the hero of the story
+                      </label>
+                      {(selectedChild.preferences || selectedChild.avoid) && (
+                        <div className="mt-2 ml-6 text-xs text-gray-600 space-y-1">
+                          {selectedChild.preferences && <p>Favorite things: {selectedChild.preferences}</p>}
+                          {selectedChild.avoid && <p>Avoided: {selectedChild.avoid}</p>}
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+              
+              {libraryCharacters.length > 0 && (
+                <div className="mb-4">
+                  <span className="block text-sm font-medium text-gray-700 mb-1">
+                    Characters from Your Library
+                  </span>
+                  <div className="flex flex-wrap gap-2">
+                    {libraryCharacters.map(character => {
+                      const isSelected = selectedCharacterIds.includes(character.id);
+                      
+                      return (
+                        <button
+                          key={character.id}
+                          type="button"
+                          onClick={() => handleCharacterToggle(character.id)}
+                          aria-pressed={isSelected}
+                          className={`flex items-center px-3 py-1 rounded-full border text-sm transition-colors ${
+                            isSelected
+                              ? 'bg-indigo-600 border-indigo-600 text-white'
+                              : 'bg-white border-gray-300 text-gray-700 hover:border-indigo-400'
+                          }`}
+                        >
+                          <span className="mr-1">{character.avatar}</span>
+                          {character.name}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Picked characters keep their looks, personality and catchphrases in the story and its picture.
+                  </p>
+                </div>
+              )}
+              
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
                 <div>
                   <label htmlFor="characters" className="block text-sm font-medium text-gray-700 mb-1">
@@ -778,24 +1203,12 @@ export default function CreateStory() {
                 </select>
               </div>
               
-              <div className="mb-4">
-                <label htmlFor="voice" className="block text-sm font-medium text-gray-700 mb-1">
-                  Text-to-Speech Voice
-                </label>
-                <select
-                  id="voice"
-                  name="voice"
-                  value={formData.voice}
-                  onChange={handleChange}
-                  className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                >
-                  {VOICE_OPTIONS.map(voice => (
-                    <option key={voice.id} value={voice.id}>
-                      {voice.label}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              <StoryVoicePicker
+                language={formData.language}
+                voice={formData.voice}
+                onChange={handleStoryVoiceChange}
+                hint="The story is written in this language and narrated in this voice."
+              />
               
               <div className="flex justify-end space-x-3 mt-6">
                 <Button
@@ -845,6 +1258,34 @@ export default function CreateStory() {
                   <p key={index}>{paragraph}</p>
                 ))}
               </div>
+
+              {/* Moral and vocabulary from the structured AI story */}
+              {formData.structured && (formData.structured.moral || formData.structured.vocabulary?.length > 0) && (
+                <div className="mb-8 p-4 bg-indigo-50 rounded-lg">
+                  {formData.structured.moral && (
+                    <p className="text-indigo-800 mb-3">
+                      <span className="font-semibold">Moral:</span> {formData.structured.moral}
+                    </p>
+                  )}
+                  {formData.structured.vocabulary?.length > 0 && (
+                    <div>
+                      <p className="font-semibold text-indigo-800 mb-1">New words</p>
+                      <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+                        {formData.structured.vocabulary.map(({ word, definition }) => (
+                          <li key={word}>
+                            <span className="font-medium">{word}</span>: {definition}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {formData.structured.estimatedReadingMinutes && (
+                    <p className="text-xs text-gray-500 mt-3">
+                      About {formData.structured.estimatedReadingMinutes} min read
+                    </p>
+                  )}
+                </div>
+              )}
               
               <div className="flex justify-between mt-6">
                 <Button
@@ -857,14 +1298,14 @@ export default function CreateStory() {
                   <Button
                     variant="secondary"
                     onClick={() => handleSubmit(false)}
-                    disabled={isSubmitting || ttsLoading}
+                    disabled={isSubmitting || ttsLoading || isStreaming}
                   >
                     Save as Draft
                   </Button>
                   <Button
                     variant="primary"
                     onClick={() => handleSubmit(true)}
-                    disabled={isSubmitting || ttsLoading}
+                    disabled={isSubmitting || ttsLoading || isStreaming}
                   >
                     {isSubmitting || ttsLoading ? (
                       <>
@@ -9,6 +9,7 @@ import Footer from '@/components/common/Footer';
 import Button from '@/components/common/Button';
 import LoadingSpinner from '@/components/common/LoadingSpinner';
 import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import CharacterLibrary from '@/components/family/CharacterLibrary';
 
 /**
  * Parent dashboard page
@@ -195,6 +196,10 @@ export default function Dashboard() {
                   </div>
                 )}
               </div>
+              
+              <div className="mt-6">
+                <CharacterLibrary />
+              </div>
             </div>
             
             {/* Stats and tips */}
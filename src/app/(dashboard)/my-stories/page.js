@@ -9,7 +9,7 @@ import {
   getStoriesByUserId, 
   getDraftStories,
   getPublishedStories,
-  getStoriesByChildId, 
+  getParentStoriesForChild, 
   deleteStory, 
   toggleStoryFavorite 
 } from '@/firebase/firestore';
@@ -74,11 +74,8 @@ export default function MyStories() {
           fetchedStories = fetchedStories.filter(story => !story.childId);
           
         } else {
-          // Fetch stories for specific child
-          fetchedStories = await getStoriesByChildId(childFilter);
-          
-          // FIXED: Filter to show only stories created by current user
-          fetchedStories = fetchedStories.filter(story => story.userId === user.uid);
+          // Every story the current user wrote for this child, approved or not
+          fetchedStories = await getParentStoriesForChild(childFilter, user.uid);
         }
         
         setStories(fetchedStories);
@@ -190,6 +187,15 @@ export default function MyStories() {
     router.push(`/play-story/${storyId}`);
   };
   
+  /**
+   * Handle continue series: write the next chapter after this story
+   * 
+   * @param {string} storyId - ID of any chapter of the series
+   */
+  const handleContinueSeries = (storyId) => {
+    router.push(`/create-story?continueFrom=${storyId}`);
+  };
+  
   /**
    * Handle delete story
    * 
@@ -411,6 +417,7 @@ export default function MyStories() {
                     onPlay={() => handlePlayStory(story.id)}
                     onDelete={() => handleDeleteStory(story.id)}
                     onFavorite={() => handleToggleFavorite(story.id, story.isFavorite)}
+                    onContinueSeries={() => handleContinueSeries(story.id)}
                     childName={story.childId && children ? children.find(c => c.id === story.childId)?.name : null}
                   />
                 );
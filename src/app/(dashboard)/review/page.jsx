@@ -0,0 +1,35 @@
+'use client';
+
+import { useAuth } from '@/contexts/AuthContext';
+import Header from '@/components/common/Header';
+import Footer from '@/components/common/Footer';
+import ReviewInbox from '@/components/family/ReviewInbox';
+import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import LoadingSpinner from '@/components/common/LoadingSpinner';
+
+export default function ReviewPage() {
+  const { loading: authLoading } = useAuth();
+  
+  if (authLoading) {
+    return <LoadingSpinner fullScreen message="Loading..." />;
+  }
+  
+  return (
+    <ProtectedRoute>
+      <div className="min-h-screen flex flex-col">
+        <Header />
+        
+        <main className="flex-grow container mx-auto px-4 py-8">
+          <h1 className="text-3xl font-bold text-indigo-800 mb-2">Review</h1>
+          <p className="text-gray-600 mb-6">
+            Choose which children can read each published story before it reaches their library.
+          </p>
+          
+          <ReviewInbox />
+        </main>
+        
+        <Footer />
+      </div>
+    </ProtectedRoute>
+  );
+}
@@ -6,8 +6,8 @@ import { useAuth } from '@/contexts/AuthContext';
 import { useFamily } from '@/contexts/FamilyContext';
 import { updateUserDisplayName, updateUserEmail, updateUserPassword } from '@/firebase/auth';
 import { getUserProfile, updateUserProfile } from '@/firebase/firestore';
-import { VOICE_OPTIONS, STORAGE_KEYS } from '@/utils/constants';
-import { saveToLocalStorage, loadFromLocalStorage } from '@/utils/helpers';
+import { VOICE_OPTIONS, STORY_LANGUAGES, DEFAULT_NARRATION, STORAGE_KEYS } from '@/utils/constants';
+import { saveToLocalStorage, loadFromLocalStorage, getVoicesForLanguage } from '@/utils/helpers';
 import Header from '@/components/common/Header';
 import Footer from '@/components/common/Footer';
 import Button from '@/components/common/Button';
@@ -16,6 +16,8 @@ import ErrorMessage from '@/components/common/ErrorMessage';
 import SuccessMessage from '@/components/common/SuccessMessage';
 import ProtectedRoute from '@/components/auth/ProtectedRoute';
 import Modal from '@/components/common/Modal';
+import NarrationControls from '@/components/story/NarrationControls';
+import UsagePanel from '@/components/family/UsagePanel';
 
 /**
  * Integrated Settings page component
@@ -24,7 +26,7 @@ import Modal from '@/components/common/Modal';
  */
 export default function Settings() {
   const { user, loading: authLoading } = useAuth();
-  const { children, activeChild, switchActiveChild } = useFamily();
+  const { children, activeChild, switchActiveChild, familyNarration, updateFamilyNarration } = useFamily();
   const router = useRouter();
   
   // Account form state
@@ -36,6 +38,7 @@ export default function Settings() {
   // Application settings state
   const [appSettings, setAppSettings] = useState({
     defaultVoice: VOICE_OPTIONS[0].id,
+    narration: DEFAULT_NARRATION,
     theme: 'light',
     notifications: true,
     audioAutoplay: true,
@@ -54,7 +57,7 @@ export default function Settings() {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [activeTab, setActiveTab] = useState('account'); // 'account', 'preferences', 'family'
+  const [activeTab, setActiveTab] = useState('account'); // 'account', 'preferences', 'family', 'usage'
   const [isSubmitting, setIsSubmitting] = useState(false);
   
   // Load user profile and settings data
@@ -99,6 +102,14 @@ export default function Settings() {
     }
   }, [user]);
   
+  // The narration profile is shared by the whole family
+  useEffect(() => {
+    setAppSettings(prev => ({
+      ...prev,
+      narration: { ...DEFAULT_NARRATION, ...familyNarration }
+    }));
+  }, [familyNarration]);
+  
   // Handle account input changes
   const handleAccountChange = (e) => {
     const { name, value } = e.target;
@@ -129,6 +140,18 @@ export default function Settings() {
     setSuccess(null);
   };
   
+  // Handle narration profile change
+  const handleNarrationChange = (narration) => {
+    setAppSettings(prev => ({
+      ...prev,
+      narration
+    }));
+    
+    // Clear messages
+    setError(null);
+    setSuccess(null);
+  };
+  
   // Handle password input changes
   const handlePasswordChange = (e) => {
     const { name, value } = e.target;
@@ -195,6 +218,9 @@ export default function Settings() {
         }
       });
       
+      // New stories start from the family's narration profile
+      await updateFamilyNarration(appSettings.narration);
+      
       // Save theme preference to local storage
       saveToLocalStorage(STORAGE_KEYS.THEME, {
         theme: appSettings.theme
@@ -303,6 +329,18 @@ export default function Settings() {
                   Family
                 </button>
               )}
+              {user?.role === 'parent' && (
+                <button
+                  className={`mr-1 py-2 px-4 text-center ${
+                    activeTab === 'usage'
+                      ? 'border-b-2 border-indigo-500 text-indigo-600 font-medium'
+                      : 'text-gray-600 hover:text-gray-800 hover:border-gray-300 border-b-2 border-transparent'
+                  }`}
+                  onClick={() => setActiveTab('usage')}
+                >
+                  Usage
+                </button>
+              )}
             </div>
           </div>
           
@@ -384,10 +422,14 @@ export default function Settings() {
                         onChange={handleSettingsChange}
                         className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
                       >
-                        {VOICE_OPTIONS.map(voice => (
-                          <option key={voice.id} value={voice.id}>
-                            {voice.label}
-                          </option>
+                        {STORY_LANGUAGES.map(language => (
+                          <optgroup key={language.code} label={language.label}>
+                            {getVoicesForLanguage(VOICE_OPTIONS, language.code).map(voice => (
+                              <option key={voice.id} value={voice.id}>
+                                {voice.label}
+                              </option>
+                            ))}
+                          </optgroup>
                         ))}
                       </select>
                       <p className="mt-1 text-xs text-gray-500">
@@ -395,6 +437,16 @@ export default function Settings() {
                       </p>
                     </div>
                     
+                    <div>
+                      <NarrationControls
+                        narration={appSettings.narration}
+                        onChange={handleNarrationChange}
+                      />
+                      <p className="-mt-2 text-xs text-gray-500">
+                        New stories start with this narration style; it can be changed for every story.
+                      </p>
+                    </div>
+                    
                     <div>
                       <label className="flex items-center">
                         <input
@@ -557,6 +609,16 @@ export default function Settings() {
               </div>
             </div>
           )}
+          
+          {/* Usage tab (only for parents) */}
+          {activeTab === 'usage' && user?.role === 'parent' && (
+            <div className="max-w-4xl">
+              <p className="text-gray-600 mb-4">
+                AI story writing, narration and illustrations are shared by your family, with daily and monthly limits.
+              </p>
+              <UsagePanel />
+            </div>
+          )}
         </main>
         
         <Footer />
@@ -0,0 +1,68 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import { getStoriesByChildId } from '@/firebase/firestore';
+import LoadingSpinner from '@/components/common/LoadingSpinner';
+import BedtimeSession from '@/components/story/BedtimeSession';
+
+/**
+ * Kid bedtime session page: a playlist of the kid's stories with a sleep timer
+ */
+export default function KidBedtimePage() {
+  const { user, userProfile, loading: authLoading } = useAuth();
+  const router = useRouter();
+
+  const [stories, setStories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const childId = userProfile?.id || user?.uid;
+
+  // Fetch the stories the kid can listen to
+  useEffect(() => {
+    async function fetchStories() {
+      if (!user) {
+        router.push('/login');
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setStories(await getStoriesByChildId(childId));
+      } catch (err) {
+        console.error('Error fetching stories:', err);
+        setError('Could not load your stories. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    if (!authLoading) {
+      fetchStories();
+    }
+  }, [user, childId, authLoading, router]);
+
+  if (authLoading || loading) {
+    return <LoadingSpinner fullScreen message="Getting your bedtime stories ready..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-indigo-900 to-gray-900 py-8">
+      <main className="container mx-auto px-4 max-w-3xl">
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6 rounded-md">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        <BedtimeSession
+          stories={stories}
+          childId={userProfile?.role === 'child' ? childId : undefined}
+          onExit={() => router.push('/kid/dashboard')}
+        />
+      </main>
+    </div>
+  );
+}
@@ -79,8 +79,7 @@ export default function KidDashboardPage() {
   // Handle logout
   const handleLogout = async () => {
     try {
-      await logout();
-      router.push('/login');
+      await logout('/login/kid');
     } catch (error) {
       console.error('Logout error:', error);
     }
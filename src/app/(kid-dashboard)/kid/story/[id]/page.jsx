@@ -3,8 +3,13 @@
 import { useState, useEffect, useRef, use } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/contexts/AuthContext';
-import { getStoryById } from '@/firebase/firestore';
+import { getStoryById, markStoryPlayed } from '@/firebase/firestore';
+import { getStoryPages, getPageWordOffsets, getStoryAudioTracks } from '@/utils/helpers';
+import { STORY_REVIEW_STATUS } from '@/utils/constants';
+import useReadAlong from '@/hooks/useReadAlong';
+import useSoundscape from '@/hooks/useSoundscape';
 import LoadingSpinner from '@/components/common/LoadingSpinner';
+import ReadAlongText from '@/components/story/ReadAlongText';
 
 /**
  * Kid-friendly story viewer page
@@ -20,8 +25,11 @@ export default function KidStoryPage({ params }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentPage, setCurrentPage] = useState(0);
   const [audioError, setAudioError] = useState(null);
+  // Audio track picked by the kid: the narrator or a parent's recording
+  const [trackId, setTrackId] = useState(null);
   
   const audioRef = useRef(null);
+  const markedPlayedRef = useRef(false);
   
   // ✅ DEBUG: Adicionar logs para verificar se o áudio está funcionando
   useEffect(() => {
@@ -51,8 +59,11 @@ export default function KidStoryPage({ params }) {
           return;
         }
         
-        // Ensure child has access to this story
-        if (user?.role === 'child' && storyData.childId !== user.uid && storyData.familyId !== user.familyId) {
+        // Children only read stories a parent approved for them
+        if (
+          user?.role === 'child' &&
+          (!storyData.isPublished || storyData.reviewStatus !== STORY_REVIEW_STATUS.APPROVED || !storyData.approvedChildIds?.includes(user.uid))
+        ) {
           console.warn('❌ Child does not have access to this story');
           router.push('/kid/dashboard');
           return;
@@ -70,9 +81,13 @@ export default function KidStoryPage({ params }) {
     fetchStory();
   }, [id, user, router]);
   
+  // The family recording plays unless the kid picks the narrator
+  const audioTracks = getStoryAudioTracks(story);
+  const audioTrack = audioTracks.find(track => track.id === trackId) || audioTracks[audioTracks.length - 1] || null;
+  
   // ✅ MELHORADO: Handle audio playback com melhor tratamento de erros
   useEffect(() => {
-    if (!story?.audioUrl) {
+    if (!audioTrack?.audioUrl) {
       console.log('🎵 No audio URL available for this story');
       return;
     }
@@ -83,7 +98,7 @@ export default function KidStoryPage({ params }) {
     }
     
     const audio = audioRef.current;
-    audio.src = story.audioUrl;
+    audio.src = audioTrack.audioUrl;
     
     // ✅ Event listeners para melhor controle
     const handleLoadedData = () => {
@@ -133,7 +148,7 @@ export default function KidStoryPage({ params }) {
       audio.removeEventListener('error', handleError);
       audio.removeEventListener('ended', handleEnded);
     };
-  }, [isPlaying, story?.audioUrl]);
+  }, [isPlaying, audioTrack?.audioUrl]);
   
   // ✅ Cleanup quando componente desmonta
   useEffect(() => {
@@ -145,25 +160,78 @@ export default function KidStoryPage({ params }) {
     };
   }, []);
   
-  // Split story content into pages (paragraphs)
-  const storyPages = story?.content ? story.content.split('\n\n').filter(p => p.trim()) : [];
+  // Structured stories carry their own pages; older ones are split by paragraph
+  const storyPages = getStoryPages(story);
+  const isLastPage = currentPage === storyPages.length - 1;
+  // Picture of the current page; the cover illustration stands in for the first page
+  const pageImage = story?.pageImages?.[currentPage] || (currentPage === 0 ? story?.imageUrl : null);
+  
+  // Read-along: the word being narrated and the page it is on
+  const { currentWord, wordStarts } = useReadAlong({
+    audioRef,
+    timings: audioTrack?.timings,
+    text: story?.content || '',
+    isPlaying
+  });
+  
+  // Ambient soundscape under the narration, unless it is baked into the audio (recordings never have it baked in)
+  useSoundscape({
+    audioRef,
+    soundscape: audioTrack?.id === 'recording' ? { ...story?.soundscape, bake: false } : story?.soundscape,
+    mood: story?.mood,
+    wordStarts,
+    isPlaying
+  });
+  const pageWordOffsets = getPageWordOffsets(storyPages);
+  const narrationPage = currentWord >= 0
+    ? pageWordOffsets.filter(offset => offset <= currentWord).length - 1
+    : -1;
+  
+  // Turn the page when the narration moves on to the next one
+  useEffect(() => {
+    if (isPlaying && narrationPage >= 0) {
+      setCurrentPage(narrationPage);
+    }
+  }, [isPlaying, narrationPage]);
+  
+  // Reaching the last page counts as playing the story, so series move on to the next chapter
+  useEffect(() => {
+    if (!story || !isLastPage || user?.role !== 'child' || markedPlayedRef.current) return;
+    if (story.playedBy?.includes(user.uid)) return;
+    
+    markedPlayedRef.current = true;
+    markStoryPlayed(story.id, user.uid).catch(err => {
+      console.error('Error marking story as played:', err);
+    });
+  }, [story, isLastPage, user]);
+  
+  // While the story is playing, move the narration to the page the kid turned to
+  const seekToPage = (page) => {
+    const start = wordStarts[pageWordOffsets[page]];
+    
+    if (isPlaying && audioRef.current && start !== undefined) {
+      audioRef.current.currentTime = start;
+    }
+  };
   
   // Handle next/previous page navigation
   const handleNextPage = () => {
     if (currentPage < storyPages.length - 1) {
+      seekToPage(currentPage + 1);
       setCurrentPage(prev => prev + 1);
     }
   };
   
   const handlePrevPage = () => {
     if (currentPage > 0) {
+      seekToPage(currentPage - 1);
       setCurrentPage(prev => prev - 1);
     }
   };
   
   // ✅ MELHORADO: Toggle audio playback
   const toggleAudio = () => {
-    if (!story?.audioUrl) {
+    if (!audioTrack) {
       console.warn('🎵 No audio URL available');
       setAudioError('Esta história não possui áudio.');
       return;
@@ -178,6 +246,16 @@ export default function KidStoryPage({ params }) {
     setIsPlaying(prev => !prev);
   };
   
+  // Switch between the narrator and the family recording; playback starts again from the top
+  const handleTrackChange = (id) => {
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current.currentTime = 0;
+    }
+    setIsPlaying(false);
+    setTrackId(id);
+  };
+  
   // Go back to dashboard
   const handleBackClick = () => {
     // ✅ Parar áudio antes de sair
@@ -237,7 +315,7 @@ export default function KidStoryPage({ params }) {
           </button>
           
           {/* ✅ MELHORADO: Botão de play com melhor feedback visual */}
-          {story.audioUrl && (
+          {audioTrack && (
             <div className="flex items-center space-x-3">
               {audioError && (
                 <span className="text-yellow-300 text-sm">
@@ -325,18 +403,64 @@ export default function KidStoryPage({ params }) {
               {story.title}
             </h1>
             {/* ✅ NOVO: Indicador de áudio disponível */}
-            {story.audioUrl && (
+            {audioTrack && (
               <p className="text-indigo-200 text-center mt-2 text-sm">
                 🎧 Click the play button to listen to this story!
               </p>
             )}
+            {/* Who reads the story: the narrator or a grown-up's recording */}
+            {audioTracks.length > 1 && (
+              <div className="flex justify-center space-x-2 mt-3">
+                {audioTracks.map(track => (
+                  <button
+                    key={track.id}
+                    onClick={() => handleTrackChange(track.id)}
+                    className={`px-4 py-1 rounded-full text-sm font-medium transition-colors ${
+                      track.id === audioTrack.id
+                        ? 'bg-white text-indigo-700'
+                        : 'bg-indigo-500 text-white hover:bg-indigo-400'
+                    }`}
+                  >
+                    {track.id === 'recording' ? '🎙️' : '🔊'} {track.label}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
           
           {/* Story content */}
           <div className="p-6 md:p-8">
+            {/* "Previously on..." recap before the first page of a series chapter */}
+            {currentPage === 0 && story.recap && (
+              <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+                <p className="text-purple-800 italic">📚 {story.recap}</p>
+              </div>
+            )}
+            
+            {pageImage && (
+              <div className="mb-6 flex justify-center">
+                <img
+                  src={pageImage}
+                  alt={`Picture for page ${currentPage + 1}`}
+                  className="w-full max-w-md rounded-xl shadow-md object-cover"
+                />
+              </div>
+            )}
+            
             <div className="prose max-w-none mb-6 text-lg leading-relaxed">
-              {storyPages[currentPage]}
+              <ReadAlongText
+                text={storyPages[currentPage] || ''}
+                firstWord={pageWordOffsets[currentPage]}
+                currentWord={currentWord}
+              />
             </div>
+
+            {/* Moral of the story on the last page */}
+            {isLastPage && story.moral && (
+              <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-center">
+                <p className="text-yellow-800 font-medium">🌟 {story.moral}</p>
+              </div>
+            )}
             
             {/* Page navigation */}
             <div className="flex justify-between items-center mt-8">
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { AuthError, withAuth } from "@/lib/auth";
+import { CHILD_LOGIN_METHODS, setChildCredential } from "@/lib/childLogin";
+
+/**
+ * Set the PIN or picture password a child of the caller's family signs in with
+ *
+ * @param {Request} request - Incoming request, with `{ childId, method: "pin" | "picture", secret }` in the body
+ * @param {Object} context - Route context, with the verified `user`
+ * @returns {Promise<NextResponse>} `{ success: true, loginMethod }`
+ */
+async function setCredential(request, { user }) {
+  try {
+    const { childId, method, secret } = await request.json();
+
+    if (!CHILD_LOGIN_METHODS.includes(method)) {
+      return NextResponse.json({ error: "Choose a PIN or a picture password" }, { status: 400 });
+    }
+
+    await setChildCredential({ familyId: user.familyId, childId, method, secret });
+
+    return NextResponse.json({ success: true, loginMethod: method });
+  } catch (error) {
+    console.error("Child credential error:", error.details || error);
+    return NextResponse.json(
+      { error: error instanceof AuthError ? error.message : "Failed to save the sign-in" },
+      { status: error instanceof AuthError ? error.status : 500 }
+    );
+  }
+}
+
+export const POST = withAuth(setCredential, { role: "parent" });
@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { AuthError } from "@/lib/auth";
+import { getChildrenForLogin, signInChild } from "@/lib/childLogin";
+
+/**
+ * Respond to an error of the child sign-in
+ *
+ * @param {Error} error - Error thrown while handling the request
+ * @returns {NextResponse} Error response
+ */
+const errorResponse = (error) => {
+  console.error("Child login error:", error.details || error);
+  return NextResponse.json(
+    { error: error instanceof AuthError ? error.message : "Something went wrong. Please try again." },
+    { status: error instanceof AuthError ? error.status : 500 }
+  );
+};
+
+/**
+ * Children of a family who can sign in, for the avatar step
+ *
+ * @param {Request} request - Incoming request, with `?familyCode=`
+ * @returns {Promise<NextResponse>} `{ children: [{ id, name, avatar, loginMethod }] }`
+ */
+export async function GET(request) {
+  try {
+    const familyCode = new URL(request.url).searchParams.get("familyCode");
+    return NextResponse.json({ children: await getChildrenForLogin(familyCode) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Sign a child in with their PIN or picture password. The custom token signs
+ * them in to Firebase, and its ID token then starts a session at /api/session.
+ *
+ * @param {Request} request - Incoming request, with `{ familyCode, childId, secret }` in the body
+ * @returns {Promise<NextResponse>} `{ token }`
+ */
+export async function POST(request) {
+  try {
+    const { familyCode, childId, secret } = await request.json().catch(() => ({}));
+    return NextResponse.json({ token: await signInChild({ familyCode, childId, secret }) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { withAuth } from "@/lib/auth";
+import { getFamilyCode } from "@/lib/childLogin";
+
+/**
+ * Respond with the family code of the caller's family
+ *
+ * @param {Object} user - Verified user
+ * @param {boolean} regenerate - Replace the current code
+ * @returns {Promise<NextResponse>} `{ familyCode }`
+ */
+const familyCodeResponse = async (user, regenerate) => {
+  try {
+    return NextResponse.json({ familyCode: await getFamilyCode(user.familyId, { regenerate }) });
+  } catch (error) {
+    console.error("Family code error:", error);
+    return NextResponse.json({ error: "Failed to load the family code" }, { status: 500 });
+  }
+};
+
+/**
+ * Family code that children type to sign in, created on first use
+ */
+export const GET = withAuth((request, { user }) => familyCodeResponse(user, false), { role: "parent" });
+
+/**
+ * Replace the family code, so the old one stops working
+ */
+export const POST = withAuth((request, { user }) => familyCodeResponse(user, true), { role: "parent" });
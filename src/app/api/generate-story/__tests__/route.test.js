@@ -0,0 +1,119 @@
+import { POST } from '@/app/api/generate-story/route';
+import { getUsage } from '@/lib/usage';
+
+jest.mock('@/lib/firebaseAdmin');
+
+const storyRequest = (token, body) => new Request('http://localhost/api/generate-story', {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  },
+  body: JSON.stringify(body)
+});
+
+const STORY_BODY = { prompt: 'A sleepy dragon who is afraid of the dark', age: '3-5', length: 'short' };
+
+/**
+ * Parse a Server-Sent Events body
+ *
+ * @param {string} text - Response body
+ * @returns {Array<Object>} `{ event, data }` per event
+ */
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(Boolean)
+  .map(block => {
+    const [, event] = block.match(/^event: (.*)$/m);
+    const [, data] = block.match(/^data: (.*)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+
+describe('POST /api/generate-story with the mock provider', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    delete process.env.MODERATION_MODEL_CHECK;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('rejects requests without a valid ID token', async () => {
+    const response = await POST(storyRequest(null, STORY_BODY));
+
+    expect(response.status).toBe(401);
+  });
+
+  it('only lets parents generate stories', async () => {
+    const response = await POST(storyRequest('child-1', STORY_BODY));
+
+    expect(response.status).toBe(403);
+  });
+
+  it('requires a prompt', async () => {
+    const response = await POST(storyRequest('parent-prompt', { age: '3-5' }));
+
+    expect(response.status).toBe(400);
+  });
+
+  it('returns a structured, moderated story and records its tokens', async () => {
+    const response = await POST(storyRequest('parent-json', STORY_BODY));
+    const payload = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(payload.structured.title).toEqual(expect.any(String));
+    expect(payload.structured.pages.length).toBeGreaterThan(0);
+    expect(payload.story).toBe(payload.structured.pages.join('\n\n'));
+    expect(payload.moderation.status).toBe('approved');
+    expect(payload.metadata).toMatchObject({ provider: 'mock', model: 'mock-storyteller' });
+    expect(payload.metadata.total_tokens).toBeGreaterThan(0);
+
+    const usage = await getUsage('parent-json');
+    expect(usage.day.metrics.llmTokens.used).toBe(payload.metadata.total_tokens);
+    expect(usage.month.metrics.llmTokens.used).toBe(payload.metadata.total_tokens);
+  });
+
+  it('also records the tokens of the model-based moderation check', async () => {
+    process.env.MODERATION_MODEL_CHECK = 'llm';
+
+    const response = await POST(storyRequest('parent-moderation', STORY_BODY));
+    const payload = await response.json();
+
+    const usage = await getUsage('parent-moderation');
+    expect(response.status).toBe(200);
+    expect(usage.day.metrics.llmTokens.used).toBeGreaterThan(payload.metadata.total_tokens);
+  });
+
+  it('streams the story as it is written, then sends the finished story', async () => {
+    const response = await POST(storyRequest('parent-stream', { ...STORY_BODY, stream: true }));
+    const events = parseEvents(await response.text());
+    const tokens = events.filter(({ event }) => event === 'token');
+    const last = events[events.length - 1];
+
+    expect(response.headers.get('content-type')).toMatch(/text\/event-stream/);
+    expect(tokens.length).toBeGreaterThan(0);
+    expect(last.event).toBe('story');
+    expect(last.data.structured.pages.length).toBeGreaterThan(0);
+
+    const usage = await getUsage('parent-stream');
+    expect(usage.day.metrics.llmTokens.used).toBe(last.data.metadata.total_tokens);
+  });
+
+  it('answers 429 once the family has used its daily tokens', async () => {
+    process.env.USAGE_DAILY_LLM_TOKENS = '10';
+
+    const first = await POST(storyRequest('parent-limit', STORY_BODY));
+    const second = await POST(storyRequest('parent-limit', STORY_BODY));
+    const payload = await second.json();
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(429);
+    expect(second.headers.get('retry-after')).toEqual(expect.any(String));
+    expect(payload).toMatchObject({ period: 'day', limit: 10 });
+  });
+});
@@ -1,73 +1,184 @@
-/*import OpenAI from "openai";
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { getLLMProvider, LLMError } from '@/lib/llm';
+import {
+  STORY_JSON_INSTRUCTIONS,
+  StoryFormatError,
+  addUsage,
+  completeStructuredStory,
+  structureStoryText
+} from '@/lib/storyStructure';
+import { checkStoryLength, fitStoryToLength, getLengthTarget, lengthInstruction } from '@/lib/storyLength';
+import { assembleChapteredStory, planChapters, writeChapters } from '@/lib/storyChapters';
+import { moderateText, MODERATION_STATUS } from '@/lib/moderation';
+import { characterLabel, describeCharacters, normalizeCharacterProfiles } from '@/lib/characters';
+import { describeChild, normalizeChildProfile } from '@/lib/personalization';
+import { sseEvent, streamEventsResponse } from '@/lib/eventStream';
+import { checkUsage, meterLLMProvider, UsageLimitError, usageLimitResponse } from '@/lib/usage';
+import { DEFAULT_STORY_LANGUAGE, STORY_LANGUAGES } from '@/utils/constants';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const BLOCKED_STORY_MESSAGE = 'The generated story did not pass the safety check. Please try a different prompt.';
 
-export async function POST(req) {
-  try {
-    const body = await req.json();
-    const { prompt } = body;
+// Earlier chapters of a series that are summarized in the prompt
+const MAX_SERIES_CHAPTERS = 5;
 
-    if (!prompt) {
-      return new Response(JSON.stringify({ error: 'Prompt is required' }), {
-        status: 400,
-      });
-    }
+/**
+ * Describe the earlier chapters of a series, so the new story continues it
+ *
+ * @param {Object} [series] - `{ title, chapters: [{ title, summary }] }`, oldest chapter first
+ * @returns {string} Prompt section, or an empty string when not continuing a series
+ */
+const describeSeries = (series) => {
+  const chapters = Array.isArray(series?.chapters)
+    ? series.chapters.filter(chapter => typeof chapter?.title === 'string')
+    : [];
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        { role: "system", content: "You are a bedtime story writer for children aged 3-7." },
-        { role: "user", content: prompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 1200
-    });
+  if (chapters.length === 0) return '';
 
-    const story = response.data.choices[0].message.content;
+  const recap = chapters
+    .slice(-MAX_SERIES_CHAPTERS)
+    .map(chapter => `- ${chapter.title}: ${String(chapter.summary || '').slice(0, 400)}`)
+    .join('\n');
 
-    return new Response(JSON.stringify({ story }), {
-      status: 200,
-      headers: { 'Content-Type': 'application/json' }
-    });
-  } catch (err) {
-    console.error("OpenAI error:", err);
-    return new Response(JSON.stringify({ error: 'Failed to generate story' }), {
-      status: 500,
-    });
+  return `
+
+This story is chapter ${chapters.length + 1} of the bedtime series "${String(series.title || chapters[0].title).slice(0, 100)}". The latest chapters so far:
+${recap}
+Continue the series with the same main characters, names and world, following on from the latest chapter. The new story should still be enjoyable on its own.`;
+};
+
+/**
+ * Describe the language the story is written in
+ *
+ * @param {Object} [storyLanguage] - Entry of `STORY_LANGUAGES`
+ * @returns {string} Prompt line, or an empty string for English stories
+ */
+const describeLanguage = (storyLanguage) => {
+  if (!storyLanguage || storyLanguage.code === DEFAULT_STORY_LANGUAGE) return '';
+
+  return `
+- Language: ${storyLanguage.name}. Write the whole story, title included, in natural ${storyLanguage.name} for native-speaking children.`;
+};
+
+/**
+ * Build the JSON payload returned for a finished story
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Object} result - Structured story with model, usage and lengthCheck
+ * @param {Object} moderation - Verdict from `moderateText()`
+ * @returns {Object} Response payload
+ */
+const storyPayload = (provider, { structured, model, usage, lengthCheck }, moderation) => ({
+  story: structured.pages.join('\n\n'),
+  structured,
+  moderation,
+  metadata: {
+    provider: provider.name,
+    model,
+    ...usage,
+    length: lengthCheck
   }
+});
+
+/**
+ * Track token usage and model across the completions of a chaptered story
+ *
+ * @param {Object} outline - Result of `planChapters()`
+ * @returns {{totals: Object, onUsage: Function}} Running totals and the callback for `writeChapters()`
+ */
+const chapterUsageTracker = ({ model, usage }) => {
+  const totals = { model, usage };
+
+  return {
+    totals,
+    onUsage: (completion) => {
+      totals.model = completion.model;
+      totals.usage = addUsage(totals.usage, completion.usage);
+    }
+  };
 };
-*/
 
+/**
+ * Turn the text of a chaptered story into a finished result
+ *
+ * @param {Object} outline - Outline from `planChapters()`
+ * @param {string} storyText - Text yielded by `writeChapters()`
+ * @param {Object} totals - Usage totals from `chapterUsageTracker()`
+ * @param {Object} target - Length target
+ * @returns {Object} Result with structured, model, usage and lengthCheck
+ */
+const finishChapteredStory = (outline, storyText, totals, target) => {
+  const structured = assembleChapteredStory(outline, storyText);
 
+  return {
+    structured,
+    model: totals.model,
+    usage: totals.usage,
+    lengthCheck: checkStoryLength(structured.pages.join('\n\n'), target)
+  };
+};
 
-import { NextResponse } from 'next/server';
+/**
+ * Moderate a structured story for the requested age group
+ *
+ * @param {Object} structured - Structured story
+ * @param {string} age - Target age group
+ * @param {Object} meter - From `meterLLMProvider()`, counts the tokens of an LLM check
+ * @returns {Promise<Object>} Moderation verdict
+ */
+const moderateStory = (structured, age, meter) => {
+  return moderateText(`${structured.title}\n\n${structured.pages.join('\n\n')}`, { ageGroup: age, onUsage: meter.add });
+};
 
-// Using Grop (free)
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
+/**
+ * Stream the story text as `token` events, then finish the text (structure
+ * it, fix its length) and send it as a final `story` event (or an `error` event)
+ *
+ * @param {Object} provider - LLM provider
+ * @param {AsyncIterable<string>} chunks - Story text chunks
+ * @param {Function} finish - Turns the streamed text into a result for `storyPayload()`
+ * @param {string} age - Target age group, for moderation
+ * @param {Object} meter - From `meterLLMProvider()`, recorded however the stream ends
+ * @returns {AsyncGenerator<string>} Encoded events
+ */
+async function* storyEvents(provider, chunks, finish, age, meter) {
+  let storyText = '';
 
-export async function POST(request) {
   try {
-    console.log('=== DEBUG: Iniciando geração de história ===');
-    console.log('GROQ_API_KEY exists:', !!GROQ_API_KEY);
-    console.log('GROQ_API_KEY length:', GROQ_API_KEY?.length || 0);
+    for await (const chunk of chunks) {
+      storyText += chunk;
+      yield sseEvent('token', { text: chunk });
+    }
 
-    //Check if th API key is configurated
-    if (!GROQ_API_KEY) {
-      console.error('GROQ_API_KEY não está configurada');
-      return NextResponse.json(
-        { error: 'API key não configurada' },
-        { status: 500 }
-      );
+    const result = await finish(storyText.trim());
+    const moderation = await moderateStory(result.structured, age, meter);
+
+    if (moderation.status === MODERATION_STATUS.BLOCKED) {
+      yield sseEvent('error', { error: BLOCKED_STORY_MESSAGE, moderation });
+      return;
     }
 
+    yield sseEvent('story', storyPayload(provider, result, moderation));
+  } catch (error) {
+    console.error('Error generating streamed story:', error);
+    yield sseEvent('error', {
+      error: error instanceof LLMError || error instanceof StoryFormatError
+        ? error.message
+        : 'Erro interno do servidor'
+    });
+  } finally {
+    await meter.record();
+  }
+}
+
+async function generateStory(request, { user }) {
+  let meter;
+  // Streamed stories record their usage when the stream ends
+  let streaming = false;
+
+  try {
     const body = await request.json();
-    console.log('=== DEBUG: Dados recebidos ===');
-    console.log('Body:', JSON.stringify(body, null, 2));
-    
-    const { prompt, age, length, characters, setting, mood } = body;
+    const { prompt, age, length, characters, characterProfiles, child, setting, mood, language, series, stream = false } = body;
 
     // Validate mandatory fields
     if (!prompt) {
@@ -78,138 +189,165 @@ export async function POST(request) {
       );
     }
 
+    await checkUsage(user.familyId, { llmTokens: 0 });
+
+    const target = getLengthTarget(length);
+    const storyLanguage = STORY_LANGUAGES.find(option => option.code === language);
+    const profiles = normalizeCharacterProfiles(characterProfiles);
+    const characterList = Array.isArray(characters) ? characters.join(', ') : characters || '';
+    const childProfile = normalizeChildProfile(child);
+    const mainCharacters = [
+      childProfile?.isHero && childProfile.name,
+      characterList.trim() || profiles.map(characterLabel).join(', ')
+    ].filter(Boolean).join(', ');
+
     // Building the prompt for the AI
-    const systemPrompt = `You are a storyteller specialized in creating charming children's stories. 
+    const systemPrompt = `You are a storyteller specialized in creating charming children's stories.
 Create a story appropriate for the specified age, with appropriate language and positive messages.
 The story should be engaging, educational and suitable for bedtime.`;
 
-    const userPrompt = `
-Create a children's story with the following characteristics:
-- Theme/Prompt: ${prompt}
+    const storyBrief = `- Theme/Prompt: ${prompt}
 - Target age: ${age}
-- Duration: ${length}
-- Main characters: ${characters || 'age-appropriate characters'}
+- Duration: ${target.minMinutes}-${target.maxMinutes} minute read
+- Main characters: ${mainCharacters || 'age-appropriate characters'}
 - Setting: ${setting || 'a magical and cozy place'}
-- Tone/Mood: ${mood || 'cheerful and comforting'}
+- Tone/Mood: ${mood || 'cheerful and comforting'}${describeLanguage(storyLanguage)}${describeChild(childProfile)}${describeCharacters(profiles)}${describeSeries(series)}`;
+
+    const userPrompt = `
+Create a children's story with the following characteristics:
+${storyBrief}
 
 The story should:
 1. Be appropriate for the specified age
 2. Have a positive message or life lesson
 3. Be suitable for bedtime
-4. Be between 200-800 words depending on duration
+4. ${lengthInstruction(target)}
 5. Include dialogue when appropriate
 6. Have a happy and comforting ending
 
 Please write a complete story following these guidelines.`;
 
-    console.log('=== DEBUG: Prompt construído ===');
-    console.log('System Prompt length:', systemPrompt.length);
-    console.log('User Prompt length:', userPrompt.length);
-
-    const requestBody = {
-      model: 'llama-3.3-70b-versatile', //Updated model
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ],
-      max_tokens: 1000,
-      temperature: 0.7,
-      top_p: 1,
-      stream: false
-    };
-
-    console.log('=== DEBUG: Enviando para Groq ===');
-    console.log('Request body:', JSON.stringify(requestBody, null, 2));
-
-    // Make a request to the Groq API
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody)
-    });
+    meter = meterLLMProvider(user.familyId, getLLMProvider());
+    const { provider } = meter;
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    let result;
+
+    if (target.chapters > 1) {
+      // Long stories: outline first, then one chapter at a time
+      const outline = await planChapters(provider, { messages, target, signal: request.signal });
+      const { totals, onUsage } = chapterUsageTracker(outline);
+      const chapters = writeChapters(provider, {
+        systemPrompt,
+        storyBrief,
+        outline: outline.structured,
+        target,
+        stream,
+        onUsage,
+        signal: request.signal
+      });
+      const finish = (storyText) => finishChapteredStory(outline.structured, storyText, totals, target);
 
-    console.log('=== DEBUG: Resposta da Groq ===');
-    console.log('Status:', response.status);
-    console.log('Status Text:', response.statusText);
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('=== DEBUG: Erro da API Groq ===');
-      console.error('Status:', response.status);
-      console.error('Error text:', errorText);
-      
-      if (response.status === 401) {
-        return NextResponse.json(
-          { error: 'Chave da API inválida' },
-          { status: 401 }
-        );
+      if (stream) {
+        streaming = true;
+        return streamEventsResponse(storyEvents(provider, chapters, finish, age, meter));
       }
-      
-      if (response.status === 429) {
-        return NextResponse.json(
-          { error: 'Limite de rate atingido. Tente novamente em alguns segundos.' },
-          { status: 429 }
-        );
+
+      let storyText = '';
+      for await (const chunk of chapters) {
+        storyText += chunk;
+      }
+      result = finish(storyText);
+    } else {
+      const jsonParams = {
+        task: 'story-json',
+        messages: [
+          messages[0],
+          { role: 'user', content: `${userPrompt}\n\n${STORY_JSON_INSTRUCTIONS}` }
+        ],
+        maxTokens: target.maxTokens,
+        temperature: 0.7,
+        signal: request.signal
+      };
+
+      // Streaming mode: plain text as it is written, then structured and
+      // extended or regenerated if it misses the length target
+      if (stream) {
+        let streamUsage = null;
+        const chunks = await provider.stream({
+          task: 'story',
+          messages: [
+            messages[0],
+            { role: 'user', content: `${userPrompt}\nStart with the title on its own line, then a blank line, then the story.` }
+          ],
+          maxTokens: target.maxTokens,
+          temperature: 0.7,
+          signal: request.signal,
+          onUsage: (completion) => {
+            streamUsage = completion.usage;
+          }
+        });
+        const finish = async (storyText) => {
+          const structured = await structureStoryText(provider, storyText, request.signal);
+          const result = await fitStoryToLength(provider, { result: structured, target, params: jsonParams });
+          return { ...result, usage: addUsage(result.usage, streamUsage) };
+        };
+
+        streaming = true;
+        return streamEventsResponse(storyEvents(provider, chunks, finish, age, meter));
       }
-      
+
+      result = await fitStoryToLength(provider, {
+        result: await completeStructuredStory(provider, jsonParams),
+        target,
+        params: jsonParams
+      });
+    }
+
+    const moderation = await moderateStory(result.structured, age, meter);
+
+    if (moderation.status === MODERATION_STATUS.BLOCKED) {
       return NextResponse.json(
-        { error: 'Erro na API externa: ' + errorText },
-        { status: response.status }
+        { error: BLOCKED_STORY_MESSAGE, moderation },
+        { status: 422 }
       );
     }
 
-    const data = await response.json();
-    console.log('=== DEBUG: Dados da Groq ===');
-    console.log('Data keys:', Object.keys(data));
-    console.log('Choices length:', data.choices?.length || 0);
-    
-    // Check if the response contains the expected content
-    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-      console.error('=== DEBUG: Resposta inesperada ===');
-      console.error('Data:', JSON.stringify(data, null, 2));
+    return NextResponse.json(storyPayload(provider, result, moderation));
+
+  } catch (error) {
+    if (error instanceof UsageLimitError) {
+      return usageLimitResponse(error);
+    }
+
+    if (error instanceof LLMError) {
       return NextResponse.json(
-        { error: 'Resposta inválida da API' },
-        { status: 500 }
+        { error: error.message },
+        { status: error.status }
       );
     }
 
-    const story = data.choices[0].message.content.trim();
-    
-    console.log('=== DEBUG: História gerada ===');
-    console.log('Story length:', story.length);
-    console.log('Story preview:', story.slice(0, 100) + '...');
-    
-    return NextResponse.json({
-      story: story,
-      metadata: {
-        model: 'llama-3.3-70b-versatile', //updated model
-        prompt_tokens: data.usage?.prompt_tokens || 0,
-        completion_tokens: data.usage?.completion_tokens || 0,
-        total_tokens: data.usage?.total_tokens || 0
-      }
-    });
+    if (error instanceof StoryFormatError) {
+      return NextResponse.json(
+        { error: 'The AI returned a story in an unexpected format. Please try again.' },
+        { status: 502 }
+      );
+    }
 
-  } catch (error) {
-    console.error('=== DEBUG: Erro interno ===');
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
-    
+    console.error('Error generating story:', error);
     return NextResponse.json(
-      { 
+      {
         error: 'Erro interno do servidor',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       },
       { status: 500 }
     );
+  } finally {
+    if (!streaming) await meter?.record();
   }
-}
\ No newline at end of file
+}
+
+export const POST = withAuth(generateStory, { role: 'parent' });
@@ -1,20 +1,13 @@
-
 import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { getLLMProvider, LLMError } from '@/lib/llm';
+import { checkUsage, countTokens, recordUsage, UsageLimitError, usageLimitResponse } from '@/lib/usage';
+import { moderateText, MODERATION_STATUS } from '@/lib/moderation';
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-
-export async function POST(request) {
+async function generateSuggestion(request, { user }) {
   try {
-    if (!GROQ_API_KEY) {
-      return NextResponse.json(
-        { error: 'API key not configured' },
-        { status: 500 }
-      );
-    }
-
     const body = await request.json();
-    const { currentText } = body;
+    const { currentText, age } = body;
 
     if (!currentText?.trim()) {
       return NextResponse.json(
@@ -23,7 +16,7 @@ export async function POST(request) {
       );
     }
 
-    const systemPrompt = `You are a creative storyteller specialized in children's stories. 
+    const systemPrompt = `You are a creative storyteller specialized in children's stories.
 Continue the provided story with one or two paragraphs that maintain the tone and style of the original story.
 The continuation should be appropriate for children and flow naturally with the existing text.`;
 
@@ -41,51 +34,55 @@ The continuation should:
 
 Write only the continuation, without repeating the original text.`;
 
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile', //updated model
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 300,
-        temperature: 0.8,
-        top_p: 1,
-        stream: false
-      })
+    await checkUsage(user.familyId, { llmTokens: 0 });
+
+    const completion = await getLLMProvider().complete({
+      task: 'suggestion',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      maxTokens: 300,
+      temperature: 0.8
+    });
+    await recordUsage(user.familyId, { llmTokens: countTokens(completion.usage) });
+
+    let moderationUsage = null;
+    const moderation = await moderateText(completion.content, {
+      ageGroup: age,
+      onUsage: (usage) => {
+        moderationUsage = usage;
+      }
     });
+    await recordUsage(user.familyId, { llmTokens: countTokens(moderationUsage) });
 
-    if (!response.ok) {
-      console.error('Groq API Error:', response.status);
+    if (moderation.status === MODERATION_STATUS.BLOCKED) {
       return NextResponse.json(
-        { error: 'External API error' },
-        { status: response.status }
+        { error: 'The suggestion did not pass the safety check. Please try again.', moderation },
+        { status: 422 }
       );
     }
 
-    const data = await response.json();
-    
-    if (!data.choices?.[0]?.message?.content) {
+    return NextResponse.json({ suggestion: completion.content, moderation });
+
+  } catch (error) {
+    if (error instanceof UsageLimitError) {
+      return usageLimitResponse(error);
+    }
+
+    if (error instanceof LLMError) {
       return NextResponse.json(
-        { error: 'Invalid API response' },
-        { status: 500 }
+        { error: error.message },
+        { status: error.status }
       );
     }
 
-    const suggestion = data.choices[0].message.content.trim();
-    
-    return NextResponse.json({ suggestion });
-
-  } catch (error) {
     console.error('Internal error:', error);
     return NextResponse.json(
       { error: 'Internal Server Error' },
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+export const POST = withAuth(generateSuggestion, { role: 'parent' });
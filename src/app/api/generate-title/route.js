@@ -1,18 +1,10 @@
-
 import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { getLLMProvider, LLMError } from '@/lib/llm';
+import { checkUsage, countTokens, recordUsage, UsageLimitError, usageLimitResponse } from '@/lib/usage';
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-
-export async function POST(request) {
+async function generateTitle(request, { user }) {
   try {
-    if (!GROQ_API_KEY) {
-      return NextResponse.json(
-        { error: 'API key não configurada' },
-        { status: 500 }
-      );
-    }
-
     const body = await request.json();
     const { storyContent } = body;
 
@@ -23,7 +15,7 @@ export async function POST(request) {
       );
     }
 
-    const systemPrompt = `You are an expert in creating captivating titles for children's stories. 
+    const systemPrompt = `You are an expert in creating captivating titles for children's stories.
 Analyze the provided story and create an engaging title, appropriate for children and that captures the essence of the story.`;
 
     const userPrompt = `
@@ -40,51 +32,39 @@ The title should:
 
 Respond only with the title, without quotes or additional explanations.`;
 
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile', // ←updated model
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 50,
-        temperature: 0.8,
-        top_p: 1,
-        stream: false
-      })
+    await checkUsage(user.familyId, { llmTokens: 0 });
+
+    const completion = await getLLMProvider().complete({
+      task: 'title',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      maxTokens: 50,
+      temperature: 0.8
     });
+    await recordUsage(user.familyId, { llmTokens: countTokens(completion.usage) });
 
-    if (!response.ok) {
-      console.error('Error API Groq:', response.status);
-      return NextResponse.json(
-        { error: 'Error API external' },
-        { status: response.status }
-      );
+    return NextResponse.json({ title: completion.content });
+
+  } catch (error) {
+    if (error instanceof UsageLimitError) {
+      return usageLimitResponse(error);
     }
 
-    const data = await response.json();
-    
-    if (!data.choices?.[0]?.message?.content) {
+    if (error instanceof LLMError) {
       return NextResponse.json(
-        { error: 'Invalid API response' },
-        { status: 500 }
+        { error: error.message },
+        { status: error.status }
       );
     }
 
-    const title = data.choices[0].message.content.trim();
-    
-    return NextResponse.json({ title });
-
-  } catch (error) {
     console.error('Internal error:', error);
     return NextResponse.json(
       { error: 'Internal Server Error' },
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+export const POST = withAuth(generateTitle, { role: 'parent' });
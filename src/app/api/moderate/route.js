@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth';
+import { moderateText, usesLLMModeration } from '@/lib/moderation';
+import { checkUsage, countTokens, recordUsage, UsageLimitError, usageLimitResponse } from '@/lib/usage';
+
+/**
+ * Moderate story text for an age group before it is saved
+ *
+ * Parents only. Body: { text: string, ageGroup?: string }
+ * Returns the verdict from `moderateText()`. The tokens of the model-based
+ * check (`MODERATION_MODEL_CHECK=llm`) count towards the family's LLM limits.
+ */
+async function moderate(request, { user }) {
+  try {
+    const { text, ageGroup } = await request.json();
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return NextResponse.json(
+        { error: 'Text is required' },
+        { status: 400 }
+      );
+    }
+
+    await checkUsage(user.familyId, usesLLMModeration() ? { llmTokens: 0 } : {});
+
+    let usage = null;
+    const verdict = await moderateText(text, {
+      ageGroup,
+      onUsage: (completionUsage) => {
+        usage = completionUsage;
+      }
+    });
+    await recordUsage(user.familyId, { llmTokens: countTokens(usage) });
+
+    return NextResponse.json(verdict);
+  } catch (error) {
+    if (error instanceof UsageLimitError) {
+      return usageLimitResponse(error);
+    }
+
+    console.error('Moderation error:', error);
+    return NextResponse.json(
+      { error: 'Failed to moderate content' },
+      { status: 500 }
+    );
+  }
+}
+
+export const POST = withAuth(moderate, { role: 'parent' });
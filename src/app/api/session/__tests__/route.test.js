@@ -0,0 +1,59 @@
+import { NextRequest } from 'next/server';
+import { GET, POST, PUT } from '@/app/api/session/route';
+import { createSessionToken, SESSION_COOKIE, verifySessionToken } from '@/lib/session';
+
+jest.mock('@/lib/firebaseAdmin');
+
+const sessionRequest = (method, { idToken, session } = {}) => new NextRequest('http://localhost/api/session', {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(session && { cookie: `${SESSION_COOKIE}=${session}` })
+  },
+  ...(method !== 'GET' && { body: JSON.stringify({ idToken }) })
+});
+
+describe('/api/session', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SESSION_SECRET = 'test-session-secret';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('starts a signed, httpOnly session from a verified ID token', async () => {
+    const response = await POST(sessionRequest('POST', { idToken: 'child-1' }));
+    const cookie = response.cookies.get(SESSION_COOKIE);
+
+    expect(response.status).toBe(200);
+    expect(cookie.httpOnly).toBe(true);
+    expect(await verifySessionToken(cookie.value)).toMatchObject({ uid: 'child-1', role: 'child', familyId: 'parent-family' });
+  });
+
+  it('refuses invalid ID tokens', async () => {
+    const response = await POST(sessionRequest('POST', { idToken: 'forged' }));
+
+    expect(response.status).toBe(401);
+    expect(response.cookies.get(SESSION_COOKIE)).toBeUndefined();
+  });
+
+  it('only refreshes a session with an ID token of the same user', async () => {
+    const session = await createSessionToken({ uid: 'parent-1', role: 'parent', familyId: 'parent-1' });
+
+    expect((await PUT(sessionRequest('PUT', { idToken: 'parent-1', session }))).status).toBe(200);
+    expect((await PUT(sessionRequest('PUT', { idToken: 'parent-2', session }))).status).toBe(401);
+    expect((await PUT(sessionRequest('PUT', { idToken: 'parent-1' }))).status).toBe(401);
+  });
+
+  it('reports the current session', async () => {
+    const session = await createSessionToken({ uid: 'parent-1', role: 'parent', familyId: 'parent-1' });
+
+    expect(await (await GET(sessionRequest('GET', { session }))).json()).toMatchObject({ session: { uid: 'parent-1', role: 'parent' } });
+    expect((await GET(sessionRequest('GET'))).status).toBe(401);
+  });
+});
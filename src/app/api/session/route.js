@@ -0,0 +1,123 @@
+import { NextResponse } from "next/server";
+import { AuthError, verifyUser } from "@/lib/auth";
+import { SESSION_COOKIE, SESSION_MAX_AGE, createSessionToken, getSessionCookieOptions, verifySessionToken } from "@/lib/session";
+
+// A new session needs a sign-in from the last five minutes, so an old ID token cannot start one
+const RECENT_SIGN_IN_SECONDS = 5 * 60;
+
+/**
+ * Respond with a new session cookie for a verified user
+ *
+ * @param {Object} user - Verified user from `verifyUser()`
+ * @returns {Promise<NextResponse>} `{ session: { uid, role, familyId, expiresAt } }`
+ */
+const sessionResponse = async (user) => {
+  const token = await createSessionToken(user);
+
+  const response = NextResponse.json({
+    session: { uid: user.uid, role: user.role, familyId: user.familyId, expiresAt: Date.now() + SESSION_MAX_AGE * 1000 }
+  });
+  response.cookies.set(SESSION_COOKIE, token, getSessionCookieOptions());
+  return response;
+};
+
+/**
+ * Respond to an error of the session routes
+ *
+ * @param {Error} error - Error thrown while handling the request
+ * @returns {NextResponse} Error response
+ */
+const errorResponse = (error) => {
+  console.error("Session error:", error.details || error);
+  return NextResponse.json(
+    { error: error instanceof AuthError ? error.message : "Failed to update the session" },
+    { status: error instanceof AuthError ? error.status : 500 }
+  );
+};
+
+/**
+ * Read the Firebase ID token from the request body
+ *
+ * @param {Request} request - Incoming request
+ * @returns {Promise<string|undefined>} ID token
+ */
+const readIdToken = async (request) => {
+  const body = await request.json().catch(() => ({}));
+  return body.idToken;
+};
+
+/**
+ * Current session
+ *
+ * @param {Request} request - Incoming request
+ * @returns {Promise<NextResponse>} `{ session: { uid, role, familyId, expiresAt } }`, or 401 without a valid session
+ */
+export async function GET(request) {
+  const session = await verifySessionToken(request.cookies.get(SESSION_COOKIE)?.value);
+
+  if (!session) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  return NextResponse.json({
+    session: { uid: session.uid, role: session.role, familyId: session.familyId, expiresAt: session.exp * 1000 }
+  });
+}
+
+/**
+ * Log in: start a session from the ID token of a fresh Firebase sign-in
+ *
+ * @param {Request} request - Incoming request, with `{ idToken }` in the body
+ * @returns {Promise<NextResponse>} The new session, with the session cookie set
+ */
+export async function POST(request) {
+  try {
+    const user = await verifyUser(await readIdToken(request));
+
+    if (Date.now() / 1000 - user.authTime > RECENT_SIGN_IN_SECONDS) {
+      throw new AuthError("Please sign in again to start a session");
+    }
+
+    return await sessionResponse(user);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Refresh: extend the current session with a newer ID token of the same
+ * user. The role and family are read again from its claims, so changes apply.
+ *
+ * @param {Request} request - Incoming request, with `{ idToken }` in the body
+ * @returns {Promise<NextResponse>} The refreshed session, with the session cookie set
+ */
+export async function PUT(request) {
+  try {
+    const session = await verifySessionToken(request.cookies.get(SESSION_COOKIE)?.value);
+
+    if (!session) {
+      throw new AuthError("No session to refresh");
+    }
+
+    const user = await verifyUser(await readIdToken(request));
+
+    if (user.uid !== session.uid) {
+      throw new AuthError("The ID token belongs to another user");
+    }
+
+    return await sessionResponse(user);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Log out: clear the session cookie
+ *
+ * @returns {NextResponse} `{ success: true }`
+ */
+export async function DELETE() {
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(SESSION_COOKIE, "", getSessionCookieOptions(0));
+  return response;
+}
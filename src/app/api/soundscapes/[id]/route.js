@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { synthesizeSoundscape } from "@/lib/soundscapes";
+import { TTSError } from "@/lib/tts";
+
+/**
+ * Server-side API route handler for soundscape loops
+ *
+ * Returns the MP3 loop of an ambient bed (rain, ocean, crickets, lullaby)
+ * at 0 dB, for players to loop under the narration and duck under the
+ * narrator's voice. Loops never change, so they are cached for a year.
+ *
+ * @param {Request} request - Incoming request
+ * @param {{params: Promise<{id: string}>}} context - Route context, with the soundscape ID in `params`
+ * @returns {Promise<Response>} MP3 audio
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    return new Response(synthesizeSoundscape(id), {
+      headers: {
+        "Content-Type": "audio/mpeg",
+        "Cache-Control": "public, max-age=31536000, immutable"
+      }
+    });
+  } catch (error) {
+    console.error("Soundscape error:", error.details || error);
+    return NextResponse.json(
+      { error: error instanceof TTSError ? error.message : "Failed to load the soundscape" },
+      { status: error instanceof TTSError ? error.status : 500 }
+    );
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { withAuth } from "@/lib/auth";
+import { usesLLMModeration } from "@/lib/moderation";
+import { storyErrorResponse, updateStory } from "@/lib/stories";
+import { checkUsage, countTokens, recordUsage, UsageLimitError, usageLimitResponse } from "@/lib/usage";
+
+/**
+ * Update a story of the caller's family
+ *
+ * Changed text is moderated again before it is written, and a published
+ * story whose text changed goes back to the review queue. Blocked text gets
+ * 422 with `code: "content/blocked"` and the verdict. Parents only.
+ *
+ * @param {Request} request - Incoming request, with `{ story }` (the fields to update) in the body
+ * @param {Object} context - Route context, with the story ID in `params` and the verified `user`
+ * @returns {Promise<NextResponse>} `{ story }`, the fields written with the story ID
+ */
+async function editStory(request, { params, user }) {
+  let usage = null;
+
+  try {
+    const { id } = await params;
+    const { story } = await request.json();
+
+    await checkUsage(user.familyId, usesLLMModeration() ? { llmTokens: 0 } : {});
+
+    const updated = await updateStory({
+      user,
+      storyId: id,
+      story,
+      onUsage: (completionUsage) => {
+        usage = completionUsage;
+      }
+    });
+
+    return NextResponse.json({ story: updated });
+  } catch (error) {
+    if (error instanceof UsageLimitError) {
+      return usageLimitResponse(error);
+    }
+
+    return storyErrorResponse(error);
+  } finally {
+    if (usage) await recordUsage(user.familyId, { llmTokens: countTokens(usage) });
+  }
+}
+
+export const PATCH = withAuth(editStory, { role: "parent" });
@@ -0,0 +1,145 @@
+import { POST } from '@/app/api/stories/route';
+import { PATCH } from '@/app/api/stories/[id]/route';
+import { __getDoc, __setDoc } from '@/lib/firebaseAdmin';
+import { AGE_GROUPS, STORY_REVIEW_STATUS } from '@/utils/constants';
+
+jest.mock('@/lib/firebaseAdmin');
+
+const STORY = {
+  title: 'The Sleepy Owl',
+  content: 'Once upon a time, a little owl could not sleep. She counted the stars until her eyes grew heavy.',
+  age: AGE_GROUPS.EARLY_READER,
+  isPublished: false
+};
+
+const storyRequest = (method, token, body) => new Request('http://localhost/api/stories', {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  },
+  body: JSON.stringify(body)
+});
+
+const createStory = (token, body) => POST(storyRequest('POST', token, body));
+const editStory = (token, id, story) => PATCH(storyRequest('PATCH', token, { story }), { params: Promise.resolve({ id }) });
+
+describe('/api/stories', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.MODERATION_MODEL_CHECK;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('saves a moderated story, with the owner and review fields set by the server', async () => {
+    const response = await createStory('parent-a', {
+      story: {
+        ...STORY,
+        familyId: 'someone-else',
+        moderation: { status: 'approved' },
+        reviewStatus: STORY_REVIEW_STATUS.APPROVED,
+        approvedChildIds: ['child-9']
+      },
+      childId: 'child-1'
+    });
+    const { story } = await response.json();
+    const saved = __getDoc(`stories/${story.id}`);
+
+    expect(response.status).toBe(200);
+    expect(saved).toMatchObject({
+      title: STORY.title,
+      childId: 'child-1',
+      userId: 'parent-a',
+      familyId: 'parent-a',
+      reviewStatus: STORY_REVIEW_STATUS.DRAFT,
+      approvedChildIds: []
+    });
+    expect(saved.moderation).toMatchObject({ status: 'approved', ageGroup: AGE_GROUPS.EARLY_READER });
+  });
+
+  it('sends a story saved as published to the review queue', async () => {
+    const response = await createStory('parent-a', { story: { ...STORY, isPublished: true } });
+    const { story } = await response.json();
+
+    expect(__getDoc(`stories/${story.id}`)).toMatchObject({ reviewStatus: STORY_REVIEW_STATUS.PENDING, approvedChildIds: [] });
+  });
+
+  it('refuses blocked stories without writing them', async () => {
+    const response = await createStory('parent-blocked', { story: { ...STORY, content: 'The owl said a word: damn.' } });
+    const payload = await response.json();
+
+    expect(response.status).toBe(422);
+    expect(payload).toMatchObject({ code: 'content/blocked', moderation: { status: 'blocked' } });
+  });
+
+  it('checks the pages too when they are not the content', async () => {
+    const response = await createStory('parent-pages', { story: { ...STORY, pages: ['A page with a nude owl.'] } });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('only lets parents save stories', async () => {
+    const response = await createStory('child-1', { story: STORY });
+
+    expect(response.status).toBe(403);
+  });
+
+  describe('editing', () => {
+    beforeEach(() => {
+      __setDoc('stories/approved', {
+        ...STORY,
+        userId: 'parent-a',
+        familyId: 'parent-a',
+        isPublished: true,
+        reviewStatus: STORY_REVIEW_STATUS.APPROVED,
+        approvedChildIds: ['child-1'],
+        moderation: { status: 'approved' }
+      });
+    });
+
+    it('keeps the approval when the form is saved with the same text', async () => {
+      const response = await editStory('parent-a', 'approved', { title: STORY.title, content: STORY.content, voice: 'en-US-Neural2-F' });
+
+      expect(response.status).toBe(200);
+      expect(__getDoc('stories/approved')).toMatchObject({
+        voice: 'en-US-Neural2-F',
+        reviewStatus: STORY_REVIEW_STATUS.APPROVED,
+        approvedChildIds: ['child-1']
+      });
+    });
+
+    it('checks edited text again and sends the story back to review', async () => {
+      const content = `${STORY.content} The moon smiled.`;
+      const response = await editStory('parent-a', 'approved', { content });
+      const saved = __getDoc('stories/approved');
+
+      expect(response.status).toBe(200);
+      expect(saved).toMatchObject({ content, reviewStatus: STORY_REVIEW_STATUS.PENDING, approvedChildIds: [] });
+      expect(saved.moderation.checkedAt).toEqual(expect.any(String));
+    });
+
+    it('refuses edits that make the story unsafe and keeps the old text', async () => {
+      const response = await editStory('parent-a', 'approved', { content: 'The owl found a porn magazine.' });
+
+      expect(response.status).toBe(422);
+      expect(__getDoc('stories/approved')).toMatchObject({ content: STORY.content, reviewStatus: STORY_REVIEW_STATUS.APPROVED });
+    });
+
+    it('does not let clients set the review fields', async () => {
+      await editStory('parent-a', 'approved', { reviewStatus: STORY_REVIEW_STATUS.APPROVED, approvedChildIds: ['child-9'], moderation: null });
+
+      expect(__getDoc('stories/approved')).toMatchObject({ approvedChildIds: ['child-1'], moderation: { status: 'approved' } });
+    });
+
+    it('answers 403 for other families\' stories and 404 for missing ones', async () => {
+      expect((await editStory('parent-b', 'approved', { content: 'Hello' })).status).toBe(403);
+      expect((await editStory('parent-a', 'missing', { content: 'Hello' })).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { NextResponse } from "next/server";
+import { withAuth } from "@/lib/auth";
+import { usesLLMModeration } from "@/lib/moderation";
+import { createStory, storyErrorResponse } from "@/lib/stories";
+import { checkUsage, countTokens, recordUsage, UsageLimitError, usageLimitResponse } from "@/lib/usage";
+
+/**
+ * Save a new story for the caller's family
+ *
+ * The story's text is moderated here before it is written; blocked stories
+ * get 422 with `code: "content/blocked"` and the verdict. Parents only. The
+ * tokens of the model-based check count towards the family's LLM limits.
+ *
+ * @param {Request} request - Incoming request, with `{ story, childId }` in the body
+ * @param {Object} context - Route context, with the verified `user`
+ * @returns {Promise<NextResponse>} `{ story }`, the saved story with its ID
+ */
+async function saveStory(request, { user }) {
+  let usage = null;
+
+  try {
+    const { story, childId } = await request.json();
+
+    await checkUsage(user.familyId, usesLLMModeration() ? { llmTokens: 0 } : {});
+
+    const saved = await createStory({
+      user,
+      story,
+      childId,
+      onUsage: (completionUsage) => {
+        usage = completionUsage;
+      }
+    });
+
+    return NextResponse.json({ story: saved });
+  } catch (error) {
+    if (error instanceof UsageLimitError) {
+      return usageLimitResponse(error);
+    }
+
+    return storyErrorResponse(error);
+  } finally {
+    if (usage) await recordUsage(user.familyId, { llmTokens: countTokens(usage) });
+  }
+}
+
+export const POST = withAuth(saveStory, { role: "parent" });
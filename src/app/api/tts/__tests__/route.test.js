@@ -0,0 +1,73 @@
+import { POST } from '@/app/api/tts/route';
+import { getUsage } from '@/lib/usage';
+import { VOICE_OPTIONS } from '@/utils/constants';
+
+jest.mock('@/lib/firebaseAdmin');
+
+const [NARRATOR] = VOICE_OPTIONS;
+
+const STORY = 'Once upon a time, a little owl could not sleep.';
+
+const ttsRequest = (token, body) => new Request('http://localhost/api/tts', {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  },
+  body: JSON.stringify({ voice: NARRATOR.id, languageCode: NARRATOR.languageCode, ...body })
+});
+
+const narratedCharacters = async (familyId) => (await getUsage(familyId)).day.metrics.ttsCharacters.used;
+
+describe('POST /api/tts with the tone provider', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.TTS_PROVIDER = 'tone';
+    process.env.TTS_CACHE = 'memory';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('only lets parents synthesize narration', async () => {
+    const response = await POST(ttsRequest('child-1', { text: STORY }));
+
+    expect(response.status).toBe(403);
+  });
+
+  it('counts the characters it synthesizes', async () => {
+    const response = await POST(ttsRequest('parent-tts', { text: STORY }));
+    const payload = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(payload.cachedChunks).toBe(0);
+    expect(await narratedCharacters('parent-tts')).toBe(STORY.length);
+  });
+
+  it('does not count the paragraphs that come from the chunk cache', async () => {
+    const [cached, added] = ['The owl said goodnight to the moon.', 'The moon said goodnight to the owl.'];
+
+    await POST(ttsRequest('parent-cache', { text: cached }));
+    const response = await POST(ttsRequest('parent-cache', { text: `${cached}\n\n${added}` }));
+    const payload = await response.json();
+
+    expect(payload).toMatchObject({ chunks: 2, cachedChunks: 1 });
+    expect(await narratedCharacters('parent-cache')).toBe(cached.length + added.length);
+  });
+
+  it('answers 429 when the text does not fit in the daily narration limit', async () => {
+    process.env.USAGE_DAILY_TTS_CHARACTERS = '20';
+
+    const response = await POST(ttsRequest('parent-limit', { text: STORY }));
+    const payload = await response.json();
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toEqual(expect.any(String));
+    expect(payload).toMatchObject({ period: 'day', limit: 20 });
+    expect(await narratedCharacters('parent-limit')).toBe(0);
+  });
+});
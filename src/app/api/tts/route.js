@@ -1,77 +1,167 @@
 
 import { NextResponse } from "next/server";
+import { withAuth } from "@/lib/auth";
+import { parseNarration, parseVoiceSsml, synthesizeChunks, synthesizeSpeech, stitchNarration, TTSError } from "@/lib/tts";
+import { sseEvent, streamEventsResponse } from "@/lib/eventStream";
+import { mixSoundscape, parseSoundscape } from "@/lib/soundscapes";
+import { checkUsage, recordUsage, UsageLimitError, usageLimitResponse } from "@/lib/usage";
+
+/**
+ * Client-facing message for a failed synthesis
+ *
+ * @param {Error} error - Error thrown while synthesizing
+ * @returns {string} Error message
+ */
+const errorMessage = (error) => {
+  return error instanceof TTSError ? error.message : "Failed to process TTS request";
+};
+
+/**
+ * Mix the soundscape to bake, if any, under the stitched narration. The mixed
+ * audio is encoded again, which shifts it a little, so its duration and word
+ * timings are returned with it.
+ *
+ * @param {Object} speech - `{ data, duration, timings }` of the narration
+ * @param {Object|null} soundscape - `{ id, level }` from `parseSoundscape()`
+ * @returns {Promise<Object>} `{ data, duration, timings }` to return
+ */
+const bakeSoundscape = async ({ data, duration, timings }, soundscape) => {
+  if (!soundscape) return { data, duration, timings };
+
+  const mixed = await mixSoundscape(data, { ...soundscape, wordStarts: timings.wordStarts });
+  return {
+    data: mixed.data,
+    duration: mixed.duration,
+    timings: { ...timings, wordStarts: mixed.wordStarts }
+  };
+};
+
+/**
+ * Count the narration characters a request has used: the text of the chunks
+ * sent to the provider, leaving out the ones that came from the chunk cache
+ *
+ * @returns {{onChunk: Function, characters: Function}} Chunk callback and the running count
+ */
+const characterMeter = () => {
+  let synthesized = 0;
+
+  return {
+    onChunk: (part) => {
+      if (!part.cached) synthesized += part.text.length;
+    },
+    characters: () => synthesized
+  };
+};
+
+/**
+ * Synthesize the story chunk by chunk, sending a `progress` event after every
+ * chunk and the stitched audio with its word timings as a final `audio` event
+ * (or an `error` event)
+ *
+ * @param {Object} params - Text, voice, languageCode, narration settings and signal
+ * @param {Object|null} soundscape - Soundscape to bake into the audio
+ * @param {Object} meter - From `characterMeter()`
+ * @param {Function} onDone - Records the usage, however the stream ends
+ * @returns {AsyncGenerator<string>} Encoded events
+ */
+async function* speechEvents(params, soundscape, meter, onDone) {
+  const parts = [];
+
+  try {
+    for await (const part of synthesizeChunks(params)) {
+      parts.push(part);
+      meter.onChunk(part);
+      yield sseEvent("progress", { completed: part.index + 1, total: part.total });
+    }
+
+    const { data, duration, timings } = await bakeSoundscape(stitchNarration(parts), soundscape);
+
+    yield sseEvent("audio", {
+      audioContent: data.toString("base64"),
+      contentType: "audio/mpeg",
+      duration,
+      timings,
+      chunks: parts.length,
+      cachedChunks: parts.filter(part => part.cached).length
+    });
+  } catch (error) {
+    console.error("TTS processing error:", error.details || error);
+    yield sseEvent("error", { error: errorMessage(error) });
+  } finally {
+    await onDone();
+  }
+}
 
 /**
  * Server-side API route handler for Text-to-Speech conversion
  * This approach keeps API keys secure on the server side
+ *
+ * Stories of any length are synthesized in chunks and stitched into one MP3,
+ * returned with a word timing map for read-along. Unchanged paragraphs come
+ * from the chunk cache (`cachedChunks` in the response). Dramatized stories
+ * send `ssml` instead of `text`, with character lines in `<voice>` elements.
+ * `narration` sets the speaking rate, pitch, volume gain, paragraph pauses and
+ * wind-down of the story's narration profile. `soundscape` (`{ id, level }`)
+ * bakes an ambient bed into the audio, ducked under the voice. With
+ * `stream: true` the response is a server-sent event stream that reports
+ * progress after every chunk. Only parents can synthesize narration, and
+ * every character synthesized (not the cached chunks) counts towards their
+ * family's narration limits.
  */
-export async function POST(req) {
+async function textToSpeech(req, { user }) {
   try {
-    const { text, voice, languageCode } = await req.json();
+    const { text, ssml, voice, languageCode, narration, soundscape, stream = false } = await req.json();
+    const input = ssml ?? text;
 
-    if (!text) {
+    if (!input || typeof input !== "string" || !input.trim()) {
       return NextResponse.json({ error: "Text is required" }, { status: 400 });
     }
 
-    // Use environment variables securely on the server side
-    const apiKey = process.env.GOOGLE_TTS_API_KEY;
-    const apiEndpoint = process.env.NEXT_PUBLIC_GOOGLE_TTS_API_ENDPOINT || 
-                        'https://texttospeech.googleapis.com/v1/text:synthesize';
-
-    if (!apiKey) {
-      console.error("Missing Google TTS API key in environment variables");
-      return NextResponse.json(
-        { error: "Server configuration error" }, 
-        { status: 500 }
-      );
-    }
+    // Reject malformed SSML, narration settings and soundscapes before a stream is opened
+    if (ssml) parseVoiceSsml(ssml);
+    const bakedSoundscape = parseSoundscape(soundscape);
 
-    // Prepare the request payload
-    const requestPayload = {
-      input: { text },
-      voice: {
-        languageCode: languageCode || 'en-US',
-        name: voice || 'en-US-Wavenet-D'
-      },
-      audioConfig: {
-        audioEncoding: 'MP3',
-        speakingRate: 1.0,
-        pitch: 0.0
-      }
-    };
-
-    console.log("Server-side TTS request payload:", requestPayload);
-
-    // Make the API call with the server's API key
-    const response = await fetch(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Goog-Api-Key': apiKey
-      },
-      body: JSON.stringify(requestPayload)
-    });
+    // The whole input has to fit in the limit, though cached chunks are not counted afterwards
+    await checkUsage(user.familyId, { ttsCharacters: input.length });
+    const meter = characterMeter();
+    const recordCharacters = () => recordUsage(user.familyId, { ttsCharacters: meter.characters() });
+
+    const params = { text, ssml, voice, languageCode, narration: parseNarration(narration), signal: req.signal };
+
+    if (stream) {
+      return streamEventsResponse(speechEvents(params, bakedSoundscape, meter, recordCharacters));
+    }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error("Google TTS API error:", errorData);
-      return NextResponse.json(
-        { error: `TTS API error: ${response.status}`, details: errorData }, 
-        { status: response.status }
-      );
+    let speech;
+    try {
+      speech = await synthesizeSpeech({ ...params, onProgress: (completed, total, part) => meter.onChunk(part) });
+    } finally {
+      // Chunks synthesized before an error count too
+      await recordCharacters();
     }
+    const { chunks, cachedChunks } = speech;
+    const { data, duration, timings } = await bakeSoundscape(speech, bakedSoundscape);
 
     // Return the audio content to the client
-    const data = await response.json();
-    
-    return NextResponse.json({ 
-      audioContent: data.audioContent 
+    return NextResponse.json({
+      audioContent: data.toString("base64"),
+      contentType: "audio/mpeg",
+      duration,
+      timings,
+      chunks,
+      cachedChunks
     });
   } catch (error) {
-    console.error("TTS processing error:", error);
+    if (error instanceof UsageLimitError) {
+      return usageLimitResponse(error);
+    }
+
+    console.error("TTS processing error:", error.details || error);
     return NextResponse.json(
-      { error: "Failed to process TTS request", message: error.message }, 
-      { status: 500 }
+      { error: errorMessage(error) },
+      { status: error instanceof TTSError ? error.status : 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+export const POST = withAuth(textToSpeech, { role: "parent" });
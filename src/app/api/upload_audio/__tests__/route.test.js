@@ -0,0 +1,63 @@
+import { POST } from '@/app/api/upload_audio/route';
+import { __files, __getDocs, __setDoc } from '@/lib/firebaseAdmin';
+
+jest.mock('@/lib/firebaseAdmin');
+
+const AUDIO = Buffer.from('ID3 narration').toString('base64');
+
+const uploadRequest = (token, body) => new Request('http://localhost/api/upload_audio', {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  },
+  body: JSON.stringify({ audioContent: AUDIO, ...body })
+});
+
+describe('POST /api/upload_audio', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('names the file after the story when no file name is given', async () => {
+    const response = await POST(uploadRequest('parent-a', { storyId: 'new-story' }));
+    const { downloadURL } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(downloadURL).toBe('https://storage.googleapis.com/test-bucket/audio/parent-a/new-story.mp3');
+    expect(__files.get('audio/parent-a/new-story.mp3').metadata.metadata).toMatchObject({ storyId: 'new-story' });
+  });
+
+  it('names the file after the given file name, so cached narration URLs match', async () => {
+    const fileName = 'a'.repeat(64);
+    const response = await POST(uploadRequest('parent-a', { storyId: 'new-story', fileName }));
+    const { downloadURL } = await response.json();
+
+    expect(downloadURL).toBe(`https://storage.googleapis.com/test-bucket/audio/parent-a/${fileName}.mp3`);
+    expect(__files.has(`audio/parent-a/${fileName}.mp3`)).toBe(true);
+  });
+
+  it('rejects file names and story IDs that are not plain names', async () => {
+    const byFileName = await POST(uploadRequest('parent-a', { storyId: 'new-story', fileName: '../parent-b/story' }));
+    const byStoryId = await POST(uploadRequest('parent-a', { storyId: 'a/b' }));
+
+    expect(byFileName.status).toBe(400);
+    expect(byStoryId.status).toBe(400);
+  });
+
+  it('links the audio to a story of the family, and refuses other families\' stories', async () => {
+    __setDoc('stories/ours', { userId: 'parent-b', familyId: 'parent-b' });
+    __setDoc('stories/theirs', { userId: 'parent-c', familyId: 'parent-c' });
+
+    const ours = await POST(uploadRequest('parent-b', { storyId: 'ours' }));
+    const theirs = await POST(uploadRequest('parent-b', { storyId: 'theirs' }));
+
+    expect(ours.status).toBe(200);
+    expect(theirs.status).toBe(403);
+    expect(__getDocs('audios')).toEqual([expect.objectContaining({ storyId: 'ours', userId: 'parent-b' })]);
+  });
+});
@@ -1,46 +1,87 @@
 import { NextResponse } from "next/server";
-import { initializeApp, cert, getApps } from "firebase-admin/app";
-import { getStorage } from "firebase-admin/storage";
-import { getFirestore } from "firebase-admin/firestore";
-
-// Initialize Firebase Admin if it hasn't been already
-let app;
-if (!getApps().length) {
-  const serviceAccount = JSON.parse(
-  Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT_KEY, 'base64').toString('utf-8')
-);
-
-
-  app = initializeApp({
-    credential: cert(serviceAccount),
-storageBucket: process.env.FIREBASE_STORAGE_BUCKET
-  });
-} else {
-  app = getApps()[0];
-}
+import { withAuth } from "@/lib/auth";
+import { getAdminBucket, getAdminFirestore } from "@/lib/firebaseAdmin";
+
+// Audio tracks a story can have: the narration from /api/tts, and a parent's recording
+const AUDIO_TRACKS = {
+  narration: { suffix: "", extension: "mp3", contentType: "audio/mp3" },
+  recording: { suffix: "-recording", extension: "wav", contentType: "audio/wav" }
+};
 
-const bucket = getStorage().bucket();
-const db = getFirestore();
+// Story IDs and file names end up in the Storage path, so they may not contain path separators
+const FILE_NAME_PATTERN = /^[\w-]{1,128}$/;
 
-export async function POST(req) {
+/**
+ * Upload a story's audio to Firebase Storage with admin privileges, for
+ * clients that cannot write to Storage themselves. The file is always
+ * stored under the caller's own folder, `audio/<uid>/`, named after
+ * `fileName` when one is given (content-addressed narration, see
+ * `useTextToSpeech`) or after the story ID otherwise.
+ *
+ * Audio is only linked to a saved story (in the `audios` collection) when
+ * the story belongs to the caller or their family; other families' stories
+ * get 403. New stories upload their narration before they are saved, under
+ * an audio key that is not a story ID yet, so nothing is linked for them.
+ *
+ * @param {Request} req - Incoming request, with `{ audioContent, storyId, fileName, track }` in the body
+ * @param {Object} context - Route context, with the verified `user`
+ * @returns {Promise<NextResponse>} `{ success: true, downloadURL }`
+ */
+async function uploadAudio(req, { user }) {
   try {
-    const { audioContent, userId, storyId } = await req.json();
+    const { audioContent, storyId, fileName = storyId, track = "narration" } = await req.json();
+    const userId = user.uid;
 
-    if (!audioContent || !userId || !storyId) {
+    if (!audioContent || !storyId) {
       return NextResponse.json(
         { error: "Missing required parameters" }, 
         { status: 400 }
       );
     }
 
+    if (typeof storyId !== "string" || !FILE_NAME_PATTERN.test(storyId)) {
+      return NextResponse.json(
+        { error: "Invalid story ID" },
+        { status: 400 }
+      );
+    }
+
+    if (typeof fileName !== "string" || !FILE_NAME_PATTERN.test(fileName)) {
+      return NextResponse.json(
+        { error: "Invalid file name" },
+        { status: 400 }
+      );
+    }
+
+    const audioTrack = AUDIO_TRACKS[track];
+    if (!audioTrack) {
+      return NextResponse.json(
+        { error: `Unknown audio track: ${track}` },
+        { status: 400 }
+      );
+    }
+
+    const db = getAdminFirestore();
+    const story = await db.collection("stories").doc(storyId).get();
+
+    if (story.exists && story.data().userId !== userId && story.data().familyId !== user.familyId) {
+      return NextResponse.json(
+        { error: "You can only add audio to your family's stories" },
+        { status: 403 }
+      );
+    }
+
+    const bucket = getAdminBucket();
+
     const buffer = Buffer.from(audioContent, 'base64');
-    const filePath = `audio/${userId}/${storyId}.mp3`;
+    const filename = `${fileName}${audioTrack.suffix}.${audioTrack.extension}`;
+    const filePath = `audio/${userId}/${filename}`;
     const file = bucket.file(filePath);
 
     await file.save(buffer, {
       metadata: {
-        contentType: 'audio/mp3',
-        metadata: { userId, storyId }
+        contentType: audioTrack.contentType,
+        metadata: { userId, storyId, track }
       }
     });
 
@@ -48,13 +89,17 @@ export async function POST(req) {
 
     const publicUrl = `https://storage.googleapis.com/${bucket.name}/${filePath}`;
 
-    await db.collection('audios').add({
-      userId,
-      storyId,
-      audioUrl: publicUrl,
-      createdAt: new Date(),
-      filename: `${storyId}.mp3`
-    });
+    if (story.exists) {
+      await db.collection('audios').add({
+        userId,
+        familyId: user.familyId,
+        storyId,
+        audioUrl: publicUrl,
+        track,
+        createdAt: new Date(),
+        filename
+      });
+    }
 
     return NextResponse.json({ 
       success: true, 
@@ -68,3 +113,5 @@ export async function POST(req) {
     );
   }
 }
+
+export const POST = withAuth(uploadAudio, { role: "parent" });
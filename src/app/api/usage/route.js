@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server";
+import { withAuth } from "@/lib/auth";
+import { getUsage } from "@/lib/usage";
+
+/**
+ * Usage of the caller's family this day and month, with its limits
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context, with the verified `user`
+ * @returns {Promise<NextResponse>} `{ usage: { day, month } }`, each `{ resetAt, metrics: { [metric]: { used, limit } } }`
+ */
+async function usage(request, { user }) {
+  try {
+    return NextResponse.json({ usage: await getUsage(user.familyId) });
+  } catch (error) {
+    console.error("Usage error:", error);
+    return NextResponse.json({ error: "Failed to load usage" }, { status: 500 });
+  }
+}
+
+export const GET = withAuth(usage, { role: "parent" });
@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server";
+import { withAuth } from "@/lib/auth";
+import { getTTSProvider } from "@/lib/tts";
+import { VOICE_OPTIONS } from "@/utils/constants";
+import { getVoicesForLanguage } from "@/utils/helpers";
+
+// Provider catalogs change rarely, so the server and the browser keep them for a day
+const CATALOG_MAX_AGE = 24 * 60 * 60;
+const CACHE_CONTROL = `private, max-age=${CATALOG_MAX_AGE}`;
+
+// Provider catalogs fetched by this server, by language: `{ voices, expiresAt }`
+const catalogs = new Map();
+
+/**
+ * Server-side API route handler for the narration voice catalog
+ *
+ * Lists the voices of the configured TTS provider, optionally for one
+ * language (`?language=fr` or `?language=fr-CA`). When the provider's
+ * catalog cannot be fetched, the local catalog is returned instead.
+ *
+ * @param {Request} request - Incoming request
+ * @returns {Promise<NextResponse>} `{ voices: [{ id, label, gender, languageCode }], source: "provider" | "local" }`
+ */
+async function listVoices(request) {
+  const language = new URL(request.url).searchParams.get("language") || "";
+
+  if (language && !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(language)) {
+    return NextResponse.json({ error: "Invalid language code" }, { status: 400 });
+  }
+
+  try {
+    const cached = catalogs.get(language);
+    const voices = cached && cached.expiresAt > Date.now()
+      ? cached.voices
+      : await getTTSProvider().listVoices({ languageCode: language, signal: request.signal });
+
+    if (voices.length) {
+      if (voices !== cached?.voices) {
+        catalogs.set(language, { voices, expiresAt: Date.now() + CATALOG_MAX_AGE * 1000 });
+      }
+
+      return NextResponse.json(
+        { voices, source: "provider" },
+        { headers: { "Cache-Control": CACHE_CONTROL } }
+      );
+    }
+  } catch (error) {
+    console.error("Voice catalog error:", error.details || error);
+  }
+
+  const voices = language ? getVoicesForLanguage(VOICE_OPTIONS, language) : VOICE_OPTIONS;
+  return NextResponse.json({ voices, source: "local" });
+}
+
+export const GET = withAuth(listVoices, { role: "parent" });
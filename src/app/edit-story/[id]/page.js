@@ -5,14 +5,24 @@ import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useAuth } from '@/contexts/AuthContext';
 import useTextToSpeech from '@/hooks/useTextToSpeech';
+import useCharacterLibrary, { toCharacterProfile } from '@/hooks/useCharacterLibrary';
 import { getStoryById, updateStory } from '@/firebase/firestore';
-import { VOICE_OPTIONS, API_CONFIGS } from '@/utils/constants';
+import { uploadRecordedNarration } from '@/firebase/storage';
+import { alignPageImages, buildStoryStructureFields, getVoiceLanguageCode, getBakedSoundscape } from '@/utils/helpers';
+import { buildRecordedTrack, getRecordedPages } from '@/utils/recording';
+import { VOICE_OPTIONS, DEFAULT_NARRATION, DEFAULT_STORY_LANGUAGE, DEFAULT_SOUNDSCAPE, RECORDING_SAMPLE_RATE, API_CONFIGS } from '@/utils/constants';
 import Header from '@/components/common/Header';
 import Footer from '@/components/common/Footer';
 import Button from '@/components/common/Button';
 import LoadingSpinner from '@/components/common/LoadingSpinner';
 import ErrorMessage from '@/components/common/ErrorMessage';
 import SuccessMessage from '@/components/common/SuccessMessage';
+import PageIllustrations from '@/components/story/PageIllustrations';
+import CharacterVoices from '@/components/story/CharacterVoices';
+import StoryVoicePicker from '@/components/story/StoryVoicePicker';
+import NarrationControls from '@/components/story/NarrationControls';
+import SoundscapePicker from '@/components/story/SoundscapePicker';
+import NarrationRecorder from '@/components/story/NarrationRecorder';
 
 
 import { useParams } from 'next/navigation';
@@ -29,17 +39,26 @@ export default function EditStoryPage() {
     title: '',
     content: '',
     voice: '',
+    language: DEFAULT_STORY_LANGUAGE,
     isPublished: true,
+    pageImages: [],
+    characterVoices: {},
+    narration: DEFAULT_NARRATION,
+    soundscape: DEFAULT_SOUNDSCAPE,
+    recordedAudio: null,
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [regenerateAudio, setRegenerateAudio] = useState(false);
+  // New recording of the parent's narration, page by page
+  const [recordings, setRecordings] = useState([]);
   
   // Hooks
   const { user, loading: authLoading } = useAuth();
   const router = useRouter();
+  const { characters: libraryCharacters } = useCharacterLibrary();
   
   // TTS hook
   const {
@@ -79,7 +98,13 @@ export default function EditStoryPage() {
           title: storyData.title || '',
           content: storyData.content || '',
           voice: storyData.voice || VOICE_OPTIONS[0].id,
+          language: storyData.language || DEFAULT_STORY_LANGUAGE,
           isPublished: storyData.isPublished !== undefined ? storyData.isPublished : true,
+          pageImages: storyData.pageImages || [],
+          characterVoices: storyData.characterVoices || {},
+          narration: { ...DEFAULT_NARRATION, ...storyData.narration },
+          soundscape: { ...DEFAULT_SOUNDSCAPE, ...storyData.soundscape },
+          recordedAudio: storyData.recordedAudio || null,
         });
       } catch (err) {
         console.error('Error fetching story:', err);
@@ -119,8 +144,9 @@ export default function EditStoryPage() {
       setRegenerateAudio(true);
     }
     
-    // If content is changed and is significantly different, set regenerateAudio to true
-    if (name === 'content' && story && Math.abs(value.length - story.content.length) > 50) {
+    // Any change to the content is narrated; only the changed paragraphs are
+    // synthesized again, the others come from the audio cache
+    if (name === 'content' && story && value !== story.content) {
       setRegenerateAudio(true);
     }
     
@@ -147,6 +173,107 @@ export default function EditStoryPage() {
     setSaveSuccess(false);
   };
   
+  /**
+   * Handle page illustration changes
+   * 
+   * @param {Array<string|null>} pageImages - Image URLs, by page index
+   */
+  const handlePageImagesChange = (pageImages) => {
+    setFormData(prev => ({
+      ...prev,
+      pageImages
+    }));
+    
+    setSaveSuccess(false);
+  };
+  
+  /**
+   * Handle story language and narrator voice changes. Character voices that
+   * do not speak the new language are dropped, and the audio is regenerated.
+   * 
+   * @param {Object} selection - `{ language, voice }`
+   */
+  const handleStoryVoiceChange = ({ language, voice }) => {
+    setFormData(prev => ({
+      ...prev,
+      language,
+      voice,
+      characterVoices: Object.fromEntries(
+        Object.entries(prev.characterVoices || {})
+          .filter(([, characterVoice]) => getVoiceLanguageCode(characterVoice).startsWith(language))
+      )
+    }));
+    
+    if (voice !== story.voice) {
+      setRegenerateAudio(true);
+    }
+    setSaveSuccess(false);
+  };
+  
+  /**
+   * Handle character voice changes. The audio is regenerated so the
+   * characters are performed in their new voices.
+   * 
+   * @param {Object} characterVoices - Voice ID per character name
+   */
+  const handleCharacterVoicesChange = (characterVoices) => {
+    setFormData(prev => ({
+      ...prev,
+      characterVoices
+    }));
+    
+    setRegenerateAudio(true);
+    setSaveSuccess(false);
+  };
+  
+  /**
+   * Handle narration profile changes. The audio is regenerated with the new
+   * speed, pitch, volume and pauses.
+   * 
+   * @param {Object} narration - Narration settings
+   */
+  const handleNarrationChange = (narration) => {
+    setFormData(prev => ({
+      ...prev,
+      narration
+    }));
+    
+    setRegenerateAudio(true);
+    setSaveSuccess(false);
+  };
+  
+  /**
+   * Handle soundscape changes. The audio is only regenerated when the
+   * soundscape baked into it changes; otherwise players mix it live.
+   * 
+   * @param {Object} soundscape - Soundscape settings
+   */
+  const handleSoundscapeChange = (soundscape) => {
+    const baked = getBakedSoundscape(formData.soundscape, story?.mood);
+    const nextBaked = getBakedSoundscape(soundscape, story?.mood);
+    
+    setFormData(prev => ({
+      ...prev,
+      soundscape
+    }));
+    
+    if (JSON.stringify(baked) !== JSON.stringify(nextBaked)) {
+      setRegenerateAudio(true);
+    }
+    setSaveSuccess(false);
+  };
+  
+  /**
+   * Remove the parent's saved recording from the story
+   */
+  const handleRemoveRecording = () => {
+    setFormData(prev => ({
+      ...prev,
+      recordedAudio: null
+    }));
+    setSaveSuccess(false);
+  };
+  
   /**
    * Handle form submission
    * 
@@ -178,29 +305,63 @@ export default function EditStoryPage() {
         title: formData.title,
         content: formData.content,
         voice: formData.voice,
+        language: formData.language,
+        characterVoices: formData.characterVoices,
+        narration: formData.narration,
+        soundscape: formData.soundscape,
+        recordedAudio: formData.recordedAudio,
         isPublished: formData.isPublished,
+        ...buildStoryStructureFields(formData.content, story),
       };
+      updateData.pageImages = alignPageImages(formData.pageImages, updateData.pages.length);
       
       // Generate new audio if needed
       if (regenerateAudio) {
         try {
-          const audioUrl = await convertTextToSpeech({
+          const { audioUrl, duration, timings } = await convertTextToSpeech({
             text: formData.content,
             voice: formData.voice,
             storyId: id,
-            userId: user.uid
+            userId: user.uid,
+            speakers: updateData.speakers,
+            characterVoices: formData.characterVoices,
+            narration: formData.narration,
+            soundscape: getBakedSoundscape(formData.soundscape, story.mood)
           });
           
           updateData.audioUrl = audioUrl;
+          updateData.audioDuration = duration;
+          updateData.audioTimings = timings;
         } catch (err) {
           console.error('Error converting text to speech:', err);
           // Continue without audio if TTS fails
         }
       }
       
+      // A new recording of every page replaces the saved one
+      const recordedPages = getRecordedPages(updateData.pages, recordings);
+      let recordingUploaded = false;
+      if (recordedPages) {
+        try {
+          const { wav, duration, timings } = buildRecordedTrack(updateData.pages, recordedPages, RECORDING_SAMPLE_RATE);
+          // A new file name, so players do not keep the old recording cached
+          const audioUrl = await uploadRecordedNarration(user.uid, `${id}-${Date.now()}`, wav);
+          updateData.recordedAudio = { audioUrl, duration, timings, text: formData.content };
+          recordingUploaded = true;
+        } catch (err) {
+          console.error('Error uploading recording:', err);
+          // Keep the saved recording if the new one cannot be uploaded
+        }
+      }
+      
       // Update story
       await updateStory(id, updateData);
       
+      if (recordingUploaded) {
+        setFormData(prev => ({ ...prev, recordedAudio: updateData.recordedAudio }));
+        setRecordings([]);
+      }
+      
       // Show success message
       setSaveSuccess(true);
       setRegenerateAudio(false);
@@ -217,7 +378,9 @@ export default function EditStoryPage() {
       }, 1500);
     } catch (err) {
       console.error('Error updating story:', err);
-      setError('Failed to update the story. Please try again.');
+      setError(err.code === 'content/blocked'
+        ? 'This story contains content that is not suitable for the selected age group. Please revise it before saving.'
+        : 'Failed to update the story. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -248,6 +411,13 @@ export default function EditStoryPage() {
     );
   }
   
+  // Pages and speakers of the story as it will be saved, for the page
+  // illustrations and character voices
+  const { pages: storyPages, speakers: storySpeakers } = buildStoryStructureFields(formData.content, story);
+  const storyCharacterProfiles = libraryCharacters
+    .filter(character => story.characterIds?.includes(character.id))
+    .map(toCharacterProfile);
+  
   return (
     <div className="min-h-screen flex flex-col">
       <Header />
@@ -272,7 +442,7 @@ export default function EditStoryPage() {
         {regenerateAudio && (
           <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
             <p className="text-yellow-700 text-sm">
-              You've made significant changes to the story or changed the voice. A new audio file will be generated when you save.
+              You've changed the story or its narration. The audio will be updated when you save; unchanged paragraphs are reused.
             </p>
           </div>
         )}
@@ -308,27 +478,54 @@ export default function EditStoryPage() {
             ></textarea>
           </div>
           
-          <div className="mb-4">
-            <label htmlFor="voice" className="block text-sm font-medium text-gray-700 mb-1">
-              Text-to-Speech Voice
-            </label>
-            <select
-              id="voice"
-              name="voice"
-              value={formData.voice}
-              onChange={handleChange}
-              className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-            >
-              {VOICE_OPTIONS.map(voice => (
-                <option key={voice.id} value={voice.id}>
-                  {voice.label}
-                </option>
-              ))}
-            </select>
-            <p className="mt-1 text-xs text-gray-500">
-              This voice will be used when converting your story to audio.
-            </p>
-          </div>
+          {formData.content.trim() && (
+            <PageIllustrations
+              pages={storyPages}
+              pageImages={formData.pageImages}
+              onChange={handlePageImagesChange}
+              scene={{
+                title: formData.title,
+                characters: Array.isArray(story.characters) ? story.characters.join(', ') : story.characters,
+                characterProfiles: storyCharacterProfiles,
+                setting: story.setting,
+                mood: story.mood
+              }}
+            />
+          )}
+          
+          <StoryVoicePicker
+            language={formData.language}
+            voice={formData.voice}
+            onChange={handleStoryVoiceChange}
+            hint="This voice will be used when converting your story to audio."
+          />
+          
+          <CharacterVoices
+            speakers={storySpeakers}
+            characterVoices={formData.characterVoices}
+            onChange={handleCharacterVoicesChange}
+            language={formData.language}
+          />
+          
+          <NarrationControls
+            narration={formData.narration}
+            onChange={handleNarrationChange}
+          />
+          
+          <SoundscapePicker
+            soundscape={formData.soundscape}
+            mood={story?.mood}
+            onChange={handleSoundscapeChange}
+          />
+          
+          <NarrationRecorder
+            pages={storyPages}
+            recordings={recordings}
+            onChange={setRecordings}
+            savedRecording={formData.recordedAudio}
+            content={formData.content}
+            onRemoveSaved={handleRemoveRecording}
+          />
           
           <div className="mb-6">
             <label className="flex items-center">
@@ -340,7 +537,7 @@ export default function EditStoryPage() {
                 className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
               />
               <span className="ml-2 text-sm text-gray-700">
-                Publish this story (visible to children)
+                Publish this story (children see it once a parent approves it in Review)
               </span>
             </label>
           </div>
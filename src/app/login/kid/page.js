@@ -0,0 +1,200 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import { getChildrenForFamilyCode } from '@/firebase/auth';
+import { CHILD_PICTURE_PASSWORD_LENGTH, CHILD_PIN_LENGTH, STORAGE_KEYS } from '@/utils/constants';
+import { loadFromLocalStorage, removeFromLocalStorage, saveToLocalStorage } from '@/utils/helpers';
+import ErrorMessage from '@/components/common/ErrorMessage';
+import ChildSecretInput from '@/components/auth/ChildSecretInput';
+
+/**
+ * Child sign-in without email: the family code (remembered on this device),
+ * then the child's avatar, then their PIN or picture password
+ *
+ * @returns {JSX.Element} Kid sign-in page
+ */
+export default function KidLogin() {
+  const { loginChild } = useAuth();
+  const router = useRouter();
+
+  const [step, setStep] = useState('code'); // 'code', 'child', 'secret'
+  const [familyCode, setFamilyCode] = useState('');
+  const [children, setChildren] = useState([]);
+  const [selectedChild, setSelectedChild] = useState(null);
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const findFamily = useCallback(async (code) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const familyChildren = await getChildrenForFamilyCode(code);
+      if (familyChildren.length === 0) {
+        setError('Nobody in this family can sign in yet. Ask a grown-up to set up your sign-in.');
+        return;
+      }
+
+      saveToLocalStorage(STORAGE_KEYS.FAMILY_CODE, code);
+      setChildren(familyChildren);
+      setStep('child');
+    } catch (err) {
+      setError(err.status === 404 ? 'We could not find that family code. Check it with a grown-up.' : err.message);
+      if (err.status === 404) removeFromLocalStorage(STORAGE_KEYS.FAMILY_CODE);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Skip the family code on a device that already knows it
+  useEffect(() => {
+    const savedCode = loadFromLocalStorage(STORAGE_KEYS.FAMILY_CODE);
+    if (savedCode) {
+      setFamilyCode(savedCode);
+      findFamily(savedCode);
+    }
+  }, [findFamily]);
+
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    if (familyCode.trim()) findFamily(familyCode.trim());
+  };
+
+  const handleChildSelect = (child) => {
+    setSelectedChild(child);
+    setSecret(child.loginMethod === 'pin' ? '' : []);
+    setError(null);
+    setStep('secret');
+  };
+
+  // Sign in as soon as the whole PIN or picture password is entered
+  const handleSecretChange = async (value) => {
+    setSecret(value);
+
+    const length = selectedChild.loginMethod === 'pin' ? CHILD_PIN_LENGTH : CHILD_PICTURE_PASSWORD_LENGTH;
+    if (value.length < length) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      await loginChild(familyCode, selectedChild.id, value);
+      router.push('/kid/dashboard');
+    } catch (err) {
+      setError(err.message || 'That is not quite right. Try again!');
+      setSecret(selectedChild.loginMethod === 'pin' ? '' : []);
+      setIsLoading(false);
+    }
+  };
+
+  const handleOtherFamily = () => {
+    removeFromLocalStorage(STORAGE_KEYS.FAMILY_CODE);
+    setFamilyCode('');
+    setChildren([]);
+    setError(null);
+    setStep('code');
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 bg-gradient-to-b from-indigo-100 to-purple-50">
+      <div className="max-w-md w-full bg-white p-8 rounded-2xl shadow-lg">
+        {step === 'code' && (
+          <form onSubmit={handleCodeSubmit} className="space-y-6">
+            <div className="text-center">
+              <span className="text-5xl">🏡</span>
+              <h1 className="mt-2 text-3xl font-bold text-indigo-800">Hello, reader!</h1>
+              <p className="mt-2 text-gray-600">Type your family code. A grown-up can find it on the My Children page.</p>
+            </div>
+
+            {error && <ErrorMessage message={error} />}
+
+            <input
+              type="text"
+              value={familyCode}
+              onChange={(e) => setFamilyCode(e.target.value.toUpperCase())}
+              placeholder="ABCD-2345"
+              autoCapitalize="characters"
+              autoComplete="off"
+              spellCheck={false}
+              className="block w-full px-4 py-3 text-2xl text-center tracking-widest border-2 border-indigo-200 rounded-xl focus:outline-none focus:border-indigo-500"
+            />
+
+            <button
+              type="submit"
+              disabled={isLoading || !familyCode.trim()}
+              className="w-full py-3 text-xl font-bold text-white bg-indigo-600 rounded-xl hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {isLoading ? 'Looking…' : 'Next'}
+            </button>
+          </form>
+        )}
+
+        {step === 'child' && (
+          <div className="space-y-6">
+            <h1 className="text-3xl font-bold text-center text-indigo-800">Who are you?</h1>
+
+            {error && <ErrorMessage message={error} />}
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              {children.map(child => (
+                <button
+                  key={child.id}
+                  type="button"
+                  onClick={() => handleChildSelect(child)}
+                  className="flex flex-col items-center p-4 rounded-xl bg-indigo-50 hover:bg-indigo-100 transition-colors"
+                >
+                  <span className="text-5xl">{child.avatar || '🙂'}</span>
+                  <span className="mt-2 font-bold text-indigo-800">{child.name}</span>
+                </button>
+              ))}
+            </div>
+
+            <button type="button" onClick={handleOtherFamily} className="w-full text-sm text-gray-500 hover:text-gray-700">
+              Not your family?
+            </button>
+          </div>
+        )}
+
+        {step === 'secret' && selectedChild && (
+          <div className="space-y-6">
+            <div className="text-center">
+              <span className="text-5xl">{selectedChild.avatar || '🙂'}</span>
+              <h1 className="mt-2 text-2xl font-bold text-indigo-800">Hi, {selectedChild.name}!</h1>
+              <p className="mt-1 text-gray-600">
+                {selectedChild.loginMethod === 'pin' ? 'Enter your secret number' : 'Tap your secret pictures in order'}
+              </p>
+            </div>
+
+            {error && <ErrorMessage message={error} />}
+
+            <ChildSecretInput
+              method={selectedChild.loginMethod}
+              value={secret}
+              onChange={handleSecretChange}
+              disabled={isLoading}
+            />
+
+            <button
+              type="button"
+              onClick={() => setStep('child')}
+              disabled={isLoading}
+              className="w-full text-sm text-gray-500 hover:text-gray-700"
+            >
+              ← That&apos;s not me
+            </button>
+          </div>
+        )}
+
+        <p className="mt-8 text-center text-sm text-gray-500">
+          Grown-ups:{' '}
+          <Link href="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+            sign in with email
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -186,6 +186,12 @@ export default function Login() {
                 Sign up
               </Link>
             </p>
+            <p className="mt-2 text-sm text-gray-600">
+              Kids:{' '}
+              <Link href="/login/kid" className="font-medium text-indigo-600 hover:text-indigo-500">
+                sign in with your family code
+              </Link>
+            </p>
           </div>
           
           {/* 🧪 DEMO CREDENTIALS with functional buttons - UPDATED descriptions */}
@@ -0,0 +1,93 @@
+'use client';
+
+import { CHILD_PICTURE_PASSWORD_LENGTH, CHILD_PICTURES, CHILD_PIN_LENGTH } from '@/utils/constants';
+
+const PIN_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+
+/**
+ * Big, touch-friendly input for a child's 4-digit PIN or picture password
+ *
+ * @param {Object} props
+ * @param {string} props.method - 'pin' or 'picture'
+ * @param {string|Array<string>} props.value - PIN digits, or picture IDs in order
+ * @param {Function} props.onChange - Called with the new value
+ * @param {boolean} [props.reveal=false] - Show what was entered instead of dots, for parents setting it up
+ * @param {boolean} [props.disabled=false] - Disable the keys
+ * @returns {JSX.Element} PIN pad or picture grid
+ */
+export default function ChildSecretInput({ method, value, onChange, reveal = false, disabled = false }) {
+  const isPin = method === 'pin';
+  const entered = isPin ? value.split('') : value;
+  const length = isPin ? CHILD_PIN_LENGTH : CHILD_PICTURE_PASSWORD_LENGTH;
+
+  const handleKey = (key) => {
+    if (entered.length >= length) return;
+    onChange(isPin ? value + key : [...value, key]);
+  };
+
+  // Works the same on the PIN string and the picture array
+  const handleBack = () => {
+    onChange(value.slice(0, -1));
+  };
+
+  const showEntry = (entry) => {
+    if (!reveal) return '●';
+    return isPin ? entry : CHILD_PICTURES.find(picture => picture.id === entry)?.emoji;
+  };
+
+  return (
+    <div>
+      <div className="flex justify-center space-x-3 mb-6" aria-live="polite">
+        {Array.from({ length }, (_, index) => (
+          <span
+            key={index}
+            className={`flex items-center justify-center h-12 w-12 rounded-full border-2 text-2xl ${
+              index < entered.length ? 'border-indigo-500 bg-indigo-50 text-indigo-700' : 'border-gray-300'
+            }`}
+          >
+            {index < entered.length && showEntry(entered[index])}
+          </span>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 max-w-xs mx-auto">
+        {isPin
+          ? PIN_KEYS.map((key, index) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => handleKey(key)}
+              disabled={disabled}
+              className={`h-16 text-2xl font-bold rounded-xl bg-indigo-100 text-indigo-800 hover:bg-indigo-200 disabled:opacity-50 ${
+                index === PIN_KEYS.length - 1 ? 'col-start-2' : ''
+              }`}
+            >
+              {key}
+            </button>
+          ))
+          : CHILD_PICTURES.map(picture => (
+            <button
+              key={picture.id}
+              type="button"
+              onClick={() => handleKey(picture.id)}
+              disabled={disabled}
+              className="h-20 text-4xl rounded-xl bg-indigo-100 hover:bg-indigo-200 disabled:opacity-50"
+              title={picture.label}
+              aria-label={picture.label}
+            >
+              {picture.emoji}
+            </button>
+          ))}
+        <button
+          type="button"
+          onClick={handleBack}
+          disabled={disabled || entered.length === 0}
+          className="h-16 text-xl rounded-xl bg-gray-100 text-gray-600 hover:bg-gray-200 disabled:opacity-50 col-start-3"
+          aria-label="Delete"
+        >
+          ⌫
+        </button>
+      </div>
+    </div>
+  );
+}
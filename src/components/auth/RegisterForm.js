@@ -7,16 +7,12 @@ import { useAuth } from '@/contexts/AuthContext';
 import Button from '@/components/common/Button';
 import ErrorMessage from '@/components/common/ErrorMessage';
 import LoadingSpinner from '@/components/common/LoadingSpinner';
-import { doc, setDoc } from 'firebase/firestore';
-import { db } from '@/firebase/firebaseConfig';
-import { USER_ROLES } from '@/utils/constants';
 
 export default function RegisterForm() {
     const [formData, setFormData] = useState({
         email: '',
         password: '',
-        confirmPassword: '', // Adicionado campo que faltava no estado inicial
-        role: USER_ROLES.PARENT
+        confirmPassword: '' // Adicionado campo que faltava no estado inicial
     });
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
@@ -34,13 +30,8 @@ export default function RegisterForm() {
         setLoading(true);
 
         try {
-            const userCredential = await register(formData.email, formData.password);
-
-            await setDoc(doc(db, 'users', userCredential.user.uid), {
-                email: formData.email,
-                role: formData.role,
-                createdAt: new Date().toISOString(), // Corrigido DataTransfer para Date
-            });
+            // Registers a parent; the server takes roles from the ID token, not from the profile
+            await register(formData.email, formData.password);
 
             router.push('/dashboard');
         } catch (error) {
@@ -105,22 +96,6 @@ export default function RegisterForm() {
                     />
                 </div>
 
-                <div>
-                    <label htmlFor="role" className="text-body block mb-2">
-                        I am a:
-                    </label>
-                    <select
-                        id="role"
-                        name="role"
-                        value={formData.role}
-                        onChange={handleChange}
-                        className="input"
-                    >
-                        <option value={USER_ROLES.PARENT}>Parent</option>
-                        <option value={USER_ROLES.CHILD}>Child</option>
-                    </select>
-                </div>
-
                 <ErrorMessage message={error} />
 
                 <Button
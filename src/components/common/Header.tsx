@@ -264,6 +264,9 @@ const Header = ({ isChildMode = false }: HeaderProps): JSX.Element => {
                   <Link href="/my-children" className={getLinkClass("/my-children")}>
                     My Children
                   </Link>
+                  <Link href="/review" className={getLinkClass("/review")}>
+                    Review
+                  </Link>
                 </>
               )}
               {user && user.role === 'child' && (
@@ -434,6 +437,12 @@ const Header = ({ isChildMode = false }: HeaderProps): JSX.Element => {
                 >
                   My Children
                 </Link>
+                <Link
+                  href="/review"
+                  className={`${pathname === '/review' ? 'bg-indigo-800 text-white' : 'text-indigo-200 hover:bg-indigo-700 hover:text-white'} block px-3 py-2 rounded-md text-base font-medium`}
+                >
+                  Review
+                </Link>
               </>
             )}
             {user && user.role === 'child' && (
@@ -11,6 +11,11 @@ type Story = {
   audioUrl?: string;
   isFavorite?: boolean;
   excerpt?: string;
+  moderation?: { status: string };
+  reviewStatus?: string;
+  reviewNote?: string;
+  seriesId?: string;
+  seriesIndex?: number;
 };
 
 type StoryCardProps = {
@@ -20,6 +25,7 @@ type StoryCardProps = {
   onPlay?: () => void;
   onDelete?: () => void;
   onFavorite?: () => void;
+  onContinueSeries?: () => void;
 };
 
 /**
@@ -32,6 +38,7 @@ const StoryCard = ({
   onPlay,
   onDelete,
   onFavorite,
+  onContinueSeries,
 }: StoryCardProps): JSX.Element => {
   const [imageError, setImageError] = useState(false);
   const [imageLoaded, setImageLoaded] = useState(false);
@@ -144,6 +151,27 @@ const StoryCard = ({
             </span>
           </div>
         )}
+
+        {/* Content safety flag */}
+        {story.moderation?.status === 'flagged' && (
+          <div className="absolute bottom-2 left-2">
+            <span className="bg-orange-500 text-white text-xs px-2 py-1 rounded-full">
+              ⚠️ Flagged for review
+            </span>
+          </div>
+        )}
+
+        {/* Parent review: waiting in the Review inbox, or sent back with a note */}
+        {(story.reviewStatus === 'pending' || story.reviewStatus === 'rejected') && (
+          <div className="absolute bottom-2 right-2">
+            <span
+              className={`${story.reviewStatus === 'pending' ? 'bg-blue-500' : 'bg-red-500'} text-white text-xs px-2 py-1 rounded-full`}
+              title={story.reviewNote || undefined}
+            >
+              {story.reviewStatus === 'pending' ? '⏳ Waiting for review' : '↩️ Sent back'}
+            </span>
+          </div>
+        )}
       </div>
       
       {/* Story details */}
@@ -152,7 +180,7 @@ const StoryCard = ({
           {story.title}
         </h3>
         <p className="text-sm text-gray-500 mb-2">
-          Created {getFormattedDate()}
+          {story.seriesId && story.seriesIndex ? `📚 Chapter ${story.seriesIndex} · ` : ''}Created {getFormattedDate()}
         </p>
         
         {story.excerpt && (
@@ -241,6 +269,16 @@ const StoryCard = ({
               )}
             </div>
             
+            {onContinueSeries && (
+              <button
+                onClick={onContinueSeries}
+                className="ml-auto mr-2 text-sm text-indigo-600 hover:text-indigo-800 font-medium transition-colors"
+                title="Write the next chapter with the same characters"
+              >
+                📚 Continue this series
+              </button>
+            )}
+            
             {onFavorite && (
               <button
                 onClick={onFavorite}
@@ -0,0 +1,388 @@
+'use client';
+
+import { useState } from 'react';
+import useCharacterLibrary from '@/hooks/useCharacterLibrary';
+import Button from '@/components/common/Button';
+import Modal from '@/components/common/Modal';
+import SuccessMessage from '@/components/common/SuccessMessage';
+import { CHARACTER_AVATARS } from '@/utils/constants';
+
+const EMPTY_FORM = {
+  name: '',
+  species: '',
+  appearance: '',
+  personality: '',
+  catchphrases: '',
+  avatar: CHARACTER_AVATARS[0]
+};
+
+const inputClassName = 'block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+/**
+ * Family character library: recurring heroes that can be picked when
+ * creating a story, so they look and sound the same in every story
+ *
+ * @returns {JSX.Element} Character library component
+ */
+export default function CharacterLibrary() {
+  const { characters, loading, error, addCharacter, editCharacter, removeCharacter } = useCharacterLibrary();
+
+  const [isFormModalOpen, setIsFormModalOpen] = useState(false);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [selectedCharacter, setSelectedCharacter] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Show a success message for 3 seconds
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => {
+      setSuccessMessage('');
+    }, 3000);
+  };
+
+  // Handle form input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Open the form to add a character
+  const handleAddClick = () => {
+    setSelectedCharacter(null);
+    setFormData(EMPTY_FORM);
+    setAvatarFile(null);
+    setIsFormModalOpen(true);
+  };
+
+  // Open the form to edit a character
+  const handleEditClick = (character) => {
+    setSelectedCharacter(character);
+    setFormData({
+      name: character.name || '',
+      species: character.species || '',
+      appearance: character.appearance || '',
+      personality: character.personality || '',
+      catchphrases: (character.catchphrases || []).join('\n'),
+      avatar: character.avatar || CHARACTER_AVATARS[0]
+    });
+    setAvatarFile(null);
+    setIsFormModalOpen(true);
+  };
+
+  // Open delete character modal
+  const handleDeleteClick = (character) => {
+    setSelectedCharacter(character);
+    setIsDeleteModalOpen(true);
+  };
+
+  // Add or update a character
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      return;
+    }
+
+    const characterData = {
+      name: formData.name.trim(),
+      species: formData.species.trim(),
+      appearance: formData.appearance.trim(),
+      personality: formData.personality.trim(),
+      // One catchphrase per line
+      catchphrases: formData.catchphrases.split('\n').map(phrase => phrase.trim()).filter(Boolean),
+      avatar: formData.avatar,
+      avatarFile
+    };
+
+    const result = selectedCharacter
+      ? await editCharacter(selectedCharacter.id, characterData)
+      : await addCharacter(characterData);
+
+    if (result) {
+      showSuccess(`Character "${characterData.name}" ${selectedCharacter ? 'updated' : 'added'} successfully!`);
+      setIsFormModalOpen(false);
+      setSelectedCharacter(null);
+    }
+  };
+
+  // Delete a character
+  const handleDeleteConfirm = async () => {
+    if (!selectedCharacter) {
+      return;
+    }
+
+    const result = await removeCharacter(selectedCharacter.id);
+
+    if (result) {
+      showSuccess(`Character "${selectedCharacter.name}" deleted successfully!`);
+      setIsDeleteModalOpen(false);
+      setSelectedCharacter(null);
+    }
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-lg shadow-md">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-indigo-800 mb-2">Character Library</h2>
+        <p className="text-gray-600">
+          Create recurring heroes for your family's stories. Pick them when creating a story and they will look and sound the same every time.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md border border-red-200">
+          {error}
+        </div>
+      )}
+
+      {successMessage && <SuccessMessage message={successMessage} />}
+
+      <div className="mb-6">
+        <Button
+          variant="primary"
+          onClick={handleAddClick}
+          disabled={loading}
+        >
+          Add Character
+        </Button>
+      </div>
+
+      {loading && characters.length === 0 ? (
+        <div className="space-y-4">
+          {[1, 2].map(i => (
+            <div key={i} className="animate-pulse p-4 bg-gray-100 rounded-lg">
+              <div className="h-6 bg-gray-200 rounded w-1/3 mb-2"></div>
+              <div className="h-4 bg-gray-200 rounded w-1/4"></div>
+            </div>
+          ))}
+        </div>
+      ) : characters.length === 0 ? (
+        <div className="p-8 text-center bg-gray-50 rounded-lg">
+          <div className="text-5xl mb-4">🦸</div>
+          <h3 className="text-lg font-medium text-gray-700 mb-2">No Characters Yet</h3>
+          <p className="text-gray-500">
+            Add a character, like a brave mouse or your child's favorite toy, to use it in many stories.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {characters.map(character => (
+            <div
+              key={character.id}
+              className="bg-gray-50 rounded-lg overflow-hidden border border-gray-200 transition-all hover:shadow-md"
+            >
+              <div className="p-4 flex items-start space-x-3">
+                {character.avatarUrl ? (
+                  <img
+                    src={character.avatarUrl}
+                    alt={character.name}
+                    className="w-12 h-12 rounded-full object-cover flex-shrink-0"
+                  />
+                ) : (
+                  <span className="text-4xl flex-shrink-0">{character.avatar}</span>
+                )}
+                <div>
+                  <h3 className="text-lg font-semibold text-indigo-700">
+                    {character.name}
+                  </h3>
+                  {character.species && (
+                    <p className="text-sm text-gray-500 mb-1">{character.species}</p>
+                  )}
+                  {character.personality && (
+                    <p className="text-sm text-gray-600">{character.personality}</p>
+                  )}
+                  {character.catchphrases?.length > 0 && (
+                    <p className="text-sm text-gray-600 italic mt-1">
+                      &ldquo;{character.catchphrases[0]}&rdquo;
+                    </p>
+                  )}
+                </div>
+              </div>
+              <div className="bg-gray-100 px-4 py-3 flex justify-end space-x-2">
+                <button
+                  onClick={() => handleEditClick(character)}
+                  className="text-indigo-600 hover:text-indigo-800"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDeleteClick(character)}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Add/Edit Character Modal */}
+      <Modal
+        isOpen={isFormModalOpen}
+        onClose={() => setIsFormModalOpen(false)}
+        title={selectedCharacter ? 'Edit Character' : 'Add Character'}
+      >
+        <form onSubmit={handleFormSubmit} className="p-6">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="character-name" className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                type="text"
+                id="character-name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className={inputClassName}
+                placeholder="E.g., Pip"
+                required
+              />
+            </div>
+
+            <div>
+              <label htmlFor="character-species" className="block text-sm font-medium text-gray-700 mb-1">
+                Species or Type
+              </label>
+              <input
+                type="text"
+                id="character-species"
+                name="species"
+                value={formData.species}
+                onChange={handleChange}
+                className={inputClassName}
+                placeholder="E.g., mouse, dragon, robot"
+              />
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="character-appearance" className="block text-sm font-medium text-gray-700 mb-1">
+              Appearance
+            </label>
+            <textarea
+              id="character-appearance"
+              name="appearance"
+              value={formData.appearance}
+              onChange={handleChange}
+              rows="2"
+              className={inputClassName}
+              placeholder="E.g., small grey mouse with a red scarf and big round ears"
+            ></textarea>
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="character-personality" className="block text-sm font-medium text-gray-700 mb-1">
+              Personality
+            </label>
+            <textarea
+              id="character-personality"
+              name="personality"
+              value={formData.personality}
+              onChange={handleChange}
+              rows="2"
+              className={inputClassName}
+              placeholder="E.g., curious and brave, a little clumsy, loves cheese"
+            ></textarea>
+          </div>
+
+          <div className="mb-4">
+            <label htmlFor="character-catchphrases" className="block text-sm font-medium text-gray-700 mb-1">
+              Catchphrases (optional, one per line)
+            </label>
+            <textarea
+              id="character-catchphrases"
+              name="catchphrases"
+              value={formData.catchphrases}
+              onChange={handleChange}
+              rows="2"
+              className={inputClassName}
+              placeholder="E.g., Whiskers and wonders!"
+            ></textarea>
+          </div>
+
+          <div className="mb-6">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Avatar</span>
+            <div className="flex flex-wrap gap-2 mb-3">
+              {CHARACTER_AVATARS.map(avatar => (
+                <button
+                  key={avatar}
+                  type="button"
+                  onClick={() => setFormData(prev => ({ ...prev, avatar }))}
+                  className={`text-2xl w-10 h-10 rounded-full ${
+                    formData.avatar === avatar ? 'bg-indigo-100 ring-2 ring-indigo-500' : 'hover:bg-gray-100'
+                  }`}
+                  aria-label={`Use ${avatar} as avatar`}
+                >
+                  {avatar}
+                </button>
+              ))}
+            </div>
+            <label htmlFor="character-avatar-file" className="block text-sm text-gray-600 mb-1">
+              Or upload a picture (optional)
+            </label>
+            <input
+              type="file"
+              id="character-avatar-file"
+              accept="image/*"
+              onChange={(e) => setAvatarFile(e.target.files?.[0] || null)}
+              className="block w-full text-sm text-gray-600"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <Button
+              variant="secondary"
+              onClick={() => setIsFormModalOpen(false)}
+              type="button"
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              type="submit"
+              disabled={loading}
+            >
+              {selectedCharacter ? 'Update Character' : 'Add Character'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Delete Confirmation Modal */}
+      <Modal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        title="Delete Character"
+      >
+        <div className="p-6">
+          <p className="mb-4 text-gray-700">
+            Are you sure you want to delete {selectedCharacter?.name} from the character library?
+          </p>
+          <p className="mb-6 text-sm text-gray-500">
+            Stories that already feature this character are not changed.
+          </p>
+
+          <div className="flex justify-end space-x-3">
+            <Button
+              variant="secondary"
+              onClick={() => setIsDeleteModalOpen(false)}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              className="bg-red-600 hover:bg-red-700"
+              onClick={handleDeleteConfirm}
+            >
+              Delete Character
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+}
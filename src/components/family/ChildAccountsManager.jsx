@@ -1,10 +1,17 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useFamily } from '@/contexts/FamilyContext';
+import { getFamilyCode, setChildSignIn } from '@/firebase/auth';
+import { CHILD_AVATARS, CHILD_PICTURE_PASSWORD_LENGTH, CHILD_PIN_LENGTH } from '@/utils/constants';
 import Button from '@/components/common/Button';
 import Modal from '@/components/common/Modal';
 import SuccessMessage from '@/components/common/SuccessMessage';
+import ChildSecretInput from '@/components/auth/ChildSecretInput';
+
+const EMPTY_FORM = { name: '', age: '', avatar: CHILD_AVATARS[0], preferences: '', avoid: '', isStoryHero: false };
+
+const LOGIN_METHOD_LABELS = { pin: 'a PIN', picture: 'a picture password' };
 
 /**
  * Child accounts manager component
@@ -18,18 +25,38 @@ export default function ChildAccountsManager() {
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [selectedChild, setSelectedChild] = useState(null);
-  const [formData, setFormData] = useState({ name: '', age: '', preferences: '' });
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [successMessage, setSuccessMessage] = useState('');
   
+  // Child sign-in: the family code, and each child's PIN or picture password
+  const [familyCode, setFamilyCode] = useState(null);
+  const [familyCodeError, setFamilyCodeError] = useState(null);
+  const [isSignInModalOpen, setIsSignInModalOpen] = useState(false);
+  const [signInMethod, setSignInMethod] = useState('pin');
+  const [signInSecret, setSignInSecret] = useState('');
+  const [signInError, setSignInError] = useState(null);
+  const [isSavingSignIn, setIsSavingSignIn] = useState(false);
+  const [loginMethods, setLoginMethods] = useState({});
+  
+  // Load the family code, creating it on first use
+  useEffect(() => {
+    getFamilyCode()
+      .then(setFamilyCode)
+      .catch(err => {
+        console.error('Error loading family code:', err);
+        setFamilyCodeError('Could not load your family code.');
+      });
+  }, []);
+  
   // Handle form input changes
   const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
   };
   
   // Open add child modal
   const handleAddClick = () => {
-    setFormData({ name: '', age: '', preferences: '' });
+    setFormData(EMPTY_FORM);
     setIsAddModalOpen(true);
   };
   
@@ -39,7 +66,10 @@ export default function ChildAccountsManager() {
     setFormData({
       name: child.name || '',
       age: child.age || '',
-      preferences: child.preferences || ''
+      avatar: child.avatar || CHILD_AVATARS[0],
+      preferences: child.preferences || '',
+      avoid: child.avoid || '',
+      isStoryHero: child.isStoryHero === true
     });
     setIsEditModalOpen(true);
   };
@@ -50,6 +80,68 @@ export default function ChildAccountsManager() {
     setIsDeleteModalOpen(true);
   };
   
+  // Open child sign-in modal
+  const handleSignInClick = (child) => {
+    const method = loginMethods[child.id] || child.loginMethod || 'pin';
+    setSelectedChild(child);
+    setSignInMethod(method);
+    setSignInSecret(method === 'pin' ? '' : []);
+    setSignInError(null);
+    setIsSignInModalOpen(true);
+  };
+  
+  // Switch between a PIN and a picture password
+  const handleSignInMethodChange = (method) => {
+    setSignInMethod(method);
+    setSignInSecret(method === 'pin' ? '' : []);
+    setSignInError(null);
+  };
+  
+  // Replace the family code, so the old one stops working
+  const handleNewFamilyCode = async () => {
+    if (!window.confirm('Children will need the new code to sign in on a new device. Create a new family code?')) {
+      return;
+    }
+    
+    try {
+      setFamilyCode(await getFamilyCode(true));
+      setFamilyCodeError(null);
+    } catch (err) {
+      console.error('Error creating family code:', err);
+      setFamilyCodeError('Could not create a new family code. Please try again.');
+    }
+  };
+  
+  // Save a child's PIN or picture password
+  const handleSignInSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!selectedChild) {
+      return;
+    }
+    
+    try {
+      setIsSavingSignIn(true);
+      setSignInError(null);
+      await setChildSignIn(selectedChild.id, signInMethod, signInSecret);
+      
+      setLoginMethods(prev => ({ ...prev, [selectedChild.id]: signInMethod }));
+      setSuccessMessage(`${selectedChild.name} can now sign in with ${LOGIN_METHOD_LABELS[signInMethod]}.`);
+      setIsSignInModalOpen(false);
+      setSelectedChild(null);
+      
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccessMessage('');
+      }, 3000);
+    } catch (err) {
+      console.error('Error saving child sign-in:', err);
+      setSignInError(err.message || 'Failed to save the sign-in. Please try again.');
+    } finally {
+      setIsSavingSignIn(false);
+    }
+  };
+  
   // Add a new child
   const handleAddSubmit = async (e) => {
     e.preventDefault();
@@ -64,7 +156,7 @@ export default function ChildAccountsManager() {
     if (result) {
       setSuccessMessage(`Child account "${formData.name}" created successfully!`);
       setIsAddModalOpen(false);
-      setFormData({ name: '', age: '', preferences: '' });
+      setFormData(EMPTY_FORM);
       
       // Clear success message after 3 seconds
       setTimeout(() => {
@@ -133,6 +225,26 @@ export default function ChildAccountsManager() {
       
       {successMessage && <SuccessMessage message={successMessage} />}
       
+      <div className="mb-6 p-4 bg-indigo-50 rounded-lg border border-indigo-100 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className="text-sm font-medium text-indigo-800">Family code</p>
+          <p className="text-2xl font-mono font-bold tracking-widest text-indigo-700">
+            {familyCode || (familyCodeError ? '—' : '…')}
+          </p>
+          <p className="text-sm text-gray-600">
+            {familyCodeError || 'Children sign in on the kid sign-in page with this code, their avatar and their PIN or picture password.'}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleNewFamilyCode}
+          disabled={!familyCode}
+          className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+        >
+          New code
+        </button>
+      </div>
+      
       <div className="mb-6">
         <Button
           variant="primary"
@@ -185,6 +297,7 @@ export default function ChildAccountsManager() {
             >
               <div className="p-4">
                 <h3 className="text-lg font-semibold text-indigo-700 mb-1">
+                  <span className="mr-2">{child.avatar || '🙂'}</span>
                   {child.name}
                 </h3>
                 {child.age && (
@@ -197,8 +310,29 @@ export default function ChildAccountsManager() {
                     Preferences: {child.preferences}
                   </p>
                 )}
+                {child.avoid && (
+                  <p className="text-sm text-gray-600">
+                    Avoid: {child.avoid}
+                  </p>
+                )}
+                {child.isStoryHero && (
+                  <p className="text-sm text-indigo-600 mt-1">
+                    ⭐ Hero of their stories
+                  </p>
+                )}
+                <p className="text-sm text-gray-500 mt-1">
+                  {loginMethods[child.id] || child.loginMethod
+                    ? `🔑 Signs in with ${LOGIN_METHOD_LABELS[loginMethods[child.id] || child.loginMethod]}`
+                    : 'No sign-in set up yet'}
+                </p>
               </div>
               <div className="bg-gray-100 px-4 py-3 flex justify-end space-x-2">
+                <button
+                  onClick={() => handleSignInClick(child)}
+                  className="text-indigo-600 hover:text-indigo-800"
+                >
+                  Sign-in
+                </button>
                 <button
                   onClick={() => handleEditClick(child)}
                   className="text-indigo-600 hover:text-indigo-800"
@@ -240,6 +374,27 @@ export default function ChildAccountsManager() {
             />
           </div>
           
+          <div className="mb-4">
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Avatar
+            </span>
+            <div className="flex flex-wrap gap-2">
+              {CHILD_AVATARS.map(avatar => (
+                <button
+                  key={avatar}
+                  type="button"
+                  onClick={() => setFormData(prev => ({ ...prev, avatar }))}
+                  className={`h-10 w-10 text-2xl rounded-full ${
+                    formData.avatar === avatar ? 'bg-indigo-100 ring-2 ring-indigo-500' : 'bg-gray-50 hover:bg-gray-100'
+                  }`}
+                  aria-label={`Avatar ${avatar}`}
+                >
+                  {avatar}
+                </button>
+              ))}
+            </div>
+          </div>
+          
           <div className="mb-4">
             <label htmlFor="age" className="block text-sm font-medium text-gray-700 mb-1">
               Child's Age
@@ -255,9 +410,9 @@ export default function ChildAccountsManager() {
             />
           </div>
           
-          <div className="mb-6">
+          <div className="mb-4">
             <label htmlFor="preferences" className="block text-sm font-medium text-gray-700 mb-1">
-              Story Preferences (optional)
+              Favorite Things & Story Preferences (optional)
             </label>
             <textarea
               id="preferences"
@@ -270,6 +425,35 @@ export default function ChildAccountsManager() {
             ></textarea>
           </div>
           
+          <div className="mb-4">
+            <label htmlFor="avoid" className="block text-sm font-medium text-gray-700 mb-1">
+              Fears or Topics to Avoid (optional)
+            </label>
+            <textarea
+              id="avoid"
+              name="avoid"
+              value={formData.avoid}
+              onChange={handleChange}
+              rows="2"
+              className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="E.g., spiders, thunderstorms, getting lost"
+            ></textarea>
+          </div>
+          
+          <div className="mb-6">
+            <label htmlFor="isStoryHero" className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                id="isStoryHero"
+                name="isStoryHero"
+                checked={formData.isStoryHero}
+                onChange={handleChange}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              Make this child the hero of their stories
+            </label>
+          </div>
+          
           <div className="flex justify-end space-x-3">
             <Button 
               variant="secondary"
@@ -311,6 +495,27 @@ export default function ChildAccountsManager() {
             />
           </div>
           
+          <div className="mb-4">
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Avatar
+            </span>
+            <div className="flex flex-wrap gap-2">
+              {CHILD_AVATARS.map(avatar => (
+                <button
+                  key={avatar}
+                  type="button"
+                  onClick={() => setFormData(prev => ({ ...prev, avatar }))}
+                  className={`h-10 w-10 text-2xl rounded-full ${
+                    formData.avatar === avatar ? 'bg-indigo-100 ring-2 ring-indigo-500' : 'bg-gray-50 hover:bg-gray-100'
+                  }`}
+                  aria-label={`Avatar ${avatar}`}
+                >
+                  {avatar}
+                </button>
+              ))}
+            </div>
+          </div>
+          
           <div className="mb-4">
             <label htmlFor="edit-age" className="block text-sm font-medium text-gray-700 mb-1">
               Child's Age
@@ -326,9 +531,9 @@ export default function ChildAccountsManager() {
             />
           </div>
           
-          <div className="mb-6">
+          <div className="mb-4">
             <label htmlFor="edit-preferences" className="block text-sm font-medium text-gray-700 mb-1">
-              Story Preferences (optional)
+              Favorite Things & Story Preferences (optional)
             </label>
             <textarea
               id="edit-preferences"
@@ -341,6 +546,35 @@ export default function ChildAccountsManager() {
             ></textarea>
           </div>
           
+          <div className="mb-4">
+            <label htmlFor="edit-avoid" className="block text-sm font-medium text-gray-700 mb-1">
+              Fears or Topics to Avoid (optional)
+            </label>
+            <textarea
+              id="edit-avoid"
+              name="avoid"
+              value={formData.avoid}
+              onChange={handleChange}
+              rows="2"
+              className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="E.g., spiders, thunderstorms, getting lost"
+            ></textarea>
+          </div>
+          
+          <div className="mb-6">
+            <label htmlFor="edit-isStoryHero" className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                id="edit-isStoryHero"
+                name="isStoryHero"
+                checked={formData.isStoryHero}
+                onChange={handleChange}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              Make this child the hero of their stories
+            </label>
+          </div>
+          
           <div className="flex justify-end space-x-3">
             <Button 
               variant="secondary"
@@ -390,6 +624,63 @@ export default function ChildAccountsManager() {
           </div>
         </div>
       </Modal>
+      
+      {/* Child Sign-in Modal */}
+      <Modal
+        isOpen={isSignInModalOpen}
+        onClose={() => setIsSignInModalOpen(false)}
+        title={`Sign-in for ${selectedChild?.name || ''}`}
+      >
+        <form onSubmit={handleSignInSubmit} className="p-6">
+          <p className="mb-4 text-sm text-gray-600">
+            Choose a {CHILD_PIN_LENGTH}-digit PIN or {CHILD_PICTURE_PASSWORD_LENGTH} pictures in order. This replaces any previous one.
+          </p>
+          
+          <div className="flex justify-center space-x-2 mb-6">
+            {['pin', 'picture'].map(method => (
+              <button
+                key={method}
+                type="button"
+                onClick={() => handleSignInMethodChange(method)}
+                className={`px-4 py-2 rounded-md text-sm font-medium ${
+                  signInMethod === method ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {method === 'pin' ? 'PIN' : 'Pictures'}
+              </button>
+            ))}
+          </div>
+          
+          <ChildSecretInput
+            method={signInMethod}
+            value={signInSecret}
+            onChange={setSignInSecret}
+            disabled={isSavingSignIn}
+            reveal
+          />
+          
+          {signInError && (
+            <p className="mt-4 text-sm text-red-600">{signInError}</p>
+          )}
+          
+          <div className="flex justify-end space-x-3 mt-6">
+            <Button 
+              type="button"
+              variant="secondary"
+              onClick={() => setIsSignInModalOpen(false)}
+            >
+              Cancel
+            </Button>
+            <Button 
+              type="submit"
+              variant="primary"
+              disabled={isSavingSignIn || signInSecret.length < (signInMethod === 'pin' ? CHILD_PIN_LENGTH : CHILD_PICTURE_PASSWORD_LENGTH)}
+            >
+              {isSavingSignIn ? 'Saving...' : 'Save Sign-in'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
     </div>
   );
 }
@@ -3,7 +3,7 @@
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/contexts/AuthContext';
-import { getStoriesByChildId } from '@/firebase/firestore';
+import { getStoriesByChildId, getNextSeriesChapters } from '@/firebase/firestore';
 import KidStoryCard from '@/components/common/KidStoryCard';
 import LoadingSpinner from '@/components/common/LoadingSpinner';
 
@@ -19,6 +19,7 @@ export default function KidDashboard({ childId }) {
   const router = useRouter();
   
   const [stories, setStories] = useState([]);
+  const [nextChapters, setNextChapters] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
@@ -31,6 +32,13 @@ export default function KidDashboard({ childId }) {
         setLoading(true);
         const childStories = await getStoriesByChildId(childId);
         setStories(childStories);
+        
+        // Series are a bonus; the story list still works without them
+        try {
+          setNextChapters(await getNextSeriesChapters(childStories, childId));
+        } catch (seriesErr) {
+          console.error('Error fetching series:', seriesErr);
+        }
       } catch (err) {
         console.error('Error fetching stories:', err);
         setError('Could not load your stories. Please try again.');
@@ -63,6 +71,47 @@ export default function KidDashboard({ childId }) {
         </div>
       )}
       
+      {/* Bedtime session: a playlist of stories with a sleep timer */}
+      {stories.some(story => story.audioUrl) && (
+        <button
+          onClick={() => router.push('/kid/bedtime')}
+          className="w-full flex items-center justify-center p-4 mb-8 bg-indigo-900 text-white rounded-xl shadow-md hover:bg-indigo-800 transition-colors"
+        >
+          <span className="text-3xl mr-3">🌙</span>
+          <span className="text-xl font-bold">Bedtime Stories</span>
+        </button>
+      )}
+      
+      {/* Next unplayed chapter of each series */}
+      {nextChapters.length > 0 && (
+        <div className="mb-8">
+          <h2 className="text-2xl font-bold text-purple-600 mb-4">
+            Continue Your Series 📚
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {nextChapters.map(({ series, story, chapterNumber }) => (
+              <button
+                key={series.id}
+                onClick={() => handleStoryClick(story.id)}
+                className="flex items-center text-left p-4 bg-white rounded-xl shadow-md hover:shadow-lg hover:bg-purple-50 transition-all"
+              >
+                <span className="flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full bg-purple-500 text-white text-xl mr-4">
+                  ▶
+                </span>
+                <span>
+                  <span className="block text-sm text-purple-500 font-medium">
+                    {series.title} · Chapter {chapterNumber}
+                  </span>
+                  <span className="block text-lg font-bold text-gray-800">
+                    {story.title}
+                  </span>
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      
       {stories.length === 0 ? (
         <div className="text-center p-10 bg-indigo-50 rounded-xl shadow-sm">
           <svg
@@ -0,0 +1,190 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/AuthContext';
+import { useFamily } from '@/contexts/FamilyContext';
+import { getStoriesForReview, reviewStory } from '@/firebase/firestore';
+import { generateExcerpt } from '@/utils/helpers';
+import Button from '@/components/common/Button';
+import LoadingSpinner from '@/components/common/LoadingSpinner';
+import ErrorMessage from '@/components/common/ErrorMessage';
+import SuccessMessage from '@/components/common/SuccessMessage';
+
+/**
+ * Parents' review inbox: published stories wait here until a parent approves
+ * them for some of the family's children, or rejects them with a note
+ *
+ * @returns {JSX.Element} Review inbox
+ */
+export default function ReviewInbox() {
+  const { user } = useAuth();
+  const { children, loading: familyLoading } = useFamily();
+
+  const [stories, setStories] = useState(null);
+  const [selections, setSelections] = useState({});
+  const [notes, setNotes] = useState({});
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  useEffect(() => {
+    if (!user?.familyId) return;
+
+    getStoriesForReview(user.familyId)
+      .then(setStories)
+      .catch(err => {
+        console.error('Error loading stories for review:', err);
+        setError('Could not load the stories waiting for review. Please try again later.');
+      });
+  }, [user?.familyId]);
+
+  // Stories written for one child start with that child selected, others with every child
+  const getSelection = (story) => {
+    if (selections[story.id]) return selections[story.id];
+    return story.childId ? [story.childId] : children.map(child => child.id);
+  };
+
+  const toggleChild = (story, childId) => {
+    const selection = getSelection(story);
+    setSelections(prev => ({
+      ...prev,
+      [story.id]: selection.includes(childId) ? selection.filter(id => id !== childId) : [...selection, childId]
+    }));
+  };
+
+  const handleReview = async (story, approved) => {
+    try {
+      setSavingId(story.id);
+      setError(null);
+
+      const childIds = getSelection(story);
+      await reviewStory(story.id, {
+        approved,
+        childIds,
+        note: notes[story.id] || '',
+        reviewerId: user.uid
+      });
+
+      setStories(prev => prev.filter(item => item.id !== story.id));
+      setSuccessMessage(approved
+        ? `"${story.title}" is now in ${childIds.length === 1 ? 'one child\'s' : `${childIds.length} children's`} library.`
+        : `"${story.title}" was sent back to the drafts.`);
+
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccessMessage('');
+      }, 3000);
+    } catch (err) {
+      console.error('Error reviewing story:', err);
+      setError(err.message || 'Failed to save the review. Please try again.');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!stories || familyLoading) {
+    return error ? <ErrorMessage message={error} /> : <LoadingSpinner message="Loading stories to review..." />;
+  }
+
+  return (
+    <div>
+      {successMessage && <SuccessMessage message={successMessage} />}
+      {error && <ErrorMessage message={error} />}
+
+      {stories.length === 0 ? (
+        <div className="p-8 text-center bg-white rounded-lg shadow-md">
+          <h2 className="text-lg font-medium text-gray-700 mb-2">Nothing to review</h2>
+          <p className="text-gray-500">
+            Published stories wait here until you choose which children can read them.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {stories.map(story => {
+            const selection = getSelection(story);
+            const isSaving = savingId === story.id;
+
+            return (
+              <div key={story.id} className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex flex-wrap items-start justify-between gap-2 mb-2">
+                  <h2 className="text-xl font-semibold text-indigo-700">{story.title || 'Untitled story'}</h2>
+                  <div className="flex items-center space-x-2">
+                    {story.moderation?.status === 'flagged' && (
+                      <span className="bg-orange-500 text-white text-xs px-2 py-1 rounded-full">
+                        ⚠️ Flagged for review
+                      </span>
+                    )}
+                    <Link href={`/play-story/${story.id}`} className="text-sm text-indigo-600 hover:text-indigo-800">
+                      Read it first
+                    </Link>
+                  </div>
+                </div>
+
+                {story.age && <p className="text-sm text-gray-500 mb-2">Ages {story.age}</p>}
+                <p className="text-gray-700 mb-4">{generateExcerpt(story.content || '', 300)}</p>
+
+                <fieldset className="mb-4">
+                  <legend className="text-sm font-medium text-gray-700 mb-2">Approve for</legend>
+                  {children.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                      Add a child account on the <Link href="/my-children" className="text-indigo-600">My Children</Link> page first.
+                    </p>
+                  ) : (
+                    <div className="flex flex-wrap gap-4">
+                      {children.map(child => (
+                        <label key={child.id} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={selection.includes(child.id)}
+                            onChange={() => toggleChild(story, child.id)}
+                            disabled={isSaving}
+                            className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+                          />
+                          {child.avatar && <span className="mr-1">{child.avatar}</span>}
+                          {child.name}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </fieldset>
+
+                <div className="mb-4">
+                  <label htmlFor={`note-${story.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    Note (optional)
+                  </label>
+                  <textarea
+                    id={`note-${story.id}`}
+                    value={notes[story.id] || ''}
+                    onChange={(e) => setNotes(prev => ({ ...prev, [story.id]: e.target.value }))}
+                    disabled={isSaving}
+                    rows={2}
+                    className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    placeholder="E.g. a bit too scary for bedtime"
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                  <Button
+                    variant="secondary"
+                    onClick={() => handleReview(story, false)}
+                    disabled={isSaving}
+                  >
+                    Reject
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={() => handleReview(story, true)}
+                    disabled={isSaving || selection.length === 0}
+                  >
+                    {isSaving ? 'Saving...' : 'Approve'}
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { fetchWithAuth } from '@/firebase/auth';
+import { USAGE_METRICS } from '@/utils/constants';
+import LoadingSpinner from '@/components/common/LoadingSpinner';
+import ErrorMessage from '@/components/common/ErrorMessage';
+
+const PERIODS = [
+  { id: 'day', label: 'Today' },
+  { id: 'month', label: 'This month' }
+];
+
+/**
+ * Family usage of story writing, narration and illustrations for today and
+ * this month, against the limits set on the server
+ *
+ * @returns {JSX.Element} Usage panel
+ */
+export default function UsagePanel() {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchWithAuth('/api/usage')
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Usage request failed (${response.status})`);
+        if (!cancelled) setUsage(data.usage);
+      })
+      .catch(err => {
+        console.error('Error loading usage:', err);
+        if (!cancelled) setError('Could not load your family\'s usage. Please try again later.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) return <ErrorMessage message={error} />;
+  if (!usage) return <LoadingSpinner message="Loading usage..." />;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {PERIODS.map(period => (
+        <div key={period.id} className="bg-white p-6 rounded-lg shadow-md">
+          <h2 className="text-xl font-semibold text-indigo-700 mb-1">{period.label}</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Resets {new Date(usage[period.id].resetAt).toLocaleString()}
+          </p>
+
+          <div className="space-y-4">
+            {USAGE_METRICS.map(metric => {
+              const { used, limit } = usage[period.id].metrics[metric.id] || { used: 0, limit: 0 };
+              const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+
+              return (
+                <div key={metric.id}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="font-medium text-gray-700">{metric.label}</span>
+                    <span className="text-gray-500">
+                      {`${used.toLocaleString()}${limit ? ` of ${limit.toLocaleString()}` : ''} ${metric.unit}`}
+                    </span>
+                  </div>
+                  <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full ${percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-yellow-500' : 'bg-indigo-500'}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  {percent >= 100 && (
+                    <p className="mt-1 text-xs text-red-600">Limit reached until the reset.</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+'use client';
+
+import { useState } from 'react';
+import { DEFAULT_BEDTIME_SESSION, SLEEP_TIMER_OPTIONS, SOUNDSCAPES } from '@/utils/constants';
+import { formatTime } from '@/utils/helpers';
+import useBedtimeSession from '@/hooks/useBedtimeSession';
+import useReadAlong from '@/hooks/useReadAlong';
+import useSoundscape from '@/hooks/useSoundscape';
+
+/**
+ * Bedtime session: the kid queues up stories, picks a sleep timer and a
+ * soundscape for afterwards, and the stories play one after the other until
+ * the timer fades them out
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.stories - Stories the kid can pick from
+ * @param {string} [props.childId] - Child listening, whose played stories are remembered
+ * @param {Function} props.onExit - Called to leave the session
+ * @returns {JSX.Element} Bedtime session
+ */
+export default function BedtimeSession({ stories, childId, onExit }) {
+  const [queue, setQueue] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_BEDTIME_SESSION);
+
+  const session = useBedtimeSession({ timer: settings.timer, soundscape: settings.soundscape, childId });
+  const { status, story } = session;
+  const isPlaying = status === 'playing';
+
+  // Each story's own soundscape plays under it, fading out with the narration
+  const { wordStarts } = useReadAlong({
+    audioRef: session.audioRef,
+    timings: story?.audioTimings,
+    text: story?.content || '',
+    isPlaying
+  });
+  useSoundscape({
+    audioRef: session.audioRef,
+    soundscape: story?.soundscape,
+    mood: story?.mood,
+    wordStarts,
+    isPlaying,
+    volume: session.volume
+  });
+
+  const playable = stories.filter(item => item.audioUrl);
+  const afterBed = SOUNDSCAPES.find(bed => bed.id === settings.soundscape);
+
+  const toggleQueued = (item) => {
+    setQueue(prev => prev.some(queued => queued.id === item.id)
+      ? prev.filter(queued => queued.id !== item.id)
+      : [...prev, item]);
+  };
+
+  if (status === 'idle') {
+    return (
+      <div className="bg-indigo-950 text-indigo-100 rounded-2xl shadow-lg p-6">
+        <h2 className="text-2xl font-bold mb-1">Bedtime Stories 🌙</h2>
+        <p className="text-indigo-300 mb-6">
+          Pick the stories for tonight, in the order you want to hear them.
+        </p>
+
+        {playable.length === 0 ? (
+          <p className="bg-indigo-900 rounded-xl p-4 mb-6">
+            None of your stories can be listened to yet. Ask your parents to add narration!
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6">
+            {playable.map(item => {
+              const position = queue.findIndex(queued => queued.id === item.id);
+
+              return (
+                <button
+                  key={item.id}
+                  type="button"
+                  onClick={() => toggleQueued(item)}
+                  className={`flex items-center text-left p-3 rounded-xl transition-colors ${
+                    position >= 0 ? 'bg-indigo-600 text-white' : 'bg-indigo-900 hover:bg-indigo-800'
+                  }`}
+                >
+                  <span className="flex-shrink-0 flex items-center justify-center h-9 w-9 rounded-full bg-indigo-950 text-lg mr-3">
+                    {position >= 0 ? position + 1 : '+'}
+                  </span>
+                  <span className="font-semibold">{item.title}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+          <div>
+            <label htmlFor="sleepTimer" className="block text-sm font-medium text-indigo-300 mb-1">
+              Sleep timer
+            </label>
+            <select
+              id="sleepTimer"
+              value={settings.timer}
+              onChange={(e) => setSettings(prev => ({ ...prev, timer: e.target.value }))}
+              className="w-full bg-indigo-900 border border-indigo-700 rounded-md py-2 px-3 focus:outline-none focus:ring-indigo-500"
+            >
+              {SLEEP_TIMER_OPTIONS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="afterSoundscape" className="block text-sm font-medium text-indigo-300 mb-1">
+              After the stories
+            </label>
+            <select
+              id="afterSoundscape"
+              value={settings.soundscape}
+              onChange={(e) => setSettings(prev => ({ ...prev, soundscape: e.target.value }))}
+              className="w-full bg-indigo-900 border border-indigo-700 rounded-md py-2 px-3 focus:outline-none focus:ring-indigo-500"
+            >
+              <option value="none">Quiet</option>
+              {SOUNDSCAPES.map(bed => (
+                <option key={bed.id} value={bed.id}>
+                  {bed.icon} Keep playing {bed.label.toLowerCase()}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex justify-between">
+          <button
+            type="button"
+            onClick={onExit}
+            className="px-4 py-2 rounded-lg text-indigo-300 hover:text-white"
+          >
+            Back
+          </button>
+          <button
+            type="button"
+            onClick={() => session.start(queue)}
+            disabled={queue.length === 0}
+            className="px-6 py-2 rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white font-semibold disabled:opacity-50"
+          >
+            Start ({queue.length} {queue.length === 1 ? 'story' : 'stories'})
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'finished') {
+    return (
+      <div className="bg-indigo-950 text-indigo-100 rounded-2xl shadow-lg p-10 text-center">
+        <div className="text-6xl mb-4">🌙</div>
+        <h2 className="text-2xl font-bold mb-2">Sleep tight!</h2>
+        {afterBed && (
+          <p className="text-indigo-300 mb-6">
+            {afterBed.icon} {afterBed.label} will keep playing.
+          </p>
+        )}
+        <button
+          type="button"
+          onClick={afterBed ? session.stop : onExit}
+          className="px-6 py-2 rounded-lg bg-indigo-800 hover:bg-indigo-700"
+        >
+          {afterBed ? 'Stop the sounds' : 'Back to my stories'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-indigo-950 text-indigo-100 rounded-2xl shadow-lg p-6 text-center">
+      {story?.imageUrl && (
+        <img src={story.imageUrl} alt="" className="w-48 h-48 object-cover rounded-xl mx-auto mb-4 opacity-80" />
+      )}
+      <p className="text-sm text-indigo-400 mb-1">
+        Story {session.index + (status === 'between' ? 2 : 1)} of {session.playlist.length}
+      </p>
+      <h2 className="text-2xl font-bold mb-4">
+        {status === 'between' ? 'Next story coming up…' : story?.title}
+      </h2>
+
+      <p className="text-indigo-300 mb-6">
+        {session.volume < 1
+          ? 'Getting sleepy… 🌙'
+          : session.remaining !== null
+            ? `Sleep timer: ${formatTime(session.remaining * 1000)} left`
+            : `${session.storiesLeft} ${session.storiesLeft === 1 ? 'story' : 'stories'} to go`}
+      </p>
+
+      <div className="flex justify-center space-x-3">
+        <button
+          type="button"
+          onClick={status === 'paused' ? session.resume : session.pause}
+          className="px-6 py-2 rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white font-semibold"
+        >
+          {status === 'paused' ? '▶ Play' : '⏸ Pause'}
+        </button>
+        <button
+          type="button"
+          onClick={session.skip}
+          className="px-4 py-2 rounded-lg bg-indigo-800 hover:bg-indigo-700"
+        >
+          ⏭ Next
+        </button>
+        <button
+          type="button"
+          onClick={session.stop}
+          className="px-4 py-2 rounded-lg bg-indigo-800 hover:bg-indigo-700"
+        >
+          ⏹ Stop
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+'use client';
+
+import { DEFAULT_STORY_LANGUAGE } from '@/utils/constants';
+import useVoiceCatalog from '@/hooks/useVoiceCatalog';
+
+/**
+ * Voice picker for the characters who speak in a story. Characters with a
+ * voice of their own are performed in that voice; the others are read by
+ * the narrator. The voices offered speak the story's language.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.speakers - Names of the characters with dialogue
+ * @param {Object} props.characterVoices - Voice ID per character name
+ * @param {Function} props.onChange - Called with the updated voices
+ * @param {string} [props.language] - Story language code
+ * @returns {JSX.Element|null} Character voices picker, or null when nobody speaks
+ */
+export default function CharacterVoices({ speakers, characterVoices, onChange, language = DEFAULT_STORY_LANGUAGE }) {
+  const { voices } = useVoiceCatalog(language);
+
+  if (speakers.length === 0) {
+    return null;
+  }
+
+  const handleVoiceChange = (speaker, voice) => {
+    const updated = { ...characterVoices };
+
+    if (voice) {
+      updated[speaker] = voice;
+    } else {
+      delete updated[speaker];
+    }
+
+    onChange(updated);
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Character Voices
+      </label>
+      <p className="text-xs text-gray-500 mb-3">
+        Give characters a voice of their own and their lines will be performed in it, like a radio play.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {speakers.map(speaker => (
+          <div key={speaker} className="flex items-center space-x-3">
+            <span className="w-1/3 text-sm text-gray-700 truncate" title={speaker}>
+              🗣️ {speaker}
+            </span>
+            <select
+              value={characterVoices?.[speaker] || ''}
+              onChange={(e) => handleVoiceChange(speaker, e.target.value)}
+              aria-label={`Voice for ${speaker}`}
+              className="flex-1 border border-gray-300 rounded-md shadow-sm py-1 px-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              <option value="">Narrator&apos;s voice</option>
+              {voices.map(voice => (
+                <option key={voice.id} value={voice.id}>
+                  {voice.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
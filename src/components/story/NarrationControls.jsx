@@ -0,0 +1,101 @@
+'use client';
+
+import { DEFAULT_NARRATION, NARRATION_LIMITS, NARRATION_PROFILES } from '@/utils/constants';
+
+// Sliders, by narration setting
+const SLIDERS = [
+  { name: 'speakingRate', label: 'Speed', format: value => `${Math.round(value * 100)}%` },
+  { name: 'pitch', label: 'Pitch', format: value => `${value > 0 ? '+' : ''}${value} semitones` },
+  { name: 'volumeGainDb', label: 'Volume', format: value => `${value > 0 ? '+' : ''}${value} dB` },
+  { name: 'paragraphPause', label: 'Pause between paragraphs', format: value => `${value} s` }
+];
+
+/**
+ * ID of the profile whose settings match, or 'custom'
+ *
+ * @param {Object} settings - Narration settings
+ * @returns {string} Profile ID
+ */
+const getProfileId = (settings) => {
+  const profile = NARRATION_PROFILES.find(({ settings: preset }) => (
+    Object.keys(preset).every(name => preset[name] === settings[name])
+  ));
+  return profile?.id || 'custom';
+};
+
+/**
+ * Narration profile editor: pick a profile (standard, calm, bedtime
+ * wind-down) and fine-tune its speed, pitch, volume and paragraph pauses
+ *
+ * @param {Object} props
+ * @param {Object} [props.narration] - Narration settings, `{ speakingRate, pitch, volumeGainDb, paragraphPause, windDown }`
+ * @param {Function} props.onChange - Called with the updated settings
+ * @returns {JSX.Element} Narration controls
+ */
+export default function NarrationControls({ narration, onChange }) {
+  const settings = { ...DEFAULT_NARRATION, ...narration };
+  const profileId = getProfileId(settings);
+
+  const handleProfileChange = (e) => {
+    const profile = NARRATION_PROFILES.find(({ id }) => id === e.target.value);
+    if (profile) onChange({ ...profile.settings });
+  };
+
+  const handleSettingChange = (name, value) => {
+    onChange({ ...settings, [name]: value });
+  };
+
+  return (
+    <div className="mb-4">
+      <label htmlFor="narrationProfile" className="block text-sm font-medium text-gray-700 mb-1">
+        Narration Style
+      </label>
+      <select
+        id="narrationProfile"
+        value={profileId}
+        onChange={handleProfileChange}
+        className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {NARRATION_PROFILES.map(profile => (
+          <option key={profile.id} value={profile.id}>
+            {profile.label}
+          </option>
+        ))}
+        {profileId === 'custom' && <option value="custom">Custom</option>}
+      </select>
+
+      <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+        {SLIDERS.map(({ name, label, format }) => (
+          <div key={name}>
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <label htmlFor={`narration-${name}`}>{label}</label>
+              <span>{format(settings[name])}</span>
+            </div>
+            <input
+              id={`narration-${name}`}
+              type="range"
+              min={NARRATION_LIMITS[name].min}
+              max={NARRATION_LIMITS[name].max}
+              step={NARRATION_LIMITS[name].step}
+              value={settings[name]}
+              onChange={(e) => handleSettingChange(name, Number(e.target.value))}
+              className="w-full accent-indigo-600"
+            />
+          </div>
+        ))}
+      </div>
+
+      <label className="mt-3 flex items-center">
+        <input
+          type="checkbox"
+          checked={settings.windDown}
+          onChange={(e) => handleSettingChange('windDown', e.target.checked)}
+          className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+        />
+        <span className="ml-2 text-sm text-gray-700">
+          Wind down: slow down and soften over the last part of the story
+        </span>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { RECORDING_SAMPLE_RATE } from '@/utils/constants';
+import { formatTime } from '@/utils/helpers';
+import { encodeWav } from '@/utils/recording';
+import useNarrationRecorder from '@/hooks/useNarrationRecorder';
+
+/**
+ * Recorder for a parent to narrate the story in their own voice, page by
+ * page. Takes are trimmed of silence and kept in memory until the story is
+ * saved, when they are stitched into the story's recorded audio track.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.pages - Page texts, in order
+ * @param {Array<Object>} props.recordings - `{ text, samples }` recorded for each page index
+ * @param {Function} props.onChange - Called with the updated recordings
+ * @param {Object} [props.savedRecording] - Recording saved with the story, `{ audioUrl, duration, text }`
+ * @param {string} [props.content] - Current story text, to tell whether the saved recording still matches it
+ * @param {Function} [props.onRemoveSaved] - Called to remove the saved recording
+ * @returns {JSX.Element} Narration recorder
+ */
+export default function NarrationRecorder({ pages, recordings, onChange, savedRecording, content, onRemoveSaved }) {
+  const [expanded, setExpanded] = useState(false);
+  const [playingPage, setPlayingPage] = useState(null);
+
+  const recordingsRef = useRef(recordings);
+  const previewRef = useRef(null);
+  recordingsRef.current = recordings;
+
+  const { isSupported, recordingPage, processing, error, startRecording, stopRecording } = useNarrationRecorder({
+    onRecorded: (page, samples) => {
+      const updated = [...recordingsRef.current];
+      updated[page] = { text: pages[page], samples };
+      onChange(updated);
+    }
+  });
+
+  const stopPreview = () => {
+    if (previewRef.current) {
+      previewRef.current.pause();
+      URL.revokeObjectURL(previewRef.current.src);
+      previewRef.current = null;
+    }
+    setPlayingPage(null);
+  };
+
+  // Stop listening to a take when the recorder goes away
+  useEffect(() => stopPreview, []);
+
+  const isRecorded = (index) => recordings[index]?.text === pages[index];
+  const recordedCount = pages.filter((page, index) => isRecorded(index)).length;
+
+  const handlePreview = (index) => {
+    const wasPlaying = playingPage === index;
+    stopPreview();
+    if (wasPlaying) return;
+
+    const wav = encodeWav(recordings[index].samples, RECORDING_SAMPLE_RATE);
+    previewRef.current = new Audio(URL.createObjectURL(new Blob([wav], { type: 'audio/wav' })));
+    previewRef.current.onended = stopPreview;
+    previewRef.current.play().catch(err => console.error('Error playing recording:', err));
+    setPlayingPage(index);
+  };
+
+  const handleDiscard = (index) => {
+    if (playingPage === index) stopPreview();
+
+    const updated = [...recordings];
+    updated[index] = undefined;
+    onChange(updated);
+  };
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-md p-4">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-sm font-medium text-gray-700">Record Your Own Narration</h3>
+          <p className="text-xs text-gray-500">
+            Read the story in your own voice, one page at a time. Your child can choose your recording or the narrator when listening.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          disabled={pages.length === 0}
+          className="ml-3 px-3 py-2 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {expanded ? 'Hide' : '🎙️ Record'}
+        </button>
+      </div>
+
+      {savedRecording?.audioUrl && (
+        <div className="mt-3 p-3 bg-indigo-50 rounded-md text-sm text-indigo-800">
+          <div className="flex items-center justify-between">
+            <span>Your recording is saved with this story ({formatTime((savedRecording.duration || 0) * 1000)}).</span>
+            {onRemoveSaved && (
+              <button type="button" onClick={onRemoveSaved} className="text-red-600 hover:text-red-800">
+                Remove
+              </button>
+            )}
+          </div>
+          {content !== undefined && savedRecording.text !== content && (
+            <p className="mt-1 text-yellow-700">
+              The story has changed since you recorded it. Record every page again to update your narration.
+            </p>
+          )}
+          {recordedCount > 0 && (
+            <p className="mt-1">Recording every page again replaces it when you save.</p>
+          )}
+        </div>
+      )}
+
+      {expanded && (
+        <div className="mt-4">
+          {!isSupported ? (
+            <p className="text-sm text-red-600">This browser cannot record audio.</p>
+          ) : (
+            <ol className="space-y-2">
+              {pages.map((page, index) => (
+                <li key={index} className="flex items-center p-2 bg-gray-50 rounded-md">
+                  <span className="flex-1 text-sm text-gray-700 truncate">
+                    <span className="font-medium">Page {index + 1}:</span> {page}
+                  </span>
+                  <span className="w-14 text-xs text-gray-500 text-right mr-2">
+                    {isRecorded(index) && formatTime(recordings[index].samples.length / RECORDING_SAMPLE_RATE * 1000)}
+                  </span>
+                  {recordingPage === index ? (
+                    <button
+                      type="button"
+                      onClick={stopRecording}
+                      className="px-3 py-1 text-sm bg-red-600 text-white rounded-md animate-pulse"
+                    >
+                      ⏹ Stop
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => startRecording(index)}
+                      disabled={recordingPage !== null || processing}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-white disabled:opacity-50"
+                    >
+                      {isRecorded(index) ? 'Redo' : '● Record'}
+                    </button>
+                  )}
+                  {isRecorded(index) && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => handlePreview(index)}
+                        className="ml-2 px-2 py-1 text-sm text-indigo-600 hover:text-indigo-800"
+                        title="Listen"
+                      >
+                        {playingPage === index ? '⏹' : '▶'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDiscard(index)}
+                        className="px-2 py-1 text-sm text-gray-400 hover:text-red-600"
+                        title="Discard"
+                      >
+                        ✕
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          <p className="mt-3 text-xs text-gray-500">
+            {processing ? 'Trimming the recording…' : `${recordedCount} of ${pages.length} pages recorded.`}
+            {recordedCount > 0 && recordedCount < pages.length && ' Record every page to save your narration with the story.'}
+          </p>
+          {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
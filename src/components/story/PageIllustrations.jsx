@@ -0,0 +1,195 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import useImageGeneration from '@/hooks/useImageGeneration';
+import { uploadStoryImage } from '@/firebase/storage';
+import { alignPageImages, generateExcerpt } from '@/utils/helpers';
+import ErrorMessage from '@/components/common/ErrorMessage';
+
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Per-page illustrations editor: generate or upload one picture for every
+ * page of a story, shown by the kid reader next to the page text
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.pages - Page texts
+ * @param {Array<string|null>} props.pageImages - Image URLs, by page index
+ * @param {Function} props.onChange - Called with the updated image URLs
+ * @param {Object} props.scene - Story title, characters, characterProfiles, setting and mood, for generation
+ * @returns {JSX.Element} Page illustrations editor
+ */
+export default function PageIllustrations({ pages, pageImages, onChange, scene }) {
+  const { user } = useAuth();
+  const { generateStoryImage } = useImageGeneration();
+
+  // Index of the page being illustrated, or 'all'
+  const [busyPage, setBusyPage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const images = alignPageImages(pageImages, pages.length);
+  const missingCount = images.filter(image => !image).length;
+
+  // Generate the picture of one page
+  const illustratePage = (index) => {
+    return generateStoryImage({
+      storyText: pages[index],
+      prompt: `${scene.title || 'Story'}: ${generateExcerpt(pages[index], 300)}`,
+      characters: scene.characters,
+      characterProfiles: scene.characterProfiles,
+      setting: scene.setting,
+      mood: scene.mood
+    });
+  };
+
+  const handleGenerate = async (index) => {
+    try {
+      setBusyPage(index);
+      setError(null);
+
+      const imageUrl = await illustratePage(index);
+      onChange(images.map((image, i) => (i === index ? imageUrl : image)));
+    } catch (err) {
+      console.error(`Error illustrating page ${index + 1}:`, err);
+      setError(`Failed to illustrate page ${index + 1}. Please try again.`);
+    } finally {
+      setBusyPage(null);
+    }
+  };
+
+  // Illustrate every page that has no picture yet, one after another
+  const handleGenerateAll = async () => {
+    const updated = [...images];
+
+    try {
+      setBusyPage('all');
+      setError(null);
+
+      for (let index = 0; index < pages.length; index++) {
+        if (updated[index]) continue;
+
+        updated[index] = await illustratePage(index);
+        onChange([...updated]);
+      }
+    } catch (err) {
+      console.error('Error illustrating pages:', err);
+      setError('Some pages could not be illustrated. Please try again.');
+    } finally {
+      setBusyPage(null);
+    }
+  };
+
+  const handleUpload = async (index, file) => {
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      setError('Please select a valid image file.');
+      return;
+    }
+    if (file.size > MAX_UPLOAD_SIZE) {
+      setError('Image must be smaller than 5MB.');
+      return;
+    }
+
+    try {
+      setBusyPage(index);
+      setError(null);
+
+      const imageUrl = await uploadStoryImage(user.uid, file);
+      onChange(images.map((image, i) => (i === index ? imageUrl : image)));
+    } catch (err) {
+      console.error(`Error uploading picture for page ${index + 1}:`, err);
+      setError('Failed to upload the picture. Please try again.');
+    } finally {
+      setBusyPage(null);
+    }
+  };
+
+  const handleRemove = (index) => {
+    onChange(images.map((image, i) => (i === index ? null : image)));
+  };
+
+  if (pages.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Page Illustrations
+        </label>
+        <button
+          type="button"
+          onClick={handleGenerateAll}
+          disabled={busyPage !== null || missingCount === 0}
+          className="px-3 py-1 text-xs border border-green-300 text-green-700 rounded-md hover:bg-green-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busyPage === 'all' ? 'Illustrating...' : `🎨 Illustrate ${missingCount === pages.length ? 'All Pages' : `${missingCount} Missing`}`}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Each page of the story gets its own picture in the kid reader. Generate one or upload your own drawing.
+      </p>
+
+      {error && <ErrorMessage message={error} />}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {pages.map((page, index) => (
+          <div key={index} className="border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
+            <div className="aspect-square bg-white flex items-center justify-center">
+              {busyPage === index || (busyPage === 'all' && !images[index]) ? (
+                <span className="text-sm text-gray-400 animate-pulse">Illustrating...</span>
+              ) : images[index] ? (
+                <img
+                  src={images[index]}
+                  alt={`Illustration for page ${index + 1}`}
+                  className="w-full h-full object-cover"
+                />
+              ) : (
+                <span className="text-4xl text-gray-300">🖼️</span>
+              )}
+            </div>
+            <div className="p-3">
+              <p className="text-xs font-medium text-gray-700 mb-1">Page {index + 1}</p>
+              <p className="text-xs text-gray-500 mb-2">{generateExcerpt(page, 80)}</p>
+              <div className="flex flex-wrap gap-2 text-xs">
+                <button
+                  type="button"
+                  onClick={() => handleGenerate(index)}
+                  disabled={busyPage !== null}
+                  className="text-green-700 hover:text-green-900 disabled:opacity-50"
+                >
+                  {images[index] ? 'Regenerate' : 'Generate'}
+                </button>
+                <label className={`text-indigo-600 hover:text-indigo-800 ${busyPage !== null ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                  Upload
+                  <input
+                    type="file"
+                    accept="image/*"
+                    className="hidden"
+                    onChange={(e) => {
+                      handleUpload(index, e.target.files?.[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                {images[index] && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(index)}
+                    disabled={busyPage !== null}
+                    className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
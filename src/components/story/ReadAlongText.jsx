@@ -0,0 +1,66 @@
+'use client';
+
+import { useMemo } from 'react';
+import { getSpokenWords } from '@/utils/helpers';
+
+/**
+ * Story text with the word being narrated highlighted, and the rest of its
+ * sentence lightly tinted
+ *
+ * @param {Object} props
+ * @param {string} props.text - Text to show (a page or a paragraph)
+ * @param {number} [props.firstWord=0] - Index of the text's first spoken word in the whole story
+ * @param {number} [props.currentWord=-1] - Index of the word being narrated, -1 for none
+ * @returns {JSX.Element} Text with read-along highlighting
+ */
+export default function ReadAlongText({ text, firstWord = 0, currentWord = -1 }) {
+  // Split the text into spoken words and the spaces and symbols between them,
+  // numbering words and sentences
+  const segments = useMemo(() => {
+    const result = [];
+    let position = 0;
+    let sentence = 0;
+
+    getSpokenWords(text).forEach((word, index) => {
+      if (word.start > position) {
+        result.push({ text: text.slice(position, word.start) });
+      }
+      result.push({ text: word.text, word: firstWord + index, sentence });
+      position = word.end;
+
+      if (/[.!?…]["'”’)]*$/.test(word.text)) sentence += 1;
+    });
+
+    if (position < text.length) {
+      result.push({ text: text.slice(position) });
+    }
+
+    return result;
+  }, [text, firstWord]);
+
+  const currentSentence = segments.find(segment => segment.word === currentWord)?.sentence;
+
+  return (
+    <>
+      {segments.map((segment, index) => {
+        if (segment.word === undefined) {
+          return <span key={index}>{segment.text}</span>;
+        }
+
+        const isCurrentWord = segment.word === currentWord;
+        const isCurrentSentence = currentSentence !== undefined && segment.sentence === currentSentence;
+
+        return (
+          <span
+            key={index}
+            className={`rounded transition-colors ${
+              isCurrentWord ? 'bg-yellow-300' : isCurrentSentence ? 'bg-yellow-50' : ''
+            }`}
+          >
+            {segment.text}
+          </span>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,122 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { DEFAULT_SOUNDSCAPE, SOUNDSCAPES, SOUNDSCAPE_LIMITS } from '@/utils/constants';
+import { resolveSoundscape } from '@/utils/helpers';
+
+/**
+ * Soundscape picker: an ambient bed (rain, ocean, crickets, lullaby), or one
+ * that follows the story's mood, with its level and whether to bake it into
+ * the narration MP3
+ *
+ * @param {Object} props
+ * @param {Object} [props.soundscape] - Story soundscape, `{ id, level, bake }`
+ * @param {string} [props.mood] - Story mood, for the mood-matched soundscape
+ * @param {Function} props.onChange - Called with the updated soundscape
+ * @returns {JSX.Element} Soundscape picker
+ */
+export default function SoundscapePicker({ soundscape, mood, onChange }) {
+  const settings = { ...DEFAULT_SOUNDSCAPE, ...soundscape };
+  const soundscapeId = resolveSoundscape(settings, mood);
+  const moodBed = SOUNDSCAPES.find(bed => bed.id === resolveSoundscape({ id: 'mood' }, mood));
+
+  const [previewing, setPreviewing] = useState(false);
+  const previewRef = useRef(null);
+
+  // Stop the preview when the bed changes or the picker goes away
+  useEffect(() => {
+    setPreviewing(false);
+    return () => previewRef.current?.pause();
+  }, [soundscapeId]);
+
+  useEffect(() => {
+    if (previewRef.current) {
+      previewRef.current.volume = 10 ** (settings.level / 20);
+    }
+  }, [settings.level]);
+
+  const handlePreview = () => {
+    if (previewing) {
+      previewRef.current?.pause();
+      setPreviewing(false);
+      return;
+    }
+
+    previewRef.current = new Audio(`/api/soundscapes/${soundscapeId}`);
+    previewRef.current.loop = true;
+    previewRef.current.volume = 10 ** (settings.level / 20);
+    previewRef.current.play()
+      .then(() => setPreviewing(true))
+      .catch(error => console.error('Error previewing soundscape:', error));
+  };
+
+  return (
+    <div className="mb-4">
+      <label htmlFor="soundscape" className="block text-sm font-medium text-gray-700 mb-1">
+        Background Soundscape
+      </label>
+      <div className="flex space-x-3">
+        <select
+          id="soundscape"
+          value={settings.id}
+          onChange={(e) => onChange({ ...settings, id: e.target.value })}
+          className="flex-1 border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="none">None</option>
+          <option value="mood">
+            Match the mood{moodBed ? ` (${moodBed.label})` : ''}
+          </option>
+          {SOUNDSCAPES.map(bed => (
+            <option key={bed.id} value={bed.id}>
+              {bed.icon} {bed.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handlePreview}
+          disabled={!soundscapeId}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {previewing ? '⏹ Stop' : '▶ Preview'}
+        </button>
+      </div>
+
+      {soundscapeId && (
+        <>
+          <div className="mt-3">
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <label htmlFor="soundscapeLevel">Soundscape volume</label>
+              <span>{settings.level} dB</span>
+            </div>
+            <input
+              id="soundscapeLevel"
+              type="range"
+              min={SOUNDSCAPE_LIMITS.level.min}
+              max={SOUNDSCAPE_LIMITS.level.max}
+              step={SOUNDSCAPE_LIMITS.level.step}
+              value={settings.level}
+              onChange={(e) => onChange({ ...settings, level: Number(e.target.value) })}
+              className="w-full accent-indigo-600"
+            />
+          </div>
+
+          <label className="mt-3 flex items-center">
+            <input
+              type="checkbox"
+              checked={settings.bake}
+              onChange={(e) => onChange({ ...settings, bake: e.target.checked })}
+              className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+            />
+            <span className="ml-2 text-sm text-gray-700">
+              Bake into the narration MP3 (for playing the story outside the app)
+            </span>
+          </label>
+          <p className="mt-1 text-xs text-gray-500">
+            The soundscape gets quieter while the narrator speaks and swells back between paragraphs.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -4,10 +4,13 @@ import { useEffect, useRef, useState } from "react";
 import { useRouter } from "next/navigation";
 import { useAuth } from "@/contexts/AuthContext";
 import { getStoryById, toggleStoryFavorite, getStoryWithAudioById } from "@/firebase/firestore";
-import { formatTime } from "@/utils/helpers";
+import { formatTime, getPageWordOffsets, getStoryAudioTracks } from "@/utils/helpers";
+import useReadAlong from "@/hooks/useReadAlong";
+import useSoundscape from "@/hooks/useSoundscape";
 import Button from "@/components/common/Button";
 import LoadingSpinner from "@/components/common/LoadingSpinner";
 import ErrorMessage from "@/components/common/ErrorMessage";
+import ReadAlongText from "@/components/story/ReadAlongText";
 
 /**
  * Component responsible for playing a story with audio controls.
@@ -26,6 +29,8 @@ export default function StoryPlayer({ storyId }) {
   });
   const [isFavorite, setIsFavorite] = useState(false);
   const [audioError, setAudioError] = useState(null);
+  // Audio track being played: the narrator or a parent's recording
+  const [trackId, setTrackId] = useState(null);
 
   const audioRef = useRef(null);
   const progressIntervalRef = useRef(null);
@@ -33,11 +38,32 @@ export default function StoryPlayer({ storyId }) {
   const { user } = useAuth();
   const router = useRouter();
 
+  // The family recording plays unless the narrator is picked
+  const audioTracks = getStoryAudioTracks(story);
+  const audioTrack = audioTracks.find((track) => track.id === trackId) || audioTracks[audioTracks.length - 1] || null;
+
+  // Read-along highlighting of the word being narrated
+  const { currentWord, wordStarts } = useReadAlong({
+    audioRef,
+    timings: audioTrack?.timings,
+    text: story?.content || "",
+    isPlaying: playerState.isPlaying,
+  });
+
+  // Ambient soundscape under the narration, unless it is baked into the audio (recordings never have it baked in)
+  useSoundscape({
+    audioRef,
+    soundscape: audioTrack?.id === "recording" ? { ...story?.soundscape, bake: false } : story?.soundscape,
+    mood: story?.mood,
+    wordStarts,
+    isPlaying: playerState.isPlaying,
+  });
+
   // Setup audio
   useEffect(() => {
-    console.log("Audio URL:", story?.audioUrl);
+    console.log("Audio URL:", audioTrack?.audioUrl);
 
-    if (!story?.audioUrl) {
+    if (!audioTrack?.audioUrl) {
       console.log("No audio URL provided");
       return;
     }
@@ -50,7 +76,7 @@ export default function StoryPlayer({ storyId }) {
     }
 
     // Create new audio instance
-    audioRef.current = new Audio(story.audioUrl);
+    audioRef.current = new Audio(audioTrack.audioUrl);
 
     // Event listeners
     const handleLoadedMetadata = () => {
@@ -134,7 +160,7 @@ export default function StoryPlayer({ storyId }) {
         clearInterval(progressIntervalRef.current);
       }
     };
-  }, [story?.audioUrl]);
+  }, [audioTrack?.audioUrl]);
 
   useEffect(() => {
     console.log("story loaded:", story);
@@ -213,6 +239,14 @@ export default function StoryPlayer({ storyId }) {
     }
   };
 
+  const handleTrackChange = (id) => {
+    if (progressIntervalRef.current) {
+      clearInterval(progressIntervalRef.current);
+    }
+    setPlayerState({ isPlaying: false, currentTime: 0, duration: 0 });
+    setTrackId(id);
+  };
+
   const handleToggleFavorite = async () => {
     try {
       await toggleStoryFavorite(storyId, !isFavorite);
@@ -225,6 +259,9 @@ export default function StoryPlayer({ storyId }) {
   if (loading) return <LoadingSpinner fullScreen message="Loading story..." />;
   if (error) return <ErrorMessage message={error} />;
 
+  const paragraphs = story.content.split('\n\n');
+  const paragraphWordOffsets = getPageWordOffsets(paragraphs);
+
   return (
     <div className="max-w-3xl mx-auto p-6">
       {/* Back button */}
@@ -252,8 +289,23 @@ export default function StoryPlayer({ storyId }) {
         {isFavorite ? "★ Remove from Favorites" : "☆ Add to Favorites"}
       </button>
 
-      {story.audioUrl ? (
+      {audioTrack ? (
         <div className="mb-6">
+          {audioTracks.length > 1 && (
+            <div className="flex space-x-2 mb-3">
+              {audioTracks.map((track) => (
+                <button
+                  key={track.id}
+                  onClick={() => handleTrackChange(track.id)}
+                  className={`px-3 py-1 rounded-full text-sm ${
+                    track.id === audioTrack.id ? "bg-indigo-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                  }`}
+                >
+                  {track.label}
+                </button>
+              ))}
+            </div>
+          )}
           {audioError ? (
             <div className="bg-red-50 border border-red-200 text-red-700 p-3 rounded-md mb-4">
               {audioError}
@@ -285,8 +337,14 @@ export default function StoryPlayer({ storyId }) {
       )}
 
       <article className="prose prose-lg max-w-none">
-        {story.content.split('\n\n').map((p, idx) => (
-          <p key={idx}>{p}</p>
+        {paragraphs.map((p, idx) => (
+          <p key={idx}>
+            <ReadAlongText
+              text={p}
+              firstWord={paragraphWordOffsets[idx]}
+              currentWord={currentWord}
+            />
+          </p>
         ))}
       </article>
     </div>
@@ -0,0 +1,81 @@
+'use client';
+
+import { STORY_LANGUAGES, VOICE_OPTIONS } from '@/utils/constants';
+import { getVoicesForLanguage } from '@/utils/helpers';
+import useVoiceCatalog from '@/hooks/useVoiceCatalog';
+
+/**
+ * Story language and narrator voice picker. Only voices that speak the
+ * story's language are offered; changing the language switches to a voice
+ * of that language, of the same gender where there is one.
+ *
+ * @param {Object} props
+ * @param {string} props.language - Story language code
+ * @param {string} props.voice - Narrator voice ID
+ * @param {Function} props.onChange - Called with `{ language, voice }`
+ * @param {string} [props.hint] - Help text under the voice picker
+ * @returns {JSX.Element} Language and voice pickers
+ */
+export default function StoryVoicePicker({ language, voice, onChange, hint }) {
+  const { voices, loading, source } = useVoiceCatalog(language);
+  // Provider labels do not name the region, so it is added when there are several
+  const showRegion = source === 'provider' && new Set(voices.map(option => option.languageCode)).size > 1;
+  const currentVoice = voices.find(option => option.id === voice)
+    || VOICE_OPTIONS.find(option => option.id === voice);
+
+  const handleLanguageChange = (e) => {
+    const nextLanguage = e.target.value;
+    const candidates = getVoicesForLanguage(VOICE_OPTIONS, nextLanguage);
+    const nextVoice = candidates.find(option => option.gender === currentVoice?.gender) || candidates[0];
+
+    onChange({ language: nextLanguage, voice: nextVoice?.id || voice });
+  };
+
+  return (
+    <div className="mb-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+      <div>
+        <label htmlFor="storyLanguage" className="block text-sm font-medium text-gray-700 mb-1">
+          Story Language
+        </label>
+        <select
+          id="storyLanguage"
+          value={language}
+          onChange={handleLanguageChange}
+          className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {STORY_LANGUAGES.map(option => (
+            <option key={option.code} value={option.code}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="sm:col-span-2">
+        <label htmlFor="voice" className="block text-sm font-medium text-gray-700 mb-1">
+          Text-to-Speech Voice
+        </label>
+        <select
+          id="voice"
+          value={voice}
+          onChange={(e) => onChange({ language, voice: e.target.value })}
+          className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {!voices.some(option => option.id === voice) && (
+            <option value={voice}>{currentVoice?.label || voice}</option>
+          )}
+          {voices.map(option => (
+            <option key={option.id} value={option.id}>
+              {option.label}{showRegion ? ` · ${option.languageCode}` : ''}
+            </option>
+          ))}
+        </select>
+        {(hint || loading) && (
+          <p className="mt-1 text-xs text-gray-500">
+            {loading ? 'Loading voices…' : hint}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
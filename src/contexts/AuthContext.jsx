@@ -1,17 +1,55 @@
 'use client';
 
 import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
-import { onAuthStateChanged } from 'firebase/auth';
+import { onAuthStateChanged, onIdTokenChanged } from 'firebase/auth';
 import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
 import { useRouter } from 'next/navigation';
 import { auth, db } from '@/firebase/firebaseConfig';
-import { loginUser, logoutUser, registerUser } from '@/firebase/auth';
+import { loginChild as loginChildUser, loginUser, logoutUser, registerUser } from '@/firebase/auth';
 import LoadingSpinner from '@/components/common/LoadingSpinner';
 
 const AuthContext = createContext();
 const IDLE_TIME = 30 * 60 * 1000;
 const WARNING_TIME = 5 * 60 * 1000;
 
+/**
+ * Log in, refresh or log out the server session (/api/session). The session
+ * cookie is httpOnly, so it is only ever set by the server.
+ *
+ * @param {string} method - 'POST' to log in, 'PUT' to refresh, 'DELETE' to log out
+ * @param {Object} [firebaseUser] - Signed-in Firebase user whose ID token proves who they are
+ * @returns {Promise<Object>} Response body
+ */
+const requestSession = async (method, firebaseUser) => {
+    const options = { method };
+    if (firebaseUser) {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify({ idToken: await firebaseUser.getIdToken() });
+    }
+
+    const response = await fetch('/api/session', options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Session request failed: ${response.status}`);
+    }
+    return data;
+};
+
+/**
+ * Role and family of a Firebase user from their ID token's custom claims, the
+ * same way the server reads them (`verifyUser()` in lib/auth.js)
+ *
+ * @param {Object} firebaseUser - Signed-in Firebase user
+ * @returns {Promise<Object>} `{ role, familyId }`
+ */
+const readClaims = async (firebaseUser) => {
+    const { claims } = await firebaseUser.getIdTokenResult();
+    return {
+        role: claims.role === 'child' ? 'child' : 'parent',
+        familyId: typeof claims.familyId === 'string' && claims.familyId ? claims.familyId : firebaseUser.uid
+    };
+};
+
 export const useAuth = () => {
     const context = useContext(AuthContext);
     if (!context) throw new Error('useAuth must be used within an AuthProvider');
@@ -37,8 +75,8 @@ export const AuthProvider = ({ children }) => {
         setShowIdleWarning(false);
         clearIdleTimers();
         try {
+            await requestSession('DELETE').catch(error => console.error('Session logout error:', error));
             await logoutUser();
-            document.cookie = 'user=;Max-Age=0; path=/';
             setUser(null);
             router.push('/login?reason=idle');
         } catch (error) {
@@ -79,7 +117,8 @@ export const AuthProvider = ({ children }) => {
                         uid: auth.currentUser.uid,
                         email: auth.currentUser.email,
                         displayName: auth.currentUser.displayName,
-                        ...userData
+                        ...userData,
+                        ...await readClaims(auth.currentUser)
                     });
                 }
             } catch (error) {
@@ -89,13 +128,12 @@ export const AuthProvider = ({ children }) => {
     };
 
     // ✅ REGISTER FIXED
-    const register = async (email, password, displayName, role, familyId) => {
+    const register = async (email, password, displayName) => {
         try {
-            const newUser = await registerUser(email, password, displayName, role, familyId);
+            await registerUser(email, password, displayName);
             const loggedInUser = await loginUser(email, password);
-            document.cookie = `user=${JSON.stringify({ role, email })}; path=/`;
-            if (role === 'parent') router.push('/dashboard');
-            else router.push('/');
+            await requestSession('POST', auth.currentUser);
+            router.push('/dashboard');
             return loggedInUser;
         } catch (error) {
             console.error('Register error:', error);
@@ -106,7 +144,13 @@ export const AuthProvider = ({ children }) => {
     const login = async (email, password) => {
         try {
             const user = await loginUser(email, password);
-            document.cookie = `user=${JSON.stringify({ role: user.role, email: user.email })}; path=/`;
+            try {
+                await requestSession('POST', auth.currentUser);
+            } catch (sessionError) {
+                // Without a session the app cannot be used, so do not stay signed in to Firebase either
+                await logoutUser();
+                throw sessionError;
+            }
             return user;
         } catch (error) {
             console.error('Login error:', error);
@@ -114,13 +158,30 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
-    const logout = async () => {
+    // Children sign in without email: family code, avatar, then PIN or picture password
+    const loginChild = async (familyCode, childId, secret) => {
+        try {
+            const user = await loginChildUser(familyCode, childId, secret);
+            try {
+                await requestSession('POST', auth.currentUser);
+            } catch (sessionError) {
+                await logoutUser();
+                throw sessionError;
+            }
+            return user;
+        } catch (error) {
+            console.error('Child login error:', error);
+            throw error;
+        }
+    };
+
+    const logout = async (redirectTo = '/login') => {
         try {
             clearIdleTimers();
             setShowIdleWarning(false);
+            await requestSession('DELETE').catch(error => console.error('Session logout error:', error));
             await logoutUser();
-            document.cookie = 'user=;Max-Age=0; path=/';
-            router.push('/login');
+            router.push(redirectTo);
         } catch (error) {
             console.error('Logout error:', error);
             throw error;
@@ -143,20 +204,21 @@ export const AuthProvider = ({ children }) => {
         const unsubscribe = onAuthStateChanged(auth, async (authUser) => {
             if (authUser) {
                 const userDoc = await getDoc(doc(db, 'users', authUser.uid));
+                const claims = await readClaims(authUser);
                 if (userDoc.exists()) {
                     const data = userDoc.data();
                     setUser({
                         uid: authUser.uid,
                         email: authUser.email,
                         displayName: authUser.displayName,
-                        ...data
+                        ...data,
+                        ...claims
                     });
                 } else {
                     const defaultData = {
                         email: authUser.email,
                         displayName: authUser.displayName || '',
-                        role: 'parent',
-                        familyId: authUser.uid,
+                        ...claims,
                         createdAt: serverTimestamp(),
                         updatedAt: serverTimestamp()
                     };
@@ -173,6 +235,17 @@ export const AuthProvider = ({ children }) => {
         return () => unsubscribe();
     }, [clearIdleTimers]);
 
+    // Keep the session cookie alive and its role up to date: Firebase refreshes the ID token every hour
+    useEffect(() => {
+        const unsubscribe = onIdTokenChanged(auth, (authUser) => {
+            if (!authUser) return;
+            requestSession('PUT', authUser).catch(() => {
+                // No session to refresh: login() starts it, and the middleware sends expired sessions to the login page
+            });
+        });
+        return () => unsubscribe();
+    }, []);
+
     useEffect(() => {
         if (typeof window !== 'undefined' && user?.role === 'child') {
             if (window.location.pathname === '/dashboard') {
@@ -186,6 +259,7 @@ export const AuthProvider = ({ children }) => {
         loading,
         register,
         login,
+        loginChild,
         logout,
         refreshUser,
         showIdleWarning,
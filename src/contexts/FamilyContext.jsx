@@ -5,6 +5,8 @@ import { useAuth } from '@/contexts/AuthContext';
 import { 
   getUserProfile,
   getChildAccounts, 
+  getFamilySettings,
+  updateFamilySettings,
   createChildAccount, 
   updateChildAccount, 
   deleteChildAccount 
@@ -18,6 +20,7 @@ export function FamilyProvider({ children }) {
   const { user } = useAuth();
   const [familyChildren, setFamilyChildren] = useState([]);
   const [activeChild, setActiveChild] = useState(null);
+  const [familyNarration, setFamilyNarration] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -27,6 +30,7 @@ export function FamilyProvider({ children }) {
       if (!user || user.role !== 'parent') {
         setFamilyChildren([]);
         setActiveChild(null);
+        setFamilyNarration(null);
         setLoading(false);
         return;
       }
@@ -43,9 +47,15 @@ export function FamilyProvider({ children }) {
         }
 
         // Get all children accounts associated with this family
-        const childAccounts = await getChildAccounts(userProfile.familyId);
+        const [childAccounts, familySettings] = await Promise.all([
+          getChildAccounts(userProfile.familyId),
+          getFamilySettings(userProfile.familyId)
+        ]);
         setFamilyChildren(childAccounts);
         
+        // Profiles saved before narration moved to the family live on the parent
+        setFamilyNarration(familySettings.narration || userProfile.narration || {});
+        
         // Set active child from localStorage if available
         const savedActiveChildId = localStorage.getItem('activeChildId');
         if (savedActiveChildId && childAccounts.length > 0) {
@@ -181,6 +191,18 @@ export function FamilyProvider({ children }) {
     }
   };
 
+  // Save the narration profile new stories of the family start from
+  const updateFamilyNarration = async (narration) => {
+    if (!user || user.role !== 'parent') {
+      setError('Only parents can change the narration profile');
+      return false;
+    }
+
+    await updateFamilySettings(user.familyId, { narration });
+    setFamilyNarration(narration);
+    return true;
+  };
+
   // Set a specific child as active
   const switchActiveChild = (childId) => {
     const child = familyChildren.find(c => c.id === childId);
@@ -195,11 +217,13 @@ export function FamilyProvider({ children }) {
   const contextValue = {
     children: familyChildren,
     activeChild,
+    familyNarration,
     loading,
     error,
     addChild,
     updateChild,
     removeChild,
+    updateFamilyNarration,
     switchActiveChild
   };
 
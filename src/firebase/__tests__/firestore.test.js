@@ -0,0 +1,120 @@
+import { __getDoc, __setDoc } from 'firebase/firestore';
+import { fetchWithAuth } from '@/firebase/auth';
+import {
+  createStoryForChild,
+  getParentStoriesForChild,
+  getStoriesByChildId,
+  getStoriesForReview,
+  reviewStory,
+  setStoryPublishStatus
+} from '@/firebase/firestore';
+import { STORY_REVIEW_STATUS } from '@/utils/constants';
+
+jest.mock('firebase/firestore');
+jest.mock('@/firebase/firebaseConfig', () => ({ db: {} }));
+jest.mock('@/firebase/auth', () => ({ fetchWithAuth: jest.fn() }));
+
+const FAMILY = { userId: 'parent-1', familyId: 'parent-1' };
+
+const story = (id, fields) => __setDoc(`stories/${id}`, { ...FAMILY, title: id, content: 'Once upon a time.', ...fields });
+
+describe('story review workflow', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends a published story to the review queue and approves it for some children', async () => {
+    story('owl', { isPublished: false, reviewStatus: STORY_REVIEW_STATUS.DRAFT, approvedChildIds: [] });
+
+    await setStoryPublishStatus('owl', true);
+    expect(__getDoc('stories/owl')).toMatchObject({ isPublished: true, reviewStatus: STORY_REVIEW_STATUS.PENDING });
+    expect((await getStoriesForReview('parent-1')).map(({ id }) => id)).toContain('owl');
+
+    await reviewStory('owl', { approved: true, childIds: ['child-1'], reviewerId: 'parent-1' });
+    expect(__getDoc('stories/owl')).toMatchObject({ reviewStatus: STORY_REVIEW_STATUS.APPROVED, approvedChildIds: ['child-1'] });
+    expect((await getStoriesForReview('parent-1')).map(({ id }) => id)).not.toContain('owl');
+  });
+
+  it('sends a rejected story back to the drafts with the note', async () => {
+    story('wolf', { isPublished: true, reviewStatus: STORY_REVIEW_STATUS.PENDING, approvedChildIds: [] });
+
+    await reviewStory('wolf', { approved: false, note: ' Too scary ', reviewerId: 'parent-1' });
+
+    expect(__getDoc('stories/wolf')).toMatchObject({
+      isPublished: false,
+      reviewStatus: STORY_REVIEW_STATUS.REJECTED,
+      approvedChildIds: [],
+      reviewNote: 'Too scary'
+    });
+  });
+
+  it('needs a child to approve a story for', async () => {
+    await expect(reviewStory('owl', { approved: true, childIds: [], reviewerId: 'parent-1' })).rejects.toThrow(/at least one child/);
+  });
+
+  it('takes an unpublished story away from every child', async () => {
+    story('moon', { isPublished: true, reviewStatus: STORY_REVIEW_STATUS.APPROVED, approvedChildIds: ['child-1'] });
+
+    await setStoryPublishStatus('moon', false);
+
+    expect(__getDoc('stories/moon')).toMatchObject({ reviewStatus: STORY_REVIEW_STATUS.DRAFT, approvedChildIds: [] });
+  });
+});
+
+describe('stories of a child', () => {
+  beforeAll(() => {
+    story('approved', { childId: 'child-2', isPublished: true, reviewStatus: STORY_REVIEW_STATUS.APPROVED, approvedChildIds: ['child-2'] });
+    story('pending', { childId: 'child-2', isPublished: true, reviewStatus: STORY_REVIEW_STATUS.PENDING, approvedChildIds: [] });
+    story('draft', { childId: 'child-2', isPublished: false, reviewStatus: STORY_REVIEW_STATUS.DRAFT, approvedChildIds: [] });
+    story('rejected', { childId: 'child-2', isPublished: false, reviewStatus: STORY_REVIEW_STATUS.REJECTED, approvedChildIds: [] });
+    story('other-parent', { userId: 'parent-2', familyId: 'parent-2', childId: 'child-2', isPublished: false });
+  });
+
+  it('only lists the approved stories in the child\'s library', async () => {
+    const stories = await getStoriesByChildId('child-2');
+
+    expect(stories.map(({ id }) => id)).toEqual(['approved']);
+  });
+
+  it('lists all of the parent\'s stories for the child, whatever their review status', async () => {
+    const stories = await getParentStoriesForChild('child-2', 'parent-1');
+
+    expect(stories.map(({ id }) => id).sort()).toEqual(['approved', 'draft', 'pending', 'rejected']);
+  });
+});
+
+describe('saving stories', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves through the server, which runs the content safety check', async () => {
+    fetchWithAuth.mockResolvedValueOnce(Response.json({ story: { id: 'saved', title: 'Owl' } }));
+
+    const saved = await createStoryForChild({ title: 'Owl', content: 'Once upon a time.' }, 'child-1');
+
+    expect(saved).toEqual({ id: 'saved', title: 'Owl' });
+    expect(fetchWithAuth).toHaveBeenCalledWith('/api/stories', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(fetchWithAuth.mock.calls[0][1].body)).toEqual({ story: { title: 'Owl', content: 'Once upon a time.' }, childId: 'child-1' });
+  });
+
+  it('reports a blocked story with its code and verdict', async () => {
+    fetchWithAuth.mockResolvedValueOnce(Response.json(
+      { error: 'Not suitable', code: 'content/blocked', moderation: { status: 'blocked' } },
+      { status: 422 }
+    ));
+
+    await expect(createStoryForChild({ title: 'Owl', content: 'Rude words.' })).rejects.toMatchObject({
+      code: 'content/blocked',
+      moderation: { status: 'blocked' }
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { 
     createUserWithEmailAndPassword, 
     signInWithEmailAndPassword, 
+    signInWithCustomToken,
     signOut, 
     sendPasswordResetEmail,
     updateProfile,
@@ -14,16 +15,17 @@ import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
 import { auth, db } from './firebaseConfig';
 
 /**
- * Register a new user
+ * Register a new parent, in a family of their own. Children do not register:
+ * a parent adds them and they sign in with the family code and their PIN or
+ * picture password. The server takes roles and families from the ID token's
+ * claims, never from the profile written here.
  * 
  * @param {string} email - User email
  * @param {string} password - User password
  * @param {string} displayName - User display name
- * @param {string} role - User role ('parent' or 'child')
- * @param {string} [familyId] - Family ID for child role (optional for parent)
  * @returns {Promise<Object>} User object
  */
-export const registerUser = async (email, password, displayName, role, familyId) => {
+export const registerUser = async (email, password, displayName) => {
     try {
         //Verify if e-mail is registered already
         const methods = await fetchSignInMethodsForEmail(auth, email);
@@ -38,11 +40,6 @@ export const registerUser = async (email, password, displayName, role, familyId)
         // Update the user profile with display name
         await updateProfile(user, { displayName });
         
-        // Generate a family ID for parents if not provided
-        if (role === 'parent' && !familyId) {
-            familyId = user.uid; // Use the user ID as the family ID for simplicity
-        }
-
         //Verify if document already exist on Firebase
         const userRef = doc(db, 'users', user.uid);
         const docSnap = await getDoc(userRef);
@@ -52,8 +49,8 @@ export const registerUser = async (email, password, displayName, role, familyId)
             await setDoc(doc(db, 'users', user.uid), {
                 email,
                 displayName,
-                role,
-                familyId,
+                role: 'parent',
+                familyId: user.uid,
                 createdAt: serverTimestamp(),
                 updatedAt: serverTimestamp()
             });
@@ -189,4 +186,103 @@ export const updateUserPassword = async (currentPassword, newPassword) => {
         console.error('Error updating password:', error);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Call one of the app's API routes as the signed-in user, with their Firebase
+ * ID token in the Authorization header
+ * 
+ * @param {string} url - API route URL
+ * @param {Object} [options] - `fetch()` options
+ * @returns {Promise<Response>} Response of the route
+ */
+export const fetchWithAuth = async (url, options = {}) => {
+    // The signed-in user is restored asynchronously after a page load
+    await auth.authStateReady();
+
+    const user = auth.currentUser;
+    if (!user) throw new Error('No user is logged in');
+
+    const idToken = await user.getIdToken();
+
+    return fetch(url, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${idToken}` }
+    });
+};
+
+/**
+ * Read the JSON body of an API response, throwing the route's error message
+ * when the request failed
+ * 
+ * @param {Response} response - API response
+ * @returns {Promise<Object>} Response body
+ */
+const readApiResponse = async (response) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `Request failed: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+};
+
+/**
+ * Get the family code children sign in with, created on first use
+ * 
+ * @param {boolean} [regenerate=false] - Replace the current code, so the old one stops working
+ * @returns {Promise<string>} Family code, e.g. "ABCD-2345"
+ */
+export const getFamilyCode = async (regenerate = false) => {
+    const response = await fetchWithAuth('/api/family-code', { method: regenerate ? 'POST' : 'GET' });
+    return (await readApiResponse(response)).familyCode;
+};
+
+/**
+ * Set the PIN or picture password a child signs in with
+ * 
+ * @param {string} childId - Child account ID
+ * @param {string} method - 'pin' or 'picture'
+ * @param {string|Array<string>} secret - PIN digits, or picture IDs in order
+ * @returns {Promise<void>}
+ */
+export const setChildSignIn = async (childId, method, secret) => {
+    const response = await fetchWithAuth('/api/child-credentials', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ childId, method, secret })
+    });
+    await readApiResponse(response);
+};
+
+/**
+ * Get the children of a family who can sign in, from the family code
+ * 
+ * @param {string} familyCode - Family code as typed
+ * @returns {Promise<Array<Object>>} `{ id, name, avatar, loginMethod }` of every child
+ */
+export const getChildrenForFamilyCode = async (familyCode) => {
+    const response = await fetch(`/api/child-login?familyCode=${encodeURIComponent(familyCode)}`);
+    return (await readApiResponse(response)).children;
+};
+
+/**
+ * Sign a child in to Firebase with their PIN or picture password
+ * 
+ * @param {string} familyCode - Family code as typed
+ * @param {string} childId - Child account ID
+ * @param {string|Array<string>} secret - PIN digits, or picture IDs in order
+ * @returns {Promise<Object>} Signed-in Firebase user
+ */
+export const loginChild = async (familyCode, childId, secret) => {
+    const response = await fetch('/api/child-login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ familyCode, childId, secret })
+    });
+    const { token } = await readApiResponse(response);
+
+    const userCredential = await signInWithCustomToken(auth, token);
+    return userCredential.user;
+};
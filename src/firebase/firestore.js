@@ -11,10 +11,45 @@ import {
     setDoc, 
     orderBy, 
     limit,
-    serverTimestamp
+    serverTimestamp,
+    arrayUnion
       
 } from 'firebase/firestore';
 import { db } from './firebaseConfig';
+import { fetchWithAuth } from './auth';
+import { STORY_REVIEW_STATUS } from '@/utils/constants';
+import { getStoryReviewFields } from '@/utils/helpers';
+
+/**
+ * Create or update a story through /api/stories, which runs the content
+ * safety check on its text before writing it. Throws when the story is
+ * blocked (error.code === 'content/blocked') or cannot be saved, so nothing
+ * unchecked reaches a child.
+ *
+ * @param {string} path - `/api/stories` to create, `/api/stories/<id>` to update
+ * @param {string} method - 'POST' to create, 'PATCH' to update
+ * @param {Object} body - `{ story, childId }`
+ * @returns {Promise<Object>} Story fields written by the server, with the story ID
+ */
+const writeStory = async (path, method, body) => {
+    const response = await fetchWithAuth(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Could not save the story');
+        if (data.code) {
+            error.code = data.code;
+            error.moderation = data.moderation;
+        }
+        throw error;
+    }
+
+    return data.story;
+};
 
 /**
  * Get all stories for a specific user
@@ -43,7 +78,8 @@ export const getStoriesByUserId = async (userId) => {
 };
 
 /**
- * Get all stories for a specific family (for child view)
+ * Get all published stories of a family, whatever their review status.
+ * Children only see the stories approved for them (`getStoriesByChildId()`).
  * 
  * @param {string} familyId - Family ID to fetch stories for
  * @returns {Promise<Array>} Array of story objects
@@ -94,26 +130,14 @@ export const getStoryById = async (storyId) => {
 };
 
 /**
- * Create a new story
+ * Create a new story, through the server's content safety check
  * 
  * @param {Object} storyData - Story data to save
  * @returns {Promise<Object>} Created story object with ID
  */
 export const createStory = async (storyData) => {
     try {
-        // Add server timestamp for created and updated dates
-        const storyWithTimestamps = {
-            ...storyData,
-            createdAt: serverTimestamp(),
-            updatedAt: serverTimestamp()
-        };
-        
-        const docRef = await addDoc(collection(db, 'stories'), storyWithTimestamps);
-        
-        return {
-            id: docRef.id,
-            ...storyWithTimestamps
-        };
+        return await writeStory('/api/stories', 'POST', { story: storyData });
     } catch (error) {
         console.error('Error creating story:', error);
         throw error;
@@ -121,7 +145,7 @@ export const createStory = async (storyData) => {
 };
 
 /**
- * Update an existing story
+ * Update an existing story, through the server's content safety check
  * 
  * @param {string} storyId - ID of story to update
  * @param {Object} storyData - Updated story data
@@ -129,13 +153,7 @@ export const createStory = async (storyData) => {
  */
 export const updateStory = async (storyId, storyData) => {
     try {
-        // Add server timestamp for updated date
-        const updateData = {
-            ...storyData,
-            updatedAt: serverTimestamp()
-        };
-        
-        await updateDoc(doc(db, 'stories', storyId), updateData);
+        await writeStory(`/api/stories/${storyId}`, 'PATCH', { story: storyData });
     } catch (error) {
         console.error('Error updating story:', error);
         throw error;
@@ -388,7 +406,8 @@ export const getRecentStories = async (userId, limitCount = 5) => {
 };
 
 /**
- * Publish or unpublish a story
+ * Publish or unpublish a story. Publishing sends it to the review queue,
+ * unpublishing takes it away from every child.
  * 
  * @param {string} storyId - ID of story to update
  * @param {boolean} isPublished - New published status
@@ -396,8 +415,11 @@ export const getRecentStories = async (userId, limitCount = 5) => {
  */
 export const setStoryPublishStatus = async (storyId, isPublished) => {
     try {
+        const current = isPublished ? await getStoryById(storyId) : null;
+
         await updateDoc(doc(db, 'stories', storyId), { 
             isPublished, 
+            ...getStoryReviewFields(isPublished, current?.reviewStatus, false, serverTimestamp()),
             updatedAt: serverTimestamp() 
         });
     } catch (error) {
@@ -406,6 +428,68 @@ export const setStoryPublishStatus = async (storyId, isPublished) => {
     }
 };
 
+/**
+ * Get the stories of a family waiting for a parent's review, oldest first.
+ * Published stories from before the review queue have no review status and
+ * are waiting too.
+ * 
+ * @param {string} familyId - Family ID
+ * @returns {Promise<Array>} Array of story objects
+ */
+export const getStoriesForReview = async (familyId) => {
+    try {
+        const q = query(
+            collection(db, 'stories'),
+            where('familyId', '==', familyId),
+            where('isPublished', '==', true)
+        );
+        
+        const querySnapshot = await getDocs(q);
+        const submittedAt = story => story.submittedForReviewAt?.toDate?.() || story.createdAt?.toDate?.() || new Date(0);
+
+        return querySnapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(story => !story.reviewStatus || story.reviewStatus === STORY_REVIEW_STATUS.PENDING)
+            .sort((a, b) => submittedAt(a) - submittedAt(b));
+    } catch (error) {
+        console.error('Error getting stories for review:', error);
+        throw error;
+    }
+};
+
+/**
+ * Approve a story for some of the family's children, or reject it. Rejected
+ * stories go back to the drafts with the parent's note.
+ * 
+ * @param {string} storyId - ID of story to review
+ * @param {Object} review
+ * @param {boolean} review.approved - Approve or reject the story
+ * @param {Array<string>} [review.childIds] - Children who may see the story, when approving
+ * @param {string} [review.note] - Note for whoever wrote the story
+ * @param {string} review.reviewerId - Parent who reviewed it
+ * @returns {Promise<void>}
+ */
+export const reviewStory = async (storyId, { approved, childIds = [], note = '', reviewerId }) => {
+    if (approved && childIds.length === 0) {
+        throw new Error('Choose at least one child to approve the story for');
+    }
+
+    try {
+        await updateDoc(doc(db, 'stories', storyId), {
+            reviewStatus: approved ? STORY_REVIEW_STATUS.APPROVED : STORY_REVIEW_STATUS.REJECTED,
+            approvedChildIds: approved ? childIds : [],
+            ...(!approved && { isPublished: false }),
+            reviewNote: note.trim(),
+            reviewedBy: reviewerId,
+            reviewedAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error reviewing story:', error);
+        throw error;
+    }
+};
+
 /**
  * Get audio document for a specific story
  * @param {string} storyId - The story ID to find the audio for
@@ -434,8 +518,16 @@ export const getStoryWithAudioById = async (storyId) => {
     const q = query(collection(db, "audios"), where("storyId", "==", storyId));
     const audioSnapshot = await getDocs(q);
 
-    if (!audioSnapshot.empty) {
-      const audioData = audioSnapshot.docs[0].data();
+    // Only audio uploaded by the story's owner or their family; parent
+    // recordings are kept in the story's recordedAudio, so only narration counts here
+    const audioDoc = audioSnapshot.docs.find(snapshot => {
+      const audio = snapshot.data();
+      const isOwner = audio.userId === storyData.userId || (audio.familyId && audio.familyId === storyData.familyId);
+      return isOwner && audio.track !== 'recording';
+    });
+
+    if (audioDoc) {
+      const audioData = audioDoc.data();
       console.log("Áudio encontrado na coleção:", audioData);
       
       storyData.audioUrl = audioData.audioUrl;
@@ -499,6 +591,41 @@ export async function getChildAccounts(familyId) {
   }
 }
 
+/**
+ * Get the settings shared by a family (e.g. its narration profile)
+ *
+ * @param {string} familyId - The family ID
+ * @returns {Promise<Object>} - Family settings, empty when none are saved yet
+ */
+export async function getFamilySettings(familyId) {
+  try {
+    const familyDoc = await getDoc(doc(db, 'families', familyId));
+    return familyDoc.exists() ? familyDoc.data() : {};
+  } catch (error) {
+    console.error('Error getting family settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save settings shared by a family, keeping the ones not in the update
+ *
+ * @param {string} familyId - The family ID
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<void>}
+ */
+export async function updateFamilySettings(familyId, settings) {
+  try {
+    await setDoc(doc(db, 'families', familyId), {
+      ...settings,
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error updating family settings:', error);
+    throw error;
+  }
+}
+
 /**
  * Create a new child account
  * 
@@ -571,7 +698,8 @@ export async function deleteChildAccount(childId) {
 }
 
 /**
- * Creates a story and associates it with a specific child if provided
+ * Creates a story and associates it with a specific child if provided,
+ * through the server's content safety check
  * 
  * @param {Object} storyData - Story data
  * @param {string} childId - Optional child ID to associate with the story
@@ -579,25 +707,7 @@ export async function deleteChildAccount(childId) {
  */
 export async function createStoryForChild(storyData, childId = null) {
   try {
-    // Generate a unique ID for the story
-    const storyRef = doc(collection(db, 'stories'));
-    
-    // Add childId to the story data if provided
-    const finalStoryData = {
-      ...storyData,
-      ...(childId && { childId }),
-      id: storyRef.id,
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    };
-    
-    // Save to Firestore
-    await setDoc(storyRef, finalStoryData);
-    
-    return {
-      id: storyRef.id,
-      ...finalStoryData
-    };
+    return await writeStory('/api/stories', 'POST', { story: storyData, childId });
   } catch (error) {
     console.error('Error creating story:', error);
     throw error;
@@ -605,124 +715,339 @@ export async function createStoryForChild(storyData, childId = null) {
 }
 
 /**
- * Get stories by child ID - VERSÃO SIMPLIFICADA (sem índices compostos)
+ * Get the stories a parent has approved for a child, newest first. This is
+ * the child's library; parents see all of a child's stories with
+ * `getParentStoriesForChild()`.
  * 
  * @param {string} childId - Child account ID
  * @returns {Promise<Array>} - Array of stories
  */
 export async function getStoriesByChildId(childId) {
   try {
-    console.log('🔍 getStoriesByChildId called with:', childId);
-    
-    // Buscar perfil da criança para obter familyId
-    const childProfile = await getUserProfile(childId);
-    console.log('👶 Child profile:', childProfile);
+    // A single array-contains filter needs no composite index; the rest is checked here
+    const snapshot = await getDocs(query(
+      collection(db, 'stories'),
+      where('approvedChildIds', 'array-contains', childId)
+    ));
     
-    if (!childProfile) {
-      console.warn('❌ Child profile not found for ID:', childId);
-      return [];
-    }
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(story => story.isPublished === true && story.reviewStatus === STORY_REVIEW_STATUS.APPROVED)
+      .sort((a, b) => {
+        const dateA = a.createdAt?.toDate?.() || new Date(a.createdAt) || new Date(0);
+        const dateB = b.createdAt?.toDate?.() || new Date(b.createdAt) || new Date(0);
+        return dateB - dateA; // Newest first
+      });
+  } catch (error) {
+    console.error('Error getting child stories:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every story a parent has written for a child, newest first, whatever
+ * its review status: drafts, stories pending review, approved and rejected
+ * ones. Child sessions use `getStoriesByChildId()` instead.
+ * 
+ * @param {string} childId - Child account ID
+ * @param {string} userId - ID of the parent who wrote the stories
+ * @returns {Promise<Array>} - Array of stories
+ */
+export async function getParentStoriesForChild(childId, userId) {
+  try {
+    // Equality filters only, so no composite index is needed; sorted here
+    const snapshot = await getDocs(query(
+      collection(db, 'stories'),
+      where('childId', '==', childId),
+      where('userId', '==', userId)
+    ));
     
-    const familyId = childProfile.familyId;
-    console.log('👨‍👩‍👧‍👦 Family ID:', familyId);
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => {
+        const dateA = a.createdAt?.toDate?.() || new Date(a.createdAt) || new Date(0);
+        const dateB = b.createdAt?.toDate?.() || new Date(b.createdAt) || new Date(0);
+        return dateB - dateA; // Newest first
+      });
+  } catch (error) {
+    console.error('Error getting child stories:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a series by ID
+ * 
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Object|null>} Series object or null if not found
+ */
+export async function getSeriesById(seriesId) {
+  try {
+    const seriesDoc = await getDoc(doc(db, 'series', seriesId));
     
-    const storiesRef = collection(db, 'stories');
+    return seriesDoc.exists() ? { id: seriesDoc.id, ...seriesDoc.data() } : null;
+  } catch (error) {
+    console.error('Error getting series:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the series to continue from a story, with its chapters in order.
+ * A story that is not part of a series yet becomes the first chapter of a
+ * new, unsaved series (`id: null`) that `addStoryToSeries()` creates.
+ * 
+ * @param {string} storyId - ID of any chapter of the series
+ * @returns {Promise<Object|null>} Series with `chapters` (stories, oldest first), or null if the story does not exist
+ */
+export async function getSeriesForStory(storyId) {
+  try {
+    const story = await getStoryById(storyId);
+    if (!story) return null;
     
-    // 🔍 QUERY 1: Histórias por childId (sem orderBy para evitar índice)
-    const directQuery = query(
-      storiesRef,
-      where('childId', '==', childId),
-      where('isPublished', '==', true)
-    );
+    const series = story.seriesId ? await getSeriesById(story.seriesId) : null;
     
-    // 🔍 QUERY 2: Histórias da família (sem orderBy para evitar índice)
-    const familyQuery = query(
-      storiesRef,
-      where('familyId', '==', familyId),
-      where('isPublished', '==', true)
-    );
-    
-    console.log('🔍 Executing simplified queries...');
+    if (!series) {
+      return {
+        id: null,
+        title: story.title,
+        userId: story.userId,
+        familyId: story.familyId || null,
+        childId: story.childId || null,
+        storyIds: [story.id],
+        chapters: [story]
+      };
+    }
     
-    const [directSnapshot, familySnapshot] = await Promise.all([
-      getDocs(directQuery),
-      getDocs(familyQuery)
-    ]);
+    // Deleted chapters are skipped
+    const chapters = await Promise.all(series.storyIds.map(id => getStoryById(id)));
     
-    console.log('📊 Direct stories found:', directSnapshot.size);
-    console.log('📊 Family stories found:', familySnapshot.size);
+    return {
+      ...series,
+      chapters: chapters.filter(Boolean)
+    };
+  } catch (error) {
+    console.error('Error getting series for story:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a saved story as the next chapter of a series, creating the series
+ * document the first time a story is continued
+ * 
+ * @param {Object} series - Series from `getSeriesForStory()`
+ * @param {string} storyId - ID of the new chapter
+ * @returns {Promise<string>} Series ID
+ */
+export async function addStoryToSeries(series, storyId) {
+  try {
+    let seriesId = series.id;
     
-    // Combinar e remover duplicatas
-    const allStories = new Map();
+    if (!seriesId) {
+      const firstChapter = series.chapters[0];
+      const seriesRef = await addDoc(collection(db, 'series'), {
+        title: series.title,
+        userId: series.userId,
+        familyId: series.familyId,
+        childId: series.childId,
+        storyIds: [firstChapter.id],
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      
+      seriesId = seriesRef.id;
+      await updateDoc(doc(db, 'stories', firstChapter.id), { seriesId, seriesIndex: 1 });
+    }
     
-    // Adicionar histórias diretas
-    directSnapshot.docs.forEach(doc => {
-      const story = { id: doc.id, ...doc.data(), source: 'direct' };
-      allStories.set(doc.id, story);
-      console.log('📖 Direct story:', story.title);
+    await updateDoc(doc(db, 'series', seriesId), {
+      storyIds: arrayUnion(storyId),
+      updatedAt: serverTimestamp()
+    });
+    await updateDoc(doc(db, 'stories', storyId), {
+      seriesId,
+      seriesIndex: series.chapters.length + 1
     });
     
-    // Adicionar histórias da família
-    familySnapshot.docs.forEach(doc => {
-      if (!allStories.has(doc.id)) {
-        const story = { id: doc.id, ...doc.data(), source: 'family' };
-        allStories.set(doc.id, story);
-        console.log('📖 Family story:', story.title);
-      }
+    return seriesId;
+  } catch (error) {
+    console.error('Error adding story to series:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remember that a child has played (read or listened to) a story
+ * 
+ * @param {string} storyId - Story ID
+ * @param {string} childId - Child account ID
+ * @returns {Promise<void>}
+ */
+export async function markStoryPlayed(storyId, childId) {
+  try {
+    await updateDoc(doc(db, 'stories', storyId), {
+      playedBy: arrayUnion(childId)
     });
+  } catch (error) {
+    console.error('Error marking story as played:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find, for every series among a child's stories, the first chapter the
+ * child has not played yet
+ * 
+ * @param {Array<Object>} stories - Stories the child can see (from `getStoriesByChildId()`)
+ * @param {string} childId - Child account ID
+ * @returns {Promise<Array<{series: Object, story: Object, chapterNumber: number}>>} Next chapters to play
+ */
+export async function getNextSeriesChapters(stories, childId) {
+  try {
+    const storiesById = new Map(stories.map(story => [story.id, story]));
+    const seriesIds = [...new Set(stories.map(story => story.seriesId).filter(Boolean))];
     
-    // Converter para array e ordenar por data (lado cliente)
-    const result = Array.from(allStories.values())
-      .filter(story => story.isPublished === true) // Filtro extra de segurança
-      .sort((a, b) => {
-        const dateA = a.createdAt?.toDate?.() || new Date(a.createdAt) || new Date(0);
-        const dateB = b.createdAt?.toDate?.() || new Date(b.createdAt) || new Date(0);
-        return dateB - dateA; // Mais recente primeiro
-      });
+    const seriesList = await Promise.all(seriesIds.map(id => getSeriesById(id)));
     
-    console.log('📚 Total unique stories:', result.length);
-    console.log('📚 Final stories:', result.map(s => ({ 
-      id: s.id, 
-      title: s.title, 
-      source: s.source,
-      isPublished: s.isPublished 
-    })));
+    return seriesList
+      .filter(Boolean)
+      .map(series => {
+        // Only chapters the child can see, in series order
+        const chapters = series.storyIds.map(id => storiesById.get(id)).filter(Boolean);
+        const index = chapters.findIndex(story => !story.playedBy?.includes(childId));
+        
+        return index === -1 ? null : { series, story: chapters[index], chapterNumber: chapters[index].seriesIndex || index + 1 };
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Error getting next series chapters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the character library of a family, sorted by name
+ * 
+ * @param {string} familyId - The family ID
+ * @returns {Promise<Array>} - Array of characters
+ */
+export async function getFamilyCharacters(familyId) {
+  try {
+    const q = query(
+      collection(db, 'characters'),
+      where('familyId', '==', familyId)
+    );
     
-    return result;
+    const querySnapshot = await getDocs(q);
     
+    return querySnapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
   } catch (error) {
-    console.error('❌ Error in getStoriesByChildId:', error);
+    console.error('Error getting family characters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a character to a family's character library
+ * 
+ * @param {Object} characterData - Character data (familyId, name, species, appearance, personality, catchphrases, avatar, avatarUrl)
+ * @returns {Promise<Object>} - Created character
+ */
+export async function createCharacter(characterData) {
+  try {
+    const character = {
+      ...characterData,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
     
-    // 🔄 FALLBACK: Busca mais simples ainda
-    try {
-      console.log('🔄 Trying simplest fallback query...');
-      
-      const storiesRef = collection(db, 'stories');
-      const fallbackQuery = query(
-        storiesRef,
-        where('childId', '==', childId)
-      );
-      
-      const snapshot = await getDocs(fallbackQuery);
-      const fallbackResult = snapshot.docs
-        .map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          source: 'fallback'
-        }))
-        .filter(story => story.isPublished === true) // Filtrar só publicadas
-        .sort((a, b) => {
-          const dateA = a.createdAt?.toDate?.() || new Date(a.createdAt) || new Date(0);
-          const dateB = b.createdAt?.toDate?.() || new Date(b.createdAt) || new Date(0);
-          return dateB - dateA;
-        });
-      
-      console.log('🔄 Fallback found:', fallbackResult.length, 'published stories');
-      return fallbackResult;
-      
-    } catch (fallbackError) {
-      console.error('❌ Fallback also failed:', fallbackError);
-      throw error;
-    }
+    const docRef = await addDoc(collection(db, 'characters'), character);
+    
+    return {
+      id: docRef.id,
+      ...character
+    };
+  } catch (error) {
+    console.error('Error creating character:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a character of the character library
+ * 
+ * @param {string} characterId - Character ID
+ * @param {Object} characterData - Updated character data
+ * @returns {Promise<void>}
+ */
+export async function updateCharacter(characterId, characterData) {
+  try {
+    await updateDoc(doc(db, 'characters', characterId), {
+      ...characterData,
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error updating character:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a character from the character library
+ * 
+ * @param {string} characterId - Character ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCharacter(characterId) {
+  try {
+    await deleteDoc(doc(db, 'characters', characterId));
+  } catch (error) {
+    console.error('Error deleting character:', error);
+    throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get the cached narration of a user for a narration request
+ * 
+ * @param {string} userId - User ID
+ * @param {string} cacheKey - Hash of the normalized text, voice and narration settings
+ * @returns {Promise<Object|null>} - `{ audioUrl, duration, timings }`, or null when not cached
+ */
+export async function getCachedAudio(userId, cacheKey) {
+  try {
+    const cacheDoc = await getDoc(doc(db, 'audioCache', `${userId}_${cacheKey}`));
+    
+    return cacheDoc.exists() ? cacheDoc.data() : null;
+  } catch (error) {
+    console.error('Error getting cached audio:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a narration to the user's audio cache
+ * 
+ * @param {string} userId - User ID
+ * @param {string} cacheKey - Hash of the normalized text, voice and narration settings
+ * @param {Object} audio - `{ audioUrl, duration, timings }`
+ * @returns {Promise<void>}
+ */
+export async function saveCachedAudio(userId, cacheKey, audio) {
+  try {
+    await setDoc(doc(db, 'audioCache', `${userId}_${cacheKey}`), {
+      ...audio,
+      userId,
+      cacheKey,
+      createdAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error saving cached audio:', error);
+    throw error;
+  }
+}
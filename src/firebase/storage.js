@@ -5,6 +5,7 @@ import {
   deleteObject 
 } from 'firebase/storage';
 import { storage } from './firebaseConfig';
+import { fetchWithAuth } from './auth';
 
 /**
  * Upload profile image to Firebase Storage
@@ -101,6 +102,93 @@ export const deleteChildProfileImage = async (childId) => {
   }
 };
 
+/**
+ * Upload the avatar picture of a character in the family character library
+ * 
+ * @param {string} familyId - Family ID
+ * @param {File} file - Image file to upload
+ * @returns {Promise<string>} Download URL of uploaded image
+ */
+export const uploadCharacterAvatar = async (familyId, file) => {
+  try {
+    const imageRef = ref(storage, `character-avatars/${familyId}/${Date.now()}_${file.name}`);
+    
+    const snapshot = await uploadBytes(imageRef, file);
+    
+    return await getDownloadURL(snapshot.ref);
+  } catch (error) {
+    console.error('Error uploading character avatar:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload a generated story illustration, so stories keep a Storage URL
+ * instead of the image data
+ * 
+ * @param {string} userId - User ID
+ * @param {Blob} image - Image data
+ * @returns {Promise<string>} Download URL of uploaded image
+ */
+export const uploadStoryImage = async (userId, image) => {
+  try {
+    const extension = image.type === 'image/svg+xml' ? 'svg' : (image.type.split('/')[1] || 'png');
+    const imageRef = ref(storage, `story-images/${userId}/${Date.now()}.${extension}`);
+    
+    const snapshot = await uploadBytes(imageRef, image, {
+      contentType: image.type,
+      customMetadata: { userId }
+    });
+    
+    return await getDownloadURL(snapshot.ref);
+  } catch (error) {
+    console.error('Error uploading story image:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload a parent-recorded narration next to the story's narration audio,
+ * under `audio/<userId>/`. Falls back to /api/upload_audio when the client
+ * is not allowed to write to Storage.
+ * 
+ * @param {string} userId - User ID
+ * @param {string} storyId - ID the story's audio files are named after
+ * @param {Uint8Array} wav - Recorded narration as a WAV file
+ * @returns {Promise<string>} Download URL of uploaded recording
+ */
+export const uploadRecordedNarration = async (userId, storyId, wav) => {
+  try {
+    const audioRef = ref(storage, `audio/${userId}/${storyId}-recording.wav`);
+    
+    const snapshot = await uploadBytes(audioRef, wav, {
+      contentType: 'audio/wav',
+      customMetadata: { userId, storyId, track: 'recording' }
+    });
+    
+    return await getDownloadURL(snapshot.ref);
+  } catch (storageError) {
+    console.error('Storage error, uploading the recording through the server:', storageError);
+    
+    let binary = '';
+    for (let i = 0; i < wav.length; i += 0x8000) {
+      binary += String.fromCharCode(...wav.subarray(i, i + 0x8000));
+    }
+    
+    const response = await fetchWithAuth('/api/upload_audio', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ audioContent: btoa(binary), storyId, track: 'recording' })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Server upload failed: ${response.status}`);
+    }
+    
+    return (await response.json()).downloadURL;
+  }
+};
+
 /**
  * Delete specific file by URL
  * 
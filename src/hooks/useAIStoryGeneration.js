@@ -1,4 +1,21 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
+import { fetchWithAuth } from '@/firebase/auth';
+import { readEventStream } from '@/lib/eventStream';
+
+/**
+ * Build the error thrown when the server's content safety check blocks the
+ * generated text, so callers can tell it apart from a failed request
+ *
+ * @param {string} message - Message from the server
+ * @param {Object} [moderation] - Moderation verdict
+ * @returns {Error} Error with code 'content/blocked'
+ */
+const contentBlockedError = (message, moderation) => {
+    const error = new Error(message || 'O conteúdo não passou na verificação de segurança.');
+    error.code = 'content/blocked';
+    error.moderation = moderation;
+    return error;
+};
 
 /**
  * Hook for generating AI stories
@@ -9,6 +26,7 @@ import { useState } from 'react';
 const useAIStoryGeneration = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
 
     /**
      * Generate a complete story using AI
@@ -18,13 +36,26 @@ const useAIStoryGeneration = () => {
      * @param {string} params.age - Target age group
      * @param {string} params.length - Desired story length
      * @param {Array<string>} params.characters - Main characters
+     * @param {Array<Object>} [params.characterProfiles] - Characters chosen from the family character library
+     * @param {Object} [params.child] - Child to personalize the story for: { name, ageGroup, favorites, avoid, isHero }
      * @param {string} params.setting - Story setting
      * @param {string} params.mood - Story mood
-     * @returns {Promise<string>} Generated story text
+     * @param {string} [params.language] - Language the story is written in, e.g. 'fr' (English by default)
+     * @param {Object} [params.series] - Series being continued: { title, chapters: [{ title, summary }] }
+     * @param {boolean} [params.stream=false] - Stream the story as it is written
+     * @param {Function} [params.onToken] - Called with (chunk, textSoFar) for every streamed chunk
+     * @returns {Promise<{content: string, structured: Object|null}>} Story text plus its structured
+     *   form (title, pages, moral, vocabulary, estimatedReadingMinutes). When cancelled while
+     *   streaming, `content` holds the partial text and `structured` is null.
      */
-    const generateStory = async ({ prompt, age, length, characters, setting, mood }) => {
+    const generateStory = async ({ prompt, age, length, characters, characterProfiles = [], child, setting, mood, language, series, stream = false, onToken }) => {
         setLoading(true);
         setError(null);
+
+        abortControllerRef.current?.abort();
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        let streamedText = '';
         
         try {
             // Validação básica
@@ -35,7 +66,7 @@ const useAIStoryGeneration = () => {
             console.log('Gerando história com parâmetros:', { prompt, age, length, characters, setting, mood });
 
             // Fazer requisição para nossa API local (que conecta com Groq)
-            const response = await fetch('/api/generate-story', {
+            const response = await fetchWithAuth('/api/generate-story', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -45,9 +76,15 @@ const useAIStoryGeneration = () => {
                     age: age || '4-6 years',
                     length: length || 'medium',
                     characters: Array.isArray(characters) ? characters : [],
+                    characterProfiles,
+                    child,
                     setting: setting?.trim() || '',
-                    mood: mood || 'cheerful'
+                    mood: mood || 'cheerful',
+                    language,
+                    series,
+                    stream
                 }),
+                signal: abortController.signal
             });
         
             if (!response.ok) {
@@ -56,37 +93,68 @@ const useAIStoryGeneration = () => {
                 // Tratar diferentes tipos de erro
                 if (response.status === 400) {
                     throw new Error(errorData.error || 'Parâmetros inválidos');
+                } else if (response.status === 422) {
+                    throw contentBlockedError(errorData.error, errorData.moderation);
                 } else if (response.status === 401) {
                     throw new Error('Erro de autenticação. Verifique a configuração da API.');
                 } else if (response.status === 429) {
-                    throw new Error('Muitas requisições. Tente novamente em alguns segundos.');
+                    // Limite de uso da família (com o horário de reinício) ou do provedor
+                    throw new Error(errorData.error || 'Muitas requisições. Tente novamente em alguns segundos.');
                 } else if (response.status >= 500) {
                     throw new Error('Erro do servidor. Tente novamente mais tarde.');
                 }
                 
                 throw new Error(`API error: ${response.status}`);
             }
+
+            let data;
+
+            if (stream) {
+                await readEventStream(response.body, (event, payload) => {
+                    if (event === 'token') {
+                        streamedText += payload.text;
+                        onToken?.(payload.text, streamedText);
+                    } else if (event === 'story') {
+                        data = payload;
+                    } else if (event === 'error' && payload.moderation) {
+                        throw contentBlockedError(payload.error, payload.moderation);
+                    } else if (event === 'error') {
+                        throw new Error(payload.error || 'Erro ao gerar a história');
+                    }
+                });
+            } else {
+                data = await response.json();
+            }
             
-            const data = await response.json();
-            
-            // Adaptação: o Groq retorna no formato { story: "..." }
-            // em vez de { choices: [{ message: { content: "..." } }] }
-            const storyText = data.story || data.choices?.[0]?.message?.content;
-            
-            if (!storyText) {
+            if (!data?.story || !data.structured) {
                 throw new Error('Resposta inválida da API - história não encontrada');
             }
             
-            return storyText;
+            return { content: data.story, structured: data.structured };
         } catch (err) {
+            // Cancelled by the user: keep whatever was streamed so far
+            if (err.name === 'AbortError') {
+                return { content: streamedText.trim(), structured: null };
+            }
+
             console.error('Error generating story:', err);
             const errorMessage = err.message || 'Failed to generate story. Please try again.';
             setError(errorMessage);
             throw err;
         } finally {
+            if (abortControllerRef.current === abortController) {
+                abortControllerRef.current = null;
+            }
             setLoading(false);
         }
     };
+
+    /**
+     * Cancel the story generation in progress, if any
+     */
+    const cancelGeneration = () => {
+        abortControllerRef.current?.abort();
+    };
   
     /**
      * Generate a title for an existing story
@@ -106,7 +174,7 @@ const useAIStoryGeneration = () => {
             console.log('Gerando título para a história...');
 
             // Fazer requisição para nossa API local de título
-            const response = await fetch('/api/generate-title', {
+            const response = await fetchWithAuth('/api/generate-title', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -121,12 +189,34 @@ const useAIStoryGeneration = () => {
                 
                 if (response.status === 400) {
                     throw new Error(errorData.error || 'Conteúdo da história inválido');
+                } else if (response.status === 429) {
+                    throw new Error(errorData.error || 'Muitas requisições. Tente novamente em alguns segundos.');
                 } else if (response.status >= 500) {
                     throw new Error('Erro do servidor. Tente novamente mais tarde.');
                 }
                 
                 throw new Error(`API error: ${response.status}`);
             }
+
+            if (stream) {
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+
+                    const chunk = decoder.decode(value, { stream: true });
+                    streamedText += chunk;
+                    onToken?.(chunk, streamedText);
+                }
+
+                if (!streamedText.trim()) {
+                    throw new Error('Resposta inválida da API - história não encontrada');
+                }
+
+                return streamedText.trim();
+            }
             
             const data = await response.json();
             
@@ -155,9 +245,10 @@ const useAIStoryGeneration = () => {
      * Generate a story suggestion or continuation
      * 
      * @param {string} currentText - Current story text
+     * @param {string} [age] - Target age group, used by the content safety check
      * @returns {Promise<string>} Suggested continuation
      */
-    const generateSuggestion = async (currentText) => {
+    const generateSuggestion = async (currentText, age) => {
         setLoading(true);
         setError(null);
         
@@ -167,18 +258,22 @@ const useAIStoryGeneration = () => {
             }
 
             // Fazer requisição para nossa API local de sugestão
-            const response = await fetch('/api/generate-suggestion', {
+            const response = await fetchWithAuth('/api/generate-suggestion', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    currentText: currentText.trim()
+                    currentText: currentText.trim(),
+                    age
                 })
             });
             
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
+                if (response.status === 422) {
+                    throw contentBlockedError(errorData.error, errorData.moderation);
+                }
                 throw new Error(`API error: ${response.status} - ${errorData.error || 'Erro desconhecido'}`);
             }
             
@@ -211,6 +306,7 @@ const useAIStoryGeneration = () => {
         generateStory,
         generateTitle,
         generateSuggestion,
+        cancelGeneration,
         clearError,
         loading,
         error
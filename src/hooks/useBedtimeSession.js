@@ -0,0 +1,230 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { markStoryPlayed } from '@/firebase/firestore';
+import { BEDTIME_STORY_GAP_SECONDS, DEFAULT_SOUNDSCAPE, SLEEP_TIMER_OPTIONS } from '@/utils/constants';
+import { getSleepTimerVolume } from '@/utils/helpers';
+
+// Seconds the soundscape takes to fade in once the stories stop
+const SOUNDSCAPE_FADE_IN_SECONDS = 5;
+
+/**
+ * Hook that runs a bedtime session: a playlist of stories played one after
+ * the other until the sleep timer runs out, then an optional soundscape that
+ * keeps looping
+ *
+ * A minute timer fades the narration out over its last BEDTIME_FADE_SECONDS
+ * and stops mid-story if it has to; a story timer lets the last story finish.
+ * Status is 'idle' before the session, 'playing', 'paused', 'between' in the
+ * pause between two stories, and 'finished' once the stories have stopped.
+ *
+ * @param {Object} options
+ * @param {string} options.timer - Sleep timer option ID from SLEEP_TIMER_OPTIONS
+ * @param {string} options.soundscape - Soundscape to loop once the stories stop, or 'none'
+ * @param {string} [options.childId] - Child listening, whose played stories are remembered
+ * @returns {Object} `{ status, playlist, index, story, elapsed, remaining, storiesLeft, volume, audioRef, start, pause, resume, skip, stop }`
+ */
+const useBedtimeSession = ({ timer, soundscape, childId }) => {
+  const [status, setStatus] = useState('idle');
+  const [playlist, setPlaylist] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [played, setPlayed] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+
+  const audioRef = useRef(null);
+
+  const sleepTimer = SLEEP_TIMER_OPTIONS.find(option => option.id === timer) || SLEEP_TIMER_OPTIONS[0];
+  const volume = getSleepTimerVolume(sleepTimer, elapsed);
+  const isRunning = status === 'playing' || status === 'between';
+
+  const playStory = useCallback((stories, storyIndex) => {
+    const audio = audioRef.current;
+    audio.src = stories[storyIndex].audioUrl;
+    audio.play().catch(error => console.error('Error playing story:', error));
+
+    setIndex(storyIndex);
+    setStatus('playing');
+  }, []);
+
+  const finish = useCallback(() => {
+    audioRef.current?.pause();
+    setStatus('finished');
+  }, []);
+
+  /**
+   * Start a session. Stories without audio are left out.
+   *
+   * @param {Array<Object>} stories - Stories to play, in order
+   */
+  const start = (stories) => {
+    const withAudio = stories.filter(story => story.audioUrl);
+    if (withAudio.length === 0) return;
+
+    // Created on the click that starts the session, so browsers let it play on its own afterwards
+    if (!audioRef.current) {
+      audioRef.current = new Audio();
+    }
+    audioRef.current.volume = getSleepTimerVolume(sleepTimer, 0);
+
+    setPlaylist(withAudio);
+    setPlayed(0);
+    setElapsed(0);
+    playStory(withAudio, 0);
+  };
+
+  const pause = () => {
+    audioRef.current?.pause();
+    setStatus('paused');
+  };
+
+  const resume = () => {
+    const audio = audioRef.current;
+
+    // Paused in the gap after a story: carry on with the next one
+    if (audio.ended) {
+      setStatus('between');
+      return;
+    }
+
+    audio.play().catch(error => console.error('Error resuming story:', error));
+    setStatus('playing');
+  };
+
+  const skip = () => {
+    if (index + 1 < playlist.length) {
+      playStory(playlist, index + 1);
+    } else {
+      finish();
+    }
+  };
+
+  const stop = () => {
+    audioRef.current?.pause();
+    setStatus('idle');
+  };
+
+  // Move on when a story ends, or when its audio cannot be played
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || status !== 'playing') return;
+
+    const handleEnded = () => {
+      const story = playlist[index];
+      const storiesPlayed = played + 1;
+      setPlayed(storiesPlayed);
+
+      if (childId && !story.playedBy?.includes(childId)) {
+        markStoryPlayed(story.id, childId).catch(error => {
+          console.error('Error marking story as played:', error);
+        });
+      }
+
+      if (index + 1 >= playlist.length || (sleepTimer.stories && storiesPlayed >= sleepTimer.stories)) {
+        finish();
+      } else {
+        setStatus('between');
+      }
+    };
+
+    const handleError = () => {
+      console.error('Error loading story audio:', playlist[index]?.id);
+      if (index + 1 < playlist.length) {
+        setStatus('between');
+      } else {
+        finish();
+      }
+    };
+
+    audio.addEventListener('ended', handleEnded);
+    audio.addEventListener('error', handleError);
+
+    return () => {
+      audio.removeEventListener('ended', handleEnded);
+      audio.removeEventListener('error', handleError);
+    };
+  }, [status, playlist, index, played, childId, sleepTimer, finish]);
+
+  // Short pause between stories
+  useEffect(() => {
+    if (status !== 'between') return;
+
+    const timeoutId = setTimeout(() => playStory(playlist, index + 1), BEDTIME_STORY_GAP_SECONDS * 1000);
+    return () => clearTimeout(timeoutId);
+  }, [status, playlist, index, playStory]);
+
+  // Sleep timer clock; it stands still while the session is paused
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const intervalId = setInterval(() => setElapsed(seconds => seconds + 1), 1000);
+    return () => clearInterval(intervalId);
+  }, [isRunning]);
+
+  // Fade the narration out with the sleep timer, and stop when it runs out
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.volume = volume;
+    }
+    if (volume === 0 && isRunning) {
+      finish();
+    }
+  }, [volume, isRunning, finish]);
+
+  // Keep a soundscape looping once the stories stop, fading it in
+  useEffect(() => {
+    if (status !== 'finished' || !soundscape || soundscape === 'none') return;
+
+    const loop = new Audio(`/api/soundscapes/${soundscape}`);
+    const level = 10 ** (DEFAULT_SOUNDSCAPE.level / 20);
+    const startedAt = Date.now();
+
+    loop.loop = true;
+    loop.volume = 0;
+    loop.play().catch(error => console.error('Error playing soundscape:', error));
+
+    const fadeId = setInterval(() => {
+      const progress = Math.min(1, (Date.now() - startedAt) / (SOUNDSCAPE_FADE_IN_SECONDS * 1000));
+      loop.volume = level * progress;
+      if (progress === 1) clearInterval(fadeId);
+    }, 100);
+
+    return () => {
+      clearInterval(fadeId);
+      loop.pause();
+      loop.src = '';
+    };
+  }, [status, soundscape]);
+
+  // Silence everything when the session goes away
+  useEffect(() => {
+    return () => {
+      if (audioRef.current) {
+        audioRef.current.pause();
+        audioRef.current.src = '';
+      }
+    };
+  }, []);
+
+  const remaining = sleepTimer.minutes ? Math.max(0, sleepTimer.minutes * 60 - elapsed) : null;
+  const storiesLeft = Math.max(0, Math.min(
+    playlist.length - index - (status === 'between' ? 1 : 0),
+    sleepTimer.stories ? sleepTimer.stories - played : Infinity
+  ));
+
+  return {
+    status,
+    playlist,
+    index,
+    story: status === 'idle' ? null : playlist[index] || null,
+    elapsed,
+    remaining,
+    storiesLeft,
+    volume,
+    audioRef,
+    start,
+    pause,
+    resume,
+    skip,
+    stop
+  };
+};
+
+export default useBedtimeSession;
@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  getFamilyCharacters,
+  createCharacter,
+  updateCharacter,
+  deleteCharacter
+} from '@/firebase/firestore';
+import { uploadCharacterAvatar } from '@/firebase/storage';
+
+/**
+ * Hook for the family character library: recurring characters that can be
+ * picked for new stories
+ *
+ * @returns {Object} Characters, loading and error state, and methods to manage the library
+ */
+const useCharacterLibrary = () => {
+  const { user } = useAuth();
+  const familyId = user?.familyId;
+
+  const [characters, setCharacters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!familyId) {
+      setCharacters([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setCharacters(await getFamilyCharacters(familyId));
+      setError(null);
+    } catch (err) {
+      console.error('Error loading character library:', err);
+      setError('Failed to load the character library. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [familyId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Upload the avatar picture, if one was chosen, and return the fields to save
+   *
+   * @param {Object} characterData - Form data, with an optional `avatarFile`
+   * @returns {Promise<Object>} Character fields
+   */
+  const prepareCharacter = async ({ avatarFile, ...characterData }) => {
+    if (!avatarFile) return characterData;
+
+    return {
+      ...characterData,
+      avatarUrl: await uploadCharacterAvatar(familyId, avatarFile)
+    };
+  };
+
+  // Add a character to the library
+  const addCharacter = async (characterData) => {
+    if (user?.role !== 'parent' || !familyId) {
+      setError('Only parents can add characters');
+      return null;
+    }
+
+    try {
+      setLoading(true);
+      const character = await createCharacter({
+        ...(await prepareCharacter(characterData)),
+        familyId,
+        createdBy: user.uid
+      });
+
+      setCharacters(prev => [...prev, character].sort((a, b) => a.name.localeCompare(b.name)));
+      return character;
+    } catch (err) {
+      console.error('Error adding character:', err);
+      setError('Failed to add the character. Please try again.');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Update a character of the library
+  const editCharacter = async (characterId, characterData) => {
+    if (user?.role !== 'parent') {
+      setError('Only parents can edit characters');
+      return false;
+    }
+
+    try {
+      setLoading(true);
+      const fields = await prepareCharacter(characterData);
+      await updateCharacter(characterId, fields);
+
+      setCharacters(prev =>
+        prev.map(character => (character.id === characterId ? { ...character, ...fields } : character))
+      );
+      return true;
+    } catch (err) {
+      console.error('Error updating character:', err);
+      setError('Failed to update the character. Please try again.');
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Remove a character from the library
+  const removeCharacter = async (characterId) => {
+    if (user?.role !== 'parent') {
+      setError('Only parents can remove characters');
+      return false;
+    }
+
+    try {
+      setLoading(true);
+      await deleteCharacter(characterId);
+
+      setCharacters(prev => prev.filter(character => character.id !== characterId));
+      return true;
+    } catch (err) {
+      console.error('Error removing character:', err);
+      setError('Failed to remove the character. Please try again.');
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return {
+    characters,
+    loading,
+    error,
+    addCharacter,
+    editCharacter,
+    removeCharacter,
+    refresh
+  };
+};
+
+/**
+ * The fields of a library character that are sent to the generation APIs
+ *
+ * @param {Object} character - Character from the library
+ * @returns {Object} Character profile
+ */
+export const toCharacterProfile = ({ name, species, appearance, personality, catchphrases, avatar }) => ({
+  name,
+  species: species || '',
+  appearance: appearance || '',
+  personality: personality || '',
+  catchphrases: catchphrases || [],
+  avatar: avatar || ''
+});
+
+export default useCharacterLibrary;
@@ -1,16 +1,37 @@
 import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { fetchWithAuth } from '@/firebase/auth';
+import { uploadStoryImage } from '@/firebase/storage';
+
+/**
+ * Turn base64 image content returned by the API into a Blob
+ *
+ * @param {string} content - Base64 image data
+ * @param {string} contentType - Image MIME type
+ * @returns {Blob} Image
+ */
+const base64ToBlob = (content, contentType) => {
+  const byteCharacters = atob(content);
+  const byteArray = new Uint8Array(byteCharacters.length);
+  for (let i = 0; i < byteCharacters.length; i++) {
+    byteArray[i] = byteCharacters.charCodeAt(i);
+  }
+  return new Blob([byteArray], { type: contentType });
+};
 
 const useImageGeneration = () => {
+  const { user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   /**
    * 🎨 GENERATE CREATIVE CHILDREN'S STORY IMAGE
-   * Now with intelligent analysis and optimized prompts
+   * Now with intelligent analysis and optimized prompts. The image is uploaded
+   * to Firebase Storage and its download URL is returned.
    */
-  const generateStoryImage = async ({ storyText, prompt, characters, setting, mood }) => {
+  const generateStoryImage = async ({ storyText, prompt, characters, characterProfiles = [], setting, mood }) => {
     console.log('🎨 === STARTING CREATIVE CHILDREN\'S IMAGE GENERATION ===');
-    console.log('Parameters:', { storyText, prompt, characters, setting, mood });
+    console.log('Parameters:', { storyText, prompt, characters, characterProfiles, setting, mood });
 
     try {
       setLoading(true);
@@ -28,12 +49,13 @@ const useImageGeneration = () => {
       console.log('📝 Analyzed and enhanced data:', enhancedData);
 
       // 📡 API REQUEST TO ENHANCED ENDPOINT
-      const response = await fetch('/api/generate-image', {
+      const response = await fetchWithAuth('/api/generate-image', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(enhancedData),
+        // Library characters are described by the API, the same way in every image
+        body: JSON.stringify({ ...enhancedData, characterProfiles }),
       });
 
       console.log('🔄 Response status:', response.status);
@@ -46,11 +68,16 @@ const useImageGeneration = () => {
       const data = await response.json();
       console.log('✅ Creative children\'s image generated successfully:', data);
       
-      if (!data.imageUrl) {
-        throw new Error('Image URL not found in response');
+      if (!data.imageContent) {
+        throw new Error('Image not found in response');
+      }
+
+      if (!user?.uid) {
+        throw new Error('User must be authenticated to upload images');
       }
 
-      return data.imageUrl;
+      // ☁️ STORE THE ARTWORK IN FIREBASE STORAGE
+      return await uploadStoryImage(user.uid, base64ToBlob(data.imageContent, data.contentType));
 
     } catch (err) {
       console.error('❌ Error generating creative image:', err);
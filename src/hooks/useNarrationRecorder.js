@@ -0,0 +1,132 @@
+import { useEffect, useRef, useState } from 'react';
+import { RECORDING_SAMPLE_RATE } from '@/utils/constants';
+import { trimSilence } from '@/utils/recording';
+
+/**
+ * Hook that records a parent reading a story with the microphone, one page
+ * at a time
+ *
+ * Every take is decoded at RECORDING_SAMPLE_RATE, mixed down to mono and
+ * trimmed of the silence before and after it, then handed to `onRecorded`.
+ *
+ * @param {Object} options
+ * @param {Function} options.onRecorded - Called with the page index and its trimmed samples (Float32Array)
+ * @returns {Object} `{ isSupported, recordingPage, processing, error, startRecording, stopRecording }`
+ */
+const useNarrationRecorder = ({ onRecorded }) => {
+  const [recordingPage, setRecordingPage] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSupported, setIsSupported] = useState(true);
+
+  const recorderRef = useRef(null);
+
+  // Decode a take and trim it
+  const processTake = async (page, blob) => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass({ sampleRate: RECORDING_SAMPLE_RATE });
+
+    try {
+      const audio = await context.decodeAudioData(await blob.arrayBuffer());
+      const samples = new Float32Array(audio.length);
+
+      for (let channel = 0; channel < audio.numberOfChannels; channel++) {
+        const data = audio.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+          samples[i] += data[i] / audio.numberOfChannels;
+        }
+      }
+
+      const trimmed = trimSilence(samples, audio.sampleRate);
+      if (trimmed.length === 0) {
+        setError('Nothing was heard on that recording. Check the microphone and try again.');
+        return;
+      }
+
+      onRecorded(page, trimmed);
+    } finally {
+      context.close().catch(() => {});
+    }
+  };
+
+  /**
+   * Start recording a page
+   *
+   * @param {number} page - Page index
+   */
+  const startRecording = async (page) => {
+    if (recorderRef.current) return;
+    setError(null);
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 }
+      });
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+
+      recorder.onstop = async () => {
+        stream.getTracks().forEach(track => track.stop());
+        recorderRef.current = null;
+        setRecordingPage(null);
+        setProcessing(true);
+
+        try {
+          await processTake(page, new Blob(chunks, { type: recorder.mimeType }));
+        } catch (err) {
+          console.error('Error processing recording:', err);
+          setError('Could not process the recording. Please try again.');
+        } finally {
+          setProcessing(false);
+        }
+      };
+
+      recorderRef.current = recorder;
+      recorder.start();
+      setRecordingPage(page);
+    } catch (err) {
+      console.error('Error starting recording:', err);
+      setError(err.name === 'NotAllowedError'
+        ? 'Microphone access was denied. Allow it in your browser to record.'
+        : 'Could not start recording. Check that a microphone is connected.');
+    }
+  };
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+  };
+
+  // Checked after mounting, so the server render matches the first client render
+  useEffect(() => {
+    setIsSupported(typeof window.MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia);
+  }, []);
+
+  // Release the microphone if the page goes away mid-recording
+  useEffect(() => {
+    return () => {
+      const recorder = recorderRef.current;
+      if (recorder) {
+        recorder.onstop = null;
+        recorder.stop();
+        recorder.stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, []);
+
+  return {
+    isSupported,
+    recordingPage,
+    processing,
+    error,
+    startRecording,
+    stopRecording
+  };
+};
+
+export default useNarrationRecorder;
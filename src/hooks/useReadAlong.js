@@ -0,0 +1,59 @@
+import { useEffect, useMemo, useState } from 'react';
+import { estimateWordStarts, findCurrentWord, getSpokenWords } from '@/utils/helpers';
+
+/**
+ * Hook that follows the narration of a story word by word, for read-along
+ * highlighting and page turns
+ *
+ * Uses the timing map saved with the audio (`story.audioTimings`). Stories
+ * narrated before timings existed, or whose text was edited afterwards, get
+ * word starts estimated from the audio length instead.
+ *
+ * @param {Object} options
+ * @param {Object} options.audioRef - Ref to the playing HTMLAudioElement
+ * @param {Object} [options.timings] - Saved timing map, `{ source, wordStarts }`
+ * @param {string} options.text - Narrated story text
+ * @param {boolean} options.isPlaying - Whether the narration is playing
+ * @returns {Object} `{ currentWord, wordStarts }`: index of the word being spoken (-1 before the first one) and the start time of every word
+ */
+const useReadAlong = ({ audioRef, timings, text, isPlaying }) => {
+  const [currentWord, setCurrentWord] = useState(-1);
+  const [duration, setDuration] = useState(0);
+
+  const wordCount = useMemo(() => getSpokenWords(text).length, [text]);
+
+  const wordStarts = useMemo(() => {
+    if (timings?.wordStarts?.length === wordCount) {
+      return timings.wordStarts;
+    }
+    return duration ? estimateWordStarts(text, duration) : [];
+  }, [timings, text, wordCount, duration]);
+
+  // Follow the playback position every animation frame while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let frameId;
+
+    const update = () => {
+      const audio = audioRef.current;
+
+      if (audio) {
+        if (Number.isFinite(audio.duration) && audio.duration > 0) {
+          setDuration(audio.duration);
+        }
+        setCurrentWord(findCurrentWord(wordStarts, audio.currentTime));
+      }
+
+      frameId = requestAnimationFrame(update);
+    };
+
+    frameId = requestAnimationFrame(update);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, audioRef, wordStarts]);
+
+  return { currentWord, wordStarts };
+};
+
+export default useReadAlong;
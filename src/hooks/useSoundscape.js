@@ -0,0 +1,95 @@
+import { useEffect, useRef } from 'react';
+import { DEFAULT_SOUNDSCAPE, SOUNDSCAPE_DUCKING_DB } from '@/utils/constants';
+import { isNarrationSpeaking, resolveSoundscape } from '@/utils/helpers';
+
+// Time constant of the ducking fades, in seconds
+const FADE_SECONDS = 0.15;
+
+/**
+ * Hook that plays a story's soundscape under the narration, ducked while the
+ * narrator speaks and back up in the pauses between paragraphs
+ *
+ * The bed loops from `/api/soundscapes/[id]` through the Web Audio API, so
+ * its level follows the narration smoothly. Nothing plays when the story has
+ * no soundscape, or when it is baked into the narration audio already.
+ *
+ * @param {Object} options
+ * @param {Object} options.audioRef - Ref to the playing HTMLAudioElement
+ * @param {Object} [options.soundscape] - Story soundscape, `{ id, level, bake }`
+ * @param {string} [options.mood] - Story mood, for soundscapes that follow it
+ * @param {Array<number>} options.wordStarts - Start time of every word, in seconds
+ * @param {boolean} options.isPlaying - Whether the narration is playing
+ * @param {number} [options.volume=1] - Extra volume from 0 to 1, for fading the bed out with the narration
+ * @returns {Object} `{ soundscapeId }`: the soundscape playing, or null
+ */
+const useSoundscape = ({ audioRef, soundscape, mood, wordStarts, isPlaying, volume = 1 }) => {
+  const soundscapeId = soundscape?.bake ? null : resolveSoundscape(soundscape, mood);
+  const level = soundscape?.level ?? DEFAULT_SOUNDSCAPE.level;
+  const nodesRef = useRef(null);
+
+  // Release the bed when it changes and when the player goes away
+  useEffect(() => {
+    return () => {
+      const nodes = nodesRef.current;
+      nodesRef.current = null;
+
+      if (nodes) {
+        nodes.bed.pause();
+        nodes.bed.src = '';
+        nodes.context.close().catch(() => {});
+      }
+    };
+  }, [soundscapeId]);
+
+  useEffect(() => {
+    if (!soundscapeId) return;
+
+    if (!isPlaying) {
+      nodesRef.current?.bed.pause();
+      return;
+    }
+
+    if (!nodesRef.current) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+
+      const context = new AudioContextClass();
+      const bed = new Audio(`/api/soundscapes/${soundscapeId}`);
+      const gain = context.createGain();
+
+      bed.loop = true;
+      gain.gain.value = 0;
+      context.createMediaElementSource(bed).connect(gain).connect(context.destination);
+      nodesRef.current = { context, bed, gain };
+    }
+
+    const { context, bed, gain } = nodesRef.current;
+    let target = null;
+    let frameId;
+
+    context.resume().catch(() => {});
+    bed.play().catch(error => console.error('Error playing soundscape:', error));
+
+    // Follow the narration every animation frame, fading when the target changes
+    const update = () => {
+      const time = audioRef.current?.currentTime || 0;
+      const db = level - (isNarrationSpeaking(wordStarts, time) ? SOUNDSCAPE_DUCKING_DB : 0);
+      const value = 10 ** (db / 20) * volume;
+
+      if (value !== target) {
+        target = value;
+        gain.gain.setTargetAtTime(value, context.currentTime, FADE_SECONDS);
+      }
+
+      frameId = requestAnimationFrame(update);
+    };
+
+    frameId = requestAnimationFrame(update);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [soundscapeId, level, isPlaying, audioRef, wordStarts, volume]);
+
+  return { soundscapeId };
+};
+
+export default useSoundscape;
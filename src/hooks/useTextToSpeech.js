@@ -1,7 +1,22 @@
 import { useState } from 'react';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { storage } from '@/firebase/firebaseConfig';
-import { VOICE_OPTIONS } from '@/utils/constants';
+import { fetchWithAuth } from '@/firebase/auth';
+import { getCachedAudio, saveCachedAudio } from '@/firebase/firestore';
+import { DEFAULT_NARRATION } from '@/utils/constants';
+import { getVoiceLanguageCode, hashText, normalizeSpeechText } from '@/utils/helpers';
+import { readEventStream } from '@/lib/eventStream';
+import { buildDialogueSsml, hasCharacterVoices } from '@/utils/dialogue';
+
+// Emoji, with their skin tone modifiers, variation selectors, keycaps, flags
+// and zero-width-joined sequences
+const EMOJI_PATTERN = /(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)[\uFE0E\uFE0F\p{Emoji_Modifier}\u{E0020}-\u{E007F}]*(?:\u200D\p{Extended_Pictographic}[\uFE0E\uFE0F\p{Emoji_Modifier}]*)*/gu;
+
+// Voice names, e.g. "fr-FR-Wavenet-A" or "cmn-CN-Standard-B"
+const VOICE_NAME_PATTERN = /^[a-z]{2,3}-[A-Z]{2}-[A-Za-z0-9-]+$/;
+
+// Other symbols (★, ♪, ☞) and private-use characters, which voices cannot read
+const SYMBOL_PATTERN = /[\p{So}\p{Co}]/gu;
 
 /**
  * Hook for text-to-speech conversion
@@ -17,17 +32,60 @@ const useTextToSpeech = ({ apiKey, apiEndpoint }) => {
   const [progress, setProgress] = useState(0);
 
   /**
-   * Clean and normalize text for TTS (avoid special characters, emoji, limit length)
+   * Clean and normalize text for TTS: remove emoji and symbols, keep the
+   * letters, digits and punctuation of every language (accents, CJK,
+   * Devanagari). Long texts are split into chunks by /api/tts, so nothing
+   * is cut off here.
    * 
    * @param {string} text - Original story text
-   * @returns {string} Sanitized and limited text
+   * @returns {string} Sanitized text
    */
   const cleanText = (text) => {
     return text
-      .replace(/[\u2018\u2019\u201A\u201B]/g, "'") // aspas simples
-      .replace(/[\u201C\u201D\u201E\u201F]/g, '"') // aspas duplas
-      .replace(/[^\x00-\x7F]/g, '')               // remove emojis e caracteres especiais
-      .slice(0, 4500);                            // limite seguro para Google TTS
+      .normalize('NFC')                                  // composed accents, as voices expect
+      .replace(/[\u2018\u2019\u201A\u201B]/g, "'")       // curly single quotes
+      .replace(/[\u201C\u201D\u201E\u201F]/g, '"')       // curly double quotes
+      .replace(EMOJI_PATTERN, '')
+      .replace(SYMBOL_PATTERN, '');
+  };
+
+  /**
+   * Synthesize the whole text through /api/tts, which splits it into chunks
+   * and stitches the audio. Progress goes from 10% to 70% as chunks finish.
+   * 
+   * @param {Object} params - Text (or dramatized SSML), voice, languageCode and narration settings
+   * @returns {Promise<Object>} `{ audioContent, duration, timings }` with base64 MP3 audio, its length in seconds and the word timing map
+   */
+  const synthesizeText = async (params) => {
+    const response = await fetchWithAuth('/api/tts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...params, stream: true })
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({}));
+      console.error("TTS API error detail:", errData);
+      throw new Error(errData.error || `TTS API error: ${response.status}`);
+    }
+
+    let result = null;
+
+    await readEventStream(response.body, (event, payload) => {
+      if (event === 'progress') {
+        setProgress(10 + Math.round((payload.completed / payload.total) * 60));
+      } else if (event === 'audio') {
+        result = payload;
+      } else if (event === 'error') {
+        throw new Error(payload.error || 'Failed to convert text to speech');
+      }
+    });
+
+    if (!result?.audioContent) {
+      throw new Error("No audio content returned by TTS API");
+    }
+
+    return result;
   };
 
   /**
@@ -36,11 +94,19 @@ const useTextToSpeech = ({ apiKey, apiEndpoint }) => {
    * @param {Object} params - TTS parameters
    * @param {string} params.text - Story text to convert
    * @param {string} params.voice - Voice type (e.g., 'en-US-Wavenet-D')
-   * @param {string} params.storyId - ID of the story for file naming
+   * @param {string} params.storyId - ID of the story, saved in the audio file's metadata
    * @param {string} params.userId - ID of the user who owns the story
-   * @returns {Promise<string>} URL to the generated audio file
+   * @param {Array<string>} [params.speakers] - Characters with dialogue in the story
+   * @param {Object} [params.characterVoices] - Voice ID per character; characters with a voice of their own
+   *   are performed in it and the text is sent as SSML
+   * @param {Object} [params.narration] - Narration profile settings (speaking rate, pitch, volume gain,
+   *   paragraph pause, wind-down)
+   * @param {Object} [params.soundscape] - Soundscape to bake into the audio, `{ id, level }`
+   * @returns {Promise<Object>} `{ audioUrl, duration, timings }`: URL to the generated audio file, its length in seconds
+   *   and the word timing map for read-along (`{ source, wordStarts }`). A request identical to an earlier one
+   *   (same normalized text, voice, narration settings and soundscape) returns the earlier file without synthesizing.
    */
-  const convertTextToSpeech = async ({ text, voice, storyId, userId }) => {
+  const convertTextToSpeech = async ({ text, voice, storyId, userId, speakers = [], characterVoices = {}, narration, soundscape }) => {
     setLoading(true);
     setError(null);
     setProgress(10);
@@ -50,46 +116,40 @@ const useTextToSpeech = ({ apiKey, apiEndpoint }) => {
         throw new Error("Missing required parameters (text, voice, storyId, userId)");
       }
 
-      const voiceMeta = VOICE_OPTIONS.find(v => v.id === voice);
-      if (!voiceMeta) throw new Error(`Invalid voice ID: ${voice}`);
+      // Voices come from the provider's catalog, so only their name format is checked here
+      if (!VOICE_NAME_PATTERN.test(voice)) throw new Error(`Invalid voice ID: ${voice}`);
 
-      const cleaned = cleanText(text);
+      const cleaned = normalizeSpeechText(cleanText(text));
 
-      // Instead of using the external API directly, use our API route 
+      // Instead of using the external API directly, use our API route
       // This will handle the API key and credentials securely on the server side
-const response = await fetch('/api/tts', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          text: cleaned,
-          voice,
-          languageCode: voiceMeta.languageCode
-        })
-      });
-
-      if (!response.ok) {
-        const errData = await response.json().catch(() => ({}));
-        console.error("TTS API error detail:", errData);
-        throw new Error(`TTS API error: ${response.status}`);
-      }
+      const input = hasCharacterVoices(characterVoices, voice)
+        ? { ssml: buildDialogueSsml(cleaned, { speakers, characterVoices }) }
+        : { text: cleaned };
+      const request = {
+        ...input,
+        voice,
+        languageCode: getVoiceLanguageCode(voice),
+        narration: { ...DEFAULT_NARRATION, ...narration },
+        soundscape
+      };
 
-      setProgress(50);
+      // Identical narration requests reuse the audio file made the first time
+      const cacheKey = await hashText(JSON.stringify(request));
+      const cachedAudio = await getCachedAudio(userId, cacheKey).catch(() => null);
 
-      const data = await response.json();
-      
-      // If our API route returns a signed URL directly (recommended approach)
-      if (data.audioUrl) {
+      if (cachedAudio?.audioUrl) {
         setProgress(100);
-        setLoading(false);
-        return data.audioUrl;
+        return { audioUrl: cachedAudio.audioUrl, duration: cachedAudio.duration, timings: cachedAudio.timings };
       }
-      
-      // If our API returns base64 audio content that needs to be uploaded to Firebase
-      const audioContent = data.audioContent;
 
-      if (!audioContent) {
-        throw new Error("No audio content returned by TTS API");
-      }
+      // Remember the uploaded file for the next identical request
+      const cacheAudio = async (audio) => {
+        await saveCachedAudio(userId, cacheKey, audio).catch(() => {});
+        return audio;
+      };
+
+      const { audioContent, duration, timings } = await synthesizeText(request);
 
       const byteCharacters = atob(audioContent);
       const byteArray = new Uint8Array(byteCharacters.length);
@@ -106,11 +166,11 @@ const response = await fetch('/api/tts', {
           throw new Error("User must be authenticated to upload audio files");
         }
 
-        // Create a reference to the specific path in Firebase Storage
-        const storageRef = ref(storage, `audio/${userId}/${storyId}.mp3`);
+        // Create a reference to the content-addressed path in Firebase Storage
+        const storageRef = ref(storage, `audio/${userId}/${cacheKey}.mp3`);
         
         // Log the storage path for debugging
-        console.log(`Uploading to storage path: audio/${userId}/${storyId}.mp3`);
+        console.log(`Uploading to storage path: audio/${userId}/${cacheKey}.mp3`);
         
         // Upload the file with metadata that includes the user's ID
         await uploadBytes(storageRef, blob, {
@@ -129,7 +189,7 @@ const response = await fetch('/api/tts', {
 
         setProgress(100);
 
-        return downloadURL;
+        return cacheAudio({ audioUrl: downloadURL, duration, timings });
       } catch (storageError) {
         console.error('Storage error:', storageError);
         
@@ -139,15 +199,16 @@ const response = await fetch('/api/tts', {
           console.log('Attempting fallback to server-side storage...');
           
           // Call a server endpoint that can write to Firebase with admin privileges
-          const serverResponse = await fetch('/api/upload-audio', {
+          const serverResponse = await fetchWithAuth('/api/upload_audio', {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json'
             },
+            // Same content-addressed name as above, so the cached URL matches this request
             body: JSON.stringify({
               audioContent: audioContent,
-              userId: userId,
-              storyId: storyId
+              storyId: storyId,
+              fileName: cacheKey
             })
           });
           
@@ -157,7 +218,7 @@ const response = await fetch('/api/tts', {
           
           const data = await serverResponse.json();
           console.log('Successfully uploaded via server side:', data.downloadURL);
-          return data.downloadURL;
+          return cacheAudio({ audioUrl: data.downloadURL, duration, timings });
         } catch (serverError) {
           console.error('Server upload fallback error:', serverError);
           throw new Error('Failed to upload audio after multiple attempts');
@@ -172,74 +233,8 @@ const response = await fetch('/api/tts', {
     }
   };
 
-  /**
-   * Break long text into smaller chunks for TTS processing
-   * (Some TTS services have character limits)
-   * 
-   * @param {string} text - Full story text
-   * @returns {Array<string>} Array of text chunks
-   */
-  const splitTextIntoChunks = (text) => {
-    // Maximum size for each chunk (Google limit is 5000 characters)
-    const MAX_CHUNK_SIZE = 4500;
-    const chunks = [];
-
-    // Split by paragraphs first to maintain natural breaks
-    const paragraphs = text.split(/\n+/);
-    let currentChunk = '';
-
-    for (const paragraph of paragraphs) {
-      if (currentChunk.length + paragraph.length > MAX_CHUNK_SIZE) {
-        chunks.push(currentChunk);
-        currentChunk = paragraph + '\n';
-      } else {
-        currentChunk += paragraph + '\n';
-      }
-    }
-
-    if (currentChunk.trim()) {
-      chunks.push(currentChunk);
-    }
-
-    return chunks;
-  };
-
-  /**
-   * Process longer texts by breaking them into chunks and converting each
-   * 
-   * @param {Object} params - TTS parameters
-   * @param {string} params.text - Story text to convert
-   * @param {string} params.voice - Voice type
-   * @param {string} params.storyId - ID of the story
-   * @param {string} params.userId - ID of the user
-   * @returns {Promise<string>} URL to the final combined audio file
-   */
-  const processLongText = async ({ text, voice, storyId, userId }) => {
-    setLoading(true);
-    setError(null);
-    setProgress(0);
-
-    try {
-      const chunks = splitTextIntoChunks(text);
-      const audioUrl = await convertTextToSpeech({
-        text: chunks[0],
-        voice,
-        storyId,
-        userId
-      });
-      return audioUrl;
-    } catch (err) {
-      console.error('Error processing long text:', err);
-      setError(err.message || 'Failed to process text.');
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  };
-
   return {
     convertTextToSpeech,
-    processLongText,
     loading,
     error,
     progress
@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import { VOICE_OPTIONS } from '@/utils/constants';
+import { getVoicesForLanguage } from '@/utils/helpers';
+import { fetchWithAuth } from '@/firebase/auth';
+
+// Catalogs already fetched, by language, shared by every picker on the page
+const catalogs = new Map();
+
+/**
+ * Fetch the voice catalog of a language from `/api/voices`
+ *
+ * @param {string} language - Story language code
+ * @returns {Promise<Object>} `{ voices, source }`
+ */
+const fetchCatalog = (language) => {
+  if (!catalogs.has(language)) {
+    const request = fetchWithAuth(`/api/voices?language=${encodeURIComponent(language)}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`Voice catalog request failed (${response.status})`);
+        return response.json();
+      })
+      .catch(error => {
+        // Let the next picker try again
+        catalogs.delete(language);
+        throw error;
+      });
+
+    catalogs.set(language, request);
+  }
+
+  return catalogs.get(language);
+};
+
+/**
+ * Hook for the narration voices of a story language. The local catalog is
+ * used until the TTS provider's catalog has loaded, and when it cannot be.
+ *
+ * @param {string} language - Story language code, e.g. "fr"
+ * @returns {Object} `{ voices, loading, source }`, where source is 'provider' or 'local'
+ */
+const useVoiceCatalog = (language) => {
+  const [catalog, setCatalog] = useState(() => ({
+    voices: getVoicesForLanguage(VOICE_OPTIONS, language),
+    source: 'local'
+  }));
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setCatalog({ voices: getVoicesForLanguage(VOICE_OPTIONS, language), source: 'local' });
+    setLoading(true);
+
+    fetchCatalog(language)
+      .then(({ voices, source }) => {
+        if (!cancelled && voices?.length) {
+          setCatalog({ voices, source });
+        }
+      })
+      .catch(error => {
+        console.error('Error loading the voice catalog:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [language]);
+
+  return { voices: catalog.voices, loading, source: catalog.source };
+};
+
+export default useVoiceCatalog;
@@ -0,0 +1,125 @@
+/**
+ * In-memory stand-in for the Admin SDK in tests (`jest.mock('@/lib/firebaseAdmin')`):
+ * ID tokens are "<role>-<uid>" (children carry `{ role: 'child', familyId: 'parent-family' }`
+ * claims) and parents sign in with a password. Firestore keeps documents in
+ * a map, applying merges and increments and storing dates as timestamps, and
+ * Storage keeps files in another.
+ */
+
+const { FieldValue, Timestamp } = jest.requireActual('firebase-admin/firestore');
+
+const docs = new Map();
+
+const files = new Map();
+let nextId = 0;
+
+const write = ({ path }, data, { merge = false } = {}) => {
+  const current = merge ? docs.get(path) || {} : {};
+  const updated = { ...current };
+
+  Object.entries(data).forEach(([field, value]) => {
+    if (value instanceof FieldValue) {
+      updated[field] = (current[field] || 0) + value.operand;
+    } else {
+      updated[field] = value instanceof Date ? Timestamp.fromDate(value) : value;
+    }
+  });
+  docs.set(path, updated);
+};
+
+const update = (ref, data) => {
+  if (!docs.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+  write(ref, data, { merge: true });
+};
+
+const docRef = (name, id = `doc-${++nextId}`) => {
+  const ref = { id, path: `${name}/${id}` };
+  return Object.assign(ref, {
+    get: async () => snapshot(ref),
+    set: async (data, options) => write(ref, data, options),
+    update: async (data) => update(ref, data),
+    delete: async () => docs.delete(ref.path)
+  });
+};
+
+const snapshot = (ref) => ({ id: ref.id, ref, exists: docs.has(ref.path), data: () => docs.get(ref.path) });
+
+// Equality filters only, like the queries of the app's server code
+const queryRef = (name, filters = []) => ({
+  where: (field, op, value) => {
+    if (op !== '==') throw new Error(`Unsupported filter: ${op}`);
+    return queryRef(name, [...filters, { field, value }]);
+  },
+  get: async () => {
+    const matches = [...docs]
+      .filter(([path, data]) => path.startsWith(`${name}/`) && filters.every(({ field, value }) => data[field] === value))
+      .map(([path]) => snapshot(docRef(name, path.slice(name.length + 1))));
+    return { empty: matches.length === 0, docs: matches };
+  }
+});
+
+const db = {
+  collection: (name) => ({
+    ...queryRef(name),
+    doc: (id) => docRef(name, id),
+    add: async (data) => {
+      const ref = docRef(name, `added-${++nextId}`);
+      write(ref, data);
+      return ref;
+    }
+  }),
+  getAll: async (...refs) => refs.map(snapshot),
+  runTransaction: async (transaction) => transaction({
+    get: async (ref) => snapshot(ref),
+    getAll: async (...refs) => refs.map(snapshot),
+    set: write,
+    update
+  }),
+  batch: () => {
+    const writes = [];
+    return {
+      set: (...args) => writes.push(() => write(...args)),
+      update: (...args) => writes.push(() => update(...args)),
+      delete: (ref) => writes.push(() => docs.delete(ref.path)),
+      commit: async () => writes.forEach(apply => apply())
+    };
+  }
+};
+
+export const hasAdminCredentials = () => false;
+
+export const getAdminAuth = () => ({
+  verifyIdToken: async (token) => {
+    const uid = /^(parent|child)-\w+$/.test(token || '') && token;
+    if (!uid) throw new Error('Invalid token');
+    return {
+      uid,
+      email: `${uid}@example.com`,
+      auth_time: Math.floor(Date.now() / 1000),
+      ...(uid.startsWith('child-') && { role: 'child', familyId: 'parent-family' })
+    };
+  },
+  getUser: async (uid) => {
+    if (!uid.startsWith('parent-')) {
+      throw Object.assign(new Error('No user record'), { code: 'auth/user-not-found' });
+    }
+    return { uid, providerData: [{ providerId: 'password' }] };
+  },
+  createCustomToken: async (uid, claims) => `custom:${uid}:${JSON.stringify(claims)}`
+});
+
+export const getAdminFirestore = () => db;
+
+export const getAdminBucket = () => ({
+  name: 'test-bucket',
+  file: (path) => ({
+    save: async (data, { metadata }) => files.set(path, { data, metadata }),
+    makePublic: async () => {}
+  })
+});
+
+// Test helpers: seed or read documents, and list the uploaded files
+export const __setDoc = (path, data) => docs.set(path, data);
+export const __getDoc = (path) => docs.get(path);
+export const __getDocs = (collection) => [...docs].filter(([path]) => path.startsWith(`${collection}/`)).map(([, data]) => data);
+export const __files = files;
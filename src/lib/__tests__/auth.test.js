@@ -0,0 +1,63 @@
+import { __setDoc } from '@/lib/firebaseAdmin';
+import { AuthError, verifyUser, withAuth } from '@/lib/auth';
+
+jest.mock('@/lib/firebaseAdmin');
+
+const authRequest = (token) => new Request('http://localhost/api/test', {
+  headers: token ? { Authorization: `Bearer ${token}` } : {}
+});
+
+describe('verifyUser', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the role and family of a child from the token claims', async () => {
+    await expect(verifyUser('child-2')).resolves.toMatchObject({ uid: 'child-2', role: 'child', familyId: 'parent-family' });
+  });
+
+  it('makes accounts without claims parents of their own family', async () => {
+    await expect(verifyUser('parent-own')).resolves.toMatchObject({ uid: 'parent-own', role: 'parent', familyId: 'parent-own' });
+  });
+
+  it('ignores the role and family a client wrote into its profile', async () => {
+    __setDoc('users/parent-forged', { role: 'parent', familyId: 'someone-else' });
+    __setDoc('users/child-forged', { role: 'parent', familyId: 'someone-else' });
+
+    await expect(verifyUser('parent-forged')).resolves.toMatchObject({ role: 'parent', familyId: 'parent-forged' });
+    await expect(verifyUser('child-forged')).resolves.toMatchObject({ role: 'child', familyId: 'parent-family' });
+  });
+
+  it('rejects missing and invalid tokens', async () => {
+    await expect(verifyUser()).rejects.toMatchObject({ constructor: AuthError, status: 401 });
+    await expect(verifyUser('forged')).rejects.toMatchObject({ constructor: AuthError, status: 401 });
+  });
+});
+
+describe('withAuth', () => {
+  const handler = withAuth(async (request, { user }) => Response.json(user), { role: 'parent' });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes the verified user to the handler', async () => {
+    const response = await handler(authRequest('parent-route'));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ uid: 'parent-route', role: 'parent' });
+  });
+
+  it('answers 401 without a token and 403 for another role', async () => {
+    expect((await handler(authRequest())).status).toBe(401);
+    expect((await handler(authRequest('child-2'))).status).toBe(403);
+  });
+});
@@ -0,0 +1,101 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { __getDoc, __setDoc } from '@/lib/firebaseAdmin';
+import { getChildrenForLogin, getFamilyCode, setChildCredential, signInChild } from '@/lib/childLogin';
+import { AuthError } from '@/lib/auth';
+
+jest.mock('@/lib/firebaseAdmin');
+
+const FAMILY = 'parent-fam';
+
+const signIn = (familyCode, secret, childId = 'child-kid') => signInChild({ familyCode, childId, secret });
+
+const rejection = (status) => expect.objectContaining({ constructor: AuthError, status });
+
+describe('child sign-in', () => {
+  let familyCode;
+
+  beforeEach(async () => {
+    __setDoc('users/child-kid', { role: 'child', familyId: FAMILY, displayName: 'Mia', avatar: 'fox' });
+    familyCode = await getFamilyCode(FAMILY);
+    await setChildCredential({ familyId: FAMILY, childId: 'child-kid', method: 'pin', secret: '2468' });
+  });
+
+  it('signs a child in with the family code and their PIN, as a child of the family', async () => {
+    const token = await signIn(familyCode.toLowerCase().replace('-', ' '), '2468');
+
+    expect(token).toBe(`custom:child-kid:${JSON.stringify({ role: 'child', familyId: FAMILY })}`);
+    expect(__getDoc('users/child-kid').loginMethod).toBe('pin');
+  });
+
+  it('only stores a salted hash of the PIN', () => {
+    const credential = __getDoc('childCredentials/child-kid');
+
+    expect(JSON.stringify(credential)).not.toContain('2468');
+    expect(credential).toMatchObject({ familyId: FAMILY, method: 'pin', salt: expect.any(String), hash: expect.any(String) });
+  });
+
+  it('locks the sign-in after five wrong PINs in a row, even for the right PIN', async () => {
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await expect(signIn(familyCode, '0000')).rejects.toEqual(rejection(401));
+    }
+    await expect(signIn(familyCode, '0000')).rejects.toEqual(rejection(429));
+    await expect(signIn(familyCode, '2468')).rejects.toEqual(rejection(429));
+  });
+
+  it('lets the child try again once the lock has expired', async () => {
+    __setDoc('childCredentials/child-kid', {
+      ...__getDoc('childCredentials/child-kid'),
+      lockedUntil: Timestamp.fromDate(new Date(Date.now() - 1000))
+    });
+
+    await expect(signIn(familyCode, '2468')).resolves.toEqual(expect.any(String));
+  });
+
+  it('counts the wrong PINs in a row only', async () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      await expect(signIn(familyCode, '0000')).rejects.toEqual(rejection(401));
+    }
+    await signIn(familyCode, '2468');
+
+    expect(__getDoc('childCredentials/child-kid')).toMatchObject({ failedAttempts: 0, lockedUntil: null });
+    await expect(signIn(familyCode, '0000')).rejects.toEqual(rejection(401));
+  });
+
+  it('rejects unknown family codes and children of other families', async () => {
+    __setDoc('users/child-other', { role: 'child', familyId: 'parent-other' });
+
+    await expect(signIn('ABCD-2345', '2468')).rejects.toEqual(rejection(404));
+    await expect(signIn(familyCode, '2468', 'child-other')).rejects.toEqual(rejection(404));
+  });
+
+  it('never signs in as an account with a password, whatever its profile says', async () => {
+    __setDoc('users/parent-victim', { role: 'child', familyId: 'parent-forger' });
+    await setChildCredential({ familyId: 'parent-forger', childId: 'parent-victim', method: 'pin', secret: '1357' });
+
+    await expect(signIn(await getFamilyCode('parent-forger'), '1357', 'parent-victim')).rejects.toEqual(rejection(404));
+  });
+
+  it('only accepts PINs of four digits and known pictures', async () => {
+    const set = (method, secret) => setChildCredential({ familyId: FAMILY, childId: 'child-kid', method, secret });
+
+    await expect(set('pin', '123')).rejects.toEqual(rejection(400));
+    await expect(set('pin', 'abcd')).rejects.toEqual(rejection(400));
+    await expect(set('picture', ['dragon', 'unicorn', 'owl', 'moon'])).rejects.toEqual(rejection(400));
+  });
+
+  it('lists the children who can sign in for the avatar step', async () => {
+    __setDoc('users/child-new', { role: 'child', familyId: FAMILY, displayName: 'Leo' });
+
+    await expect(getChildrenForLogin(familyCode)).resolves.toEqual([
+      { id: 'child-kid', name: 'Mia', avatar: 'fox', loginMethod: 'pin' }
+    ]);
+  });
+
+  it('stops accepting the old family code once it is replaced', async () => {
+    const newCode = await getFamilyCode(FAMILY, { regenerate: true });
+
+    expect(newCode).not.toBe(familyCode);
+    await expect(signIn(familyCode, '2468')).rejects.toEqual(rejection(404));
+    await expect(signIn(newCode, '2468')).resolves.toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,150 @@
+import { MODERATION_STATUS, moderateText, scoreText } from '@/lib/moderation';
+import { AGE_GROUPS } from '@/utils/constants';
+
+describe('scoreText', () => {
+  it('matches whole words with common endings, in any case', () => {
+    const { score, matches } = scoreText('The Monsters SCREAMED and the ghost was screaming.');
+
+    expect(matches).toEqual([
+      { category: 'scary', term: 'monster', count: 1 },
+      { category: 'scary', term: 'ghost', count: 1 },
+      { category: 'scary', term: 'scream', count: 2 }
+    ]);
+    expect(score).toBe(4);
+  });
+
+  it('does not match terms inside other words', () => {
+    expect(scoreText('A skilled knight from Essex had begun to sing about grapes.')).toEqual({
+      score: 0,
+      matches: [],
+      alwaysBlock: false
+    });
+  });
+
+  it('matches phrases and counts at most three occurrences of a term', () => {
+    const { score, matches } = scoreText('Ghost, ghost, ghost, ghost, ghost! They found a dead body.');
+
+    expect(matches).toContainEqual({ category: 'scary', term: 'ghost', count: 5 });
+    expect(matches).toContainEqual({ category: 'violence', term: 'dead body', count: 1 });
+    expect(score).toBe(3 + 2);
+  });
+
+  it('marks the categories that are never acceptable', () => {
+    expect(scoreText('Oh damn, said the bear.').alwaysBlock).toBe(true);
+    expect(scoreText('The bear found some beer.').alwaysBlock).toBe(false);
+  });
+});
+
+describe('moderateText', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.MODERATION_MODEL_CHECK;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  const statusFor = async (text, ageGroup) => (await moderateText(text, { ageGroup })).status;
+
+  it('approves a gentle story with no matches', async () => {
+    const verdict = await moderateText('The little owl counted the stars and fell asleep.', { ageGroup: AGE_GROUPS.TODDLER });
+
+    expect(verdict).toMatchObject({
+      status: MODERATION_STATUS.APPROVED,
+      score: 0,
+      ageGroup: AGE_GROUPS.TODDLER,
+      categories: [],
+      matches: [],
+      model: null
+    });
+    expect(new Date(verdict.checkedAt).toString()).not.toBe('Invalid Date');
+  });
+
+  it('is stricter for younger age groups', async () => {
+    const oneGhost = 'A friendly ghost said hello.';
+    const bloodAndGhost = 'A ghost saw blood on the floor.';
+    const violent = 'There was blood, a murder and a gun.';
+
+    expect(await statusFor(oneGhost, AGE_GROUPS.TODDLER)).toBe(MODERATION_STATUS.FLAGGED);
+    expect(await statusFor(oneGhost, AGE_GROUPS.PRESCHOOL)).toBe(MODERATION_STATUS.APPROVED);
+
+    expect(await statusFor(bloodAndGhost, AGE_GROUPS.PRESCHOOL)).toBe(MODERATION_STATUS.FLAGGED);
+    expect(await statusFor(bloodAndGhost, AGE_GROUPS.EARLY_READER)).toBe(MODERATION_STATUS.FLAGGED);
+    expect(await statusFor(bloodAndGhost, AGE_GROUPS.MIDDLE_GRADE)).toBe(MODERATION_STATUS.APPROVED);
+
+    expect(await statusFor(violent, AGE_GROUPS.TODDLER)).toBe(MODERATION_STATUS.BLOCKED);
+    expect(await statusFor(violent, AGE_GROUPS.PRESCHOOL)).toBe(MODERATION_STATUS.BLOCKED);
+    expect(await statusFor(violent, AGE_GROUPS.EARLY_READER)).toBe(MODERATION_STATUS.FLAGGED);
+    expect(await statusFor(violent, AGE_GROUPS.MIDDLE_GRADE)).toBe(MODERATION_STATUS.FLAGGED);
+  });
+
+  it('blocks always-blocked categories for every age group', async () => {
+    const verdict = await moderateText('The prince was naked.', { ageGroup: AGE_GROUPS.MIDDLE_GRADE });
+
+    expect(verdict.status).toBe(MODERATION_STATUS.BLOCKED);
+    expect(verdict.categories).toEqual(['sexual']);
+  });
+
+  it('uses the preschool thresholds for a missing or unknown age group', async () => {
+    const unknown = await moderateText('A ghost and a witch.', { ageGroup: '13-18 years' });
+    const missing = await moderateText('A ghost and a witch.');
+
+    expect(unknown).toMatchObject({ ageGroup: AGE_GROUPS.PRESCHOOL, status: MODERATION_STATUS.FLAGGED });
+    expect(missing).toMatchObject({ ageGroup: AGE_GROUPS.PRESCHOOL, status: MODERATION_STATUS.FLAGGED });
+    expect((await moderateText(null)).status).toBe(MODERATION_STATUS.APPROVED);
+  });
+
+  describe('with the model-based check', () => {
+    it('asks the LLM provider and reports its token usage', async () => {
+      process.env.MODERATION_MODEL_CHECK = 'llm';
+      process.env.LLM_PROVIDER = 'mock';
+      const onUsage = jest.fn();
+
+      const verdict = await moderateText('The little owl counted the stars.', { onUsage });
+
+      expect(verdict.status).toBe(MODERATION_STATUS.APPROVED);
+      expect(verdict.model).toMatchObject({ source: 'llm', unsafe: false, severe: false });
+      expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ total_tokens: expect.any(Number) }));
+    });
+
+    it('skips the model when asked to, or when the lists already block the text', async () => {
+      process.env.MODERATION_MODEL_CHECK = 'llm';
+      process.env.LLM_PROVIDER = 'mock';
+      const onUsage = jest.fn();
+
+      const skipped = await moderateText('The little owl counted the stars.', { useModel: false, onUsage });
+      const blocked = await moderateText('What the hell, wtf.', { onUsage });
+
+      expect(skipped.model).toBeNull();
+      expect(blocked).toMatchObject({ status: MODERATION_STATUS.BLOCKED, model: null });
+      expect(onUsage).not.toHaveBeenCalled();
+    });
+
+    it('blocks text OpenAI\'s moderation endpoint flags', async () => {
+      process.env.MODERATION_MODEL_CHECK = 'openai';
+      jest.spyOn(global, 'fetch').mockResolvedValue(Response.json({
+        results: [{ flagged: true, categories: { harassment: true, violence: false } }]
+      }));
+
+      const verdict = await moderateText('The little owl counted the stars.');
+
+      expect(verdict.status).toBe(MODERATION_STATUS.BLOCKED);
+      expect(verdict.categories).toEqual(['harassment']);
+      expect(verdict.model).toMatchObject({ source: 'openai', reason: 'harassment' });
+    });
+
+    it('falls back to the local lists when the model check fails', async () => {
+      process.env.MODERATION_MODEL_CHECK = 'openai';
+      jest.spyOn(global, 'fetch').mockResolvedValue(new Response('Unavailable', { status: 503 }));
+
+      const verdict = await moderateText('A friendly ghost said hello.', { ageGroup: AGE_GROUPS.TODDLER });
+
+      expect(verdict).toMatchObject({ status: MODERATION_STATUS.FLAGGED, model: null });
+      expect(console.error).toHaveBeenCalledWith('Model moderation check failed:', expect.any(Error));
+    });
+  });
+});
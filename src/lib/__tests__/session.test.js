@@ -0,0 +1,80 @@
+import { createSessionToken, getSessionCookieOptions, SESSION_MAX_AGE, verifySessionToken } from '@/lib/session';
+
+const PARENT = { uid: 'parent-1', email: 'parent@example.com', role: 'parent', familyId: 'parent-1' };
+const CHILD = { uid: 'child-1', email: null, role: 'child', familyId: 'parent-1' };
+
+/**
+ * Replace the payload of a session token, keeping its signature
+ *
+ * @param {string} token - Signed session token
+ * @param {Object} changes - Payload fields to change
+ * @returns {string} Token with the edited payload
+ */
+const editPayload = (token, changes) => {
+  const [payload, signature] = token.split('.');
+  const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  return `${Buffer.from(JSON.stringify({ ...session, ...changes })).toString('base64url')}.${signature}`;
+};
+
+describe('session tokens', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SESSION_SECRET = 'test-session-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.useRealTimers();
+  });
+
+  it('verifies the tokens it signs', async () => {
+    const session = await verifySessionToken(await createSessionToken(CHILD));
+
+    expect(session).toMatchObject(CHILD);
+    expect(session.exp - session.iat).toBe(SESSION_MAX_AGE);
+  });
+
+  it('rejects a token whose role or user was edited', async () => {
+    const token = await createSessionToken(CHILD);
+
+    await expect(verifySessionToken(editPayload(token, { role: 'parent' }))).resolves.toBeNull();
+    await expect(verifySessionToken(editPayload(token, { uid: 'parent-1' }))).resolves.toBeNull();
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const token = await createSessionToken(PARENT);
+    process.env.SESSION_SECRET = 'another-secret';
+
+    await expect(verifySessionToken(token)).resolves.toBeNull();
+  });
+
+  it('rejects an expired token', async () => {
+    const token = await createSessionToken(PARENT, 60);
+
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    await expect(verifySessionToken(token)).resolves.toBeNull();
+  });
+
+  it('rejects missing and malformed tokens', async () => {
+    const token = await createSessionToken(PARENT);
+
+    await expect(verifySessionToken(undefined)).resolves.toBeNull();
+    await expect(verifySessionToken('not-a-token')).resolves.toBeNull();
+    await expect(verifySessionToken(`${token}.extra`)).resolves.toBeNull();
+    await expect(verifySessionToken(JSON.stringify(PARENT))).resolves.toBeNull();
+  });
+
+  it('needs a secret outside development', async () => {
+    delete process.env.SESSION_SECRET;
+    process.env.NODE_ENV = 'production';
+
+    await expect(createSessionToken(PARENT)).rejects.toThrow(/SESSION_SECRET/);
+    await expect(verifySessionToken('payload.signature')).resolves.toBeNull();
+  });
+
+  it('sets an httpOnly cookie, secure outside development', () => {
+    expect(getSessionCookieOptions()).toMatchObject({ httpOnly: true, secure: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE });
+    expect(getSessionCookieOptions(0).maxAge).toBe(0);
+  });
+});
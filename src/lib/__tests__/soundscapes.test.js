@@ -0,0 +1,109 @@
+import { MPEGDecoder } from 'mpg123-decoder';
+import { mixSoundscape, parseSoundscape, synthesizeSoundscape } from '@/lib/soundscapes';
+import { readFrameHeader, readMp3Frames, synthesizeSpeech, TTSError } from '@/lib/tts';
+import { SOUNDSCAPES, VOICE_OPTIONS } from '@/utils/constants';
+
+const [NARRATOR] = VOICE_OPTIONS;
+
+/**
+ * Decode an MP3 with mpg123
+ *
+ * @param {Buffer} mp3 - MP3 data
+ * @returns {Promise<Object>} `{ channels, sampleRate, errors }` with a copy of every channel's samples
+ */
+const decode = async (mp3) => {
+  const decoder = new MPEGDecoder();
+  await decoder.ready;
+
+  try {
+    const { channelData, samplesDecoded, sampleRate, errors } = decoder.decode(new Uint8Array(mp3));
+    return { channels: channelData.map(channel => channel.slice(0, samplesDecoded)), sampleRate, errors };
+  } finally {
+    decoder.free();
+  }
+};
+
+const rms = (samples) => Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+
+// What phones and smart speakers play: both channels summed
+const monoDownmix = ({ channels }) => channels[0].map((sample, index) => (sample + (channels[1] ?? channels[0])[index]) / 2);
+
+describe('synthesizeSoundscape', () => {
+  it.each(SOUNDSCAPES.map(({ id }) => id))('writes a mono loop of %s that decodes without errors', async (id) => {
+    const loop = synthesizeSoundscape(id);
+    const header = readFrameHeader(loop, 0);
+    const decoded = await decode(loop);
+
+    expect(header).toMatchObject({ sampleRate: 24000, isMono: true, isMpeg1: false });
+    expect(readMp3Frames(loop).frames.length).toBe(loop.length);
+    expect(decoded.errors).toEqual([]);
+    expect(decoded.sampleRate).toBe(24000);
+    expect(decoded.channels[0].length).toBe(Math.round(readMp3Frames(loop).duration * 24000));
+    expect(rms(decoded.channels[0])).toBeGreaterThan(0.001);
+  });
+
+  it('rejects an unknown soundscape', () => {
+    expect(() => synthesizeSoundscape('thunder')).toThrow(expect.objectContaining({ constructor: TTSError, status: 404 }));
+  });
+});
+
+describe('parseSoundscape', () => {
+  it('fills in the level and rejects unknown beds or levels out of range', () => {
+    expect(parseSoundscape(null)).toBeNull();
+    expect(parseSoundscape({ id: 'ocean' })).toEqual({ id: 'ocean', level: 0 });
+    expect(() => parseSoundscape({ id: 'thunder' })).toThrow(TTSError);
+    expect(() => parseSoundscape({ id: 'rain', level: 12 })).toThrow(TTSError);
+  });
+});
+
+describe('mixSoundscape', () => {
+  const env = { ...process.env };
+  let speech;
+
+  beforeAll(async () => {
+    process.env.TTS_PROVIDER = 'tone';
+    process.env.TTS_CACHE = 'memory';
+    speech = await synthesizeSpeech({
+      text: 'Once upon a time, a little owl could not sleep. She counted the stars.',
+      voice: NARRATOR.id,
+      languageCode: NARRATOR.languageCode
+    });
+  });
+
+  afterAll(() => {
+    process.env = { ...env };
+  });
+
+  it('keeps the bed in the mono downmix', async () => {
+    const narration = await decode(speech.data);
+    const mixed = await mixSoundscape(speech.data, { id: 'rain', level: 0, wordStarts: [0] });
+    const decoded = await decode(mixed.data);
+
+    expect(readFrameHeader(mixed.data, 0)).toMatchObject({ sampleRate: 24000, isMono: true });
+    expect(decoded.errors).toEqual([]);
+    expect(rms(monoDownmix(decoded))).toBeGreaterThan(rms(monoDownmix(narration)) * 1.2);
+  });
+
+  it('follows the level and ducks the bed under the voice', async () => {
+    const level = async (options) => rms(monoDownmix(await decode((await mixSoundscape(speech.data, options)).data)));
+
+    const quiet = await level({ id: 'rain', level: -30, wordStarts: [0] });
+    const loud = await level({ id: 'rain', level: 0, wordStarts: [0] });
+    const ducked = await level({ id: 'rain', level: 0, wordStarts: speech.timings.wordStarts });
+
+    expect(loud).toBeGreaterThan(quiet);
+    expect(ducked).toBeLessThan(loud);
+    expect(ducked).toBeGreaterThan(quiet);
+  });
+
+  it('shifts the word timings by the encoder delay', async () => {
+    const mixed = await mixSoundscape(speech.data, { id: 'crickets', level: -12, wordStarts: speech.timings.wordStarts });
+
+    expect(mixed.wordStarts).toHaveLength(speech.timings.wordStarts.length);
+    mixed.wordStarts.forEach((start, index) => {
+      expect(start - speech.timings.wordStarts[index]).toBeCloseTo(1105 / 24000, 2);
+    });
+    expect(mixed.duration).toBeGreaterThan(speech.duration);
+    expect(mixed.duration).toBeCloseTo(readMp3Frames(mixed.data).duration, 6);
+  });
+});
@@ -0,0 +1,171 @@
+import { createMockProvider } from '@/lib/llm';
+import { assembleChapteredStory, planChapters, writeChapters } from '@/lib/storyChapters';
+import { checkStoryLength, getLengthTarget } from '@/lib/storyLength';
+import { StoryFormatError } from '@/lib/storyStructure';
+import { STORY_LENGTHS } from '@/utils/constants';
+
+const TARGET = getLengthTarget(STORY_LENGTHS.LONG);
+
+const MESSAGES = [
+  { role: 'system', content: 'You write bedtime stories.' },
+  { role: 'user', content: 'Write a long story about a sleepy star.' }
+];
+
+/**
+ * Collect the text of an async generator
+ *
+ * @param {AsyncGenerator<string>} chunks - Text chunks
+ * @returns {Promise<Array<string>>} Chunks
+ */
+const collect = async (chunks) => {
+  const collected = [];
+  for await (const chunk of chunks) collected.push(chunk);
+  return collected;
+};
+
+describe('planChapters', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('plans the number of chapters of the length target', async () => {
+    const provider = createMockProvider();
+    jest.spyOn(provider, 'complete');
+
+    const { structured: outline, usage } = await planChapters(provider, { messages: MESSAGES, target: TARGET });
+    const [{ task, messages, json }] = provider.complete.mock.calls[0];
+
+    expect(task).toBe('story-outline');
+    expect(json).toBe(true);
+    expect(messages[1].content).toMatch(/^Write a long story about a sleepy star\.\n\nFirst, plan the story as chapters\./);
+    expect(messages[1].content).toMatch(/Plan exactly 4 chapters\./);
+    expect(outline.chapters).toHaveLength(4);
+    expect(outline.chapters[0]).toEqual({ title: expect.any(String), summary: expect.any(String) });
+    expect(outline.vocabulary.length).toBeGreaterThan(0);
+    expect(usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  it('rejects an outline with fewer than two chapters', async () => {
+    const provider = {
+      complete: jest.fn().mockResolvedValue({
+        content: JSON.stringify({ title: 'The Sleepy Star', chapters: [{ title: 'The End', summary: 'It ends.' }] }),
+        model: 'test-model'
+      })
+    };
+
+    await expect(planChapters(provider, { messages: MESSAGES, target: TARGET })).rejects.toThrow(StoryFormatError);
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('writeChapters', () => {
+  const provider = createMockProvider();
+  let outline;
+
+  beforeAll(async () => {
+    ({ structured: outline } = await planChapters(provider, { messages: MESSAGES, target: TARGET }));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const write = (options) => collect(writeChapters(options.provider || provider, {
+    systemPrompt: 'You write bedtime stories.',
+    storyBrief: 'A sleepy star, for a 6 year old',
+    outline,
+    target: TARGET,
+    ...options
+  }));
+
+  it('writes every chapter under its heading and ends in the last one', async () => {
+    const onUsage = jest.fn();
+    jest.spyOn(provider, 'complete');
+
+    const text = (await write({ onUsage })).join('');
+    const headings = text.match(/^Chapter \d+: .+$/gm);
+
+    expect(headings).toEqual(outline.chapters.map((chapter, index) => `Chapter ${index + 1}: ${chapter.title}`));
+    expect(text.trim()).toMatch(/The End\.$/);
+    expect(text.match(/The End\./g)).toHaveLength(1);
+    expect(onUsage).toHaveBeenCalledTimes(provider.complete.mock.calls.length);
+    expect(provider.complete.mock.calls.map(([{ task }]) => task)).toEqual(Array(4).fill('story-chapter'));
+  });
+
+  it('gives every chapter prompt the outline and the end of the previous chapter', async () => {
+    jest.spyOn(provider, 'complete');
+
+    await write({});
+    const prompts = provider.complete.mock.calls.map(([{ messages }]) => messages[1].content);
+
+    prompts.forEach(prompt => {
+      expect(prompt).toMatch(/^We are writing a children's story in 4 chapters\./);
+      expect(prompt).toContain(`Story title: ${outline.title}`);
+      expect(prompt).toContain('It should be about 630 words (between 500 and 750 words).');
+    });
+    expect(prompts[0]).not.toContain('The previous chapter ended like this');
+    expect(prompts[1]).toContain('The previous chapter ended like this');
+    expect(prompts[3]).toContain('This is the last chapter');
+  });
+
+  it('streams the same chapters', async () => {
+    const onUsage = jest.fn();
+    jest.spyOn(provider, 'stream');
+
+    const streamed = await write({ stream: true, onUsage });
+    const written = await write({});
+
+    expect(provider.stream).toHaveBeenCalledTimes(4);
+    expect(streamed.length).toBeGreaterThan(written.length);
+    expect(streamed.join('')).toBe(written.join(''));
+    expect(onUsage).toHaveBeenCalledTimes(4);
+  });
+
+  it('continues a chapter that comes out too short', async () => {
+    const shortProvider = {
+      complete: jest.fn(async ({ task }) => ({
+        content: task === 'story-chapter' ? '\n\nPip yawned.' : 'Then Pip found the star.',
+        model: 'test-model'
+      }))
+    };
+
+    const text = (await write({ provider: shortProvider })).join('');
+    const [, continuation] = shortProvider.complete.mock.calls.map(([params]) => params);
+
+    expect(text.startsWith(`Chapter 1: ${outline.chapters[0].title}\nPip yawned.\n\nThen Pip found the star.\n\nChapter 2:`)).toBe(true);
+    expect(continuation.task).toBe('story-chapter-continue');
+    expect(continuation.messages[1].content).toContain('It is only 2 words but should be about 630. Continue it from exactly where it stops with about 628 more words');
+    expect(shortProvider.complete).toHaveBeenCalledTimes(8);
+  });
+});
+
+describe('assembleChapteredStory', () => {
+  it('builds the structured story from the outline and the text', async () => {
+    const provider = createMockProvider();
+    const { structured: outline } = await planChapters(provider, { messages: MESSAGES, target: TARGET });
+    const text = (await collect(writeChapters(provider, {
+      systemPrompt: 'You write bedtime stories.',
+      storyBrief: 'A sleepy star',
+      outline,
+      target: TARGET
+    }))).join('');
+
+    const story = assembleChapteredStory({ ...outline, summary: '' }, text);
+
+    expect(story.title).toBe(outline.title);
+    expect(story.pages[0]).toMatch(/^Chapter 1: .+\n\S/);
+    expect(story.pages.join('\n\n')).toBe(text.trim());
+    expect(story.summary).toBe(outline.chapters.map(chapter => chapter.summary).join(' '));
+    expect(story.vocabulary).toEqual(outline.vocabulary);
+    expect(checkStoryLength(story.pages.join('\n\n'), TARGET).status).toBe('ok');
+    expect(story.estimatedReadingMinutes).toBe(Math.ceil(story.wordCount / 200));
+  });
+});
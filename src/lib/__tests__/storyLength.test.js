@@ -0,0 +1,129 @@
+import { checkStoryLength, fitStoryToLength, getChapterTarget, getLengthTarget, lengthInstruction } from '@/lib/storyLength';
+import { STORY_LENGTHS } from '@/utils/constants';
+
+const words = (count) => Array.from({ length: count }, () => 'sleepy').join(' ');
+
+/**
+ * Completion with a structured story of a number of words
+ *
+ * @param {number} count - Words in the story
+ * @returns {Object} Completion
+ */
+const storyCompletion = (count) => ({
+  content: JSON.stringify({ title: 'The Sleepy Star', pages: [words(count)] }),
+  model: 'test-model',
+  usage: { prompt_tokens: 100, completion_tokens: count, total_tokens: 100 + count }
+});
+
+const PARAMS = {
+  task: 'story-json',
+  messages: [
+    { role: 'system', content: 'You write bedtime stories.' },
+    { role: 'user', content: 'Write a story about a sleepy star.' }
+  ],
+  maxTokens: 1900
+};
+
+describe('getLengthTarget', () => {
+  it('turns the reading time range into word and token targets', () => {
+    expect(getLengthTarget(STORY_LENGTHS.SHORT)).toEqual({
+      length: 'short',
+      minMinutes: 3,
+      maxMinutes: 5,
+      minWords: 600,
+      maxWords: 1000,
+      targetWords: 800,
+      chapters: 1,
+      maxTokens: 1900
+    });
+    expect(getLengthTarget(STORY_LENGTHS.LONG)).toMatchObject({ minWords: 2000, maxWords: 3000, targetWords: 2500, chapters: 4 });
+  });
+
+  it('falls back to a medium story', () => {
+    expect(getLengthTarget('epic')).toMatchObject({ length: 'medium', minWords: 1000, maxWords: 2000, targetWords: 1500 });
+  });
+
+  it('describes the target for the prompt', () => {
+    expect(lengthInstruction(getLengthTarget(STORY_LENGTHS.SHORT)))
+      .toBe('Be about 800 words long (between 600 and 1000 words, a 3-5 minute read)');
+  });
+});
+
+describe('getChapterTarget', () => {
+  it('splits the target between the chapters', () => {
+    expect(getChapterTarget(getLengthTarget(STORY_LENGTHS.LONG))).toEqual({
+      minWords: 500,
+      maxWords: 750,
+      targetWords: 630,
+      maxTokens: 1150
+    });
+  });
+});
+
+describe('checkStoryLength', () => {
+  const target = getLengthTarget(STORY_LENGTHS.SHORT);
+
+  it('uses the reading time estimate shown to readers', () => {
+    expect(checkStoryLength(words(400), target)).toEqual({ words: 400, minutes: 2, status: 'short' });
+    expect(checkStoryLength(words(401), target)).toEqual({ words: 401, minutes: 3, status: 'ok' });
+    expect(checkStoryLength(words(1000), target)).toEqual({ words: 1000, minutes: 5, status: 'ok' });
+    expect(checkStoryLength(words(1001), target)).toEqual({ words: 1001, minutes: 6, status: 'long' });
+  });
+});
+
+describe('fitStoryToLength', () => {
+  const target = getLengthTarget(STORY_LENGTHS.SHORT);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a story that fits', async () => {
+    const provider = { complete: jest.fn() };
+    const result = { structured: { pages: [words(800)] }, model: 'test-model', usage: storyCompletion(800).usage };
+
+    const fitted = await fitStoryToLength(provider, { result, target, params: PARAMS });
+
+    expect(provider.complete).not.toHaveBeenCalled();
+    expect(fitted).toEqual({ ...result, lengthCheck: { words: 800, minutes: 4, status: 'ok' } });
+  });
+
+  it('extends a short story and adds up the usage', async () => {
+    const provider = { complete: jest.fn().mockResolvedValue(storyCompletion(700)) };
+    const result = { structured: { title: 'The Sleepy Star', pages: [words(300)] }, model: 'test-model', usage: storyCompletion(300).usage };
+
+    const fitted = await fitStoryToLength(provider, { result, target, params: PARAMS });
+    const [{ task, messages, maxTokens }] = provider.complete.mock.calls[0];
+
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+    expect(task).toBe('story-extend');
+    expect(maxTokens).toBe(1900);
+    expect(messages[0]).toBe(PARAMS.messages[0]);
+    expect(messages[1].content).toMatch(/^The children's story below is 300 words long, but it should be about 800 words long/);
+    expect(fitted.lengthCheck).toEqual({ words: 700, minutes: 4, status: 'ok' });
+    expect(fitted.usage.total_tokens).toBe(400 + 800);
+  });
+
+  it('regenerates a long story and keeps the attempt closest to the target', async () => {
+    const provider = {
+      complete: jest.fn()
+        .mockResolvedValueOnce(storyCompletion(2000))
+        .mockResolvedValueOnce(storyCompletion(1100))
+    };
+    const result = { structured: { pages: [words(1400)] }, model: 'test-model', usage: storyCompletion(1400).usage };
+
+    const fitted = await fitStoryToLength(provider, { result, target, params: PARAMS });
+    const [{ task, messages }] = provider.complete.mock.calls[0];
+
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+    expect(task).toBe('story-json');
+    expect(messages[1].content).toBe(`${PARAMS.messages[1].content}\n\nImportant: a previous version was 1400 words, which is too long. The story must be at most 1000 words.`);
+    expect(provider.complete.mock.calls[1][0].messages[1].content).toMatch(/a previous version was 1400 words/);
+    expect(fitted.lengthCheck).toEqual({ words: 1100, minutes: 6, status: 'long' });
+    expect(fitted.usage.total_tokens).toBe(1500 + 2100 + 1200);
+  });
+});
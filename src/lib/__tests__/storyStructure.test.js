@@ -0,0 +1,131 @@
+import {
+  completeStructuredStory,
+  extractJsonObject,
+  parseStoryStructure,
+  StoryFormatError,
+  validateStoryStructure
+} from '@/lib/storyStructure';
+
+const STORY = {
+  title: '"Pip and the Sleepy Star"',
+  pages: ['  "Look!" said Pip. A star had fallen.  ', 'Grandma Owl whispered, "Let\'s help it home."'],
+  moral: 'Helping a friend is the best adventure.',
+  summary: 'Pip helps a fallen star.',
+  vocabulary: [{ word: ' twinkle ', definition: 'to shine with a flickering light' }, { word: '', definition: 'empty' }],
+  speakers: ['Pip']
+};
+
+describe('extractJsonObject', () => {
+  it('reads the object out of code fences and text around it', () => {
+    expect(extractJsonObject('Here you go:\n```json\n{"title": "Pip"}\n```\nSleep well!')).toEqual({ title: 'Pip' });
+  });
+
+  it('rejects output without a valid object', () => {
+    expect(() => extractJsonObject('Once upon a time')).toThrow(StoryFormatError);
+    expect(() => extractJsonObject('{"title": "Pip",}')).toThrow(/not valid JSON/);
+  });
+});
+
+describe('validateStoryStructure', () => {
+  it('accepts a complete story', () => {
+    expect(validateStoryStructure({ ...STORY, estimatedReadingMinutes: 3 })).toEqual([]);
+  });
+
+  it('lists every problem', () => {
+    expect(validateStoryStructure({
+      title: 'x'.repeat(101),
+      pages: ['Once upon a time', ' '],
+      moral: 42,
+      vocabulary: [{ word: 'twinkle' }],
+      speakers: 'Pip',
+      estimatedReadingMinutes: 0
+    })).toEqual([
+      'title must be at most 100 characters',
+      'every page must be a non-empty string',
+      'moral must be a string',
+      'every vocabulary entry must have a word and a definition',
+      'speakers must be an array of names',
+      'estimatedReadingMinutes must be a positive number'
+    ]);
+    expect(validateStoryStructure([])).toEqual(['Story must be a JSON object']);
+    expect(validateStoryStructure({ title: ' ', pages: [] })).toEqual([
+      'title must be a non-empty string',
+      'pages must be a non-empty array'
+    ]);
+  });
+});
+
+describe('parseStoryStructure', () => {
+  it('normalizes the story and fills in the optional fields', () => {
+    const story = parseStoryStructure(JSON.stringify(STORY));
+
+    expect(story).toEqual({
+      title: 'Pip and the Sleepy Star',
+      pages: ['"Look!" said Pip. A star had fallen.', 'Grandma Owl whispered, "Let\'s help it home."'],
+      moral: 'Helping a friend is the best adventure.',
+      summary: 'Pip helps a fallen star.',
+      vocabulary: [{ word: 'twinkle', definition: 'to shine with a flickering light' }],
+      speakers: ['Pip', 'Grandma Owl'],
+      estimatedReadingMinutes: 1,
+      wordCount: 14
+    });
+  });
+
+  it('keeps the model\'s reading time, rounded to whole minutes', () => {
+    expect(parseStoryStructure(JSON.stringify({ ...STORY, estimatedReadingMinutes: 4.4 })).estimatedReadingMinutes).toBe(4);
+    expect(parseStoryStructure(JSON.stringify({ ...STORY, estimatedReadingMinutes: 0.2 })).estimatedReadingMinutes).toBe(1);
+  });
+
+  it('rejects a story that does not match the schema', () => {
+    expect(() => parseStoryStructure('{"title": "Pip"}')).toThrow('Invalid story structure: pages must be a non-empty array');
+    expect(() => parseStoryStructure(null)).toThrow(StoryFormatError);
+  });
+});
+
+describe('completeStructuredStory', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const completion = (content) => ({
+    content,
+    model: 'test-model',
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+  });
+
+  it('retries once when the output does not match, adding up the usage', async () => {
+    const provider = {
+      complete: jest.fn()
+        .mockResolvedValueOnce(completion('Once upon a time'))
+        .mockResolvedValueOnce(completion(JSON.stringify(STORY)))
+    };
+
+    const result = await completeStructuredStory(provider, { task: 'story-json', messages: [] });
+
+    expect(provider.complete).toHaveBeenCalledWith({ task: 'story-json', messages: [], json: true });
+    expect(result.structured.title).toBe('Pip and the Sleepy Star');
+    expect(result.model).toBe('test-model');
+    expect(result.usage).toEqual({ prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+  });
+
+  it('throws the last format error once the attempts are used up', async () => {
+    const provider = { complete: jest.fn().mockResolvedValue(completion('{"pages": []}')) };
+
+    await expect(completeStructuredStory(provider, { messages: [] })).rejects.toThrow(StoryFormatError);
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry other errors', async () => {
+    const provider = { complete: jest.fn().mockResolvedValue(completion(JSON.stringify(STORY))) };
+    const parse = jest.fn(() => {
+      throw new TypeError('Broken parser');
+    });
+
+    await expect(completeStructuredStory(provider, { messages: [] }, { parse })).rejects.toThrow(TypeError);
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+});
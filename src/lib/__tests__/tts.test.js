@@ -0,0 +1,101 @@
+import { readFrameHeader, readMp3Frames, synthesizeSpeech, TTSError } from '@/lib/tts';
+import { VOICE_OPTIONS } from '@/utils/constants';
+
+const STORY = `Once upon a time, a little owl could not sleep.
+
+She counted the stars, one by one, until her eyes grew heavy. Goodnight, little owl!`;
+
+const WORD_COUNT = STORY.split(/\s+/).length;
+const [NARRATOR, OTHER_NARRATOR] = VOICE_OPTIONS;
+
+/**
+ * Walk the MPEG frames of an MP3 from its first byte
+ *
+ * @param {Buffer} data - MP3 data
+ * @returns {Array<Object>} Frame headers, or null for the first byte that does not start a frame
+ */
+const walkFrames = (data) => {
+  const headers = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    const header = readFrameHeader(data, offset);
+    headers.push(header);
+    if (!header) break;
+    offset += header.length;
+  }
+
+  return headers;
+};
+
+describe('synthesizeSpeech with the tone provider', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.TTS_PROVIDER = 'tone';
+    process.env.TTS_CACHE = 'memory';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('returns an MP3 made of whole Layer III frames', async () => {
+    const { data, duration } = await synthesizeSpeech({ text: STORY, voice: NARRATOR.id, languageCode: NARRATOR.languageCode });
+    const headers = walkFrames(data);
+
+    expect(data.length).toBeGreaterThan(0);
+    expect(headers).not.toContain(null);
+    expect(headers.every(header => header.sampleRate === 24000 && header.isMono)).toBe(true);
+    expect(headers.reduce((total, header) => total + header.length, 0)).toBe(data.length);
+
+    const decoded = readMp3Frames(data);
+    expect(decoded.frames.length).toBe(data.length);
+    expect(decoded.duration).toBeCloseTo(duration, 6);
+    expect(duration).toBeCloseTo(headers.length * 576 / 24000, 6);
+  });
+
+  it('times every word from the SSML marks', async () => {
+    const { duration, timings } = await synthesizeSpeech({ text: STORY, voice: NARRATOR.id, languageCode: NARRATOR.languageCode });
+
+    expect(timings.source).toBe('marks');
+    expect(timings.wordStarts).toHaveLength(WORD_COUNT);
+    expect(timings.wordStarts[0]).toBeGreaterThanOrEqual(0);
+    timings.wordStarts.slice(1).forEach((start, index) => {
+      expect(start).toBeGreaterThan(timings.wordStarts[index]);
+    });
+    expect(timings.wordStarts[WORD_COUNT - 1]).toBeLessThan(duration);
+  });
+
+  it('reports every paragraph and reuses the cached ones', async () => {
+    const text = `${STORY}\n\nThe end.`;
+    const progress = [];
+
+    const first = await synthesizeSpeech({
+      text,
+      voice: OTHER_NARRATOR.id,
+      languageCode: OTHER_NARRATOR.languageCode,
+      onProgress: (completed, total) => progress.push([completed, total])
+    });
+    const second = await synthesizeSpeech({ text, voice: OTHER_NARRATOR.id, languageCode: OTHER_NARRATOR.languageCode });
+
+    expect(progress).toEqual([[1, 3], [2, 3], [3, 3]]);
+    expect(first.chunks).toBe(3);
+    expect(first.cachedChunks).toBe(0);
+    expect(second.cachedChunks).toBe(3);
+    expect(second.data.equals(first.data)).toBe(true);
+  });
+
+  it('narrates more slowly at a lower speaking rate', async () => {
+    const params = { text: STORY, voice: NARRATOR.id, languageCode: NARRATOR.languageCode };
+    const normal = await synthesizeSpeech(params);
+    const slow = await synthesizeSpeech({ ...params, narration: { speakingRate: 0.75 } });
+
+    expect(slow.duration).toBeGreaterThan(normal.duration);
+  });
+
+  it('rejects a text without words', async () => {
+    await expect(synthesizeSpeech({ text: ' \n ', voice: NARRATOR.id, languageCode: NARRATOR.languageCode }))
+      .rejects.toMatchObject({ constructor: TTSError, status: 400 });
+  });
+});
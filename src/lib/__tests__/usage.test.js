@@ -0,0 +1,188 @@
+import {
+  checkUsage,
+  countTokens,
+  getUsage,
+  meterLLMProvider,
+  recordUsage,
+  UsageLimitError,
+  usageLimitResponse
+} from '@/lib/usage';
+import { __getDoc, __setDoc, getAdminFirestore } from '@/lib/firebaseAdmin';
+
+jest.mock('@/lib/firebaseAdmin');
+
+// Half an hour before midnight UTC, so the daily reset is close
+const NOW = new Date('2026-10-19T23:30:15Z');
+
+describe('usage ledger', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('countTokens', () => {
+    it('uses the total, or adds up prompt and completion tokens', () => {
+      expect(countTokens({ total_tokens: 42, prompt_tokens: 1 })).toBe(42);
+      expect(countTokens({ prompt_tokens: 30, completion_tokens: 12 })).toBe(42);
+      expect(countTokens(undefined)).toBe(0);
+    });
+  });
+
+  describe('checkUsage', () => {
+    it('counts requests and rejects them over the per-minute limit until the next minute', async () => {
+      process.env.USAGE_REQUESTS_PER_MINUTE = '2';
+
+      await checkUsage('family-rate');
+      await checkUsage('family-rate');
+      const error = await checkUsage('family-rate').catch(rejection => rejection);
+
+      expect(error).toBeInstanceOf(UsageLimitError);
+      expect(error.status).toBe(429);
+      expect(error.message).toBe('Your family has reached its per-minute request limit. It resets in a minute.');
+      expect(error.details).toEqual({
+        period: 'minute',
+        metric: 'requests',
+        limit: 2,
+        used: 2,
+        resetAt: '2026-10-19T23:31:00.000Z'
+      });
+      expect(__getDoc('usage/family-rate_minute_2026-10-19T23:30')).toMatchObject({ requests: 2, period: 'minute' });
+
+      jest.setSystemTime(new Date('2026-10-19T23:31:00Z'));
+      await expect(checkUsage('family-rate')).resolves.toBeUndefined();
+    });
+
+    it('rejects a request whose known amount would go over the daily limit', async () => {
+      process.env.USAGE_DAILY_TTS_CHARACTERS = '1000';
+      __setDoc('usage/family-daily_day_2026-10-19', { ttsCharacters: 900 });
+
+      await expect(checkUsage('family-daily', { ttsCharacters: 100 })).resolves.toBeUndefined();
+      const error = await checkUsage('family-daily', { ttsCharacters: 101 }).catch(rejection => rejection);
+
+      expect(error).toBeInstanceOf(UsageLimitError);
+      expect(error.message).toBe('Your family has reached its daily narration limit. It resets in 30 minutes.');
+      expect(error.details).toMatchObject({ period: 'day', metric: 'ttsCharacters', limit: 1000, used: 900 });
+    });
+
+    it('rejects requests once the monthly total is used up, even with nothing expected', async () => {
+      __setDoc('usage/family-monthly_month_2026-10', { llmTokens: 3000000 });
+
+      const error = await checkUsage('family-monthly', { llmTokens: 0 }).catch(rejection => rejection);
+
+      expect(error.details).toMatchObject({
+        period: 'month',
+        metric: 'llmTokens',
+        limit: 3000000,
+        resetAt: '2026-11-01T00:00:00.000Z'
+      });
+      expect(error.message).toMatch(/monthly story writing limit\. It resets in 12 days\.$/);
+    });
+
+    it('treats a limit of 0 as no limit and ignores invalid overrides', async () => {
+      process.env.USAGE_DAILY_IMAGES = '0';
+      process.env.USAGE_MONTHLY_IMAGES = 'lots';
+      __setDoc('usage/family-override_day_2026-10-19', { images: 500 });
+      __setDoc('usage/family-override_month_2026-10', { images: 399 });
+
+      await expect(checkUsage('family-override', { images: 1 })).resolves.toBeUndefined();
+      await expect(checkUsage('family-override', { images: 2 })).rejects.toMatchObject({
+        details: { period: 'month', metric: 'images', limit: 400 }
+      });
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('adds the amounts to the daily and monthly totals', async () => {
+      await recordUsage('family-record', { llmTokens: 1200, ttsCharacters: 0 });
+      await recordUsage('family-record', { llmTokens: 300 });
+
+      const day = __getDoc('usage/family-record_day_2026-10-19');
+      expect(day).toMatchObject({ familyId: 'family-record', period: 'day', key: '2026-10-19', llmTokens: 1500 });
+      expect(day).not.toHaveProperty('ttsCharacters');
+      expect(day.resetAt.toDate()).toEqual(new Date('2026-10-20T00:00:00Z'));
+      expect(__getDoc('usage/family-record_month_2026-10')).toMatchObject({ period: 'month', llmTokens: 1500 });
+    });
+
+    it('writes nothing without a positive amount', async () => {
+      await recordUsage('family-nothing', { llmTokens: 0, images: -1 });
+
+      expect(__getDoc('usage/family-nothing_day_2026-10-19')).toBeUndefined();
+    });
+
+    it('logs a failed write instead of throwing', async () => {
+      jest.spyOn(getAdminFirestore(), 'batch').mockImplementation(() => {
+        throw new Error('Firestore is unavailable');
+      });
+
+      await expect(recordUsage('family-offline', { images: 1 })).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalledWith('Error recording usage:', expect.any(Error));
+    });
+  });
+
+  describe('meterLLMProvider', () => {
+    it('records the tokens of every completion once', async () => {
+      const provider = {
+        name: 'test',
+        complete: jest.fn().mockResolvedValue({ text: 'Once upon a time', usage: { total_tokens: 50 } })
+      };
+      const meter = meterLLMProvider('family-meter', provider);
+
+      await meter.provider.complete({ prompt: 'A story' });
+      meter.add({ prompt_tokens: 5, completion_tokens: 5 });
+      await meter.record();
+      await meter.record();
+
+      expect(meter.provider.name).toBe('test');
+      expect(__getDoc('usage/family-meter_day_2026-10-19').llmTokens).toBe(60);
+    });
+  });
+
+  describe('getUsage', () => {
+    it('returns the daily and monthly totals with their limits', async () => {
+      process.env.USAGE_DAILY_IMAGES = '5';
+      await recordUsage('family-report', { images: 2 });
+
+      const usage = await getUsage('family-report');
+
+      expect(usage.day.resetAt).toBe('2026-10-20T00:00:00.000Z');
+      expect(usage.day.metrics.images).toEqual({ used: 2, limit: 5 });
+      expect(usage.day.metrics.llmTokens).toEqual({ used: 0, limit: 200000 });
+      expect(usage.month.metrics.images).toEqual({ used: 2, limit: 400 });
+      expect(usage.month).not.toHaveProperty('metrics.requests');
+    });
+  });
+
+  describe('usageLimitResponse', () => {
+    it('answers 429 with the details and the seconds until the reset in Retry-After', async () => {
+      const error = new UsageLimitError('Limit reached', 429, {
+        period: 'day',
+        metric: 'images',
+        limit: 5,
+        used: 5,
+        resetAt: '2026-10-20T00:00:00.000Z'
+      });
+
+      const response = usageLimitResponse(error);
+
+      expect(response.status).toBe(429);
+      expect(response.headers.get('retry-after')).toBe('1785');
+      expect(await response.json()).toEqual({ error: 'Limit reached', ...error.details });
+    });
+
+    it('asks to retry after at least a second', () => {
+      const response = usageLimitResponse(new UsageLimitError('Limit reached', 429, {
+        resetAt: '2026-10-19T23:00:00.000Z'
+      }));
+
+      expect(response.headers.get('retry-after')).toBe('1');
+    });
+  });
+});
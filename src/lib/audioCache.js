@@ -0,0 +1,119 @@
+/**
+ * Narration chunk cache
+ *
+ * Every synthesized chunk (one paragraph, or part of a very long one) is
+ * stored under a hash of everything that shapes its audio: the provider,
+ * the SSML, the voice and the audio config. Re-narrating an edited story
+ * then only synthesizes the paragraphs that changed. The backend is chosen
+ * with the `TTS_CACHE` env var:
+ *
+ * - `storage`: Firebase Storage under `tts-cache/`, through the Admin SDK
+ *   (default when `FIREBASE_SERVICE_ACCOUNT_KEY` is set)
+ * - `memory`: in-process, lost on restart (default otherwise)
+ * - `off`: no caching
+ */
+
+import { createHash } from 'node:crypto';
+import { getAdminBucket, hasAdminCredentials } from '@/lib/firebaseAdmin';
+
+const CACHE_PREFIX = 'tts-cache';
+const MEMORY_CACHE_ENTRIES = 500;
+
+/**
+ * Cache key of a chunk request
+ *
+ * @param {Object} request - Provider name, SSML, voice, languageCode and audioConfig
+ * @returns {string} SHA-256 hex digest
+ */
+export const chunkCacheKey = ({ provider, ssml, voice, languageCode, audioConfig }) => {
+  return createHash('sha256')
+    .update(JSON.stringify({ provider, ssml, voice, languageCode, audioConfig }))
+    .digest('hex');
+};
+
+/**
+ * Create an in-process cache that keeps the most recently used chunks
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=500] - Number of chunks kept
+ * @returns {Object} Audio cache
+ */
+export const createMemoryAudioCache = ({ maxEntries = MEMORY_CACHE_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      // Move to the end, as the most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+};
+
+/**
+ * Create a cache in Firebase Storage. The chunk audio is saved as an MP3
+ * file, with its mark times in the file's metadata.
+ *
+ * @param {Object} bucket - Admin Storage bucket
+ * @returns {Object} Audio cache
+ */
+export const createStorageAudioCache = (bucket) => ({
+  name: 'storage',
+
+  async get(key) {
+    const file = bucket.file(`${CACHE_PREFIX}/${key}.mp3`);
+    const [exists] = await file.exists();
+    if (!exists) return null;
+
+    const [[audio], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+    return { audio, timepoints: JSON.parse(metadata.metadata?.timepoints || '[]') };
+  },
+
+  async set(key, { audio, timepoints }) {
+    await bucket.file(`${CACHE_PREFIX}/${key}.mp3`).save(audio, {
+      metadata: {
+        contentType: 'audio/mpeg',
+        metadata: { timepoints: JSON.stringify(timepoints) }
+      }
+    });
+  }
+});
+
+// The memory cache has to outlive a single request
+let memoryCache = null;
+
+/**
+ * Get the audio cache configured for this environment
+ *
+ * @returns {Object|null} Audio cache with `name`, `get()` and `set()`, or null when caching is off
+ */
+export const getAudioCache = () => {
+  const cacheName = (process.env.TTS_CACHE || (hasAdminCredentials() ? 'storage' : 'memory')).toLowerCase();
+
+  switch (cacheName) {
+    case 'storage':
+      return createStorageAudioCache(getAdminBucket());
+    case 'memory':
+      memoryCache = memoryCache || createMemoryAudioCache();
+      return memoryCache;
+    case 'off':
+      return null;
+    default:
+      throw new Error(`Unknown TTS cache: ${cacheName}`);
+  }
+};
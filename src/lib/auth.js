@@ -0,0 +1,104 @@
+/**
+ * Server-side authentication: Firebase ID tokens verified with the Admin SDK,
+ * the role and family of their user from the token's custom claims, and the
+ * wrapper that protects API routes with them
+ *
+ * Roles and families are never read from the `users` collection, which
+ * clients write. Children get `{ role: 'child', familyId }` claims when they
+ * sign in (`lib/childLogin.js`); accounts without claims are parents of their
+ * own family, unless claims are set for them with the Admin SDK.
+ */
+
+import { NextResponse } from 'next/server';
+import { getAdminAuth } from '@/lib/firebaseAdmin';
+
+/**
+ * Error with the HTTP status to return to the client
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message - Message safe to show to the client
+   * @param {number} [status=401] - HTTP status
+   * @param {*} [details] - Underlying error, for the server log
+   */
+  constructor(message, status = 401, details) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Verify a Firebase ID token and read its user's role and family from the
+ * token's custom claims
+ *
+ * @param {string} idToken - Firebase ID token
+ * @returns {Promise<Object>} `{ uid, email, role, familyId, authTime }`, with `authTime` in seconds
+ * @throws {AuthError} When the token is missing, invalid, expired or revoked
+ */
+export const verifyUser = async (idToken) => {
+  if (!idToken) {
+    throw new AuthError('Missing ID token');
+  }
+
+  let decoded;
+  try {
+    decoded = await getAdminAuth().verifyIdToken(idToken, true);
+  } catch (error) {
+    throw new AuthError('Invalid or expired ID token', 401, error);
+  }
+
+  return {
+    uid: decoded.uid,
+    email: decoded.email || null,
+    role: decoded.role === 'child' ? 'child' : 'parent',
+    familyId: typeof decoded.familyId === 'string' && decoded.familyId ? decoded.familyId : decoded.uid,
+    authTime: decoded.auth_time
+  };
+};
+
+/**
+ * Read the Firebase ID token from the `Authorization: Bearer <token>` header
+ *
+ * @param {Request} request - Incoming request
+ * @returns {string|undefined} ID token
+ */
+const readBearerToken = (request) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('authorization') || '');
+  return match?.[1];
+};
+
+/**
+ * Wrap an API route handler so only signed-in users reach it
+ *
+ * The caller's Firebase ID token is read from the `Authorization` header and
+ * verified, and the handler receives the verified user as `context.user`
+ * (`{ uid, email, role, familyId }`). Handlers take the caller's identity
+ * from there, never from the request body. Requests without a valid token
+ * get 401, and users of another role than `role` get 403.
+ *
+ * @param {Function} handler - Route handler, `(request, context) => Response`
+ * @param {Object} [options]
+ * @param {string} [options.role] - Role required to call the route, e.g. 'parent'
+ * @returns {(request: Request, context?: Object) => Promise<Response>} Route handler
+ */
+export const withAuth = (handler, { role } = {}) => async (request, context = {}) => {
+  let user;
+
+  try {
+    user = await verifyUser(readBearerToken(request));
+
+    if (role && user.role !== role) {
+      throw new AuthError(`Only ${role}s can do this`, 403);
+    }
+  } catch (error) {
+    console.error('API authentication error:', error.details || error);
+    return NextResponse.json(
+      { error: error instanceof AuthError ? error.message : 'Could not verify the user' },
+      { status: error instanceof AuthError ? error.status : 500 }
+    );
+  }
+
+  return handler(request, { ...context, user });
+};
@@ -0,0 +1,96 @@
+/**
+ * Family character library in prompts
+ *
+ * Parents keep recurring characters (name, species, appearance, personality,
+ * catchphrases) in the family character library. The profiles chosen for a
+ * story are sent along with the generation requests and described here, so
+ * the story and image prompts draw the same hero the same way every time.
+ *
+ * Profiles come from the client, so they are trimmed and capped before they
+ * are put into a prompt.
+ */
+
+// Limits for profiles sent by the client
+const MAX_CHARACTERS = 6;
+const MAX_FIELD_LENGTH = 300;
+const MAX_CATCHPHRASES = 3;
+
+/**
+ * Trim a profile field and cap its length
+ *
+ * @param {*} value - Field value
+ * @returns {string} Clean text ('' for anything that is not a string)
+ */
+const cleanField = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_FIELD_LENGTH) : '');
+
+/**
+ * Validate the character profiles of a generation request
+ *
+ * @param {*} input - `characterProfiles` from the request body
+ * @returns {Array<Object>} Profiles with name, species, appearance, personality, catchphrases and avatar
+ */
+export const normalizeCharacterProfiles = (input) => {
+  if (!Array.isArray(input)) return [];
+
+  return input
+    .map(profile => ({
+      name: cleanField(profile?.name),
+      species: cleanField(profile?.species),
+      appearance: cleanField(profile?.appearance),
+      personality: cleanField(profile?.personality),
+      catchphrases: (Array.isArray(profile?.catchphrases) ? profile.catchphrases : [])
+        .map(cleanField)
+        .filter(Boolean)
+        .slice(0, MAX_CATCHPHRASES),
+      avatar: cleanField(profile?.avatar).slice(0, 16)
+    }))
+    .filter(profile => profile.name)
+    .slice(0, MAX_CHARACTERS);
+};
+
+/**
+ * Short label of a character, e.g. "Pip (mouse)"
+ *
+ * @param {Object} profile - Normalized profile
+ * @returns {string} Label
+ */
+export const characterLabel = (profile) => {
+  return profile.species ? `${profile.name} (${profile.species})` : profile.name;
+};
+
+/**
+ * Describe the chosen characters for a story prompt
+ *
+ * @param {Array<Object>} profiles - Normalized profiles
+ * @returns {string} Prompt section, or an empty string when no characters were chosen
+ */
+export const describeCharacters = (profiles) => {
+  if (profiles.length === 0) return '';
+
+  const descriptions = profiles.map(profile => {
+    const details = [
+      profile.appearance && `Looks: ${profile.appearance}`,
+      profile.personality && `Personality: ${profile.personality}`,
+      profile.catchphrases.length > 0 && `Catchphrases: ${profile.catchphrases.map(phrase => `"${phrase}"`).join(', ')}`
+    ].filter(Boolean);
+
+    return `- ${characterLabel(profile)}${details.length > 0 ? `. ${details.join('. ')}` : ''}`;
+  });
+
+  return `
+
+Recurring characters from the family's character library (keep their names, looks and personalities exactly as described, and use their catchphrases naturally):
+${descriptions.join('\n')}`;
+};
+
+/**
+ * Describe how the chosen characters look, for an illustration prompt
+ *
+ * @param {Array<Object>} profiles - Normalized profiles
+ * @returns {string} Visual description, or an empty string when no characters were chosen
+ */
+export const describeCharacterLooks = (profiles) => {
+  return profiles
+    .map(profile => (profile.appearance ? `${characterLabel(profile)}: ${profile.appearance}` : characterLabel(profile)))
+    .join('; ');
+};
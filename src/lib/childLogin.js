@@ -0,0 +1,285 @@
+/**
+ * Child sign-in without email
+ *
+ * A parent shares their family code (`familyCodes` collection) and gives each
+ * child a 4-digit PIN or a picture password, stored only as a salted scrypt
+ * hash in `childCredentials/<childId>`. A child signs in with the family
+ * code, their avatar and their secret, and gets a Firebase custom token for
+ * their `users` document with `{ role: 'child', familyId }` claims, which
+ * starts the same signed session as any other sign-in.
+ *
+ * Neither collection may be readable by clients: only these routes, through
+ * the Admin SDK, use them.
+ */
+
+import { randomBytes, randomInt, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { AuthError } from '@/lib/auth';
+import { getAdminAuth, getAdminFirestore } from '@/lib/firebaseAdmin';
+import { CHILD_PICTURE_PASSWORD_LENGTH, CHILD_PICTURES, CHILD_PIN_LENGTH } from '@/utils/constants';
+
+const scryptAsync = promisify(scrypt);
+
+// Family codes avoid letters and digits that look alike (0/O, 1/I/L)
+const FAMILY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const FAMILY_CODE_LENGTH = 8;
+
+// Wrong secrets in a row before a child's sign-in is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+export const CHILD_LOGIN_METHODS = ['pin', 'picture'];
+
+/**
+ * Normalize a family code as typed: case, spaces and dashes do not matter
+ *
+ * @param {string} code - Family code
+ * @returns {string} Normalized code, e.g. "ABCD2345"
+ */
+const normalizeFamilyCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Format a family code for reading out, e.g. "ABCD-2345"
+ *
+ * @param {string} code - Normalized family code
+ * @returns {string} Formatted code
+ */
+const formatFamilyCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`;
+
+const createFamilyCode = () => Array.from(
+  { length: FAMILY_CODE_LENGTH },
+  () => FAMILY_CODE_ALPHABET[randomInt(FAMILY_CODE_ALPHABET.length)]
+).join('');
+
+/**
+ * Get the family code of a family, creating it on first use
+ *
+ * @param {string} familyId - Family ID
+ * @param {Object} [options]
+ * @param {boolean} [options.regenerate=false] - Replace the current code, so the old one stops working
+ * @returns {Promise<string>} Formatted family code
+ */
+export const getFamilyCode = async (familyId, { regenerate = false } = {}) => {
+  const db = getAdminFirestore();
+  const existing = await db.collection('familyCodes').where('familyId', '==', familyId).get();
+
+  if (!regenerate && !existing.empty) {
+    return formatFamilyCode(existing.docs[0].id);
+  }
+
+  let code;
+  do {
+    code = createFamilyCode();
+  } while ((await db.collection('familyCodes').doc(code).get()).exists);
+
+  const batch = db.batch();
+  existing.docs.forEach(doc => batch.delete(doc.ref));
+  batch.set(db.collection('familyCodes').doc(code), { familyId, createdAt: new Date() });
+  await batch.commit();
+
+  return formatFamilyCode(code);
+};
+
+/**
+ * Find the family of a family code
+ *
+ * @param {string} familyCode - Family code as typed
+ * @returns {Promise<string>} Family ID
+ * @throws {AuthError} When no family has this code
+ */
+const findFamilyId = async (familyCode) => {
+  const code = normalizeFamilyCode(familyCode);
+  const snapshot = code.length === FAMILY_CODE_LENGTH
+    ? await getAdminFirestore().collection('familyCodes').doc(code).get()
+    : null;
+
+  if (!snapshot?.exists) {
+    throw new AuthError('We could not find that family code', 404);
+  }
+
+  return snapshot.data().familyId;
+};
+
+/**
+ * Turn a PIN or picture password into the string that is hashed
+ *
+ * @param {string} method - 'pin' or 'picture'
+ * @param {string|Array<string>} secret - PIN digits, or picture IDs in order
+ * @returns {string} Secret to hash
+ * @throws {AuthError} When the secret does not have the expected form
+ */
+const parseSecret = (method, secret) => {
+  if (method === 'pin' && typeof secret === 'string' && new RegExp(`^\\d{${CHILD_PIN_LENGTH}}$`).test(secret)) {
+    return `pin:${secret}`;
+  }
+
+  if (
+    method === 'picture' &&
+    Array.isArray(secret) &&
+    secret.length === CHILD_PICTURE_PASSWORD_LENGTH &&
+    secret.every(id => CHILD_PICTURES.some(picture => picture.id === id))
+  ) {
+    return `picture:${secret.join(',')}`;
+  }
+
+  throw new AuthError(
+    method === 'pin'
+      ? `The PIN must have ${CHILD_PIN_LENGTH} digits`
+      : `The picture password must have ${CHILD_PICTURE_PASSWORD_LENGTH} pictures`,
+    400
+  );
+};
+
+const hashSecret = async (secret, salt) => (await scryptAsync(secret, salt, 32)).toString('base64');
+
+/**
+ * Get a child of a family
+ *
+ * @param {string} childId - Child account ID
+ * @param {string} familyId - Family the child must belong to
+ * @returns {Promise<Object>} Child's `users` document data
+ * @throws {AuthError} When the child is not a child of this family
+ */
+const getFamilyChild = async (childId, familyId) => {
+  const snapshot = typeof childId === 'string' && childId
+    ? await getAdminFirestore().collection('users').doc(childId).get()
+    : null;
+  const child = snapshot?.exists ? snapshot.data() : null;
+
+  if (child?.role !== 'child' || child.familyId !== familyId) {
+    throw new AuthError('Child account not found', 404);
+  }
+
+  return child;
+};
+
+/**
+ * Set a child's PIN or picture password, replacing the previous one
+ *
+ * @param {Object} params
+ * @param {string} params.familyId - Family of the parent setting it
+ * @param {string} params.childId - Child account ID
+ * @param {string} params.method - 'pin' or 'picture'
+ * @param {string|Array<string>} params.secret - PIN digits, or picture IDs in order
+ * @returns {Promise<void>}
+ * @throws {AuthError} When the child is not in the family or the secret is invalid
+ */
+export const setChildCredential = async ({ familyId, childId, method, secret }) => {
+  await getFamilyChild(childId, familyId);
+
+  const salt = randomBytes(16).toString('base64');
+  const hash = await hashSecret(parseSecret(method, secret), salt);
+  const db = getAdminFirestore();
+  const now = new Date();
+
+  const batch = db.batch();
+  batch.set(db.collection('childCredentials').doc(childId), {
+    familyId,
+    method,
+    salt,
+    hash,
+    failedAttempts: 0,
+    lockedUntil: null,
+    updatedAt: now
+  });
+  // Only the method is public, so the sign-in screen knows which pad to show
+  batch.update(db.collection('users').doc(childId), { loginMethod: method, updatedAt: now });
+  await batch.commit();
+};
+
+/**
+ * Children of a family who can sign in, for the avatar step of the sign-in
+ *
+ * @param {string} familyCode - Family code as typed
+ * @returns {Promise<Array<Object>>} `{ id, name, avatar, loginMethod }` of every child with a PIN or picture password
+ * @throws {AuthError} When no family has this code
+ */
+export const getChildrenForLogin = async (familyCode) => {
+  const familyId = await findFamilyId(familyCode);
+  const snapshot = await getAdminFirestore()
+    .collection('users')
+    .where('familyId', '==', familyId)
+    .where('role', '==', 'child')
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(child => CHILD_LOGIN_METHODS.includes(child.loginMethod))
+    .map(child => ({
+      id: child.id,
+      name: child.displayName || child.name || 'Reader',
+      avatar: child.avatar || null,
+      loginMethod: child.loginMethod
+    }));
+};
+
+/**
+ * Check a child's PIN or picture password and mint a custom token for them
+ *
+ * After MAX_FAILED_ATTEMPTS wrong secrets in a row the child's sign-in is
+ * locked for LOCKOUT_MINUTES, so a 4-digit PIN cannot be guessed.
+ *
+ * @param {Object} params
+ * @param {string} params.familyCode - Family code as typed
+ * @param {string} params.childId - Child account ID
+ * @param {string|Array<string>} params.secret - PIN digits, or picture IDs in order
+ * @returns {Promise<string>} Firebase custom token, with `{ role: 'child', familyId }` claims
+ * @throws {AuthError} When the code, child or secret is wrong (401/404), or sign-in is locked (429)
+ */
+export const signInChild = async ({ familyCode, childId, secret }) => {
+  const familyId = await findFamilyId(familyCode);
+  await getFamilyChild(childId, familyId);
+
+  const db = getAdminFirestore();
+  const credentialRef = db.collection('childCredentials').doc(childId);
+  const lockedError = new AuthError('Too many tries. Ask a grown-up, or try again later.', 429);
+
+  // Count the attempt as failed before checking it, so parallel guesses cannot get past the lockout
+  const { credential, lastAttempt } = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(credentialRef);
+    const data = snapshot.exists ? snapshot.data() : null;
+
+    if (!data || data.familyId !== familyId) {
+      throw new AuthError('Ask a grown-up to set up your sign-in first', 401);
+    }
+
+    const now = new Date();
+    const lockedUntil = data.lockedUntil?.toDate?.() || null;
+    if (lockedUntil && lockedUntil > now) throw lockedError;
+
+    const failedAttempts = (lockedUntil ? 0 : data.failedAttempts || 0) + 1;
+    const locks = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+    transaction.update(credentialRef, {
+      failedAttempts: locks ? 0 : failedAttempts,
+      lockedUntil: locks ? new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000) : null
+    });
+
+    return { credential: data, lastAttempt: locks };
+  });
+
+  let valid = false;
+  try {
+    const hash = await hashSecret(parseSecret(credential.method, secret), credential.salt);
+    valid = timingSafeEqual(Buffer.from(hash, 'base64'), Buffer.from(credential.hash, 'base64'));
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+  }
+
+  if (!valid) {
+    throw lastAttempt ? lockedError : new AuthError('That is not quite right. Try again!', 401);
+  }
+
+  await credentialRef.update({ failedAttempts: 0, lockedUntil: null });
+
+  // Child documents are written by clients, so never sign in as an account that has a password or provider
+  const account = await getAdminAuth().getUser(childId).catch((error) => {
+    if (error.code === 'auth/user-not-found') return null;
+    throw error;
+  });
+  if (account?.providerData.length) {
+    throw new AuthError('Child account not found', 404);
+  }
+
+  return getAdminAuth().createCustomToken(childId, { role: 'child', familyId });
+};
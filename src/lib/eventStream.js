@@ -0,0 +1,83 @@
+/**
+ * Server-sent events for long-running API routes
+ *
+ * Routes that take a while (streamed stories, chunked narration) can answer
+ * with a `text/event-stream` response instead of JSON: progress events while
+ * the work runs, then a final result event (or an `error` event). The hooks
+ * read them back with `readEventStream()`.
+ */
+
+/**
+ * Format a server-sent event
+ *
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {string} Encoded event
+ */
+export const sseEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Wrap an async iterator of server-sent events in a streaming response.
+ * Cancelling the response (client disconnect or abort) stops the iterator.
+ *
+ * @param {AsyncGenerator<string>} events - Encoded events
+ * @returns {Response} Streaming response
+ */
+export function streamEventsResponse(events) {
+  const encoder = new TextEncoder();
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await events.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        console.error('Error streaming events:', error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await events.return?.();
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+/**
+ * Read a server-sent event stream and call `onEvent(event, data)` for each event
+ *
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @param {Function} onEvent - Event callback
+ * @returns {Promise<void>}
+ */
+export const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      const eventName = rawEvent.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = rawEvent.match(/^data: (.*)$/m)?.[1];
+      if (data) onEvent(eventName, JSON.parse(data));
+    }
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Firebase Admin SDK for API routes
+ *
+ * Initialized on first use from `FIREBASE_SERVICE_ACCOUNT_KEY` (the service
+ * account JSON, base64-encoded) and `FIREBASE_STORAGE_BUCKET`, so routes that
+ * do not need admin access work without them. With
+ * `NEXT_PUBLIC_USE_FIREBASE_EMULATORS=true` and no key, it connects to the
+ * local emulators instead.
+ */
+
+import { initializeApp, cert, getApps } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getStorage } from 'firebase-admin/storage';
+import { getFirestore } from 'firebase-admin/firestore';
+
+/**
+ * Check whether admin credentials are configured
+ *
+ * @returns {boolean} True when `FIREBASE_SERVICE_ACCOUNT_KEY` is set
+ */
+export const hasAdminCredentials = () => Boolean(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+
+/**
+ * Get the Firebase Admin app, initializing it on first use
+ *
+ * @returns {import('firebase-admin/app').App} Admin app
+ * @throws {Error} When the service account key is missing outside emulator mode
+ */
+export const getAdminApp = () => {
+  if (getApps().length) {
+    return getApps()[0];
+  }
+
+  if (!hasAdminCredentials()) {
+    if (process.env.NEXT_PUBLIC_USE_FIREBASE_EMULATORS === 'true') {
+      // Same default ports as the client SDK in firebase/firebaseConfig.js
+      process.env.FIREBASE_AUTH_EMULATOR_HOST ||= '127.0.0.1:9099';
+      process.env.FIRESTORE_EMULATOR_HOST ||= '127.0.0.1:8080';
+      process.env.FIREBASE_STORAGE_EMULATOR_HOST ||= '127.0.0.1:9199';
+
+      return initializeApp({
+        projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+        storageBucket: process.env.FIREBASE_STORAGE_BUCKET || process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET
+      });
+    }
+
+    throw new Error('Missing FIREBASE_SERVICE_ACCOUNT_KEY in environment variables');
+  }
+
+  const serviceAccount = JSON.parse(
+    Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT_KEY, 'base64').toString('utf-8')
+  );
+
+  return initializeApp({
+    credential: cert(serviceAccount),
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET
+  });
+};
+
+/**
+ * Get the default Storage bucket
+ *
+ * @returns {Object} Admin Storage bucket
+ */
+export const getAdminBucket = () => getStorage(getAdminApp()).bucket();
+
+/**
+ * Get the admin Firestore instance
+ *
+ * @returns {Object} Admin Firestore
+ */
+export const getAdminFirestore = () => getFirestore(getAdminApp());
+
+/**
+ * Get the admin Auth instance, for verifying ID tokens
+ *
+ * @returns {Object} Admin Auth
+ */
+export const getAdminAuth = () => getAuth(getAdminApp());
@@ -0,0 +1,240 @@
+/**
+ * Server-side image provider layer
+ *
+ * `/api/generate-image` goes through `generateIllustration()` instead of
+ * calling a vendor directly. The provider is chosen with the `IMAGE_PROVIDER`
+ * env var:
+ *
+ * - `svg` (default): the offline SVG illustration from `lib/svgIllustration.js`
+ * - `openai`: OpenAI's images API, needs `OPENAI_API_KEY` and optionally
+ *   `OPENAI_BASE_URL` to point at another OpenAI-compatible vendor
+ * - `stability`: Stability AI's Stable Image API, needs `STABILITY_API_KEY`
+ *
+ * `IMAGE_MODEL` overrides the provider's default model. When a text-to-image
+ * provider fails (missing key, rate limit, outage), the SVG illustration is
+ * returned instead so story creation never blocks on artwork.
+ *
+ * Providers return the image bytes; the client uploads them to Firebase
+ * Storage and saves only the download URL with the story.
+ */
+
+import { generateCreativeChildrensSVG } from '@/lib/svgIllustration';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+const OPENAI_DEFAULT_MODEL = 'dall-e-3';
+const STABILITY_API_URL = 'https://api.stability.ai/v2beta/stable-image/generate/core';
+const STABILITY_NEGATIVE_PROMPT = 'scary, violent, blood, weapons, dark, creepy, realistic photo, text, watermark';
+
+const IMAGE_SIZE = '1024x1024';
+
+/**
+ * Error raised by image providers, carrying the HTTP status the route should return
+ */
+export class ImageGenerationError extends Error {
+  /**
+   * @param {string} message - Error message safe to return to the client
+   * @param {number} [status=500] - HTTP status code
+   * @param {string} [details] - Raw upstream error, for logging
+   */
+  constructor(message, status = 500, details) {
+    super(message);
+    this.name = 'ImageGenerationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Map an upstream HTTP error to an ImageGenerationError
+ *
+ * @param {number} status - Upstream HTTP status
+ * @param {string} errorText - Upstream response body
+ * @returns {ImageGenerationError}
+ */
+const toImageGenerationError = (status, errorText) => {
+  if (status === 401 || status === 403) {
+    return new ImageGenerationError('Invalid image API key', 401, errorText);
+  }
+  if (status === 429) {
+    return new ImageGenerationError('Image rate limit reached. Try again in a few seconds.', 429, errorText);
+  }
+  if (status === 400 && /safety|content_policy|moderation/i.test(errorText)) {
+    return new ImageGenerationError('The image request was rejected by the safety system', 422, errorText);
+  }
+  return new ImageGenerationError('External image API error', status, errorText);
+};
+
+/**
+ * Create the offline SVG provider
+ *
+ * @returns {Object} Image provider
+ */
+export const createSvgProvider = () => ({
+  name: 'svg',
+  model: 'enhanced-children-svg',
+
+  async generate({ scene }) {
+    return {
+      data: Buffer.from(generateCreativeChildrensSVG(scene)),
+      contentType: 'image/svg+xml',
+      model: this.model
+    };
+  }
+});
+
+/**
+ * Create a provider for OpenAI's images API
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - API base URL (without /images/generations)
+ * @param {string} config.apiKey - API key
+ * @param {string} config.model - Model identifier
+ * @returns {Object} Image provider
+ */
+export const createOpenAIImageProvider = ({ baseUrl, apiKey, model }) => ({
+  name: 'openai',
+  model,
+
+  async generate({ prompt, signal }) {
+    if (!apiKey) {
+      throw new ImageGenerationError('Image API key not configured', 500);
+    }
+
+    const response = await fetch(`${baseUrl}/images/generations`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        prompt,
+        n: 1,
+        size: IMAGE_SIZE,
+        // gpt-image models always return base64 and reject this field
+        ...(model.startsWith('dall-e') && { response_format: 'b64_json' })
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw toImageGenerationError(response.status, await response.text());
+    }
+
+    const data = await response.json();
+    const image = data.data?.[0];
+
+    if (!image?.b64_json) {
+      throw new ImageGenerationError('Image API returned no image', 502, JSON.stringify(data).slice(0, 500));
+    }
+
+    return {
+      data: Buffer.from(image.b64_json, 'base64'),
+      contentType: 'image/png',
+      model,
+      revisedPrompt: image.revised_prompt
+    };
+  }
+});
+
+/**
+ * Create a provider for Stability AI's Stable Image API
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - API key
+ * @param {string} [config.model] - Model name reported in metadata
+ * @returns {Object} Image provider
+ */
+export const createStabilityImageProvider = ({ apiKey, model }) => ({
+  name: 'stability',
+  model,
+
+  async generate({ prompt, signal }) {
+    if (!apiKey) {
+      throw new ImageGenerationError('Image API key not configured', 500);
+    }
+
+    const form = new FormData();
+    form.append('prompt', prompt);
+    form.append('negative_prompt', STABILITY_NEGATIVE_PROMPT);
+    form.append('aspect_ratio', '1:1');
+    form.append('output_format', 'png');
+
+    const response = await fetch(STABILITY_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'image/*'
+      },
+      body: form,
+      signal
+    });
+
+    if (!response.ok) {
+      throw toImageGenerationError(response.status, await response.text());
+    }
+
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type') || 'image/png',
+      model
+    };
+  }
+});
+
+/**
+ * Get the image provider configured for this environment
+ *
+ * @returns {Object} Image provider with `name`, `model` and `generate()`
+ */
+export const getImageProvider = () => {
+  const providerName = (process.env.IMAGE_PROVIDER || 'svg').toLowerCase();
+
+  switch (providerName) {
+    case 'svg':
+      return createSvgProvider();
+    case 'openai':
+      return createOpenAIImageProvider({
+        baseUrl: process.env.OPENAI_BASE_URL || OPENAI_API_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.IMAGE_MODEL || OPENAI_DEFAULT_MODEL
+      });
+    case 'stability':
+      return createStabilityImageProvider({
+        apiKey: process.env.STABILITY_API_KEY,
+        model: process.env.IMAGE_MODEL || 'stable-image-core'
+      });
+    default:
+      throw new ImageGenerationError(`Unknown image provider: ${providerName}`, 500);
+  }
+};
+
+/**
+ * Generate a story illustration with the configured provider, falling back
+ * to the offline SVG illustration when the provider fails
+ *
+ * @param {Object} options
+ * @param {string} options.prompt - Text-to-image prompt
+ * @param {Object} options.scene - Story text, prompt, characters, characterProfiles, setting and mood, for the SVG illustration
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @returns {Promise<Object>} `{ data, contentType, model, provider, fallback }`, plus `revisedPrompt` when the provider rewrote the prompt
+ */
+export const generateIllustration = async ({ prompt, scene, signal }) => {
+  const provider = getImageProvider();
+
+  try {
+    const image = await provider.generate({ prompt, scene, signal });
+    return { ...image, provider: provider.name, fallback: false };
+  } catch (error) {
+    if (provider.name === 'svg' || signal?.aborted) throw error;
+
+    console.error(`Image provider ${provider.name} failed, using the SVG illustration:`, error.details || error);
+    const svgProvider = createSvgProvider();
+
+    return {
+      ...(await svgProvider.generate({ prompt, scene })),
+      provider: svgProvider.name,
+      fallback: true
+    };
+  }
+};
@@ -0,0 +1,471 @@
+/**
+ * Server-side LLM provider layer
+ *
+ * Every AI text route goes through `getLLMProvider()` instead of calling a
+ * vendor directly. The provider is chosen with the `LLM_PROVIDER` env var:
+ *
+ * - `groq` (default): Groq's OpenAI-compatible API, needs `GROQ_API_KEY`
+ * - `openai`: any OpenAI-compatible API, needs `OPENAI_API_KEY` and
+ *   optionally `OPENAI_BASE_URL` to point at another vendor
+ * - `mock`: local deterministic text, no network, for development and tests
+ *
+ * `LLM_MODEL` overrides the provider's default model.
+ */
+
+const GROQ_API_URL = 'https://api.groq.com/openai/v1';
+const GROQ_DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+const OPENAI_DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Error raised by LLM providers, carrying the HTTP status the route should return
+ */
+export class LLMError extends Error {
+  /**
+   * @param {string} message - Error message safe to return to the client
+   * @param {number} [status=500] - HTTP status code
+   * @param {string} [details] - Raw upstream error, for logging
+   */
+  constructor(message, status = 500, details) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Map an upstream HTTP error to an LLMError
+ *
+ * @param {number} status - Upstream HTTP status
+ * @param {string} errorText - Upstream response body
+ * @returns {LLMError}
+ */
+const toLLMError = (status, errorText) => {
+  if (status === 401) {
+    return new LLMError('Invalid API key', 401, errorText);
+  }
+  if (status === 429) {
+    return new LLMError('Rate limit reached. Try again in a few seconds.', 429, errorText);
+  }
+  return new LLMError('External API error', status, errorText);
+};
+
+/**
+ * Estimate the token usage of a completion from its length, for providers
+ * and streams that do not report it (about 4 characters per token)
+ *
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {string} content - Completion text
+ * @returns {Object} `{ prompt_tokens, completion_tokens, total_tokens }`
+ */
+const estimateUsage = (messages, content) => {
+  const promptTokens = Math.ceil(messages.map(m => m.content).join('\n').length / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+};
+
+/**
+ * Read an OpenAI-style server-sent event stream and yield the text deltas.
+ * When the stream ends, or the caller stops reading it, `onUsage` gets the
+ * usage the API reported in its last chunk, or an estimate when it did not
+ * get that far.
+ *
+ * @param {ReadableStream<Uint8Array>} body - Response body of a `stream: true` request
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - Messages of the request, for the usage estimate
+ * @param {string} options.model - Requested model
+ * @param {Function} [options.onUsage] - Called once with `{ model, usage }`
+ * @returns {AsyncGenerator<string>} Text chunks as they arrive
+ */
+async function* readChatCompletionStream(body, { messages, model, onUsage }) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        let data;
+        try {
+          data = JSON.parse(payload);
+        } catch (error) {
+          console.error('Invalid stream chunk:', payload, error);
+          continue;
+        }
+
+        // Groq reports usage in `x_groq`, OpenAI in the last chunk with `stream_options.include_usage`
+        usage = data.usage || data.x_groq?.usage || usage;
+        if (data.model) model = data.model;
+
+        const delta = data.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          yield delta;
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+    onUsage?.({ model, usage: usage || estimateUsage(messages, content) });
+  }
+}
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions API
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name reported in metadata
+ * @param {string} config.baseUrl - API base URL (without /chat/completions)
+ * @param {string} config.apiKey - API key
+ * @param {string} config.model - Model identifier
+ * @returns {Object} LLM provider
+ */
+export const createOpenAICompatibleProvider = ({ name, baseUrl, apiKey, model }) => {
+  /**
+   * POST to the chat completions endpoint and throw on upstream errors
+   *
+   * @param {Object} payload - Request body without the model
+   * @param {AbortSignal} [signal] - Aborts the upstream request
+   * @returns {Promise<Response>}
+   */
+  const postChatCompletion = async (payload, signal) => {
+    if (!apiKey) {
+      throw new LLMError('API key not configured', 500);
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ model, ...payload }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${name} API error:`, response.status, errorText);
+      throw toLLMError(response.status, errorText);
+    }
+
+    return response;
+  };
+
+  return {
+    name,
+    model,
+
+    /**
+     * Run a chat completion
+     *
+     * @param {Object} params - Completion parameters
+     * @param {Array<{role: string, content: string}>} params.messages - Chat messages
+     * @param {number} [params.maxTokens=1000] - Maximum completion tokens
+     * @param {number} [params.temperature=0.7] - Sampling temperature
+     * @param {number} [params.topP=1] - Nucleus sampling
+     * @param {boolean} [params.json=false] - Ask for a JSON object response
+     * @param {AbortSignal} [params.signal] - Aborts the upstream request
+     * @returns {Promise<{content: string, model: string, usage: Object}>}
+     */
+    async complete({ messages, maxTokens = 1000, temperature = 0.7, topP = 1, json = false, signal }) {
+      const response = await postChatCompletion({
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+        stream: false,
+        ...(json && { response_format: { type: 'json_object' } })
+      }, signal);
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+
+      if (!content) {
+        throw new LLMError('Invalid API response', 500, JSON.stringify(data));
+      }
+
+      return {
+        content: content.trim(),
+        model: data.model || model,
+        usage: {
+          prompt_tokens: data.usage?.prompt_tokens || 0,
+          completion_tokens: data.usage?.completion_tokens || 0,
+          total_tokens: data.usage?.total_tokens || 0
+        }
+      };
+    },
+
+    /**
+     * Run a streaming chat completion. Upstream errors are thrown before the
+     * first chunk, so callers can still answer with a normal error status.
+     *
+     * @param {Object} params - Same parameters as `complete()`
+     * @param {Function} [params.onUsage] - Called with `{ model, usage }` once the stream ends or is abandoned
+     * @returns {Promise<AsyncGenerator<string>>} Text chunks as they arrive
+     */
+    async stream({ messages, maxTokens = 1000, temperature = 0.7, topP = 1, signal, onUsage }) {
+      const response = await postChatCompletion({
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, signal);
+
+      return readChatCompletionStream(response.body, { messages, model, onUsage });
+    }
+  };
+};
+
+/**
+ * Small stable hash so the mock provider gives the same answer for the same prompt
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+const MOCK_HEROES = ['Pip the Hedgehog', 'Luna the Owl', 'Benny the Bear', 'Tilly the Turtle'];
+const MOCK_PLACES = ['the Whispering Woods', 'a cloud castle', 'the Moonlit Meadow', 'a cozy lighthouse'];
+const MOCK_SCENES = [
+  (hero) => `One night, a tiny star drifted down and asked for help finding its way home. "Of course I'll help," said ${hero} with a kind smile.`,
+  () => `They followed the fireflies and the gentle song of the wind until they found the star's place in the sky. The star twinkled a thank-you that lit up the whole meadow.`,
+  (hero) => `Along the path, ${hero} met a sleepy firefly whose light had gone dim. "Stay close to me," said ${hero}, and soon the firefly was glowing warm and golden again.`,
+  (hero, place) => `The wind hummed a soft tune through ${place}. ${hero} hummed along, and even the tall trees seemed to sway in time with the song.`,
+  (hero) => `A little rabbit peeked out from behind a mossy stone. "Are you lost too?" it asked. ${hero} shook their head and offered a paw. "Let's find the way together."`,
+  () => `They crossed a tiny bridge over a bubbling brook. The water sparkled with moonlight, and every splash sounded like a giggle.`,
+  (hero) => `When the path grew dark, ${hero} remembered what Grandma always said: "Be brave, go slowly, and look for the light." So they did, one careful step at a time.`,
+  () => `High above, the clouds drifted apart like curtains, and the moon smiled down on the friends as if to say, "You are almost there."`
+];
+const MOCK_CHAPTER_TITLES = ['A Quiet Evening', 'The Lost Little Star', 'Across the Sleepy Brook', 'Home Before Dawn', 'A Song for the Moon', 'Sweet Dreams'];
+
+/**
+ * Count words for the mock provider's length targets
+ *
+ * @param {string} text - Text
+ * @returns {number} Number of words
+ */
+const mockWordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Build mock story paragraphs until they reach roughly the requested length
+ *
+ * @param {string} hero - Main character
+ * @param {string} place - Setting
+ * @param {number} seed - Hash of the prompt
+ * @param {number} targetWords - Words to reach (the first two scenes are always included)
+ * @returns {Array<string>} Paragraphs
+ */
+const buildMockScenes = (hero, place, seed, targetWords) => {
+  const scenes = [];
+  let words = 0;
+
+  while (scenes.length < 2 || words < targetWords) {
+    const index = scenes.length < 2 ? scenes.length : 2 + (seed + scenes.length) % (MOCK_SCENES.length - 2);
+    const scene = MOCK_SCENES[index](hero, place);
+    scenes.push(scene);
+    words += mockWordCount(scene);
+  }
+
+  return scenes;
+};
+
+/**
+ * Turn plain story text into the structured JSON shape (mock `structure` task)
+ *
+ * @param {string} storyText - Story text, optionally starting with a title line
+ * @returns {Object} Structured story
+ */
+const structureMockStory = (storyText) => {
+  const paragraphs = storyText.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const hasTitle = paragraphs.length > 1 && paragraphs[0].length < 60 && !/[.!?]$/.test(paragraphs[0]);
+
+  return {
+    title: hasTitle ? paragraphs[0] : 'A Bedtime Story',
+    pages: hasTitle ? paragraphs.slice(1) : paragraphs,
+    moral: 'Kindness makes every night brighter.',
+    summary: 'A gentle bedtime adventure with a happy ending.',
+    vocabulary: [{ word: 'cozy', definition: 'warm, comfortable and safe' }],
+    estimatedReadingMinutes: Math.max(1, Math.ceil(storyText.split(/\s+/).length / 200))
+  };
+};
+
+/**
+ * Build deterministic mock text for a task
+ *
+ * @param {string} task - 'story', 'story-json', 'story-extend', 'story-outline', 'story-chapter',
+ *   'story-chapter-continue', 'structure', 'moderation', 'title' or 'suggestion'
+ * @param {string} prompt - Last user message
+ * @returns {string} Mock completion
+ */
+const buildMockContent = (task, prompt) => {
+  const seed = hashString(`${task}:${prompt}`);
+  const hero = MOCK_HEROES[seed % MOCK_HEROES.length];
+  const place = MOCK_PLACES[(seed >>> 4) % MOCK_PLACES.length];
+
+  if (task === 'title') {
+    return `${hero} and ${place.replace(/^a /, 'the ')}`;
+  }
+
+  if (task === 'suggestion') {
+    return `Just then, ${hero} noticed a soft glow in ${place}. "Let's see where it leads," ${hero} whispered, and together they tiptoed forward, hearts full of wonder.`;
+  }
+
+  if (task === 'moderation') {
+    return JSON.stringify({ safe: true, severity: 'none', categories: [], reason: 'Mock provider approves all text' });
+  }
+
+  if (task === 'structure') {
+    const storyText = prompt.match(/<story>([\s\S]*)<\/story>/)?.[1] || prompt;
+    return JSON.stringify(structureMockStory(storyText));
+  }
+
+  const title = `${hero} and the Quiet Night`;
+  const opening = `Once upon a time, in ${place}, there lived ${hero}. Every evening, ${hero} watched the stars blink awake one by one.`;
+  const ending = `${hero} yawned, snuggled into a warm blanket and drifted off to sleep, knowing that helping a friend is the best adventure of all. The End.`;
+  // Length targets in the prompt look like "about 800 words" or "about 120 more words"
+  const targetWords = Number(prompt.match(/about (\d+) (?:more )?words/)?.[1]) || 0;
+
+  if (task === 'story-outline') {
+    const chapterCount = Number(prompt.match(/Plan exactly (\d+) chapters/)?.[1]) || 3;
+    return JSON.stringify({
+      title,
+      moral: 'Helping a friend is the best adventure of all.',
+      summary: `${hero} helps a lost little star find its way home.`,
+      vocabulary: [
+        { word: 'drifted', definition: 'moved slowly and gently through the air' },
+        { word: 'twinkled', definition: 'shone with a little sparkle' }
+      ],
+      chapters: Array.from({ length: chapterCount }, (_, index) => ({
+        title: MOCK_CHAPTER_TITLES[index % MOCK_CHAPTER_TITLES.length],
+        summary: `${hero} has a gentle adventure in ${place}.`
+      }))
+    });
+  }
+
+  if (task === 'story-chapter' || task === 'story-chapter-continue') {
+    const paragraphs = buildMockScenes(hero, place, seed, targetWords);
+    return (/This is the last chapter/.test(prompt) ? [...paragraphs, ending] : paragraphs).join('\n\n');
+  }
+
+  const pages = [
+    opening,
+    ...buildMockScenes(hero, place, seed, targetWords - mockWordCount(`${opening} ${ending}`)),
+    ending
+  ];
+
+  if (task === 'story-json' || task === 'story-extend') {
+    return JSON.stringify({
+      title,
+      pages,
+      moral: 'Helping a friend is the best adventure of all.',
+      summary: `${hero} helps a lost little star find its way home.`,
+      vocabulary: [
+        { word: 'drifted', definition: 'moved slowly and gently through the air' },
+        { word: 'twinkled', definition: 'shone with a little sparkle' }
+      ],
+      estimatedReadingMinutes: Math.max(1, Math.ceil(mockWordCount(pages.join(' ')) / 200))
+    });
+  }
+
+  return [title, ...pages].join('\n\n');
+};
+
+/**
+ * Create the local deterministic provider (no network access)
+ *
+ * @returns {Object} LLM provider
+ */
+export const createMockProvider = () => ({
+  name: 'mock',
+  model: 'mock-storyteller',
+
+  async complete({ task = 'story', messages }) {
+    const userMessages = messages.filter(m => m.role === 'user');
+    const content = buildMockContent(task, userMessages.map(m => m.content).join('\n'));
+
+    return {
+      content,
+      model: 'mock-storyteller',
+      usage: estimateUsage(userMessages, content)
+    };
+  },
+
+  async stream({ task = 'story', messages, onUsage }) {
+    const userMessages = messages.filter(m => m.role === 'user');
+    const content = buildMockContent(task, userMessages.map(m => m.content).join('\n'));
+
+    return (async function* () {
+      let streamed = '';
+
+      try {
+        for (const word of content.match(/\S+\s*/g) || []) {
+          streamed += word;
+          yield word;
+        }
+      } finally {
+        onUsage?.({ model: 'mock-storyteller', usage: estimateUsage(userMessages, streamed) });
+      }
+    })();
+  }
+});
+
+/**
+ * Get the LLM provider configured for this environment
+ *
+ * @returns {Object} LLM provider with `name`, `model`, `complete()` and `stream()`
+ */
+export const getLLMProvider = () => {
+  const providerName = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+
+  switch (providerName) {
+    case 'mock':
+      return createMockProvider();
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || OPENAI_API_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || OPENAI_DEFAULT_MODEL
+      });
+    case 'groq':
+      return createOpenAICompatibleProvider({
+        name: 'groq',
+        baseUrl: GROQ_API_URL,
+        apiKey: process.env.GROQ_API_KEY,
+        model: process.env.LLM_MODEL || GROQ_DEFAULT_MODEL
+      });
+    default:
+      throw new LLMError(`Unknown LLM provider: ${providerName}`, 500);
+  }
+};
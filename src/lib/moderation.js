@@ -0,0 +1,260 @@
+/**
+ * Server-side content safety checks for stories
+ *
+ * Every story text is scored against local word/phrase lists, with thresholds
+ * that depend on the target age group from `AGE_GROUPS`. An optional
+ * model-based check can be enabled with `MODERATION_MODEL_CHECK`:
+ *
+ * - `off` (default): local lists only
+ * - `llm`: ask the configured LLM provider (see `lib/llm.js`) to classify the text
+ * - `openai`: OpenAI's moderation endpoint, needs `OPENAI_API_KEY`
+ *
+ * The verdict is one of `approved`, `flagged` (saved but marked for parent
+ * review) or `blocked` (must not be saved or shown to children).
+ */
+
+import { AGE_GROUPS } from '@/utils/constants';
+import { getLLMProvider } from '@/lib/llm';
+
+export const MODERATION_STATUS = {
+  APPROVED: 'approved',
+  FLAGGED: 'flagged',
+  BLOCKED: 'blocked'
+};
+
+/**
+ * Local term lists. Terms match whole words, with common English endings.
+ * Categories marked `alwaysBlock` are never acceptable in a children's story.
+ */
+const TERM_LISTS = {
+  profanity: {
+    severity: 3,
+    alwaysBlock: true,
+    terms: ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'piss', 'damn', 'crap', 'wtf']
+  },
+  sexual: {
+    severity: 3,
+    alwaysBlock: true,
+    terms: ['sex', 'sexy', 'naked', 'nude', 'porn', 'erotic', 'seduce', 'undress']
+  },
+  selfHarm: {
+    severity: 3,
+    alwaysBlock: true,
+    terms: ['suicide', 'kill yourself', 'kill himself', 'kill herself', 'self-harm', 'cut myself', 'hang himself']
+  },
+  drugs: {
+    severity: 2,
+    terms: ['cocaine', 'heroin', 'drugs', 'drunk', 'beer', 'vodka', 'whiskey', 'cigarette', 'smoking weed', 'overdose']
+  },
+  violence: {
+    severity: 2,
+    terms: ['blood', 'bloody', 'murder', 'gun', 'stab', 'kill', 'dead body', 'corpse', 'torture', 'behead', 'weapon']
+  },
+  scary: {
+    severity: 1,
+    terms: ['monster', 'ghost', 'nightmare', 'scream', 'haunted', 'skeleton', 'zombie', 'demon', 'creepy', 'terrifying', 'witch']
+  }
+};
+
+/**
+ * Per age group thresholds. The score is the sum of term severities, so
+ * younger children get flagged (and blocked) by fewer and milder matches.
+ */
+const AGE_POLICIES = {
+  [AGE_GROUPS.TODDLER]: { flagAt: 1, blockAt: 4 },
+  [AGE_GROUPS.PRESCHOOL]: { flagAt: 2, blockAt: 6 },
+  [AGE_GROUPS.EARLY_READER]: { flagAt: 3, blockAt: 9 },
+  [AGE_GROUPS.MIDDLE_GRADE]: { flagAt: 5, blockAt: 14 }
+};
+
+const DEFAULT_AGE_GROUP = AGE_GROUPS.PRESCHOOL;
+
+// Each occurrence after the first adds less, so one long story mentioning a
+// "monster" ten times does not outscore a short story with real violence
+const MAX_COUNTED_OCCURRENCES = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const COMPILED_TERMS = Object.entries(TERM_LISTS).flatMap(([category, list]) =>
+  list.terms.map(term => ({
+    category,
+    term,
+    severity: list.severity,
+    alwaysBlock: !!list.alwaysBlock,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?:s|es|ed|ing|er)?(?![\\p{L}\\p{N}])`, 'giu')
+  }))
+);
+
+/**
+ * Score text against the local term lists
+ *
+ * @param {string} text - Text to check
+ * @returns {{score: number, matches: Array<{category: string, term: string, count: number}>, alwaysBlock: boolean}}
+ */
+export const scoreText = (text) => {
+  const matches = [];
+  let score = 0;
+  let alwaysBlock = false;
+
+  for (const entry of COMPILED_TERMS) {
+    const count = (text.match(entry.pattern) || []).length;
+    if (!count) continue;
+
+    matches.push({ category: entry.category, term: entry.term, count });
+    score += entry.severity * Math.min(count, MAX_COUNTED_OCCURRENCES);
+    alwaysBlock = alwaysBlock || entry.alwaysBlock;
+  }
+
+  return { score, matches, alwaysBlock };
+};
+
+/**
+ * Ask the configured LLM provider whether the text suits the age group
+ *
+ * @param {string} text - Text to check
+ * @param {string} ageGroup - Target age group
+ * @returns {Promise<{unsafe: boolean, severe: boolean, categories: Array<string>, reason: string, usage: Object}>}
+ *   Verdict, with the token usage of the completion
+ */
+const checkWithLLM = async (text, ageGroup) => {
+  const completion = await getLLMProvider().complete({
+    task: 'moderation',
+    json: true,
+    maxTokens: 200,
+    temperature: 0,
+    messages: [
+      {
+        role: 'system',
+        content: 'You review bedtime stories for children. You only answer with JSON.'
+      },
+      {
+        role: 'user',
+        content: `Is the following text appropriate for a child aged ${ageGroup}?
+
+<text>
+${text.slice(0, 12000)}
+</text>
+
+Respond with a JSON object: {"safe": true|false, "severity": "none"|"mild"|"severe", "categories": ["..."], "reason": "short explanation"}`
+      }
+    ]
+  });
+
+  const result = JSON.parse(completion.content);
+  return {
+    unsafe: result.safe === false,
+    severe: result.severity === 'severe',
+    categories: Array.isArray(result.categories) ? result.categories : [],
+    reason: typeof result.reason === 'string' ? result.reason : '',
+    usage: completion.usage
+  };
+};
+
+/**
+ * Whether the optional model-based check runs on the LLM provider, so
+ * moderation uses the family's LLM tokens
+ *
+ * @returns {boolean}
+ */
+export const usesLLMModeration = () => (process.env.MODERATION_MODEL_CHECK || 'off').toLowerCase() === 'llm';
+
+/**
+ * Check the text with OpenAI's moderation endpoint
+ *
+ * @param {string} text - Text to check
+ * @returns {Promise<{unsafe: boolean, severe: boolean, categories: Array<string>, reason: string}>}
+ */
+const checkWithOpenAIModeration = async (text) => {
+  const response = await fetch('https://api.openai.com/v1/moderations', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ input: text })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Moderation API error: ${response.status}`);
+  }
+
+  const result = (await response.json()).results?.[0] || {};
+  const categories = Object.entries(result.categories || {})
+    .filter(([, flagged]) => flagged)
+    .map(([category]) => category);
+
+  return {
+    unsafe: !!result.flagged,
+    // Anything the general-purpose moderation model flags is too much for a child
+    severe: !!result.flagged,
+    categories,
+    reason: categories.join(', ')
+  };
+};
+
+/**
+ * Run the optional model-based check configured for this environment
+ *
+ * @param {string} text - Text to check
+ * @param {string} ageGroup - Target age group
+ * @param {Function} [onUsage] - Called with the token usage of an LLM check
+ * @returns {Promise<Object|null>} Model verdict, or null when disabled or unavailable
+ */
+const runModelCheck = async (text, ageGroup, onUsage) => {
+  const mode = (process.env.MODERATION_MODEL_CHECK || 'off').toLowerCase();
+
+  try {
+    if (mode === 'llm') {
+      const { usage, ...verdict } = await checkWithLLM(text, ageGroup);
+      onUsage?.(usage);
+      return { source: 'llm', ...verdict };
+    }
+    if (mode === 'openai') return { source: 'openai', ...(await checkWithOpenAIModeration(text)) };
+  } catch (error) {
+    // The local lists still apply; a broken model check should not stop saving
+    console.error('Model moderation check failed:', error);
+  }
+
+  return null;
+};
+
+/**
+ * Moderate a story text for an age group
+ *
+ * @param {string} text - Text to check (title, content, ...)
+ * @param {Object} [options]
+ * @param {string} [options.ageGroup] - One of the `AGE_GROUPS` values
+ * @param {boolean} [options.useModel=true] - Run the optional model-based check
+ * @param {Function} [options.onUsage] - Called with the token usage of an LLM check, to record it
+ * @returns {Promise<Object>} Verdict with status, score, ageGroup, matches, model and checkedAt
+ */
+export const moderateText = async (text, { ageGroup, useModel = true, onUsage } = {}) => {
+  const group = AGE_POLICIES[ageGroup] ? ageGroup : DEFAULT_AGE_GROUP;
+  const policy = AGE_POLICIES[group];
+  const { score, matches, alwaysBlock } = scoreText(text || '');
+
+  let status = MODERATION_STATUS.APPROVED;
+  if (alwaysBlock || score >= policy.blockAt) {
+    status = MODERATION_STATUS.BLOCKED;
+  } else if (score >= policy.flagAt) {
+    status = MODERATION_STATUS.FLAGGED;
+  }
+
+  const model = useModel && status !== MODERATION_STATUS.BLOCKED
+    ? await runModelCheck(text || '', group, onUsage)
+    : null;
+
+  if (model?.unsafe) {
+    status = model.severe ? MODERATION_STATUS.BLOCKED : MODERATION_STATUS.FLAGGED;
+  }
+
+  return {
+    status,
+    score,
+    ageGroup: group,
+    categories: [...new Set([...matches.map(m => m.category), ...(model?.categories || [])])],
+    matches,
+    model,
+    checkedAt: new Date().toISOString()
+  };
+};
@@ -0,0 +1,62 @@
+/**
+ * Bit-level access to MP3 frames, for the modules that write frames by hand
+ * (see `lib/toneSpeech.js` and `lib/soundscapes.js`). Bits are numbered from
+ * the most significant bit of the first byte.
+ */
+
+/**
+ * Write the lowest `count` bits of a value into a buffer, most significant first
+ *
+ * @param {Buffer} buffer - Zero-filled buffer
+ * @param {number} offset - Bit offset to write at
+ * @param {number} value - Value
+ * @param {number} count - Number of bits
+ * @returns {number} Bit offset after the value
+ */
+export const writeBits = (buffer, offset, value, count) => {
+  for (let bit = count - 1; bit >= 0; bit--) {
+    if ((value >> bit) & 1) {
+      buffer[offset >> 3] |= 0x80 >> (offset & 7);
+    }
+    offset++;
+  }
+  return offset;
+};
+
+/**
+ * Read `count` bits from a buffer as an unsigned number
+ *
+ * @param {Buffer} buffer - Buffer
+ * @param {number} offset - Bit offset to read at
+ * @param {number} count - Number of bits, at most 31
+ * @returns {number} Value
+ */
+export const readBits = (buffer, offset, count) => {
+  let value = 0;
+  for (let bit = 0; bit < count; bit++) {
+    const position = offset + bit;
+    value = (value << 1) | ((buffer[position >> 3] >> (7 - (position & 7))) & 1);
+  }
+  return value;
+};
+
+/**
+ * Copy bits from one buffer into another
+ *
+ * @param {Buffer} source - Buffer to copy from
+ * @param {number} sourceOffset - Bit offset to copy from
+ * @param {Buffer} target - Zero-filled buffer to copy into
+ * @param {number} targetOffset - Bit offset to copy to
+ * @param {number} count - Number of bits
+ * @returns {number} Bit offset in `target` after the copied bits
+ */
+export const copyBits = (source, sourceOffset, target, targetOffset, count) => {
+  for (let bit = 0; bit < count; bit++) {
+    const position = sourceOffset + bit;
+    if ((source[position >> 3] >> (7 - (position & 7))) & 1) {
+      const targetPosition = targetOffset + bit;
+      target[targetPosition >> 3] |= 0x80 >> (targetPosition & 7);
+    }
+  }
+  return targetOffset + count;
+};
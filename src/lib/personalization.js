@@ -0,0 +1,69 @@
+/**
+ * Personalizing stories from a child's profile
+ *
+ * When a parent creates a story for one of their children, the child's name,
+ * age group, favorite things and the fears or topics to avoid can be sent
+ * with the generation request. A child can also be made the hero of their
+ * stories (`isStoryHero` on the child account).
+ *
+ * The profile comes from the client, so it is trimmed and capped before it
+ * is put into a prompt.
+ */
+
+import { AGE_GROUPS } from '@/utils/constants';
+
+const MAX_NAME_LENGTH = 40;
+const MAX_FIELD_LENGTH = 300;
+
+/**
+ * Trim a profile field and cap its length
+ *
+ * @param {*} value - Field value
+ * @param {number} [maxLength] - Maximum length
+ * @returns {string} Clean text ('' for anything that is not a string)
+ */
+const cleanField = (value, maxLength = MAX_FIELD_LENGTH) => (
+  typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : ''
+);
+
+/**
+ * Validate the child profile of a generation request
+ *
+ * @param {*} input - `child` from the request body
+ * @returns {Object|null} `{ name, ageGroup, favorites, avoid, isHero }`, or null without a usable name
+ */
+export const normalizeChildProfile = (input) => {
+  const name = cleanField(input?.name, MAX_NAME_LENGTH);
+  if (!name) return null;
+
+  return {
+    name,
+    ageGroup: Object.values(AGE_GROUPS).includes(input.ageGroup) ? input.ageGroup : '',
+    favorites: cleanField(input.favorites),
+    avoid: cleanField(input.avoid),
+    isHero: input.isHero === true
+  };
+};
+
+/**
+ * Describe the child for a story prompt
+ *
+ * @param {Object|null} child - Profile from `normalizeChildProfile()`
+ * @returns {string} Prompt section, or an empty string when the story is not personalized
+ */
+export const describeChild = (child) => {
+  if (!child) return '';
+
+  const lines = [
+    child.isHero
+      ? `- Make ${child.name}${child.ageGroup ? ` (${child.ageGroup} old)` : ''} the hero of the story: ${child.name} is the main character, is brave and kind, and solves the problem.`
+      : `- The story is for ${child.name}${child.ageGroup ? ` (${child.ageGroup} old)` : ''}. Do not make ${child.name} a character in the story.`,
+    child.favorites && `- ${child.name}'s favorite things, to weave into the story: ${child.favorites}`,
+    child.avoid && `- ${child.name} is afraid of or upset by the following. Do not include or mention any of it, not even in a friendly way: ${child.avoid}`
+  ].filter(Boolean);
+
+  return `
+
+About the child:
+${lines.join('\n')}`;
+};
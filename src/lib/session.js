@@ -0,0 +1,113 @@
+/**
+ * Signed session cookies
+ *
+ * `/api/session` issues the cookie from a verified Firebase ID token, and the
+ * middleware checks it on every page request. The cookie holds the user's ID,
+ * role and family with an expiry, signed with HMAC-SHA256 using
+ * `SESSION_SECRET`, so it cannot be edited without the signature failing.
+ * Only the Web Crypto API is used, so this module also runs in the Edge
+ * runtime of the middleware.
+ */
+
+export const SESSION_COOKIE = 'session';
+
+// Sessions last five days; the app refreshes the cookie whenever Firebase refreshes the ID token
+export const SESSION_MAX_AGE = 5 * 24 * 60 * 60;
+
+// Used in development only, so the app runs without configuring a secret
+const DEVELOPMENT_SECRET = 'development-session-secret';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+};
+
+/**
+ * Check whether sessions can be signed: `SESSION_SECRET` is set, or the app
+ * runs in development
+ *
+ * @returns {boolean} True when a signing secret is available
+ */
+export const hasSessionSecret = () => Boolean(process.env.SESSION_SECRET) || process.env.NODE_ENV === 'development';
+
+const getSessionKey = () => {
+  if (!hasSessionSecret()) {
+    throw new Error('Missing SESSION_SECRET in environment variables');
+  }
+
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(process.env.SESSION_SECRET || DEVELOPMENT_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+};
+
+/**
+ * Create a signed session token
+ *
+ * @param {Object} user - Verified user, `{ uid, email, role, familyId }`
+ * @param {number} [maxAge=SESSION_MAX_AGE] - Lifetime in seconds
+ * @returns {Promise<string>} Session token for the cookie
+ */
+export const createSessionToken = async ({ uid, email, role, familyId }, maxAge = SESSION_MAX_AGE) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = toBase64Url(encoder.encode(JSON.stringify({
+    uid,
+    email: email || null,
+    role,
+    familyId: familyId || null,
+    iat: issuedAt,
+    exp: issuedAt + maxAge
+  })));
+
+  const signature = await crypto.subtle.sign('HMAC', await getSessionKey(), encoder.encode(payload));
+  return `${payload}.${toBase64Url(signature)}`;
+};
+
+/**
+ * Verify a session token
+ *
+ * @param {string} [token] - Session token from the cookie
+ * @returns {Promise<Object|null>} `{ uid, email, role, familyId, iat, exp }`, or null when the token is missing, forged or expired
+ */
+export const verifySessionToken = async (token) => {
+  if (!token || !hasSessionSecret()) return null;
+
+  try {
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const valid = await crypto.subtle.verify('HMAC', await getSessionKey(), fromBase64Url(signature), encoder.encode(payload));
+    if (!valid) return null;
+
+    const session = JSON.parse(decoder.decode(fromBase64Url(payload)));
+    return session.exp > Date.now() / 1000 ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Options of the session cookie: httpOnly, so scripts cannot read or change
+ * it, and secure outside development
+ *
+ * @param {number} [maxAge=SESSION_MAX_AGE] - Lifetime in seconds; 0 clears the cookie
+ * @returns {Object} Cookie options for `NextResponse.cookies.set()`
+ */
+export const getSessionCookieOptions = (maxAge = SESSION_MAX_AGE) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV !== 'development',
+  sameSite: 'lax',
+  path: '/',
+  maxAge
+});
@@ -0,0 +1,466 @@
+/**
+ * Ambient soundscapes played under the narration
+ *
+ * The beds (rain, ocean waves, crickets, a music box lullaby) are written
+ * straight as MP3 frames, like the offline tones (see `lib/toneSpeech.js`):
+ * every frame sets a handful of spectral lines with Huffman table 1. Random
+ * lines that change every frame sound like noise, a line held over several
+ * frames sounds like a note.
+ *
+ * Players loop a bed from `/api/soundscapes/[id]` and duck it under the
+ * narration themselves. `mixSoundscape()` bakes a bed into a narration MP3:
+ * the narration and the bed loop are decoded (mpg123), added sample by
+ * sample with the bed ducked under the voice, and encoded again as mono MP3
+ * (LAME), so the bed is heard on every speaker, mono ones included.
+ */
+
+import { MPEGDecoder } from 'mpg123-decoder';
+import { Mp3Encoder } from '@breezystack/lamejs';
+import { writeBits } from '@/lib/mp3Bits';
+import { readMp3Frames, TTSError } from '@/lib/tts';
+import { SOUNDSCAPES, SOUNDSCAPE_DUCKING_DB, SOUNDSCAPE_LIMITS } from '@/utils/constants';
+import { isNarrationSpeaking } from '@/utils/helpers';
+
+// MPEG-2 Layer III at 24 kHz: 576 samples per frame, 3 bytes per kbps
+const SAMPLE_RATE_HERTZ = 24000;
+const FRAME_SAMPLES = 576;
+const FRAME_SECONDS = FRAME_SAMPLES / SAMPLE_RATE_HERTZ;
+const BITRATES_KBPS = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const HEADER_BYTES = 4;
+const SIDE_INFO_BYTES = 9;
+
+// Last header byte: mono, marked original
+const MODE_BYTE = 0xc4;
+
+// How far back a frame's main data may start, in bytes (8-bit main_data_begin)
+const MAX_RESERVOIR_BYTES = 255;
+
+// Baked narrations: bitrate, and the samples LAME puts before the audio
+// (encoder delay plus the decoder's), which the word timings are shifted by
+const MIX_BITRATE_KBPS = 48;
+const ENCODER_DELAY_SAMPLES = 1105;
+
+// Huffman table 1 codes of the value pairs (0, 0), (0, 1), (1, 0) and (1, 1)
+const TABLE_1 = [
+  { value: 0b1, length: 1 },
+  { value: 0b001, length: 3 },
+  { value: 0b01, length: 2 },
+  { value: 0b000, length: 3 }
+];
+
+// Global gain of a single line at 0 dB, as loud as a word tone; every step is 1.5 dB
+const REFERENCE_GAIN = 198;
+
+// Ducking envelope, in dB per frame: quick under the voice, a slow swell back
+const DUCK_ATTACK_DB = 1.5;
+const DUCK_RELEASE_DB = 0.5;
+
+// Music box lullaby: spectral line and beats of every note (null is a rest).
+// Lines 25, 28, 31, 33, 37 and 42 are about C5, D5, E5, F5, G5 and A5.
+const LULLABY_NOTES = [
+  [25, 1], [25, 1], [37, 1], [37, 1], [42, 1], [42, 1], [37, 2],
+  [33, 1], [33, 1], [31, 1], [31, 1], [28, 1], [28, 1], [25, 2], [null, 2]
+];
+const LULLABY_BEAT_SECONDS = 0.6;
+
+/**
+ * Seeded random number generator (mulberry32), so a bed sounds the same every time
+ *
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick random spectral lines with random signs, for noise
+ *
+ * @param {Function} random - Random number generator
+ * @param {number} from - First line
+ * @param {number} to - Line after the last one
+ * @param {number} count - Number of lines
+ * @returns {Array<Object>} `[{ line, sign }]`
+ */
+const randomLines = (random, from, to, count) => {
+  const lines = new Map();
+
+  while (lines.size < Math.min(count, to - from)) {
+    lines.set(from + Math.floor(random() * (to - from)), random() < 0.5 ? -1 : 1);
+  }
+
+  return Array.from(lines, ([line, sign]) => ({ line, sign }));
+};
+
+/**
+ * Whether a cricket is chirping: three short pulses at the start of every period
+ *
+ * @param {number} time - Seconds
+ * @param {number} period - Seconds between chirps
+ * @param {number} offset - Start of the first chirp
+ * @returns {boolean} True during a pulse
+ */
+const isChirping = (time, period, offset) => {
+  const phase = (((time - offset) % period) + period) % period;
+  return phase < 0.3 && phase % 0.1 < 0.05;
+};
+
+// Beds by soundscape ID: loop length, seed, and the lines and level (dB) of the frame at a time
+const BEDS = {
+  rain: {
+    seconds: 20,
+    seed: 1,
+    frame: (time, random) => ({
+      lines: randomLines(random, 40, 400, 56 + Math.floor(random() * 16)),
+      gainDb: -random()
+    })
+  },
+  ocean: {
+    seconds: 21,
+    seed: 2,
+    frame: (time, random) => {
+      // A wave breaks every 7 seconds, with spray at the crest
+      const swell = 0.5 - 0.5 * Math.cos((2 * Math.PI * time) / 7);
+      const spray = swell > 0.7 ? randomLines(random, 80, 240, Math.round((swell - 0.7) * 100)) : [];
+
+      return {
+        lines: [...randomLines(random, 4, 80, 40), ...spray],
+        gainDb: -12 * (1 - swell)
+      };
+    }
+  },
+  crickets: {
+    seconds: 12,
+    seed: 3,
+    frame: (time) => ({
+      lines: [
+        isChirping(time, 1, 0) && { line: 214, sign: 1 },
+        isChirping(time, 1.5, 0.45) && { line: 190, sign: 1 }
+      ].filter(Boolean),
+      gainDb: -3
+    })
+  },
+  lullaby: {
+    seconds: LULLABY_NOTES.reduce((sum, [, beats]) => sum + beats, 0) * LULLABY_BEAT_SECONDS,
+    seed: 4,
+    frame: (time) => {
+      // Find the note playing; music box notes fade as they ring
+      let elapsed = time % BEDS.lullaby.seconds;
+      for (const [line, beats] of LULLABY_NOTES) {
+        const length = beats * LULLABY_BEAT_SECONDS;
+        if (elapsed < length) {
+          return { lines: line === null ? [] : [{ line, sign: 1 }], gainDb: -10 * elapsed };
+        }
+        elapsed -= length;
+      }
+      return { lines: [], gainDb: 0 };
+    }
+  }
+};
+
+/**
+ * Global gain that plays a number of lines at a level
+ *
+ * @param {number} levelDb - Level relative to a single line at the reference gain
+ * @param {number} lineCount - Number of lines sharing the energy
+ * @returns {number} Global gain (0-255)
+ */
+const lineGain = (levelDb, lineCount) => {
+  const gain = REFERENCE_GAIN + (levelDb - 10 * Math.log10(Math.max(lineCount, 1))) / 1.5;
+  return Math.min(Math.max(Math.round(gain), 0), 255);
+};
+
+/**
+ * Huffman-code spectral lines of value ±1 as big values with table 1
+ *
+ * @param {Array<Object>} lines - `[{ line, sign }]`
+ * @returns {Object} `{ data, length, bigValues }`: coded bits, their number and the number of value pairs
+ */
+const encodeLines = (lines) => {
+  const values = new Int8Array(576);
+  let last = -1;
+
+  for (const { line, sign } of lines) {
+    values[line] = sign;
+    last = Math.max(last, line);
+  }
+
+  const bigValues = (last >> 1) + 1;
+  const data = Buffer.alloc(bigValues);
+  let offset = 0;
+
+  for (let pair = 0; pair < bigValues; pair++) {
+    const x = values[2 * pair];
+    const y = values[2 * pair + 1];
+    const code = TABLE_1[(x ? 2 : 0) + (y ? 1 : 0)];
+
+    offset = writeBits(data, offset, code.value, code.length);
+    if (x) offset = writeBits(data, offset, x < 0 ? 1 : 0, 1);
+    if (y) offset = writeBits(data, offset, y < 0 ? 1 : 0, 1);
+  }
+
+  return { data, length: offset, bigValues };
+};
+
+/**
+ * Bed frame as one granule: side info and main data of its lines, or silence
+ *
+ * @param {Object} bedFrame - `{ lines, gainDb }`
+ * @returns {Object} Granule, `{ data, length, writeSideInfo }`
+ */
+const bedGranule = ({ lines, gainDb }) => {
+  const coded = lines.length ? encodeLines(lines) : null;
+  const gain = coded ? lineGain(gainDb, lines.length) : 0;
+
+  return {
+    data: coded?.data,
+    length: coded ? coded.length : 0,
+    writeSideInfo: (buffer, offset) => {
+      offset = writeBits(buffer, offset, coded ? coded.length : 0, 12); // part2_3_length
+      offset = writeBits(buffer, offset, coded ? coded.bigValues : 0, 9); // big_values
+      offset = writeBits(buffer, offset, gain, 8); // global_gain
+      offset = writeBits(buffer, offset, 0, 9); // scalefac_compress: no scalefactors
+      offset = writeBits(buffer, offset, 0, 1); // window_switching_flag
+      for (let region = 0; region < 3; region++) {
+        offset = writeBits(buffer, offset, 1, 5); // table_select
+      }
+      return offset + 9; // region0_count, region1_count, scalefac_scale, count1table_select
+    }
+  };
+};
+
+/**
+ * Bed frames, one per MP3 frame
+ *
+ * @param {string} id - Soundscape ID
+ * @param {number} count - Number of frames
+ * @returns {Array<Object>} `[{ lines, gainDb }]`
+ */
+const bedFrames = (id, count) => {
+  const bed = BEDS[id];
+  const random = createRandom(bed.seed);
+  return Array.from({ length: count }, (_, index) => bed.frame(index * FRAME_SECONDS, random));
+};
+
+/**
+ * Place every frame's main data in the bit reservoir: as early as the
+ * previous data and `main_data_begin` allow, and within the frame's own end
+ *
+ * @param {Array<number>} sizes - Main data bytes of every frame
+ * @param {number} slots - Main data bytes in a frame
+ * @returns {Array<number>|null} Start of every frame's main data in the main data stream, or null when it does not fit
+ */
+const placeMainData = (sizes, slots) => {
+  const starts = [];
+  let end = 0;
+
+  for (let index = 0; index < sizes.length; index++) {
+    const frameStart = index * slots;
+    const start = Math.max(end, frameStart - MAX_RESERVOIR_BYTES);
+    if (start + sizes[index] > frameStart + slots) return null;
+
+    starts.push(start);
+    end = start + sizes[index];
+  }
+
+  return starts;
+};
+
+/**
+ * Write mono MPEG-2 Layer III frames at the lowest constant bitrate that
+ * holds every granule
+ *
+ * @param {Array<Object>} granules - Granule of every frame, `{ data, length, writeSideInfo }`
+ * @returns {Buffer} MP3 data
+ */
+const writeFrames = (granules) => {
+  const sizes = granules.map(granule => Math.ceil(granule.length / 8));
+
+  for (let bitrateIndex = 1; bitrateIndex < BITRATES_KBPS.length; bitrateIndex++) {
+    const frameLength = BITRATES_KBPS[bitrateIndex] * 3;
+    const slots = frameLength - HEADER_BYTES - SIDE_INFO_BYTES;
+    const starts = placeMainData(sizes, slots);
+    if (!starts) continue;
+
+    const mainData = Buffer.alloc(granules.length * slots);
+    const output = Buffer.alloc(granules.length * frameLength);
+
+    granules.forEach((granule, index) => {
+      const frameOffset = index * frameLength;
+      output.set([0xff, 0xf3, (bitrateIndex << 4) | (1 << 2), MODE_BYTE], frameOffset);
+
+      let offset = (frameOffset + HEADER_BYTES) * 8;
+      offset = writeBits(output, offset, index * slots - starts[index], 8); // main_data_begin
+      offset += 1; // private_bits
+      granule.writeSideInfo(output, offset);
+      granule.data?.copy(mainData, starts[index], 0, sizes[index]);
+    });
+
+    // Main data can start in earlier frames, so it is spread once it is all written
+    granules.forEach((granule, index) => {
+      mainData.copy(output, index * frameLength + HEADER_BYTES + SIDE_INFO_BYTES, index * slots, (index + 1) * slots);
+    });
+
+    return output;
+  }
+
+  throw new TTSError('Failed to write the soundscape', 500, 'Frames do not fit the highest bitrate');
+};
+
+/**
+ * Decode an MP3 to mono samples
+ *
+ * @param {Buffer} mp3 - MP3 data at 24 kHz
+ * @returns {Promise<Float32Array>} Samples from -1 to 1
+ * @throws {TTSError} 500 when the audio cannot be decoded
+ */
+const decodeMp3 = async (mp3) => {
+  const decoder = new MPEGDecoder();
+
+  try {
+    await decoder.ready;
+    const { channelData, samplesDecoded, sampleRate, errors } = decoder.decode(new Uint8Array(mp3));
+
+    if (errors.length > 0 || (samplesDecoded > 0 && sampleRate !== SAMPLE_RATE_HERTZ)) {
+      throw new TTSError('Failed to mix the soundscape', 500, errors[0] || `Unexpected sample rate: ${sampleRate}`);
+    }
+
+    // A copy, as the decoded samples live in the decoder's memory
+    return channelData[0].slice(0, samplesDecoded);
+  } finally {
+    decoder.free();
+  }
+};
+
+/**
+ * Encode mono samples as an MP3
+ *
+ * @param {Float32Array} samples - Samples from -1 to 1
+ * @returns {Buffer} MP3 data, delayed by `ENCODER_DELAY_SAMPLES`
+ */
+const encodeMp3 = (samples) => {
+  const encoder = new Mp3Encoder(1, SAMPLE_RATE_HERTZ, MIX_BITRATE_KBPS);
+  const pcm = Int16Array.from(samples, sample => Math.round(Math.min(Math.max(sample, -1), 1) * 32767));
+
+  return Buffer.concat([Buffer.from(encoder.encodeBuffer(pcm)), Buffer.from(encoder.flush())]);
+};
+
+/**
+ * Validate the soundscape to bake into a narration
+ *
+ * @param {Object} [soundscape] - `{ id, level }`
+ * @returns {Object|null} `{ id, level }`, or null when there is none
+ * @throws {TTSError} 400 for an unknown soundscape or a level out of range
+ */
+export const parseSoundscape = (soundscape) => {
+  if (soundscape === undefined || soundscape === null) return null;
+
+  const { id, level = SOUNDSCAPE_LIMITS.level.max } = soundscape;
+  const { min, max } = SOUNDSCAPE_LIMITS.level;
+
+  if (!SOUNDSCAPES.some(bed => bed.id === id)) {
+    throw new TTSError(`Unknown soundscape: ${id}`, 400);
+  }
+  if (typeof level !== 'number' || !Number.isFinite(level) || level < min || level > max) {
+    throw new TTSError(`Soundscape level must be between ${min} and ${max} dB`, 400);
+  }
+
+  return { id, level };
+};
+
+// Loops already written, by soundscape ID
+const loops = new Map();
+
+/**
+ * Synthesize a soundscape loop at 0 dB, for players to mix under the narration
+ *
+ * @param {string} id - Soundscape ID
+ * @returns {Buffer} Mono MP3 that loops seamlessly
+ */
+export const synthesizeSoundscape = (id) => {
+  if (!BEDS[id]) {
+    throw new TTSError(`Unknown soundscape: ${id}`, 404);
+  }
+
+  if (!loops.has(id)) {
+    const frames = bedFrames(id, Math.round(BEDS[id].seconds / FRAME_SECONDS));
+    loops.set(id, writeFrames(frames.map(bedGranule)));
+  }
+
+  return loops.get(id);
+};
+
+// Decoded loops, by soundscape ID
+const loopSamples = new Map();
+
+/**
+ * Ducking envelope of the bed, in dB per frame: down under the narrator's
+ * voice, following the word timings, and back up between sentences
+ *
+ * @param {number} frameCount - Number of frames
+ * @param {Array<number>} wordStarts - Start time of every word, in seconds
+ * @returns {Float32Array} Ducking of every frame, in dB
+ */
+const duckingEnvelope = (frameCount, wordStarts) => {
+  const envelope = new Float32Array(frameCount);
+  let duckDb = 0;
+
+  for (let index = 0; index < frameCount; index++) {
+    const target = isNarrationSpeaking(wordStarts, index * FRAME_SECONDS) ? -SOUNDSCAPE_DUCKING_DB : 0;
+    duckDb = target < duckDb
+      ? Math.max(duckDb - DUCK_ATTACK_DB, target)
+      : Math.min(duckDb + DUCK_RELEASE_DB, target);
+    envelope[index] = duckDb;
+  }
+
+  return envelope;
+};
+
+/**
+ * Bake a soundscape into a narration MP3. The bed plays at `level` between
+ * sentences and ducks under the narrator's voice, following the word timings.
+ *
+ * @param {Buffer} mp3 - Mono 24 kHz narration
+ * @param {Object} options
+ * @param {string} options.id - Soundscape ID
+ * @param {number} options.level - Level of the bed in dB
+ * @param {Array<number>} [options.wordStarts] - Start time of every word, in seconds
+ * @returns {Promise<Object>} `{ data, duration, wordStarts }`: mono MP3, its duration and the word
+ *   start times in it, shifted by the encoder delay
+ */
+export const mixSoundscape = async (mp3, { id, level, wordStarts = [] }) => {
+  const narration = await decodeMp3(mp3);
+
+  if (!loopSamples.has(id)) {
+    loopSamples.set(id, await decodeMp3(synthesizeSoundscape(id)));
+  }
+  const bed = loopSamples.get(id);
+
+  // Gains at the frame starts, ramped sample by sample in between
+  const frameCount = Math.ceil(narration.length / FRAME_SAMPLES);
+  const gains = Array.from(duckingEnvelope(frameCount + 1, wordStarts), duckDb => 10 ** ((level + duckDb) / 20));
+  const mixed = new Float32Array(narration.length);
+
+  for (let index = 0; index < narration.length; index++) {
+    const frame = Math.floor(index / FRAME_SAMPLES);
+    const position = (index % FRAME_SAMPLES) / FRAME_SAMPLES;
+    const gain = gains[frame] + (gains[frame + 1] - gains[frame]) * position;
+    mixed[index] = narration[index] + bed[index % bed.length] * gain;
+  }
+
+  const data = encodeMp3(mixed);
+  const delay = ENCODER_DELAY_SAMPLES / SAMPLE_RATE_HERTZ;
+
+  return {
+    data,
+    duration: readMp3Frames(data).duration,
+    wordStarts: wordStarts.map(start => Math.round((start + delay) * 1000) / 1000)
+  };
+};
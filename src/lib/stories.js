@@ -0,0 +1,210 @@
+/**
+ * Story writes with the Admin SDK
+ *
+ * Stories are created, and their text edited, only through `/api/stories`,
+ * which runs the content safety check (`moderateText()`) on the text before
+ * writing it and stores the verdict as `moderation`. Blocked stories are
+ * never written. Ownership, moderation and review fields are always set
+ * here, never taken from the client. Firestore security rules must reject
+ * client writes that create stories or change their text (see the README),
+ * so nothing skips the check.
+ */
+
+import { NextResponse } from 'next/server';
+import { getAdminFirestore } from '@/lib/firebaseAdmin';
+import { MODERATION_STATUS, moderateText } from '@/lib/moderation';
+import { getStoryReviewFields } from '@/utils/helpers';
+
+// Fields with story text: changing any of them runs the check again
+export const STORY_TEXT_FIELDS = ['title', 'content', 'pages'];
+
+// Fields only the server writes: ownership, moderation, review and timestamps
+const SERVER_FIELDS = [
+  'id',
+  'userId',
+  'familyId',
+  'moderation',
+  'reviewStatus',
+  'approvedChildIds',
+  'submittedForReviewAt',
+  'reviewNote',
+  'reviewedBy',
+  'reviewedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+/**
+ * Error with the HTTP status to return to the client
+ */
+export class StoryError extends Error {
+  /**
+   * @param {string} message - Message safe to show to the client
+   * @param {number} [status=400] - HTTP status
+   * @param {*} [details] - Underlying error or moderation verdict, for the server log
+   */
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'StoryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Text of a story to moderate: title and content, and the pages when they
+ * are not the content split up
+ *
+ * @param {Object} story - Story data
+ * @returns {string} Text to check
+ */
+const storyText = ({ title = '', content = '', pages }) => {
+  const parts = [title, content];
+  const pagesText = Array.isArray(pages) ? pages.join('\n\n').trim() : '';
+
+  if (pagesText && pagesText !== content.trim()) {
+    parts.push(pagesText);
+  }
+
+  return parts.join('\n\n');
+};
+
+/**
+ * Run the content safety check on a story
+ *
+ * @param {Object} story - Story data with title, content, pages and age
+ * @param {Function} [onUsage] - Called with the token usage of the model-based check
+ * @returns {Promise<Object>} Moderation verdict to store on the story
+ * @throws {StoryError} 422 with `code: 'content/blocked'` when the story is blocked
+ */
+const moderateStory = async (story, onUsage) => {
+  const verdict = await moderateText(storyText(story), { ageGroup: story.age, onUsage });
+
+  if (verdict.status === MODERATION_STATUS.BLOCKED) {
+    const error = new StoryError('This story contains content that is not suitable for children', 422, verdict);
+    error.code = 'content/blocked';
+    throw error;
+  }
+
+  return verdict;
+};
+
+/**
+ * Fields of a client's story data that clients may set
+ *
+ * @param {Object} story - Story data from the request
+ * @returns {Object} Story data without the server fields
+ * @throws {StoryError} When the story data is not an object
+ */
+const clientFields = (story) => {
+  if (!story || typeof story !== 'object' || Array.isArray(story)) {
+    throw new StoryError('Story data is required');
+  }
+
+  return Object.fromEntries(Object.entries(story).filter(([field]) => !SERVER_FIELDS.includes(field)));
+};
+
+/**
+ * Create a story for the caller's family, once its text passes the check
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Verified user from `withAuth()`
+ * @param {Object} params.story - Story data
+ * @param {string} [params.childId] - Child the story is written for
+ * @param {Function} [params.onUsage] - Called with the token usage of the model-based check
+ * @returns {Promise<Object>} Saved story, with its ID
+ * @throws {StoryError} When the story has no text (400) or is blocked (422)
+ */
+export const createStory = async ({ user, story, childId = null, onUsage }) => {
+  const fields = clientFields(story);
+
+  if (typeof fields.content !== 'string' || !fields.content.trim()) {
+    throw new StoryError('A story needs some text');
+  }
+
+  const moderation = await moderateStory(fields, onUsage);
+  const ref = getAdminFirestore().collection('stories').doc();
+  const now = new Date();
+
+  const saved = {
+    ...fields,
+    ...(typeof childId === 'string' && childId && { childId }),
+    userId: user.uid,
+    familyId: user.familyId,
+    ...getStoryReviewFields(fields.isPublished === true, undefined, false, now),
+    moderation,
+    id: ref.id,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await ref.set(saved);
+  return saved;
+};
+
+/**
+ * Update a story of the caller's family. Text changes are checked again, and
+ * a published story whose text changed goes back to the review queue.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Verified user from `withAuth()`
+ * @param {string} params.storyId - ID of the story to update
+ * @param {Object} params.story - Fields to update
+ * @param {Function} [params.onUsage] - Called with the token usage of the model-based check
+ * @returns {Promise<Object>} Fields written, with the story ID
+ * @throws {StoryError} When the story does not exist (404), belongs to another family (403) or is blocked (422)
+ */
+export const updateStory = async ({ user, storyId, story, onUsage }) => {
+  const fields = clientFields(story);
+  const ref = getAdminFirestore().collection('stories').doc(storyId);
+  const snapshot = await ref.get();
+
+  if (!snapshot.exists) {
+    throw new StoryError('Story not found', 404);
+  }
+
+  const current = snapshot.data();
+  if (current.userId !== user.uid && current.familyId !== user.familyId) {
+    throw new StoryError('You can only edit your family\'s stories', 403);
+  }
+
+  const now = new Date();
+  const update = { ...fields, updatedAt: now };
+
+  // Check the text whenever it is sent, with the stored values for whatever is not
+  if (STORY_TEXT_FIELDS.some(field => fields[field] !== undefined)) {
+    update.moderation = await moderateStory({ ...current, ...fields }, onUsage);
+  }
+
+  // The edit page sends the whole form, so compare with the stored text
+  const textEdited = ['title', 'content'].some(field => fields[field] !== undefined && fields[field] !== current[field]);
+  const isPublished = fields.isPublished ?? current.isPublished;
+  if (fields.isPublished !== undefined || (textEdited && isPublished)) {
+    Object.assign(update, getStoryReviewFields(isPublished, current.reviewStatus, textEdited, now));
+  }
+
+  await ref.update(update);
+  return { id: storyId, ...update };
+};
+
+/**
+ * Response for an error of a story write: the message and status of a
+ * StoryError (with the verdict of a blocked story), or a generic 500
+ *
+ * @param {Error} error - Error thrown while writing the story
+ * @returns {NextResponse} Error response
+ */
+export const storyErrorResponse = (error) => {
+  if (!(error instanceof StoryError)) {
+    console.error('Story write error:', error);
+    return NextResponse.json({ error: 'Failed to save the story' }, { status: 500 });
+  }
+
+  return NextResponse.json(
+    {
+      error: error.message,
+      ...(error.code && { code: error.code, moderation: error.details })
+    },
+    { status: error.status }
+  );
+};
@@ -0,0 +1,270 @@
+/**
+ * Chapter-by-chapter generation for long stories
+ *
+ * A single completion tends to drift or wrap up early long before a 10-15
+ * minute read, so long stories are planned as an outline first and then
+ * written one chapter at a time. Every chapter prompt carries the whole
+ * outline and the end of the previous chapter, which keeps names, tone and
+ * plot consistent across chapters.
+ *
+ * The chapters are written as plain text with a `Chapter N: Title` line on
+ * top, so the same text can be streamed to the editor and split into pages.
+ */
+
+import { countWords, estimateReadingMinutes, splitIntoPages } from '@/utils/helpers';
+import { getStorySpeakers } from '@/utils/dialogue';
+import { StoryFormatError, completeStructuredStory, extractJsonObject } from '@/lib/storyStructure';
+import { getChapterTarget } from '@/lib/storyLength';
+
+// How much of the previous chapter each prompt repeats for continuity
+const CONTEXT_WORDS = 150;
+
+/**
+ * Prompt instructions describing the outline JSON
+ *
+ * @param {number} chapterCount - Number of chapters to plan
+ * @returns {string} Instructions
+ */
+const outlineInstructions = (chapterCount) => `Respond with a single JSON object and nothing else, using exactly this shape:
+{
+  "title": "the story title, 3-8 words",
+  "moral": "the life lesson of the story in one sentence",
+  "summary": "what happens in the whole story, in 1-2 sentences",
+  "vocabulary": [{ "word": "a new word to use in the story", "definition": "a simple, child-friendly definition" }],
+  "chapters": [{ "title": "chapter title", "summary": "what happens in this chapter, in 2-3 sentences" }]
+}
+Plan exactly ${chapterCount} chapters. The last chapter ends the story happily.
+Include 3-5 vocabulary words.`;
+
+/**
+ * Parse and validate the outline returned by the model
+ *
+ * @param {string} text - Raw model output
+ * @returns {Object} Outline with title, moral, summary, vocabulary and chapters
+ */
+const parseOutline = (text) => {
+  const data = extractJsonObject(text || '');
+
+  if (typeof data.title !== 'string' || !data.title.trim()) {
+    throw new StoryFormatError('Invalid outline: title must be a non-empty string');
+  }
+
+  if (!Array.isArray(data.chapters) || data.chapters.length < 2 ||
+      data.chapters.some(chapter => typeof chapter?.title !== 'string' || typeof chapter?.summary !== 'string')) {
+    throw new StoryFormatError('Invalid outline: chapters must be a list of at least two chapters with a title and a summary');
+  }
+
+  return {
+    title: data.title.trim().replace(/^["']|["']$/g, ''),
+    moral: typeof data.moral === 'string' ? data.moral.trim() : '',
+    summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+    vocabulary: (Array.isArray(data.vocabulary) ? data.vocabulary : [])
+      .filter(entry => typeof entry?.word === 'string' && typeof entry?.definition === 'string')
+      .map(({ word, definition }) => ({ word: word.trim(), definition: definition.trim() }))
+      .filter(entry => entry.word && entry.definition),
+    chapters: data.chapters.map(({ title, summary }) => ({ title: title.trim(), summary: summary.trim() }))
+  };
+};
+
+/**
+ * Ask the model for the outline of a long story
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - System and user messages describing the story
+ * @param {Object} options.target - Target from `getLengthTarget()`
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @returns {Promise<{structured: Object, model: string, usage: Object}>} `structured` is the outline
+ */
+export const planChapters = (provider, { messages, target, signal }) => {
+  const last = messages[messages.length - 1];
+
+  return completeStructuredStory(provider, {
+    task: 'story-outline',
+    messages: [
+      ...messages.slice(0, -1),
+      { ...last, content: `${last.content}\n\nFirst, plan the story as chapters.\n\n${outlineInstructions(target.chapters)}` }
+    ],
+    maxTokens: 1000,
+    temperature: 0.7,
+    signal
+  }, { parse: parseOutline });
+};
+
+/**
+ * The last words of a text, for continuity prompts
+ *
+ * @param {string} text - Text
+ * @param {number} count - Number of words
+ * @returns {string} Ending of the text
+ */
+const lastWords = (text, count) => text.trim().split(/\s+/).slice(-count).join(' ');
+
+/**
+ * Describe the outline for a chapter prompt
+ *
+ * @param {Object} outline - Outline from `planChapters()`
+ * @returns {string} Outline description
+ */
+const describeOutline = (outline) => {
+  const chapters = outline.chapters
+    .map((chapter, index) => `${index + 1}. ${chapter.title}: ${chapter.summary}`)
+    .join('\n');
+  const words = outline.vocabulary.map(entry => entry.word).join(', ');
+
+  return `Story title: ${outline.title}
+Chapters:
+${chapters}
+${outline.moral ? `Moral: ${outline.moral}\n` : ''}${words ? `Words to use naturally somewhere in the story: ${words}\n` : ''}`;
+};
+
+/**
+ * Build the messages that write (or continue) one chapter
+ *
+ * @param {Object} options
+ * @returns {Array<Object>} Chat messages
+ */
+const chapterMessages = ({ systemPrompt, storyBrief, outline, index, chapterTarget, previousText, chapterText }) => {
+  const chapter = outline.chapters[index];
+  const isLast = index === outline.chapters.length - 1;
+  const ending = isLast
+    ? 'This is the last chapter: bring the story to a happy, comforting ending that fits bedtime.'
+    : 'Do not end the story yet; finish the chapter in a way that leads into the next one.';
+
+  let request;
+  if (chapterText) {
+    const words = countWords(chapterText);
+    request = `Here is chapter ${index + 1}, "${chapter.title}", so far:
+"""
+${chapterText}
+"""
+
+It is only ${words} words but should be about ${chapterTarget.targetWords}. Continue it from exactly where it stops with about ${Math.max(chapterTarget.targetWords - words, 50)} more words, without repeating anything. ${ending}
+Write only the new paragraphs, separated by blank lines.`;
+  } else {
+    request = `${previousText ? `The previous chapter ended like this:\n"""\n...${lastWords(previousText, CONTEXT_WORDS)}\n"""\n\n` : ''}Write chapter ${index + 1}, "${chapter.title}". It should be about ${chapterTarget.targetWords} words (between ${chapterTarget.minWords} and ${chapterTarget.maxWords} words).
+Continue directly from the previous chapter and keep names and details consistent. ${ending}
+Write only the chapter text as plain paragraphs separated by blank lines, without a chapter heading.`;
+  }
+
+  return [
+    { role: 'system', content: `${systemPrompt}\nYou are writing a longer story one chapter at a time.` },
+    {
+      role: 'user',
+      content: `We are writing a children's story in ${outline.chapters.length} chapters.
+
+Story request:
+${storyBrief}
+
+${describeOutline(outline)}
+${request}`
+    }
+  ];
+};
+
+/**
+ * Yield the text of one completion, streamed or in one piece
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Object} params - Completion parameters plus `stream` and `onUsage`
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+async function* completionText(provider, { stream, onUsage, ...params }) {
+  if (stream) {
+    yield* await provider.stream({ ...params, onUsage });
+    return;
+  }
+
+  const completion = await provider.complete(params);
+  onUsage?.(completion);
+  yield completion.content;
+}
+
+/**
+ * Write the chapters of an outlined story one after another. Chapters that
+ * come out shorter than their share of the target are continued once.
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Object} options
+ * @param {string} options.systemPrompt - System prompt of the story route
+ * @param {string} options.storyBrief - The requested theme, age, characters, ...
+ * @param {Object} options.outline - Outline from `planChapters()`
+ * @param {Object} options.target - Target from `getLengthTarget()`
+ * @param {boolean} [options.stream=false] - Stream each chapter as it is written
+ * @param {Function} [options.onUsage] - Called with `{ model, usage }` of every completion, streamed ones when they end
+ * @param {AbortSignal} [options.signal] - Aborts the upstream requests
+ * @returns {AsyncGenerator<string>} Story text, including chapter headings
+ */
+export async function* writeChapters(provider, { systemPrompt, storyBrief, outline, target, stream = false, onUsage, signal }) {
+  const chapterTarget = getChapterTarget({ ...target, chapters: outline.chapters.length });
+  let previousText = '';
+
+  for (let index = 0; index < outline.chapters.length; index++) {
+    yield `${index > 0 ? '\n\n' : ''}Chapter ${index + 1}: ${outline.chapters[index].title}\n`;
+
+    const baseMessages = { systemPrompt, storyBrief, outline, index, chapterTarget, previousText };
+    let chapterText = '';
+
+    for await (let chunk of completionText(provider, {
+      task: 'story-chapter',
+      messages: chapterMessages(baseMessages),
+      maxTokens: chapterTarget.maxTokens,
+      temperature: 0.7,
+      stream,
+      onUsage,
+      signal
+    })) {
+      // The heading and the first paragraph share a page
+      if (!chapterText) chunk = chunk.trimStart();
+      if (!chunk) continue;
+      chapterText += chunk;
+      yield chunk;
+    }
+
+    if (countWords(chapterText) < chapterTarget.minWords) {
+      console.warn(`Chapter ${index + 1} is ${countWords(chapterText)} words, continuing it`);
+      let separator = '\n\n';
+
+      for await (let chunk of completionText(provider, {
+        task: 'story-chapter-continue',
+        messages: chapterMessages({ ...baseMessages, chapterText: chapterText.trim() }),
+        maxTokens: chapterTarget.maxTokens,
+        temperature: 0.7,
+        stream,
+        onUsage,
+        signal
+      })) {
+        if (separator) chunk = chunk.trimStart();
+        if (!chunk) continue;
+        chapterText += separator + chunk;
+        yield separator + chunk;
+        separator = '';
+      }
+    }
+
+    previousText = chapterText;
+  }
+}
+
+/**
+ * Build the structured story from the outline and the written chapters
+ *
+ * @param {Object} outline - Outline from `planChapters()`
+ * @param {string} storyText - Text yielded by `writeChapters()`
+ * @returns {Object} Structured story, same shape as `parseStoryStructure()`
+ */
+export const assembleChapteredStory = (outline, storyText) => {
+  const pages = splitIntoPages(storyText);
+  const fullText = pages.join('\n\n');
+
+  return {
+    title: outline.title,
+    pages,
+    moral: outline.moral,
+    summary: outline.summary || outline.chapters.map(chapter => chapter.summary).join(' '),
+    vocabulary: outline.vocabulary,
+    speakers: getStorySpeakers(fullText),
+    estimatedReadingMinutes: estimateReadingMinutes(fullText),
+    wordCount: countWords(fullText)
+  };
+};
@@ -0,0 +1,213 @@
+/**
+ * Story length targets
+ *
+ * `STORY_LENGTH_MINUTES` gives the reading time range of each story length.
+ * Here it is turned into word targets for the prompt and token budgets for
+ * the completion, and generated stories are checked against the same
+ * estimate `calculateReadingTime` shows. A story that misses its range is
+ * extended (too short) or regenerated (too long).
+ */
+
+import { STORY_LENGTHS, STORY_LENGTH_MINUTES } from '@/utils/constants';
+import { countWords, estimateReadingMinutes } from '@/utils/helpers';
+import { STORY_JSON_INSTRUCTIONS, addUsage, completeStructuredStory } from '@/lib/storyStructure';
+
+// Same default as calculateReadingTime
+const WORDS_PER_MINUTE = 200;
+
+// Rough upper bound for English text, plus room for the JSON around the story
+const TOKENS_PER_WORD = 1.4;
+const JSON_OVERHEAD_TOKENS = 500;
+
+// Long stories are written chapter by chapter (see `lib/storyChapters.js`)
+const CHAPTER_COUNTS = {
+  [STORY_LENGTHS.SHORT]: 1,
+  [STORY_LENGTHS.MEDIUM]: 1,
+  [STORY_LENGTHS.LONG]: 4
+};
+
+const MAX_LENGTH_ADJUSTMENTS = 2;
+
+/**
+ * Get the word and token targets for a story length
+ *
+ * @param {string} length - One of the `STORY_LENGTHS` values (defaults to medium)
+ * @returns {Object} Target with length, minMinutes, maxMinutes, minWords, maxWords, targetWords, chapters and maxTokens
+ */
+export const getLengthTarget = (length) => {
+  const key = STORY_LENGTH_MINUTES[length] ? length : STORY_LENGTHS.MEDIUM;
+  const { min, max } = STORY_LENGTH_MINUTES[key];
+  const minWords = min * WORDS_PER_MINUTE;
+  const maxWords = max * WORDS_PER_MINUTE;
+
+  return {
+    length: key,
+    minMinutes: min,
+    maxMinutes: max,
+    minWords,
+    maxWords,
+    targetWords: Math.round((minWords + maxWords) / 100) * 50,
+    chapters: CHAPTER_COUNTS[key],
+    maxTokens: Math.ceil(maxWords * TOKENS_PER_WORD) + JSON_OVERHEAD_TOKENS
+  };
+};
+
+/**
+ * Split a length target into the target for a single chapter
+ *
+ * @param {Object} target - Target from `getLengthTarget()`
+ * @returns {Object} Chapter target with minWords, maxWords, targetWords and maxTokens
+ */
+export const getChapterTarget = (target) => {
+  const maxWords = Math.ceil(target.maxWords / target.chapters);
+
+  return {
+    minWords: Math.floor(target.minWords / target.chapters),
+    maxWords,
+    targetWords: Math.round(target.targetWords / target.chapters / 10) * 10,
+    maxTokens: Math.ceil(maxWords * TOKENS_PER_WORD) + 100
+  };
+};
+
+/**
+ * Prompt line describing the length a story should have
+ *
+ * @param {Object} target - Target from `getLengthTarget()`
+ * @returns {string} Length instruction
+ */
+export const lengthInstruction = (target) => {
+  return `Be about ${target.targetWords} words long (between ${target.minWords} and ${target.maxWords} words, a ${target.minMinutes}-${target.maxMinutes} minute read)`;
+};
+
+/**
+ * Check a story text against its length target
+ *
+ * @param {string} text - Story text
+ * @param {Object} target - Target from `getLengthTarget()`
+ * @returns {{words: number, minutes: number, status: string}} status is 'ok', 'short' or 'long'
+ */
+export const checkStoryLength = (text, target) => {
+  const minutes = estimateReadingMinutes(text, WORDS_PER_MINUTE);
+  let status = 'ok';
+
+  if (minutes < target.minMinutes) {
+    status = 'short';
+  } else if (minutes > target.maxMinutes) {
+    status = 'long';
+  }
+
+  return { words: countWords(text), minutes, status };
+};
+
+/**
+ * How far a length check is from the target range, in minutes
+ *
+ * @param {Object} check - Result of `checkStoryLength()`
+ * @param {Object} target - Target from `getLengthTarget()`
+ * @returns {number} 0 when within range
+ */
+const distanceFromTarget = (check, target) => {
+  if (check.status === 'short') return target.minMinutes - check.minutes;
+  if (check.status === 'long') return check.minutes - target.maxMinutes;
+  return 0;
+};
+
+/**
+ * Ask the model to lengthen a story without changing its plot
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Object} structured - Structured story that is too short
+ * @param {Object} check - Its length check
+ * @param {Object} target - Target from `getLengthTarget()`
+ * @param {Object} params - Original completion parameters
+ * @returns {Promise<{structured: Object, model: string, usage: Object}>}
+ */
+const extendStory = (provider, structured, check, target, params) => {
+  const storyJson = JSON.stringify({
+    title: structured.title,
+    pages: structured.pages,
+    moral: structured.moral,
+    vocabulary: structured.vocabulary
+  });
+
+  return completeStructuredStory(provider, {
+    task: 'story-extend',
+    messages: [
+      params.messages[0],
+      {
+        role: 'user',
+        content: `The children's story below is ${check.words} words long, but it should ${lengthInstruction(target).toLowerCase()}.
+Make it longer by adding detail, gentle scenes and dialogue. Keep the title, the characters, the plot, the moral and the ending.
+
+<story>
+${storyJson}
+</story>
+
+${STORY_JSON_INSTRUCTIONS}`
+      }
+    ],
+    maxTokens: target.maxTokens,
+    temperature: 0.7,
+    signal: params.signal
+  });
+};
+
+/**
+ * Run the original completion again with a reminder of the word limit
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Object} check - Length check of the story that was too long
+ * @param {Object} target - Target from `getLengthTarget()`
+ * @param {Object} params - Original completion parameters
+ * @returns {Promise<{structured: Object, model: string, usage: Object}>}
+ */
+const regenerateStory = (provider, check, target, params) => {
+  const messages = [...params.messages];
+  const last = messages.pop();
+
+  return completeStructuredStory(provider, {
+    ...params,
+    messages: [
+      ...messages,
+      {
+        ...last,
+        content: `${last.content}\n\nImportant: a previous version was ${check.words} words, which is too long. The story must be at most ${target.maxWords} words.`
+      }
+    ]
+  });
+};
+
+/**
+ * Make sure a structured story fits its length target, extending or
+ * regenerating it a limited number of times. The attempt closest to the
+ * target is kept.
+ *
+ * @param {Object} provider - LLM provider
+ * @param {Object} options
+ * @param {Object} options.result - Result of `completeStructuredStory()`
+ * @param {Object} options.target - Target from `getLengthTarget()`
+ * @param {Object} options.params - Completion parameters used for `result`
+ * @returns {Promise<{structured: Object, model: string, usage: Object, lengthCheck: Object}>}
+ */
+export const fitStoryToLength = async (provider, { result, target, params }) => {
+  let best = result;
+  let check = checkStoryLength(best.structured.pages.join('\n\n'), target);
+  let usage = result.usage;
+
+  for (let attempt = 0; attempt < MAX_LENGTH_ADJUSTMENTS && check.status !== 'ok'; attempt++) {
+    console.warn(`Story is ${check.status} (${check.words} words, target ${target.minWords}-${target.maxWords}), adjusting`);
+
+    const next = check.status === 'short'
+      ? await extendStory(provider, best.structured, check, target, params)
+      : await regenerateStory(provider, check, target, params);
+    usage = addUsage(usage, next.usage);
+
+    const nextCheck = checkStoryLength(next.structured.pages.join('\n\n'), target);
+    if (distanceFromTarget(nextCheck, target) < distanceFromTarget(check, target)) {
+      best = next;
+      check = nextCheck;
+    }
+  }
+
+  return { ...best, usage, lengthCheck: check };
+};
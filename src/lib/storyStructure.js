@@ -0,0 +1,248 @@
+/**
+ * Structured story output
+ *
+ * The story routes ask the model for a JSON object instead of raw text and
+ * validate it here before anything reaches the client or Firestore:
+ *
+ * {
+ *   "title": "Pip and the Sleepy Star",
+ *   "pages": ["Once upon a time...", "..."],
+ *   "moral": "Helping a friend is the best adventure.",
+ *   "summary": "Pip helps a fallen star find its way back to the sky.",
+ *   "vocabulary": [{ "word": "twinkle", "definition": "to shine with a flickering light" }],
+ *   "speakers": ["Pip", "Grandma Owl"],
+ *   "estimatedReadingMinutes": 5
+ * }
+ *
+ * `speakers` names the characters with quoted dialogue, so parents can give
+ * each of them a voice of their own in the narration.
+ */
+
+import { countWords, estimateReadingMinutes } from '@/utils/helpers';
+import { getStorySpeakers } from '@/utils/dialogue';
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Prompt instructions describing the JSON shape the model must return
+ */
+export const STORY_JSON_INSTRUCTIONS = `Respond with a single JSON object and nothing else, using exactly this shape:
+{
+  "title": "the story title, 3-8 words",
+  "pages": ["text of page 1", "text of page 2"],
+  "moral": "the life lesson of the story in one sentence",
+  "summary": "what happens in the story, in 1-2 sentences",
+  "vocabulary": [{ "word": "a new word from the story", "definition": "a simple, child-friendly definition" }],
+  "speakers": ["the name of every character who speaks in quoted dialogue"],
+  "estimatedReadingMinutes": 5
+}
+Each page should be one or two short paragraphs that would fit with a single picture.
+Include 3-5 vocabulary words that appear in the story.
+Put dialogue in double quotes and name the speaker next to it (e.g. "Look!" said Pip).`;
+
+/**
+ * Error raised when the model output does not match the story schema
+ */
+export class StoryFormatError extends Error {
+  /**
+   * @param {string} message - What was wrong with the output
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'StoryFormatError';
+  }
+}
+
+/**
+ * Extract the first JSON object from model output, tolerating code fences
+ * or text around it
+ *
+ * @param {string} text - Raw model output
+ * @returns {Object} Parsed object
+ */
+export const extractJsonObject = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new StoryFormatError('Response does not contain a JSON object');
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new StoryFormatError(`Response is not valid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Validate a parsed story object against the schema
+ *
+ * @param {Object} data - Parsed story object
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export const validateStoryStructure = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Story must be a JSON object'];
+  }
+
+  if (typeof data.title !== 'string' || !data.title.trim()) {
+    errors.push('title must be a non-empty string');
+  } else if (data.title.trim().length > MAX_TITLE_LENGTH) {
+    errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(data.pages) || data.pages.length === 0) {
+    errors.push('pages must be a non-empty array');
+  } else if (data.pages.some(page => typeof page !== 'string' || !page.trim())) {
+    errors.push('every page must be a non-empty string');
+  }
+
+  if (data.moral !== undefined && typeof data.moral !== 'string') {
+    errors.push('moral must be a string');
+  }
+
+  if (data.summary !== undefined && typeof data.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+
+  if (data.vocabulary !== undefined) {
+    if (!Array.isArray(data.vocabulary)) {
+      errors.push('vocabulary must be an array');
+    } else if (data.vocabulary.some(entry => typeof entry?.word !== 'string' || typeof entry?.definition !== 'string')) {
+      errors.push('every vocabulary entry must have a word and a definition');
+    }
+  }
+
+  if (data.speakers !== undefined &&
+      (!Array.isArray(data.speakers) || data.speakers.some(speaker => typeof speaker !== 'string'))) {
+    errors.push('speakers must be an array of names');
+  }
+
+  if (data.estimatedReadingMinutes !== undefined &&
+      (typeof data.estimatedReadingMinutes !== 'number' || !(data.estimatedReadingMinutes > 0))) {
+    errors.push('estimatedReadingMinutes must be a positive number');
+  }
+
+  return errors;
+};
+
+/**
+ * Parse and validate model output into a normalized story structure.
+ * Optional fields get defaults; the reading time falls back to our own
+ * word-count estimate when the model leaves it out.
+ *
+ * @param {string} text - Raw model output
+ * @returns {Object} Story with title, pages, moral, summary, vocabulary, speakers, estimatedReadingMinutes and wordCount
+ */
+export const parseStoryStructure = (text) => {
+  const data = extractJsonObject(text || '');
+  const errors = validateStoryStructure(data);
+
+  if (errors.length > 0) {
+    throw new StoryFormatError(`Invalid story structure: ${errors.join('; ')}`);
+  }
+
+  const pages = data.pages.map(page => page.trim());
+  const fullText = pages.join('\n\n');
+
+  return {
+    title: data.title.trim().replace(/^["']|["']$/g, ''),
+    pages,
+    moral: data.moral?.trim() || '',
+    summary: data.summary?.trim() || '',
+    vocabulary: (data.vocabulary || [])
+      .map(({ word, definition }) => ({ word: word.trim(), definition: definition.trim() }))
+      .filter(entry => entry.word && entry.definition),
+    // Speakers the model missed are found from the dialogue attributions
+    speakers: getStorySpeakers(fullText, data.speakers),
+    estimatedReadingMinutes: data.estimatedReadingMinutes
+      ? Math.max(1, Math.round(data.estimatedReadingMinutes))
+      : estimateReadingMinutes(fullText),
+    wordCount: countWords(fullText)
+  };
+};
+
+/**
+ * Add the token counts of two completions
+ *
+ * @param {Object} total - Usage so far
+ * @param {Object} usage - Usage of the latest completion
+ * @returns {Object} Combined usage
+ */
+export const addUsage = (total, usage) => ({
+  prompt_tokens: total.prompt_tokens + (usage?.prompt_tokens || 0),
+  completion_tokens: total.completion_tokens + (usage?.completion_tokens || 0),
+  total_tokens: total.total_tokens + (usage?.total_tokens || 0)
+});
+
+/**
+ * Run a JSON completion and parse it as a story, retrying once when the
+ * model returns something that does not match the schema
+ *
+ * @param {Object} provider - LLM provider from `getLLMProvider()`
+ * @param {Object} params - Completion parameters (task, messages, maxTokens, ...)
+ * @param {Object} [options]
+ * @param {number} [options.attempts=2] - Maximum number of completions
+ * @param {Function} [options.parse=parseStoryStructure] - Parser that throws StoryFormatError on bad output
+ * @returns {Promise<{structured: Object, model: string, usage: Object}>}
+ */
+export const completeStructuredStory = async (provider, params, { attempts = 2, parse = parseStoryStructure } = {}) => {
+  let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const completion = await provider.complete({ ...params, json: true });
+    usage = addUsage(usage, completion.usage);
+
+    try {
+      return {
+        structured: parse(completion.content),
+        model: completion.model,
+        usage
+      };
+    } catch (error) {
+      if (!(error instanceof StoryFormatError)) throw error;
+      console.warn(`Structured story attempt ${attempt} failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+/**
+ * Structure an already written story (e.g. a streamed one) into the schema
+ * without changing its wording
+ *
+ * @param {Object} provider - LLM provider from `getLLMProvider()`
+ * @param {string} storyText - Finished story text
+ * @param {AbortSignal} [signal] - Aborts the upstream request
+ * @returns {Promise<{structured: Object, model: string, usage: Object}>}
+ */
+export const structureStoryText = (provider, storyText, signal) => {
+  return completeStructuredStory(provider, {
+    task: 'structure',
+    messages: [
+      {
+        role: 'system',
+        content: 'You format finished children\'s stories for a picture-book reader. Never change the wording of the story.'
+      },
+      {
+        role: 'user',
+        content: `Split the story below into pages and describe it. If the first line is a title, use it as the title and leave it out of the pages.
+
+<story>
+${storyText}
+</story>
+
+${STORY_JSON_INSTRUCTIONS}`
+      }
+    ],
+    maxTokens: Math.ceil(storyText.length / 3) + 400,
+    temperature: 0,
+    signal
+  });
+};
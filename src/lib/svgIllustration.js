@@ -1,79 +1,21 @@
-// app/api/generate-image/route.js
-import { NextResponse } from 'next/server';
-
-export async function POST(request) {
-  console.log('=== CHILDREN\'S STORY IMAGE GENERATION API ===');
-  
-  try {
-    const body = await request.json();
-    const { 
-      storyText = '', 
-      prompt = 'A beautiful children\'s story illustration', 
-      characters = '', 
-      setting = '', 
-      mood = 'cheerful' 
-    } = body;
-
-    console.log('Request data:', { storyText, prompt, characters, setting, mood });
-
-    // 🎨 CREATE CHILD-FRIENDLY AI PROMPTS (for DALL-E, Midjourney, etc.)
-    const enhancedPrompt = createChildFriendlyPrompt({
-      storyText,
-      prompt, 
-      characters,
-      setting,
-      mood
-    });
-
-    // For demonstration, creating elaborate SVGs
-    // In production, replace with real AI API call:
-    // const realImage = await generateWithDALLE(enhancedPrompt);
-    
-    const creativeImageUrl = generateCreativeChildrensSVG({
-      prompt,
-      characters,
-      setting,
-      mood,
-      storyText
-    });
-
-    console.log('Creative children\'s image generated successfully');
-
-    const response = {
-      imageUrl: creativeImageUrl,
-      prompt: enhancedPrompt,
-      metadata: {
-        model: 'enhanced-children-svg',
-        size: '512x512',
-        characters: characters,
-        setting: setting,
-        mood: mood,
-        childFriendly: true,
-        style: 'children-book-illustration',
-        safetyLevel: 'kid-safe'
-      }
-    };
-
-    return NextResponse.json(response);
-
-  } catch (error) {
-    console.error('=== IMAGE GENERATION API ERROR ===', error);
-    
-    return NextResponse.json(
-      { 
-        error: 'Failed to generate creative children\'s image',
-        details: error?.message || 'Unknown error'
-      },
-      { status: 500 }
-    );
-  }
-}
+/**
+ * Offline story illustrations
+ *
+ * Builds a children's-book style SVG scene from the story's setting,
+ * characters and mood, without any network call. It is the default image
+ * provider and the fallback when a text-to-image provider fails (see
+ * `lib/imageGeneration.js`). `createChildFriendlyPrompt()` builds the prompt
+ * sent to the text-to-image providers.
+ */
 
 /**
  * 🚀 CREATE OPTIMIZED PROMPTS FOR AI SERVICES
- * Use this function when integrating with DALL-E, Midjourney, Stable Diffusion, etc.
+ * Used for the text-to-image providers (DALL-E, Stable Diffusion, ...)
+ *
+ * @param {Object} scene - Story text, prompt, characters, setting and mood
+ * @returns {string} Image prompt
  */
-function createChildFriendlyPrompt({ storyText, prompt, characters, setting, mood }) {
+export function createChildFriendlyPrompt({ storyText = '', prompt, characters, setting, mood = '' }) {
   // Extract main story elements
   const mainElements = extractStoryElements(storyText);
   
@@ -90,7 +32,7 @@ function createChildFriendlyPrompt({ storyText, prompt, characters, setting, moo
     'mysterious': 'curious, wonder, gentle mystery, intriguing',
     'funny': 'silly, playful, humorous, laughing',
     'educational': 'learning, discovery, bright classroom, teaching'
-  }[mood] || 'happy and colorful';
+  }[mood.toLowerCase()] || 'happy and colorful';
 
   // Build optimized prompt
   let enhancedPrompt = `${baseStyle}, ${kidFriendlyMood}`;
@@ -114,10 +56,21 @@ function createChildFriendlyPrompt({ storyText, prompt, characters, setting, moo
 
 /**
  * 🎨 CREATIVE CHILDREN'S SVG GENERATOR
+ *
+ * @param {Object} scene - Story text, prompt, characters, setting and mood, plus the
+ *   normalized `characterProfiles` chosen from the family character library
+ * @returns {string} SVG markup
  */
-function generateCreativeChildrensSVG({ prompt, characters, setting, mood, storyText }) {
+export function generateCreativeChildrensSVG({ prompt = '', characters = '', characterProfiles = [], setting, mood: moodName = 'cheerful', storyText = '' }) {
+  const mood = moodName.toLowerCase();
+  
+  // Library characters are drawn from their species and named on the title card
+  const characterKinds = characters || characterProfiles.map(profile => profile.species).join(', ');
+  const starring = characterProfiles.length > 0 ? characterProfiles.map(profile => profile.name).join(', ') : characters;
+  const avatars = characterProfiles.map(profile => profile.avatar).filter(Boolean).join(' ');
+  
   // Analyze content to choose visual elements
-  const analysis = analyzeStoryContent(storyText, prompt, characters, setting);
+  const analysis = analyzeStoryContent(storyText, prompt, characterKinds, setting);
   
   // Thematic color schemes based on mood
   const colorSchemes = {
@@ -165,7 +118,7 @@ function generateCreativeChildrensSVG({ prompt, characters, setting, mood, story
   const settingElements = getSettingElements(setting, colors);
   
   // Characters based on story characters
-  const characterElements = getCharacterElements(characters, colors);
+  const characterElements = getCharacterElements(characterKinds, colors);
   
   const svgContent = `
     <svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
@@ -219,20 +172,23 @@ function generateCreativeChildrensSVG({ prompt, characters, setting, mood, story
       <!-- Decorative elements -->
       ${getDecorativeElements(colors, analysis)}
       
+      <!-- Library character avatars -->
+      ${avatars ? `<text x="256" y="70" font-size="36" text-anchor="middle" font-family="Arial">${escapeXml(avatars)}</text>` : ''}
+      
       <!-- Story title card -->
       <rect x="30" y="380" width="452" height="100" fill="white" opacity="0.95" rx="20" filter="url(#shadow)"/>
       <rect x="35" y="385" width="442" height="90" fill="${colors.secondary}" opacity="0.3" rx="15"/>
       
       <text x="256" y="410" font-size="20" text-anchor="middle" font-family="Comic Sans MS, cursive" fill="${colors.text}" font-weight="bold">
-        ${truncateText(prompt, 30)}
+        ${escapeXml(truncateText(prompt, 30))}
       </text>
       
-      ${characters ? `<text x="256" y="435" font-size="16" text-anchor="middle" font-family="Comic Sans MS, cursive" fill="${colors.text}">
-        Starring: ${truncateText(characters, 35)}
+      ${starring ? `<text x="256" y="435" font-size="16" text-anchor="middle" font-family="Comic Sans MS, cursive" fill="${colors.text}">
+        Starring: ${escapeXml(truncateText(starring, 35))}
       </text>` : ''}
       
       <text x="256" y="460" font-size="14" text-anchor="middle" font-family="Comic Sans MS, cursive" fill="${colors.accent}" font-style="italic">
-        A ${mood} adventure awaits!
+        A ${escapeXml(mood)} adventure awaits!
       </text>
       
       <!-- Decorative border -->
@@ -241,7 +197,7 @@ function generateCreativeChildrensSVG({ prompt, characters, setting, mood, story
     </svg>
   `;
 
-  return `data:image/svg+xml;base64,${Buffer.from(svgContent).toString('base64')}`;
+  return svgContent.trim();
 }
 
 /**
@@ -657,21 +613,9 @@ function truncateText(text, maxLength) {
   return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
 }
 
-export async function GET() {
-  return NextResponse.json({ 
-    message: 'Creative Children\'s Story Image Generation API',
-    timestamp: new Date().toISOString(),
-    features: [
-      'Intelligent story content analysis',
-      'Child-friendly optimized images',
-      'Multiple visual styles and moods',
-      'Interactive story elements',
-      'Age-appropriate colors and themes',
-      'Safety-first design approach',
-      'Customizable character representations',
-      'Environmental storytelling elements'
-    ],
-    supportedMoods: ['cheerful', 'magical', 'adventurous', 'calm', 'funny', 'exciting', 'educational'],
-    safetyLevel: 'child-safe-guaranteed'
-  });
-}
\ No newline at end of file
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
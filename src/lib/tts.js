@@ -0,0 +1,834 @@
+/**
+ * Server-side narration synthesis
+ *
+ * The speech engine is chosen with the `TTS_PROVIDER` env var:
+ *
+ * - `google` (default): Google Cloud Text-to-Speech, needs `GOOGLE_TTS_API_KEY`
+ *   and optionally `NEXT_PUBLIC_GOOGLE_TTS_API_ENDPOINT`
+ * - `tone`: offline synthetic tones with exact word timings, no network, for
+ *   development and tests (see `lib/toneSpeech.js`)
+ *
+ * Google Cloud Text-to-Speech accepts at most 5000 bytes of input per
+ * request, so `/api/tts` splits a story into paragraphs (and very long
+ * paragraphs on sentence, then word boundaries), synthesizes the chunks one
+ * after another and stitches the MP3 results into a single file. Chunks are
+ * cached by content (see `lib/audioCache.js`), so re-narrating an edited
+ * story only synthesizes the paragraphs that changed. Stitching keeps only the MPEG audio frames of every chunk: ID3 tags
+ * and Xing/Info header frames would otherwise end up in the middle of the
+ * file and throw players off. The frames are also what the total duration is
+ * computed from.
+ *
+ * Every spoken word is preceded by an SSML `<mark>`, so the narration comes
+ * back with a word timing map (`wordStarts`, seconds from the start of the
+ * audio) that the players use for read-along highlighting and page turns.
+ * When the endpoint returns no mark times, word starts are estimated from
+ * the audio length instead.
+ *
+ * Dramatized stories are sent as SSML where character lines are wrapped in
+ * `<voice name="…">` (see `utils/dialogue.js`). Every voice segment is
+ * synthesized with its own voice at the same sample rate, so the segments
+ * stitch into a single mixed track.
+ *
+ * Narration settings (speaking rate, pitch, volume gain) go into every
+ * request's audio config. Paragraph pauses are `<break>` elements, and the
+ * wind-down profile wraps each sentence of the last third of the story in a
+ * `<prosody>` element that is a little slower, lower and softer than the one
+ * before.
+ */
+
+import { estimateWordStarts, getSpokenWords, getVoiceLanguageCode, getVoicesForLanguage } from '@/utils/helpers';
+import { DEFAULT_NARRATION, NARRATION_LIMITS, VOICE_OPTIONS } from '@/utils/constants';
+import { synthesizeTone } from '@/lib/toneSpeech';
+import { chunkCacheKey, getAudioCache } from '@/lib/audioCache';
+
+// v1beta1 is needed for SSML mark timepoints
+const GOOGLE_TTS_API_URL = 'https://texttospeech.googleapis.com/v1beta1/text:synthesize';
+const DEFAULT_VOICE = 'en-US-Wavenet-D';
+const DEFAULT_LANGUAGE_CODE = 'en-US';
+
+// Every chunk is synthesized at this rate so chunks of different voices can be stitched
+const SAMPLE_RATE_HERTZ = 24000;
+
+// Google voice names, e.g. en-GB-Wavenet-A
+const VOICE_NAME_PATTERN = /^[a-z]{2,3}-[A-Z]{2}-[A-Za-z0-9-]+$/;
+
+// Google's limit is 5000 bytes of SSML per request; leave room for the request encoding
+export const MAX_CHUNK_BYTES = 4500;
+
+// Size of the longest `<mark name="w…"/>` tag and of the `<speak>` wrapper
+const MARK_BYTES = '<mark name="w999999"/>'.length;
+const SPEAK_BYTES = '<speak></speak>'.length;
+
+// Size of the longest paragraph `<break>` and wind-down `<prosody>` wrapper
+const BREAK_BYTES = '<break time="99999ms"/>'.length;
+const PROSODY_BYTES = '<prosody rate="100%" pitch="-0.0st" volume="-0.0dB"></prosody>'.length;
+
+// Wind-down: from two thirds into the story the narration eases down to 80%
+// speed, two semitones lower and 6 dB softer, and paragraph pauses double
+const WIND_DOWN = { start: 2 / 3, rate: 0.8, pitch: -2, volumeDb: -6, pause: 2 };
+
+// A word that ends a sentence
+const SENTENCE_END = /[.!?…。！？।]["'”’」』)]*$/;
+
+/**
+ * Error raised while synthesizing narration, carrying the HTTP status the route should return
+ */
+export class TTSError extends Error {
+  /**
+   * @param {string} message - Error message safe to return to the client
+   * @param {number} [status=500] - HTTP status code
+   * @param {*} [details] - Raw upstream error, for logging
+   */
+  constructor(message, status = 500, details) {
+    super(message);
+    this.name = 'TTSError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Map an upstream HTTP error to a TTSError
+ *
+ * @param {number} status - Upstream HTTP status
+ * @param {Object} errorData - Upstream response body
+ * @returns {TTSError}
+ */
+const toTTSError = (status, errorData) => {
+  if (status === 401 || status === 403) {
+    return new TTSError('Invalid text-to-speech API key', 401, errorData);
+  }
+  if (status === 429) {
+    return new TTSError('Text-to-speech rate limit reached. Try again in a few seconds.', 429, errorData);
+  }
+  return new TTSError(`TTS API error: ${status}`, status, errorData);
+};
+
+/**
+ * UTF-8 size of a string, which is what the Google limit counts
+ *
+ * @param {string} text - Text
+ * @returns {number} Size in bytes
+ */
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Escape text for SSML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Upper bound of the SSML size of a chunk, with a mark before every word, a
+ * break after every paragraph and a prosody wrapper around every sentence
+ *
+ * @param {string} text - Chunk text
+ * @returns {number} Size in bytes
+ */
+const ssmlLength = (text) => {
+  const words = getSpokenWords(text);
+  const sentences = words.filter(word => SENTENCE_END.test(word.text)).length + 1;
+  const paragraphs = (text.match(/\n/g) || []).length + 1;
+
+  return byteLength(escapeXml(text)) + words.length * MARK_BYTES + sentences * PROSODY_BYTES +
+    paragraphs * BREAK_BYTES + SPEAK_BYTES;
+};
+
+/**
+ * Split text into chunks no larger than `maxBytes` as SSML, keeping pieces whole and
+ * packing as many of them as fit into each chunk
+ *
+ * @param {Array<string>} pieces - Paragraphs, sentences or words
+ * @param {string} separator - Joins pieces within a chunk
+ * @param {number} maxBytes - Maximum chunk size
+ * @param {Function} splitPiece - Splits a piece that is too large on its own
+ * @returns {Array<string>} Chunks
+ */
+const packPieces = (pieces, separator, maxBytes, splitPiece) => {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    const parts = ssmlLength(piece) > maxBytes ? splitPiece(piece) : [piece];
+
+    for (const part of parts) {
+      const candidate = current ? `${current}${separator}${part}` : part;
+
+      if (ssmlLength(candidate) > maxBytes && current) {
+        chunks.push(current);
+        current = part;
+      } else {
+        current = candidate;
+      }
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Split a word that is too large on its own, by characters
+ *
+ * @param {string} word - Word
+ * @param {number} maxBytes - Maximum chunk size
+ * @returns {Array<string>} Pieces
+ */
+const splitWord = (word, maxBytes) => {
+  const pieces = [];
+  let current = '';
+
+  for (const char of word) {
+    if (ssmlLength(current + char) > maxBytes) {
+      pieces.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+/**
+ * Split story text into chunks that can each be synthesized in one request,
+ * on paragraph boundaries where possible, then sentence and word boundaries
+ *
+ * @param {string} text - Story text
+ * @param {number} [maxBytes=MAX_CHUNK_BYTES] - Maximum chunk size in UTF-8 bytes, as SSML
+ * @returns {Array<string>} Chunks in reading order
+ */
+export const splitTextForSpeech = (text, maxBytes = MAX_CHUNK_BYTES) => {
+  const paragraphs = text
+    .split(/\n+/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const splitSentences = (paragraph) => {
+    const sentences = paragraph.match(/[^.!?…。！？।]*[.!?…。！？।]+["'”’」』)]*\s*|[^.!?…。！？।]+$/g) || [paragraph];
+    return packPieces(sentences.map(sentence => sentence.trim()).filter(Boolean), ' ', maxBytes, splitWords);
+  };
+
+  const splitWords = (sentence) => {
+    return packPieces(sentence.split(' '), ' ', maxBytes, word => splitWord(word, maxBytes));
+  };
+
+  return packPieces(paragraphs, '\n', maxBytes, splitSentences);
+};
+
+// MPEG audio frame header tables, indexed by the header fields
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000] // MPEG-2.5
+};
+const MPEG_BITRATES = {
+  // Layer III, kbps
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+/**
+ * Parse the MPEG Layer III frame header at `offset`
+ *
+ * @param {Buffer} data - MP3 data
+ * @param {number} offset - Header position
+ * @returns {Object|null} `{ length, samples, sampleRate, isMpeg1, isMono, hasCrc }`, or null when there is
+ *   no valid header
+ */
+export const readFrameHeader = (data, offset) => {
+  if (offset + 4 > data.length) return null;
+  if (data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = (data[offset + 1] >> 3) & 0x03;
+  const layer = (data[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (data[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (data[offset + 2] >> 2) & 0x03;
+  const padding = (data[offset + 2] >> 1) & 0x01;
+
+  // Only Layer III, which is what MP3 synthesis returns
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = version === 3;
+  const bitrate = MPEG_BITRATES[isMpeg1 ? 'mpeg1' : 'mpeg2'][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const samples = isMpeg1 ? 1152 : 576;
+
+  return {
+    length: Math.floor((samples / 8) * bitrate / sampleRate) + padding,
+    samples,
+    sampleRate,
+    isMpeg1,
+    isMono: (data[offset + 3] >> 6) === 3,
+    hasCrc: (data[offset + 1] & 0x01) === 0
+  };
+};
+
+/**
+ * Size of the ID3v2 tag at the start of an MP3, if any
+ *
+ * @param {Buffer} data - MP3 data
+ * @returns {number} Tag size in bytes (0 without a tag)
+ */
+const id3v2Size = (data) => {
+  if (data.length < 10 || data.toString('latin1', 0, 3) !== 'ID3') return 0;
+
+  // Syncsafe integer: 7 bits per byte
+  const size = (data[6] << 21) | (data[7] << 14) | (data[8] << 7) | data[9];
+  const hasFooter = (data[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+/**
+ * Extract the MPEG audio frames of an MP3 file, dropping ID3 tags and the
+ * Xing/Info/VBRI header frame
+ *
+ * @param {Buffer} data - MP3 data
+ * @returns {Object} `{ frames: Buffer, duration }` with the duration in seconds
+ */
+export const readMp3Frames = (data) => {
+  const frames = [];
+  let duration = 0;
+  let offset = id3v2Size(data);
+  let isFirstFrame = true;
+
+  while (offset < data.length) {
+    const header = readFrameHeader(data, offset);
+
+    // Resynchronize on junk bytes; an ID3v1 tag ("TAG") ends the audio
+    if (!header || offset + header.length > data.length) {
+      if (data.toString('latin1', offset, offset + 3) === 'TAG') break;
+      offset += 1;
+      continue;
+    }
+
+    const frame = data.subarray(offset, offset + header.length);
+    const isInfoFrame = isFirstFrame && /Xing|Info|VBRI/.test(frame.toString('latin1', 4, 64));
+
+    if (!isInfoFrame) {
+      frames.push(frame);
+      duration += header.samples / header.sampleRate;
+    }
+
+    isFirstFrame = false;
+    offset += header.length;
+  }
+
+  return { frames: Buffer.concat(frames), duration };
+};
+
+/**
+ * Undo SSML escaping
+ *
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Validate narration settings, filling in defaults for the missing ones
+ *
+ * @param {Object} [narration] - `{ speakingRate, pitch, volumeGainDb, paragraphPause, windDown }`
+ * @returns {Object} Complete narration settings
+ * @throws {TTSError} 400 when a setting is out of range
+ */
+export const parseNarration = (narration) => {
+  if (narration === undefined || narration === null) {
+    return { ...DEFAULT_NARRATION };
+  }
+  if (typeof narration !== 'object') {
+    throw new TTSError('Narration settings must be an object', 400);
+  }
+
+  const settings = { ...DEFAULT_NARRATION };
+
+  for (const [name, { min, max }] of Object.entries(NARRATION_LIMITS)) {
+    const value = narration[name];
+    if (value === undefined) continue;
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new TTSError(`Narration ${name} must be a number from ${min} to ${max}`, 400);
+    }
+    settings[name] = value;
+  }
+
+  settings.windDown = Boolean(narration.windDown ?? settings.windDown);
+  return settings;
+};
+
+/**
+ * How far the wind-down has progressed at a word: 0 before it starts, rising
+ * to 1 at the last word of the story, in steps of 5%
+ *
+ * @param {number} word - Index of the word in the story
+ * @param {number} totalWords - Number of words in the story
+ * @returns {number} Wind-down level from 0 to 1
+ */
+const windDownLevel = (word, totalWords) => {
+  if (!totalWords) return 0;
+
+  const progress = (word / totalWords - WIND_DOWN.start) / (1 - WIND_DOWN.start);
+  return Math.round(Math.min(Math.max(progress, 0), 1) * 20) / 20;
+};
+
+/**
+ * Opening `<prosody>` tag for a wind-down level, relative to the audio config
+ *
+ * @param {number} level - Wind-down level from 0 to 1
+ * @returns {string} SSML tag
+ */
+const windDownProsody = (level) => {
+  const rate = Math.round(100 - (1 - WIND_DOWN.rate) * 100 * level);
+  const pitch = (WIND_DOWN.pitch * level).toFixed(1);
+  const volume = (WIND_DOWN.volumeDb * level).toFixed(1);
+
+  return `<prosody rate="${rate}%" pitch="${pitch}st" volume="${volume}dB">`;
+};
+
+/**
+ * Parse dramatized narration SSML into voice segments. Only a `<speak>` root
+ * with text and (not nested) `<voice name="…">` elements is accepted.
+ *
+ * @param {string} ssml - SSML document
+ * @returns {Array<Object>} `{ text, voice }` segments in order; `voice` is null for the narrator
+ */
+export const parseVoiceSsml = (ssml) => {
+  const body = ssml.trim().match(/^<speak>([\s\S]*)<\/speak>$/)?.[1];
+
+  if (body === undefined) {
+    throw new TTSError('SSML must be a single <speak> element', 400);
+  }
+
+  const segments = [];
+  const pushText = (text, voice) => {
+    if (text.includes('<')) {
+      throw new TTSError('Unsupported SSML: only <voice> elements are allowed', 400);
+    }
+    if (text) segments.push({ text: unescapeXml(text), voice });
+  };
+
+  let position = 0;
+
+  for (const match of body.matchAll(/<voice name="([^"]*)">([\s\S]*?)<\/voice>/g)) {
+    if (!VOICE_NAME_PATTERN.test(match[1])) {
+      throw new TTSError(`Invalid voice: ${match[1]}`, 400);
+    }
+
+    pushText(body.slice(position, match.index), null);
+    pushText(match[2], match[1]);
+    position = match.index + match[0].length;
+  }
+
+  pushText(body.slice(position), null);
+  return segments;
+};
+
+/**
+ * Turn a chunk into SSML with a `<mark>` before every spoken word, named
+ * after the word's index in the chunk, and the narration's paragraph pauses
+ * and wind-down. Marks are numbered from the chunk's start so an unchanged
+ * paragraph keeps the same SSML, and cache key, wherever it moves.
+ *
+ * @param {string} text - Chunk text, paragraphs separated by newlines
+ * @param {number} firstWord - Index of the chunk's first word in the story, for the wind-down
+ * @param {Object} [options]
+ * @param {Object} [options.narration] - Narration settings, see `parseNarration()`
+ * @param {number} [options.totalWords=0] - Number of words in the story, for the wind-down
+ * @param {boolean} [options.endsParagraph=false] - Whether a paragraph pause follows the chunk
+ * @returns {string} SSML document
+ */
+export const toSsml = (text, firstWord, { narration = DEFAULT_NARRATION, totalWords = 0, endsParagraph = false } = {}) => {
+  const { paragraphPause, windDown } = narration;
+  const words = getSpokenWords(text);
+
+  // Pause after a paragraph, longer as the story winds down
+  const pause = (word) => {
+    const scale = windDown ? 1 + (WIND_DOWN.pause - 1) * windDownLevel(word, totalWords) : 1;
+    return paragraphPause > 0 ? `<break time="${Math.round(paragraphPause * scale * 1000)}ms"/>` : '';
+  };
+
+  let ssml = '';
+  let position = 0;
+  let prosodyOpen = false;
+
+  words.forEach((word, index) => {
+    const wordIndex = firstWord + index;
+    const startsSentence = index === 0 || SENTENCE_END.test(words[index - 1].text);
+    const gap = text.slice(position, word.start);
+
+    if (windDown && startsSentence && prosodyOpen) {
+      ssml += '</prosody>';
+      prosodyOpen = false;
+    }
+
+    ssml += escapeXml(gap) + (gap.includes('\n') ? pause(wordIndex) : '');
+
+    if (windDown && startsSentence && windDownLevel(wordIndex, totalWords) > 0) {
+      ssml += windDownProsody(windDownLevel(wordIndex, totalWords));
+      prosodyOpen = true;
+    }
+
+    ssml += `<mark name="w${index}"/>${escapeXml(word.text)}`;
+    position = word.end;
+  });
+
+  ssml += escapeXml(text.slice(position)) + (prosodyOpen ? '</prosody>' : '');
+
+  if (endsParagraph) {
+    ssml += pause(firstWord + words.length);
+  }
+
+  return `<speak>${ssml}</speak>`;
+};
+
+/**
+ * Stitch the synthesized chunks into one MP3 file and one word timing map.
+ * Mark times are relative to their chunk, so every chunk is shifted by the
+ * length of the audio before it. Chunks whose marks did not come back get
+ * estimated timings.
+ *
+ * @param {Array<Object>} parts - `{ audio, text, firstWord, timepoints }` per chunk, in order
+ * @returns {Object} `{ data: Buffer, duration, timings: { source, wordStarts } }` with times in seconds
+ */
+export const stitchNarration = (parts) => {
+  const frames = [];
+  const wordStarts = [];
+  let duration = 0;
+  let source = 'marks';
+
+  for (const part of parts) {
+    const decoded = readMp3Frames(part.audio);
+    const wordCount = getSpokenWords(part.text).length;
+    const marks = new Map(part.timepoints.map(point => [point.word, point.time]));
+
+    let estimates = null;
+    if (marks.size < wordCount) {
+      estimates = estimateWordStarts(part.text, decoded.duration);
+      source = 'estimated';
+    }
+
+    for (let index = 0; index < wordCount; index++) {
+      const start = marks.get(part.firstWord + index) ?? estimates[index];
+      wordStarts.push(Math.round((duration + start) * 1000) / 1000);
+    }
+
+    frames.push(decoded.frames);
+    duration += decoded.duration;
+  }
+
+  return {
+    data: Buffer.concat(frames),
+    duration,
+    timings: { source, wordStarts }
+  };
+};
+
+// Google voice types that support SSML marks, and the label they get in the catalog
+const GOOGLE_VOICE_TYPES = { Standard: 'Standard', Wavenet: 'WaveNet', Neural2: 'Neural2' };
+
+/**
+ * Catalog entry of a Google voice, or null for voice types without mark support
+ *
+ * @param {Object} voice - Voice from the `voices` endpoint, `{ name, ssmlGender, languageCodes }`
+ * @returns {Object|null} `{ id, label, gender, languageCode }`
+ */
+const toCatalogVoice = ({ name, ssmlGender, languageCodes }) => {
+  const [, , type, variant] = name.split('-');
+  if (!GOOGLE_VOICE_TYPES[type]) return null;
+
+  const gender = (ssmlGender || '').toLowerCase();
+  const genderLabel = gender === 'female' ? 'Female' : gender === 'male' ? 'Male' : 'Neutral';
+
+  return {
+    id: name,
+    label: `${genderLabel} (${GOOGLE_VOICE_TYPES[type]} ${variant})`,
+    gender,
+    languageCode: languageCodes?.[0] || getVoiceLanguageCode(name)
+  };
+};
+
+/**
+ * Create a provider for Google Cloud Text-to-Speech. The v1beta1 API returns
+ * when each SSML mark was reached; other endpoints return no timepoints.
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiUrl - `text:synthesize` endpoint; the voice list is read from the `voices` endpoint next to it
+ * @param {string} config.apiKey - API key
+ * @returns {Object} TTS provider
+ */
+export const createGoogleTTSProvider = ({ apiUrl, apiKey }) => ({
+  name: 'google',
+
+  async listVoices({ languageCode, signal } = {}) {
+    if (!apiKey) {
+      throw new TTSError('Server configuration error', 500, 'Missing Google TTS API key in environment variables');
+    }
+
+    const url = new URL(apiUrl.replace(/text:synthesize$/, 'voices'));
+    if (languageCode) url.searchParams.set('languageCode', languageCode);
+
+    const response = await fetch(url, {
+      headers: { 'X-Goog-Api-Key': apiKey },
+      signal
+    });
+
+    if (!response.ok) {
+      throw toTTSError(response.status, await response.json().catch(() => ({})));
+    }
+
+    const data = await response.json();
+
+    return (data.voices || [])
+      .map(toCatalogVoice)
+      .filter(Boolean)
+      .sort((a, b) => a.languageCode.localeCompare(b.languageCode) || a.id.localeCompare(b.id));
+  },
+
+  async synthesize({ ssml, voice, languageCode, audioConfig, signal }) {
+    if (!apiKey) {
+      throw new TTSError('Server configuration error', 500, 'Missing Google TTS API key in environment variables');
+    }
+
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Goog-Api-Key': apiKey
+      },
+      body: JSON.stringify({
+        input: { ssml },
+        voice: { languageCode, name: voice },
+        audioConfig: { audioEncoding: 'MP3', ...audioConfig },
+        enableTimePointing: ['SSML_MARK']
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw toTTSError(response.status, await response.json().catch(() => ({})));
+    }
+
+    const data = await response.json();
+
+    if (!data.audioContent) {
+      throw new TTSError('TTS API returned no audio', 502, data);
+    }
+
+    return {
+      audio: Buffer.from(data.audioContent, 'base64'),
+      timepoints: (data.timepoints || []).map(point => ({ mark: point.markName, time: point.timeSeconds || 0 }))
+    };
+  }
+});
+
+/**
+ * Create the offline tone provider, which narrates every word as a short
+ * tone (see `lib/toneSpeech.js`) and offers the local voice catalog
+ *
+ * @returns {Object} TTS provider
+ */
+export const createToneTTSProvider = () => ({
+  name: 'tone',
+
+  async listVoices({ languageCode } = {}) {
+    return languageCode ? getVoicesForLanguage(VOICE_OPTIONS, languageCode) : VOICE_OPTIONS;
+  },
+
+  async synthesize({ ssml, voice, audioConfig }) {
+    return synthesizeTone({ ssml, voice, audioConfig });
+  }
+});
+
+/**
+ * Get the TTS provider configured for this environment
+ *
+ * @returns {Object} TTS provider with `name`, `listVoices()` and `synthesize()`
+ */
+export const getTTSProvider = () => {
+  const providerName = (process.env.TTS_PROVIDER || 'google').toLowerCase();
+
+  switch (providerName) {
+    case 'google':
+      return createGoogleTTSProvider({
+        apiUrl: process.env.NEXT_PUBLIC_GOOGLE_TTS_API_ENDPOINT || GOOGLE_TTS_API_URL,
+        apiKey: process.env.GOOGLE_TTS_API_KEY
+      });
+    case 'tone':
+      return createToneTTSProvider();
+    default:
+      throw new TTSError(`Unknown TTS provider: ${providerName}`, 500);
+  }
+};
+
+/**
+ * Synthesize one chunk with the configured provider. The chunk is sent as
+ * SSML with word marks, and the provider returns when each mark was reached.
+ *
+ * @param {Object} params
+ * @param {string} params.text - Chunk text (at most 5000 bytes as SSML)
+ * @param {number} [params.firstWord=0] - Index of the chunk's first word in the story
+ * @param {string} [params.voice] - Voice name
+ * @param {string} [params.languageCode] - Voice language
+ * @param {Object} [params.narration] - Narration settings, see `parseNarration()`
+ * @param {number} [params.totalWords] - Number of words in the story, for the wind-down
+ * @param {boolean} [params.endsParagraph] - Whether a paragraph pause follows the chunk
+ * @param {Object} [params.provider] - TTS provider, defaults to `getTTSProvider()`
+ * @param {Object} [params.cache] - Audio cache (see `lib/audioCache.js`), or null to always synthesize
+ * @param {AbortSignal} [params.signal] - Aborts the request
+ * @returns {Promise<Object>} `{ audio: Buffer, timepoints: [{ word, time }], cached }` with MP3 audio, mark times
+ *   in seconds and whether the audio came from the cache
+ */
+export const synthesizeChunk = async ({
+  text,
+  firstWord = 0,
+  voice,
+  languageCode,
+  narration = DEFAULT_NARRATION,
+  totalWords,
+  endsParagraph,
+  provider = getTTSProvider(),
+  cache = null,
+  signal
+}) => {
+  const request = {
+    ssml: toSsml(text, firstWord, { narration, totalWords, endsParagraph }),
+    voice: voice || DEFAULT_VOICE,
+    languageCode: languageCode || DEFAULT_LANGUAGE_CODE,
+    audioConfig: {
+      sampleRateHertz: SAMPLE_RATE_HERTZ,
+      speakingRate: narration.speakingRate,
+      pitch: narration.pitch,
+      volumeGainDb: narration.volumeGainDb
+    }
+  };
+  const key = cache && chunkCacheKey({ provider: provider.name, ...request });
+
+  // A cache that cannot be read or written only costs a synthesis
+  let result = null;
+  if (cache) {
+    result = await cache.get(key).catch(error => {
+      console.error('TTS cache read failed:', error);
+      return null;
+    });
+  }
+
+  const cached = Boolean(result);
+
+  if (!result) {
+    result = await provider.synthesize({ ...request, signal });
+
+    if (cache) {
+      await cache.set(key, result).catch(error => console.error('TTS cache write failed:', error));
+    }
+  }
+
+  return {
+    audio: result.audio,
+    timepoints: result.timepoints
+      .map(point => ({ word: firstWord + Number(point.mark?.slice(1)), time: point.time }))
+      .filter(point => Number.isInteger(point.word)),
+    cached
+  };
+};
+
+/**
+ * Synthesize a story chunk by chunk, yielding each chunk's audio as it is ready
+ *
+ * @param {Object} params
+ * @param {string} [params.text] - Story text, of any length
+ * @param {string} [params.ssml] - Dramatized story as SSML with `<voice>` elements, instead of `text`
+ * @param {string} [params.voice] - Narrator's voice name
+ * @param {string} [params.languageCode] - Narrator's voice language
+ * @param {Object} [params.narration] - Narration settings, see `parseNarration()`
+ * @param {AbortSignal} [params.signal] - Aborts the pending request
+ * @returns {AsyncGenerator<Object>} `{ index, total, audio, text, firstWord, timepoints, cached }` per chunk
+ */
+export async function* synthesizeChunks({ text, ssml, voice, languageCode, narration, signal }) {
+  const segments = ssml ? parseVoiceSsml(ssml) : [{ text, voice: null }];
+
+  // Every paragraph is synthesized on its own, so the cache can reuse the
+  // unchanged ones of an edited story. Chunks without spoken words (a lone
+  // comma between two quotes) are skipped.
+  const chunks = segments.flatMap(segment => segment.text
+    .split(/\n+/)
+    .flatMap(paragraph => splitTextForSpeech(paragraph))
+    .filter(chunk => getSpokenWords(chunk).length > 0)
+    .map(chunk => ({
+      text: chunk,
+      voice: segment.voice || voice,
+      languageCode: segment.voice ? getVoiceLanguageCode(segment.voice) : languageCode
+    })));
+
+  if (chunks.length === 0) {
+    throw new TTSError('Text is required', 400);
+  }
+
+  // Word counts at the end of every paragraph, to pause between chunks that end one
+  const paragraphEnds = new Set();
+  let words = 0;
+  for (const paragraph of segments.map(segment => segment.text).join('').split(/\n+/)) {
+    words += getSpokenWords(paragraph).length;
+    paragraphEnds.add(words);
+  }
+
+  const settings = parseNarration(narration);
+  const provider = getTTSProvider();
+  const cache = getAudioCache();
+  const totalWords = chunks.reduce((total, chunk) => total + getSpokenWords(chunk.text).length, 0);
+  let firstWord = 0;
+
+  for (const [index, chunk] of chunks.entries()) {
+    const wordCount = getSpokenWords(chunk.text).length;
+    const endsParagraph = index < chunks.length - 1 && paragraphEnds.has(firstWord + wordCount);
+
+    const { audio, timepoints, cached } = await synthesizeChunk({
+      ...chunk,
+      firstWord,
+      narration: settings,
+      totalWords,
+      endsParagraph,
+      provider,
+      cache,
+      signal
+    });
+    yield { index, total: chunks.length, audio, text: chunk.text, firstWord, timepoints, cached };
+    firstWord += wordCount;
+  }
+}
+
+/**
+ * Synthesize a story of any length into one MP3 file with word timings
+ *
+ * @param {Object} params - See `synthesizeChunks()`
+ * @param {Function} [params.onProgress] - Called with `(completed, total, part)` after every chunk
+ * @returns {Promise<Object>} `{ data: Buffer, duration, timings, chunks, cachedChunks }`, see `stitchNarration()`
+ */
+export const synthesizeSpeech = async ({ onProgress, ...params }) => {
+  const parts = [];
+
+  for await (const part of synthesizeChunks(params)) {
+    parts.push(part);
+    onProgress?.(part.index + 1, part.total, part);
+  }
+
+  return {
+    ...stitchNarration(parts),
+    chunks: parts.length,
+    cachedChunks: parts.filter(part => part.cached).length
+  };
+};
@@ -0,0 +1,291 @@
+/**
+ * Usage ledger and quotas per family
+ *
+ * Every family has one Firestore document per period in the `usage`
+ * collection (`<familyId>_<period>_<key>`, e.g. `abc_day_2026-10-19`) counting
+ * API requests, LLM tokens, TTS characters and images. Routes call
+ * `checkUsage()` before doing paid work, which rejects the request once a
+ * limit is reached, and `recordUsage()` with what the work actually used.
+ * Periods are UTC; every document stores its `resetAt`, which can serve as a
+ * Firestore TTL field to clean up old periods.
+ */
+
+import { NextResponse } from 'next/server';
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminFirestore } from '@/lib/firebaseAdmin';
+
+// Limits per period, each with the environment variable that overrides it; 0 means no limit
+const LIMITS = {
+  minute: {
+    requests: { env: 'USAGE_REQUESTS_PER_MINUTE', default: 20 }
+  },
+  day: {
+    llmTokens: { env: 'USAGE_DAILY_LLM_TOKENS', default: 200000 },
+    ttsCharacters: { env: 'USAGE_DAILY_TTS_CHARACTERS', default: 100000 },
+    images: { env: 'USAGE_DAILY_IMAGES', default: 30 }
+  },
+  month: {
+    llmTokens: { env: 'USAGE_MONTHLY_LLM_TOKENS', default: 3000000 },
+    ttsCharacters: { env: 'USAGE_MONTHLY_TTS_CHARACTERS', default: 1500000 },
+    images: { env: 'USAGE_MONTHLY_IMAGES', default: 400 }
+  }
+};
+
+const PERIOD_LABELS = { minute: 'per-minute', day: 'daily', month: 'monthly' };
+const METRIC_LABELS = { requests: 'request', llmTokens: 'story writing', ttsCharacters: 'narration', images: 'illustration' };
+
+/**
+ * Error for a request over one of the family's limits
+ */
+export class UsageLimitError extends Error {
+  /**
+   * @param {string} message - Message safe to show to the client
+   * @param {number} [status=429] - HTTP status
+   * @param {Object} [details] - `{ period, metric, limit, used, resetAt }`
+   */
+  constructor(message, status = 429, details) {
+    super(message);
+    this.name = 'UsageLimitError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Key and reset time of the period containing a moment, in UTC
+ *
+ * @param {string} period - 'minute', 'day' or 'month'
+ * @param {Date} now - Moment in the period
+ * @returns {{key: string, resetAt: Date}} Period key, e.g. "2026-10-19", and the start of the next period
+ */
+const getPeriodWindow = (period, now) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  switch (period) {
+    case 'minute':
+      return { key: now.toISOString().slice(0, 16), resetAt: new Date(Math.floor(now.getTime() / 60000 + 1) * 60000) };
+    case 'day':
+      return { key: now.toISOString().slice(0, 10), resetAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1)) };
+    default:
+      return { key: now.toISOString().slice(0, 7), resetAt: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+};
+
+/**
+ * Limit of a metric in a period, from the environment or the default
+ *
+ * @param {string} period - 'minute', 'day' or 'month'
+ * @param {string} metric - 'requests', 'llmTokens', 'ttsCharacters' or 'images'
+ * @returns {number} Limit, or 0 when there is none
+ */
+const getLimit = (period, metric) => {
+  const limit = LIMITS[period][metric];
+  if (!limit) return 0;
+
+  const value = Number(process.env[limit.env]);
+  return process.env[limit.env] && Number.isFinite(value) && value >= 0 ? value : limit.default;
+};
+
+const usageRef = (db, familyId, period, key) => db.collection('usage').doc(`${familyId}_${period}_${key}`);
+
+/**
+ * Describe how long until a limit resets
+ *
+ * @param {Date} resetAt - Reset time
+ * @param {Date} now - Current time
+ * @returns {string} E.g. "in 5 hours"
+ */
+const describeReset = (resetAt, now) => {
+  const minutes = Math.ceil((resetAt - now) / 60000);
+
+  if (minutes <= 1) return 'in a minute';
+  if (minutes < 60) return `in ${minutes} minutes`;
+  if (minutes < 48 * 60) return `in ${Math.round(minutes / 60)} hours`;
+  return `in ${Math.round(minutes / (24 * 60))} days`;
+};
+
+/**
+ * Count the tokens of an LLM completion
+ *
+ * @param {Object} [usage] - `{ prompt_tokens, completion_tokens, total_tokens }`
+ * @returns {number} Tokens used
+ */
+export const countTokens = (usage) => {
+  return usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+};
+
+/**
+ * Check that a family may make a request, and count it towards the
+ * per-minute request limit
+ *
+ * A request is rejected when a limit of the metrics it uses is already
+ * reached, or would be exceeded by the amount it is known to use. Pass 0 for
+ * metrics only known afterwards, like LLM tokens.
+ *
+ * @param {string} familyId - Family of the caller
+ * @param {Object} [amounts] - Expected usage by metric, e.g. `{ ttsCharacters: 1200 }`
+ * @returns {Promise<void>}
+ * @throws {UsageLimitError} When a limit is reached
+ */
+export const checkUsage = async (familyId, amounts = {}) => {
+  const db = getAdminFirestore();
+  const now = new Date();
+  const expected = { ...amounts, requests: 1 };
+
+  await db.runTransaction(async (transaction) => {
+    const windows = Object.keys(LIMITS).map(period => ({ period, ...getPeriodWindow(period, now) }));
+    const snapshots = await transaction.getAll(...windows.map(({ period, key }) => usageRef(db, familyId, period, key)));
+
+    windows.forEach(({ period, resetAt }, index) => {
+      const used = snapshots[index].exists ? snapshots[index].data() : {};
+
+      Object.entries(expected).forEach(([metric, amount]) => {
+        const limit = getLimit(period, metric);
+        const total = used[metric] || 0;
+
+        if (limit && (total >= limit || total + amount > limit)) {
+          throw new UsageLimitError(
+            `Your family has reached its ${PERIOD_LABELS[period]} ${METRIC_LABELS[metric]} limit. It resets ${describeReset(resetAt, now)}.`,
+            429,
+            { period, metric, limit, used: total, resetAt: resetAt.toISOString() }
+          );
+        }
+      });
+    });
+
+    const minute = windows.find(({ period }) => period === 'minute');
+    transaction.set(usageRef(db, familyId, 'minute', minute.key), {
+      familyId,
+      period: 'minute',
+      key: minute.key,
+      requests: FieldValue.increment(1),
+      resetAt: minute.resetAt,
+      updatedAt: now
+    }, { merge: true });
+  });
+};
+
+/**
+ * Add what a request used to the family's daily and monthly totals. Failures
+ * are logged rather than thrown, so the caller still gets their result.
+ *
+ * @param {string} familyId - Family of the caller
+ * @param {Object} amounts - Usage by metric, e.g. `{ llmTokens: 1830 }`
+ * @returns {Promise<void>}
+ */
+export const recordUsage = async (familyId, amounts) => {
+  const increments = Object.fromEntries(
+    Object.entries(amounts)
+      .filter(([, amount]) => amount > 0)
+      .map(([metric, amount]) => [metric, FieldValue.increment(amount)])
+  );
+
+  if (Object.keys(increments).length === 0) return;
+
+  try {
+    const db = getAdminFirestore();
+    const now = new Date();
+    const batch = db.batch();
+
+    ['day', 'month'].forEach(period => {
+      const { key, resetAt } = getPeriodWindow(period, now);
+      batch.set(usageRef(db, familyId, period, key), {
+        familyId,
+        period,
+        key,
+        ...increments,
+        resetAt,
+        updatedAt: now
+      }, { merge: true });
+    });
+
+    await batch.commit();
+  } catch (error) {
+    console.error('Error recording usage:', error);
+  }
+};
+
+/**
+ * Wrap an LLM provider so that every completion it runs, streamed or not,
+ * adds its tokens to the family's running total. Routes call `record()` in a
+ * `finally` block, so tokens spent before an error or a cancelled stream
+ * still count towards the limits.
+ *
+ * @param {string} familyId - Family of the caller
+ * @param {Object} provider - LLM provider from `getLLMProvider()`
+ * @returns {{provider: Object, add: Function, record: Function}} Metered provider,
+ *   `add(usage)` for completions run outside it, and `record()` to write what is not recorded yet
+ */
+export const meterLLMProvider = (familyId, provider) => {
+  let spent = 0;
+  let recorded = 0;
+
+  const add = (usage) => {
+    spent += countTokens(usage);
+  };
+
+  return {
+    provider: {
+      ...provider,
+      complete: async (params) => {
+        const completion = await provider.complete(params);
+        add(completion.usage);
+        return completion;
+      },
+      stream: (params) => provider.stream({
+        ...params,
+        onUsage: (completion) => {
+          add(completion.usage);
+          params.onUsage?.(completion);
+        }
+      })
+    },
+    add,
+    record: async () => {
+      const llmTokens = spent - recorded;
+      recorded = spent;
+      await recordUsage(familyId, { llmTokens });
+    }
+  };
+};
+
+/**
+ * Daily and monthly usage of a family with its limits
+ *
+ * @param {string} familyId - Family ID
+ * @returns {Promise<Object>} `{ day, month }`, each `{ resetAt, metrics: { [metric]: { used, limit } } }`
+ */
+export const getUsage = async (familyId) => {
+  const db = getAdminFirestore();
+  const now = new Date();
+  const periods = ['day', 'month'];
+  const windows = periods.map(period => getPeriodWindow(period, now));
+  const snapshots = await db.getAll(...windows.map(({ key }, index) => usageRef(db, familyId, periods[index], key)));
+
+  return Object.fromEntries(periods.map((period, index) => {
+    const used = snapshots[index].exists ? snapshots[index].data() : {};
+    const metrics = Object.fromEntries(Object.keys(LIMITS[period]).map(metric => [
+      metric,
+      { used: used[metric] || 0, limit: getLimit(period, metric) }
+    ]));
+
+    return [period, { resetAt: windows[index].resetAt.toISOString(), metrics }];
+  }));
+};
+
+/**
+ * Respond to a request over a limit: 429 with the reset time in the body and
+ * in `Retry-After`
+ *
+ * @param {UsageLimitError} error - Limit error from `checkUsage()`
+ * @returns {NextResponse} Error response
+ */
+export const usageLimitResponse = (error) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(error.details.resetAt) - Date.now()) / 1000));
+
+  return NextResponse.json(
+    { error: error.message, ...error.details },
+    { status: error.status, headers: { 'Retry-After': String(retryAfter) } }
+  );
+};
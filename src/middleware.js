@@ -1,12 +1,16 @@
 import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, verifySessionToken } from '@/lib/session';
 
 /**
  * Next.js middleware function - FIXED for child home access
  * 
+ * The user comes from the signed session cookie issued by /api/session, so
+ * the role cannot be changed in the browser.
+ * 
  * @param {Request} request - Next.js request object
- * @returns {NextResponse} NextResponse object
+ * @returns {Promise<NextResponse>} NextResponse object
  */
-export function middleware(request) {
+export async function middleware(request) {
     // Get the pathname from the URL
     const { pathname } = request.nextUrl;
     
@@ -19,19 +23,8 @@ export function middleware(request) {
         return NextResponse.next();
     }
     
-    // Get user from cookies
-    const getUser = () => {
-        try {
-            const userCookie = request.cookies.get('user')?.value;
-            if (!userCookie) return null;
-            return JSON.parse(userCookie);
-        } catch (error) {
-            console.error('Error parsing user cookie:', error);
-            return null;
-        }
-    };
-    
-    const user = getUser();
+    // Get user from the session cookie; forged or expired sessions count as signed out
+    const user = await verifySessionToken(request.cookies.get(SESSION_COOKIE)?.value);
     
     // FIXED: Public routes that EVERYONE can access (including children)
     const publicRoutes = [
@@ -63,7 +56,11 @@ export function middleware(request) {
     
     // AUTHENTICATION CHECK: Redirect to login if not authenticated
     if (!user) {
-        return NextResponse.redirect(new URL('/login', request.url));
+        const response = NextResponse.redirect(new URL('/login', request.url));
+        if (request.cookies.has(SESSION_COOKIE)) {
+            response.cookies.delete(SESSION_COOKIE);
+        }
+        return response;
     }
     
     // ROLE-SPECIFIC ROUTE PROTECTION
@@ -79,6 +76,9 @@ export function middleware(request) {
             '/create-story',
             '/edit-story', 
             '/my-stories',
+            '/my-children',
+            '/review',
+            '/ChildProfileManager',
             '/profile',
             '/settings'
         ];
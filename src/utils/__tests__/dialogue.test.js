@@ -0,0 +1,75 @@
+import { buildDialogueSsml, findSpeakers, getStorySpeakers, hasCharacterVoices, tagDialogue } from '@/utils/dialogue';
+
+describe('findSpeakers', () => {
+  it('finds names after and before dialogue verbs, in order of appearance', () => {
+    const text = '"Look!" said Pip. Grandma Owl whispered, "Hush." She asked, "Why?" Suddenly Benny shouted. "Bye," called the Fox.';
+
+    expect(findSpeakers(text)).toEqual(['Pip', 'Grandma Owl', 'Benny', 'Fox']);
+  });
+
+  it('lists every speaker once and at most eight', () => {
+    const names = ['Ada', 'Bo', 'Cy', 'Di', 'Ed', 'Flo', 'Gus', 'Hal', 'Ivy'];
+    const text = names.map(name => `"Hi," said ${name}.`).join(' ');
+
+    expect(findSpeakers(`${text} "Again," said Ada.`)).toEqual(names.slice(0, 8));
+    expect(findSpeakers('')).toEqual([]);
+  });
+});
+
+describe('getStorySpeakers', () => {
+  it('puts the known speakers first and adds the ones found in the text', () => {
+    expect(getStorySpeakers('"Hi," said Luna. "Hello," said Pip.', [' Pip ', 42, '', 'Grandma Owl']))
+      .toEqual(['Pip', 'Grandma Owl', 'Luna']);
+    expect(getStorySpeakers('"Hi," said Luna.', 'Pip')).toEqual(['Luna']);
+  });
+});
+
+describe('tagDialogue', () => {
+  const speakers = ['Pip the Mouse', 'Luna'];
+
+  it('attributes quotes from the narration after them, then before them', () => {
+    const text = '"Look!" said Pip. Luna smiled. "A star," she said.';
+
+    expect(tagDialogue(text, speakers)).toEqual([
+      { text: '"Look!"', speaker: 'Pip the Mouse' },
+      { text: ' said Pip. Luna smiled. ', speaker: null },
+      { text: '"A star,"', speaker: 'Luna' },
+      { text: ' she said.', speaker: null }
+    ]);
+  });
+
+  it('continues the previous speaker within a paragraph, but not into the next one', () => {
+    const text = '“Goodnight,” whispered Luna. “Sleep well.”\n\n“Who is there?”';
+    const segments = tagDialogue(text, speakers);
+
+    expect(segments.filter(({ text: part }) => part.startsWith('“'))).toEqual([
+      { text: '“Goodnight,”', speaker: 'Luna' },
+      { text: '“Sleep well.”', speaker: 'Luna' },
+      { text: '“Who is there?”', speaker: null }
+    ]);
+    expect(segments.map(({ text: part }) => part).join('')).toBe(text);
+  });
+
+  it('returns the whole text as narration when there is no dialogue', () => {
+    expect(tagDialogue('The stars came out.', speakers)).toEqual([{ text: 'The stars came out.', speaker: null }]);
+  });
+});
+
+describe('hasCharacterVoices', () => {
+  it('is true only when a character has a voice other than the narrator\'s', () => {
+    expect(hasCharacterVoices({ Pip: 'en-US-Neural2-F' }, 'en-US-Neural2-C')).toBe(true);
+    expect(hasCharacterVoices({ Pip: 'en-US-Neural2-C', Luna: '' }, 'en-US-Neural2-C')).toBe(false);
+    expect(hasCharacterVoices(undefined, 'en-US-Neural2-C')).toBe(false);
+  });
+});
+
+describe('buildDialogueSsml', () => {
+  it('wraps the lines of characters with a voice and escapes the text', () => {
+    const ssml = buildDialogueSsml('"Look!" said Pip & Luna. "Wow," said Luna.', {
+      speakers: ['Pip', 'Luna'],
+      characterVoices: { Pip: 'en-US-Neural2-F' }
+    });
+
+    expect(ssml).toBe('<speak><voice name="en-US-Neural2-F">&quot;Look!&quot;</voice> said Pip &amp; Luna. &quot;Wow,&quot; said Luna.</speak>');
+  });
+});
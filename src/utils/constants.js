@@ -15,6 +15,13 @@ export const STORY_LENGTHS = {
     LONG: 'long' // 10-15 minutes to read
 };
 
+//Reading time range (in minutes, as shown by calculateReadingTime) for each story length
+export const STORY_LENGTH_MINUTES = {
+    [STORY_LENGTHS.SHORT]: { min: 3, max: 5 },
+    [STORY_LENGTHS.MEDIUM]: { min: 5, max: 10 },
+    [STORY_LENGTHS.LONG]: { min: 10, max: 15 }
+};
+
 //Age groups
 export const AGE_GROUPS = {
     TODDLER: '2-4 years',
@@ -23,16 +30,174 @@ export const AGE_GROUPS = {
     MIDDLE_GRADE: '8-12 years'
 };
 
-//Voice options for text-to-speech
+//Voice options for text-to-speech: the local catalog, used offline and when the TTS provider's
+//catalog (/api/voices) cannot be fetched
 export const VOICE_OPTIONS = [
     { id: 'en-US-Wavenet-A', label: 'Female (US)', gender: 'female', languageCode: 'en-US' },
     { id: 'en-US-Wavenet-D', label: 'Male (US)', gender: 'male', languageCode: 'en-US' },
     { id: 'en-GB-Wavenet-A', label: 'Female (UK)', gender: 'female', languageCode: 'en-GB' },
     { id: 'en-GB-Wavenet-D', label: 'Male (UK)', gender: 'male', languageCode: 'en-GB' },
     { id: 'en-AU-Wavenet-A', label: 'Female (Australian)', gender: 'female', languageCode: 'en-AU' },
-    { id: 'en-AU-Wavenet-D', label: 'Male (Australian)', gender: 'male', languageCode: 'en-AU' }
+    { id: 'en-AU-Wavenet-D', label: 'Male (Australian)', gender: 'male', languageCode: 'en-AU' },
+    { id: 'es-ES-Wavenet-C', label: 'Female (Spain)', gender: 'female', languageCode: 'es-ES' },
+    { id: 'es-ES-Wavenet-B', label: 'Male (Spain)', gender: 'male', languageCode: 'es-ES' },
+    { id: 'es-US-Wavenet-A', label: 'Female (Latin America)', gender: 'female', languageCode: 'es-US' },
+    { id: 'es-US-Wavenet-B', label: 'Male (Latin America)', gender: 'male', languageCode: 'es-US' },
+    { id: 'fr-FR-Wavenet-A', label: 'Female (France)', gender: 'female', languageCode: 'fr-FR' },
+    { id: 'fr-FR-Wavenet-B', label: 'Male (France)', gender: 'male', languageCode: 'fr-FR' },
+    { id: 'de-DE-Wavenet-A', label: 'Female (Germany)', gender: 'female', languageCode: 'de-DE' },
+    { id: 'de-DE-Wavenet-B', label: 'Male (Germany)', gender: 'male', languageCode: 'de-DE' },
+    { id: 'it-IT-Wavenet-A', label: 'Female (Italy)', gender: 'female', languageCode: 'it-IT' },
+    { id: 'it-IT-Wavenet-C', label: 'Male (Italy)', gender: 'male', languageCode: 'it-IT' },
+    { id: 'pt-BR-Wavenet-A', label: 'Female (Brazil)', gender: 'female', languageCode: 'pt-BR' },
+    { id: 'pt-BR-Wavenet-B', label: 'Male (Brazil)', gender: 'male', languageCode: 'pt-BR' },
+    { id: 'nl-NL-Wavenet-A', label: 'Female (Netherlands)', gender: 'female', languageCode: 'nl-NL' },
+    { id: 'nl-NL-Wavenet-B', label: 'Male (Netherlands)', gender: 'male', languageCode: 'nl-NL' },
+    { id: 'pl-PL-Wavenet-A', label: 'Female (Poland)', gender: 'female', languageCode: 'pl-PL' },
+    { id: 'pl-PL-Wavenet-B', label: 'Male (Poland)', gender: 'male', languageCode: 'pl-PL' },
+    { id: 'ja-JP-Wavenet-A', label: 'Female (Japan)', gender: 'female', languageCode: 'ja-JP' },
+    { id: 'ja-JP-Wavenet-C', label: 'Male (Japan)', gender: 'male', languageCode: 'ja-JP' },
+    { id: 'hi-IN-Wavenet-A', label: 'Female (India)', gender: 'female', languageCode: 'hi-IN' },
+    { id: 'hi-IN-Wavenet-B', label: 'Male (India)', gender: 'male', languageCode: 'hi-IN' }
+];
+
+//Languages stories can be written and narrated in: ISO 639-1 code, native label and English name
+export const STORY_LANGUAGES = [
+    { code: 'en', label: 'English', name: 'English' },
+    { code: 'es', label: 'Español', name: 'Spanish' },
+    { code: 'fr', label: 'Français', name: 'French' },
+    { code: 'de', label: 'Deutsch', name: 'German' },
+    { code: 'it', label: 'Italiano', name: 'Italian' },
+    { code: 'pt', label: 'Português', name: 'Portuguese' },
+    { code: 'nl', label: 'Nederlands', name: 'Dutch' },
+    { code: 'pl', label: 'Polski', name: 'Polish' },
+    { code: 'ja', label: '日本語', name: 'Japanese' },
+    { code: 'hi', label: 'हिन्दी', name: 'Hindi' }
+];
+
+export const DEFAULT_STORY_LANGUAGE = STORY_LANGUAGES[0].code;
+
+//Narration profiles: speaking rate, pitch (semitones), volume gain (dB) and extra pause between
+//paragraphs (seconds). Wind-down also slows and softens the narration over the end of the story.
+export const NARRATION_PROFILES = [
+    {
+        id: 'standard',
+        label: 'Standard',
+        settings: { speakingRate: 1.0, pitch: 0, volumeGainDb: 0, paragraphPause: 0, windDown: false }
+    },
+    {
+        id: 'calm',
+        label: 'Calm',
+        settings: { speakingRate: 0.9, pitch: -1, volumeGainDb: -2, paragraphPause: 0.75, windDown: false }
+    },
+    {
+        id: 'wind-down',
+        label: 'Bedtime wind-down',
+        settings: { speakingRate: 0.9, pitch: -1, volumeGainDb: -2, paragraphPause: 1, windDown: true }
+    }
+];
+
+export const DEFAULT_NARRATION = NARRATION_PROFILES[0].settings;
+
+//Allowed range of every narration setting
+export const NARRATION_LIMITS = {
+    speakingRate: { min: 0.5, max: 1.5, step: 0.05 },
+    pitch: { min: -10, max: 10, step: 0.5 },
+    volumeGainDb: { min: -12, max: 6, step: 1 },
+    paragraphPause: { min: 0, max: 3, step: 0.25 }
+};
+
+//Ambient soundscapes that can play under the narration
+export const SOUNDSCAPES = [
+    { id: 'rain', label: 'Gentle rain', icon: '🌧️' },
+    { id: 'ocean', label: 'Ocean waves', icon: '🌊' },
+    { id: 'crickets', label: 'Summer night crickets', icon: '🦗' },
+    { id: 'lullaby', label: 'Music box lullaby', icon: '🎶' }
+];
+
+//Soundscape picked for each story mood when a story's soundscape is set to follow its mood
+export const MOOD_SOUNDSCAPES = {
+    Happy: 'lullaby',
+    Exciting: 'ocean',
+    Calm: 'rain',
+    Mysterious: 'crickets',
+    Funny: 'lullaby',
+    Educational: 'rain',
+    Magical: 'lullaby',
+    Adventurous: 'ocean'
+};
+
+//Soundscape of a story: a soundscape ID, 'mood' to follow the story's mood, or 'none'. The level (dB) is
+//the bed's volume between sentences; under the narrator's voice it is ducked by SOUNDSCAPE_DUCKING_DB more.
+//Baked soundscapes are mixed into the narration MP3 instead of being played alongside it.
+export const DEFAULT_SOUNDSCAPE = { id: 'none', level: -12, bake: false };
+
+export const SOUNDSCAPE_LIMITS = {
+    level: { min: -30, max: 0, step: 1 }
+};
+
+export const SOUNDSCAPE_DUCKING_DB = 10;
+
+//Sleep timer of a bedtime session: stop after some minutes, after some stories, or at the end of the playlist
+export const SLEEP_TIMER_OPTIONS = [
+    { id: 'end', label: 'At the end of the playlist' },
+    { id: '10m', label: '10 minutes', minutes: 10 },
+    { id: '20m', label: '20 minutes', minutes: 20 },
+    { id: '30m', label: '30 minutes', minutes: 30 },
+    { id: '45m', label: '45 minutes', minutes: 45 },
+    { id: '1s', label: 'After 1 story', stories: 1 },
+    { id: '2s', label: 'After 2 stories', stories: 2 },
+    { id: '3s', label: 'After 3 stories', stories: 3 }
+];
+
+//Bedtime session settings: the sleep timer, and the soundscape that keeps looping once the stories stop ('none' for silence)
+export const DEFAULT_BEDTIME_SESSION = { timer: '20m', soundscape: 'rain' };
+
+//Seconds over which a minute sleep timer fades the narration out, and the pause between stories of a session
+export const BEDTIME_FADE_SECONDS = 30;
+export const BEDTIME_STORY_GAP_SECONDS = 3;
+
+//Parent-recorded narration: recorded page by page, trimmed of the silence around each page (RMS below
+//RECORDING_SILENCE_DB, keeping RECORDING_TRIM_PADDING seconds) and stitched with a pause between pages
+export const RECORDING_SAMPLE_RATE = 22050;
+export const RECORDING_SILENCE_DB = -45;
+export const RECORDING_TRIM_PADDING = 0.15;
+export const RECORDING_PAGE_PAUSE = 0.8;
+
+//Child sign-in without email: the family code, then the child's avatar, then a PIN or a picture password
+//(CHILD_PICTURE_PASSWORD_LENGTH taps on CHILD_PICTURES, in order)
+export const CHILD_AVATARS = ['🐶', '🐱', '🐰', '🦊', '🐻', '🐼', '🐨', '🦁', '🐯', '🐸', '🐵', '🦄'];
+export const CHILD_PIN_LENGTH = 4;
+export const CHILD_PICTURE_PASSWORD_LENGTH = 4;
+export const CHILD_PICTURES = [
+    { id: 'sun', emoji: '☀️', label: 'Sun' },
+    { id: 'moon', emoji: '🌙', label: 'Moon' },
+    { id: 'star', emoji: '⭐', label: 'Star' },
+    { id: 'tree', emoji: '🌳', label: 'Tree' },
+    { id: 'flower', emoji: '🌸', label: 'Flower' },
+    { id: 'apple', emoji: '🍎', label: 'Apple' },
+    { id: 'car', emoji: '🚗', label: 'Car' },
+    { id: 'ball', emoji: '⚽', label: 'Ball' },
+    { id: 'boat', emoji: '⛵', label: 'Boat' }
 ];
 
+//AI and narration usage counted per family against daily and monthly limits (see lib/usage.js)
+export const USAGE_METRICS = [
+    { id: 'llmTokens', label: 'Story writing', unit: 'AI tokens' },
+    { id: 'ttsCharacters', label: 'Narration', unit: 'characters' },
+    { id: 'images', label: 'Illustrations', unit: 'images' }
+];
+
+//Review states of a story: parents approve a story for chosen children before they can see it
+export const STORY_REVIEW_STATUS = {
+    DRAFT: 'draft',
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+//Avatars to pick from for characters in the family character library
+export const CHARACTER_AVATARS = ['🐭', '🐰', '🦊', '🐻', '🐼', '🦁', '🐯', '🐸', '🦉', '🐢', '🦄', '🐉', '🤖', '🧚', '🧙', '🦸', '👧', '👦'];
 
 //Story themes/categories
 export const STORY_THEMES = [
@@ -101,5 +266,6 @@ export const ROUTES = {
 export const STORAGE_KEYS = {
     THEME: 'ai-bedtime-theme',
     RECENT_STORIES: 'ai-bedtime-recent-stories',
-    DRAFT_STORY: 'ai-bedtime-draft-story'
+    DRAFT_STORY: 'ai-bedtime-draft-story',
+    FAMILY_CODE: 'ai-bedtime-family-code'
 };
@@ -0,0 +1,198 @@
+/**
+ * Dialogue tagging for dramatized narration
+ *
+ * Stories are split into narrator text and quoted dialogue, and every quote
+ * is attributed to a speaker from the words around it ("…," said Pip). The
+ * narration can then be sent to /api/tts as SSML where each character's lines
+ * are wrapped in a `<voice>` element with the voice the parent picked.
+ */
+
+// Verbs that attribute a line of dialogue to a speaker
+const DIALOGUE_VERBS = [
+    'said', 'asked', 'replied', 'answered', 'whispered', 'shouted', 'called',
+    'cried', 'laughed', 'giggled', 'yelled', 'exclaimed', 'sang', 'murmured',
+    'added', 'explained', 'wondered', 'sighed', 'squeaked', 'roared', 'yawned'
+];
+
+// Capitalized words that can sit next to a dialogue verb without being a name
+const NOT_NAMES = new Set(['He', 'She', 'They', 'It', 'I', 'We', 'You', 'Then', 'And', 'But', 'So', 'The', 'A', 'An']);
+
+const MAX_SPEAKERS = 8;
+
+const NAME = "[A-Z][\\w'-]*(?: [A-Z][\\w'-]*)?";
+const VERBS = DIALOGUE_VERBS.join('|');
+const NAME_AFTER_VERB = new RegExp(`\\b(?:${VERBS}) (?:the )?(${NAME})`, 'g');
+const NAME_BEFORE_VERB = new RegExp(`(${NAME}) (?:${VERBS})\\b`, 'g');
+
+// Quoted dialogue, with curly or straight double quotes
+const QUOTE_PATTERN = /“[^”]*”|"[^"\n]*"/g;
+
+/**
+ * Escape text for SSML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Find the characters who speak in a story from dialogue attributions like
+ * `said Pip` or `Grandma Owl whispered`
+ *
+ * @param {string} text - Story text
+ * @returns {Array<string>} Speaker names, in order of appearance
+ */
+export const findSpeakers = (text) => {
+    if (!text) return [];
+
+    const found = [
+        ...Array.from(text.matchAll(NAME_AFTER_VERB)),
+        ...Array.from(text.matchAll(NAME_BEFORE_VERB))
+    ]
+        .sort((a, b) => a.index - b.index)
+        // Drop pronouns and sentence openers like "Suddenly" that precede the name
+        .map(match => match[1].split(' ').filter(word => !NOT_NAMES.has(word) && !/ly$/.test(word)).join(' '))
+        .filter(Boolean);
+
+    return [...new Set(found)].slice(0, MAX_SPEAKERS);
+};
+
+/**
+ * Speakers of a story: the ones named by the story generator first, then any
+ * others found in the text
+ *
+ * @param {string} text - Story text
+ * @param {Array<string>} [knownSpeakers] - Speakers listed by the story generator
+ * @returns {Array<string>} Speaker names
+ */
+export const getStorySpeakers = (text, knownSpeakers = []) => {
+    const names = [...(Array.isArray(knownSpeakers) ? knownSpeakers : []), ...findSpeakers(text)]
+        .filter(name => typeof name === 'string')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    return [...new Set(names)].slice(0, MAX_SPEAKERS);
+};
+
+/**
+ * Find which speaker a stretch of narration mentions first
+ *
+ * @param {string} text - Narration around a quote
+ * @param {Array<string>} speakers - Speaker names
+ * @returns {string|null} Speaker name
+ */
+const findSpeakerIn = (text, speakers) => {
+    let best = null;
+    let bestIndex = Infinity;
+
+    for (const speaker of speakers) {
+        // Match the full name, or just the first name ("Pip" for "Pip the Mouse")
+        const firstName = speaker.split(' ')[0];
+        const names = firstName.length >= 3 && firstName !== speaker ? [speaker, firstName] : [speaker];
+
+        for (const name of names) {
+            const match = new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).exec(text);
+            if (match && match.index < bestIndex) {
+                best = speaker;
+                bestIndex = match.index;
+            }
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Split a story into narrator text and quoted dialogue, attributing every
+ * quote to a speaker. The narration after a quote is checked first ("…,"
+ * said Pip), then the narration before it (Pip said, "…"); a quote that
+ * names nobody continues the previous speaker of the same paragraph.
+ *
+ * @param {string} text - Story text
+ * @param {Array<string>} speakers - Speaker names
+ * @returns {Array<Object>} `{ text, speaker }` segments covering the whole text; `speaker` is null for the narrator and unattributed quotes
+ */
+export const tagDialogue = (text, speakers) => {
+    const segments = [];
+    const quotes = Array.from(text.matchAll(QUOTE_PATTERN));
+    let position = 0;
+    let previousSpeaker = null;
+
+    quotes.forEach((quote, index) => {
+        const start = quote.index;
+        const end = start + quote[0].length;
+        const nextQuoteStart = quotes[index + 1]?.index ?? text.length;
+        const previousQuoteEnd = index > 0 ? quotes[index - 1].index + quotes[index - 1][0].length : 0;
+
+        // Narration after the quote, up to the end of its sentence or paragraph
+        const after = text.slice(end, nextQuoteStart).split(/(?<=[.!?])\s|\n/)[0];
+        // Narration before the quote: the last sentence of the same paragraph
+        const before = text.slice(previousQuoteEnd, start)
+            .split('\n')
+            .pop()
+            .split(/(?<=[.!?])\s/)
+            .filter(sentence => sentence.trim())
+            .pop() || '';
+
+        // A new paragraph starts a new conversation turn
+        if (/\n/.test(text.slice(previousQuoteEnd, start))) {
+            previousSpeaker = null;
+        }
+
+        const speaker = findSpeakerIn(after, speakers) || findSpeakerIn(before, speakers) || previousSpeaker;
+
+        if (start > position) {
+            segments.push({ text: text.slice(position, start), speaker: null });
+        }
+        segments.push({ text: quote[0], speaker });
+
+        previousSpeaker = speaker;
+        position = end;
+    });
+
+    if (position < text.length) {
+        segments.push({ text: text.slice(position), speaker: null });
+    }
+
+    return segments;
+};
+
+/**
+ * Check whether any character has a voice of their own
+ *
+ * @param {Object} [characterVoices] - Voice ID per speaker name
+ * @param {string} narratorVoice - Narrator's voice ID
+ * @returns {boolean} True when the narration should be dramatized
+ */
+export const hasCharacterVoices = (characterVoices, narratorVoice) => {
+    return Object.values(characterVoices || {}).some(voice => voice && voice !== narratorVoice);
+};
+
+/**
+ * Build the SSML for a dramatized narration: the narrator's text as is, and
+ * every line of a character who has a voice of their own wrapped in
+ * `<voice name="…">`
+ *
+ * @param {string} text - Story text
+ * @param {Object} options
+ * @param {Array<string>} options.speakers - Speaker names
+ * @param {Object} options.characterVoices - Voice ID per speaker name
+ * @returns {string} SSML document
+ */
+export const buildDialogueSsml = (text, { speakers, characterVoices }) => {
+    const body = tagDialogue(text, speakers)
+        .map(segment => {
+            const voice = segment.speaker && characterVoices?.[segment.speaker];
+            return voice
+                ? `<voice name="${escapeXml(voice)}">${escapeXml(segment.text)}</voice>`
+                : escapeXml(segment.text);
+        })
+        .join('');
+
+    return `<speak>${body}</speak>`;
+};
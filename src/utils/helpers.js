@@ -2,6 +2,9 @@
  * General utility helper functions
  */
 
+import { AGE_GROUPS, BEDTIME_FADE_SECONDS, DEFAULT_SOUNDSCAPE, MOOD_SOUNDSCAPES, SOUNDSCAPES, STORY_REVIEW_STATUS } from '@/utils/constants';
+import { getStorySpeakers } from '@/utils/dialogue';
+
 /**
  * Format a timestamp into a readable date/time
  * 
@@ -79,12 +82,174 @@ export const generateExcerpt = (text, maxLength = 150) => {
 export const calculateReadingTime = (text, wordsPerMinute = 200) => {
     if (!text) return '0 min read';
     
-    const wordCount = text.trim().split(/\s+/).length;
-    const minutes = Math.ceil(wordCount / wordsPerMinute);
+    const minutes = estimateReadingMinutes(text, wordsPerMinute);
     
     return `${minutes} min read`;
 };
 
+/**
+ * Count the words in a text
+ * 
+ * @param {string} text - Text content
+ * @returns {number} Number of words
+ */
+export const countWords = (text) => {
+    if (!text?.trim()) return 0;
+    
+    return text.trim().split(/\s+/).length;
+};
+
+/**
+ * Estimate reading time in whole minutes
+ * 
+ * @param {string} text - Text content
+ * @param {number} [wordsPerMinute=200] - Average reading speed
+ * @returns {number} Minutes (0 for empty text, otherwise at least 1)
+ */
+export const estimateReadingMinutes = (text, wordsPerMinute = 200) => {
+    return Math.ceil(countWords(text) / wordsPerMinute);
+};
+
+/**
+ * Split story text into pages on blank lines
+ * 
+ * @param {string} text - Story text
+ * @returns {Array<string>} Page texts
+ */
+export const splitIntoPages = (text) => {
+    if (!text) return [];
+    
+    return text.split(/\n\s*\n/).map(page => page.trim()).filter(Boolean);
+};
+
+/**
+ * Get the pages of a saved story. Stories with structured output carry their
+ * own `pages`; older or hand-written stories are split on blank lines.
+ * 
+ * @param {Object} story - Story document
+ * @returns {Array<string>} Page texts
+ */
+export const getStoryPages = (story) => {
+    if (Array.isArray(story?.pages) && story.pages.length > 0) {
+        return story.pages;
+    }
+    
+    return splitIntoPages(story?.content);
+};
+
+/**
+ * Build the structured fields to save with a story. The AI-provided pages are
+ * kept as long as the content still matches them; once a parent edits the
+ * text, the pages are rebuilt from the edited content.
+ * 
+ * @param {string} content - Final story content
+ * @param {Object} [structured] - Structured story returned by the AI, or the saved story being edited
+ * @returns {Object} `pages`, `moral`, `summary`, `vocabulary`, `speakers` and `readingMinutes` fields
+ */
+export const buildStoryStructureFields = (content, structured = null) => {
+    const aiPages = structured?.pages || [];
+    const contentMatches = aiPages.length > 0 && aiPages.join('\n\n') === content.trim();
+    const aiReadingMinutes = structured?.estimatedReadingMinutes || structured?.readingMinutes;
+    
+    return {
+        pages: contentMatches ? aiPages : splitIntoPages(content),
+        moral: structured?.moral || '',
+        summary: structured?.summary || '',
+        vocabulary: structured?.vocabulary || [],
+        speakers: getStorySpeakers(content, structured?.speakers),
+        readingMinutes: contentMatches && aiReadingMinutes
+            ? aiReadingMinutes
+            : estimateReadingMinutes(content)
+    };
+};
+
+/**
+ * Review fields for a story whose published status is set. Publishing sends a
+ * draft or rejected story to the parents' review queue; unpublishing takes it
+ * away from every child. A published story whose text changed goes back to the
+ * queue, so children never read a version no parent has approved. Used by the
+ * client and by the server, which pass their own server timestamp.
+ * 
+ * @param {boolean} isPublished - Whether the story is published after the write
+ * @param {string} [currentStatus] - Current review status of an existing story
+ * @param {boolean} [textChanged] - Whether the title or content changed
+ * @param {*} [submittedAt] - Timestamp to store as `submittedForReviewAt`
+ * @returns {Object} Fields to write with the story
+ */
+export const getStoryReviewFields = (isPublished, currentStatus, textChanged = false, submittedAt = new Date()) => {
+    if (!isPublished) {
+        return { reviewStatus: STORY_REVIEW_STATUS.DRAFT, approvedChildIds: [] };
+    }
+
+    if (!textChanged && (currentStatus === STORY_REVIEW_STATUS.PENDING || currentStatus === STORY_REVIEW_STATUS.APPROVED)) {
+        return {};
+    }
+
+    return {
+        reviewStatus: STORY_REVIEW_STATUS.PENDING,
+        approvedChildIds: [],
+        submittedForReviewAt: submittedAt
+    };
+};
+
+/**
+ * Line up per-page illustrations with the pages of a story. Pages without a
+ * picture get `null`, and pictures of pages that no longer exist are dropped.
+ * 
+ * @param {Array<string|null>} [pageImages] - Image URLs, by page index
+ * @param {number} pageCount - Number of pages
+ * @returns {Array<string|null>} One entry per page
+ */
+export const alignPageImages = (pageImages, pageCount) => {
+    return Array.from({ length: pageCount }, (_, index) => pageImages?.[index] || null);
+};
+
+/**
+ * Get a short summary of a story, for series recaps and prompts. Stories
+ * written by hand have no AI summary, so their excerpt is used instead.
+ *
+ * @param {Object} story - Story object
+ * @returns {string} Summary
+ */
+export const getStorySummary = (story) => {
+    return story?.summary || story?.excerpt || generateExcerpt(story?.content || '', 200);
+};
+
+/**
+ * Build the "previously on" recap shown before a new chapter of a series
+ *
+ * @param {string} seriesTitle - Series title
+ * @param {Array<Object>} chapters - Earlier chapters, oldest first
+ * @param {number} [count=2] - How many of the latest chapters to recap
+ * @returns {string} Recap, or an empty string for the first chapter
+ */
+export const buildSeriesRecap = (seriesTitle, chapters, count = 2) => {
+    const summaries = chapters.slice(-count).map(getStorySummary).filter(Boolean);
+
+    if (summaries.length === 0) return '';
+
+    return `Previously on ${seriesTitle}: ${summaries.join(' ')}`;
+};
+
+/**
+ * Get the story age group for a child's age. Child accounts store the age as
+ * free text, usually a number of years.
+ * 
+ * @param {string|number} age - Age from the child account, or an age group
+ * @returns {string|null} One of the `AGE_GROUPS` values, or null if the age is unknown
+ */
+export const getAgeGroupForAge = (age) => {
+    if (Object.values(AGE_GROUPS).includes(age)) return age;
+    
+    const years = parseInt(age, 10);
+    if (Number.isNaN(years)) return null;
+    
+    if (years < 4) return AGE_GROUPS.TODDLER;
+    if (years < 6) return AGE_GROUPS.PRESCHOOL;
+    if (years < 8) return AGE_GROUPS.EARLY_READER;
+    return AGE_GROUPS.MIDDLE_GRADE;
+};
+
 /**
  * Extract a title from story text (if not explicitly provided)
  * 
@@ -204,6 +369,226 @@ export const formatTime = (ms) => {
     return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Normalize text for narration: whitespace collapsed within paragraphs and
+ * paragraphs joined by single newlines, so texts that read the same are
+ * narrated, and cached, the same
+ *
+ * @param {string} text - Text content
+ * @returns {string} Normalized text
+ */
+export const normalizeSpeechText = (text) => {
+    return (text || '')
+        .split(/\n+/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+};
+
+/**
+ * Language code of a TTS voice name, e.g. "fr-FR" for "fr-FR-Wavenet-A"
+ *
+ * @param {string} voice - Voice name
+ * @returns {string} BCP-47 language code
+ */
+export const getVoiceLanguageCode = (voice) => {
+    return (voice || '').split('-').slice(0, 2).join('-');
+};
+
+/**
+ * Voices that can narrate a story language: "fr" matches every French
+ * voice, "fr-CA" only Canadian French ones
+ *
+ * @param {Array<Object>} voices - Voice catalog, `{ id, label, gender, languageCode }`
+ * @param {string} language - ISO 639-1 code or BCP-47 language code
+ * @returns {Array<Object>} Matching voices
+ */
+export const getVoicesForLanguage = (voices, language) => {
+    const wanted = (language || '').toLowerCase();
+
+    return voices.filter(voice => {
+        const code = voice.languageCode.toLowerCase();
+        return code === wanted || code.split('-')[0] === wanted;
+    });
+};
+
+/**
+ * SHA-256 digest of a string, with the Web Crypto API
+ *
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashText = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Find the words a narrator speaks: whitespace-separated tokens with at
+ * least one letter or digit. Narration timings and read-along highlighting
+ * both count words this way, so word indexes line up.
+ *
+ * @param {string} text - Text content
+ * @returns {Array<Object>} `{ text, start, end }` per word, with character offsets
+ */
+export const getSpokenWords = (text) => {
+    if (!text) return [];
+
+    return Array.from(text.matchAll(/\S+/g))
+        .filter(match => /[\p{L}\p{N}]/u.test(match[0]))
+        .map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }));
+};
+
+/**
+ * Estimate when each word starts in a narration, for audio without timing
+ * marks. Time is shared out by word length, with extra room for the pauses
+ * after commas and sentence ends.
+ *
+ * @param {string} text - Narrated text
+ * @param {number} duration - Audio length in seconds
+ * @returns {Array<number>} Start time of every spoken word, in seconds
+ */
+export const estimateWordStarts = (text, duration) => {
+    const weights = getSpokenWords(text).map(word => {
+        if (/[.!?…]["'”’)]*$/.test(word.text)) return word.text.length + 6;
+        if (/[,;:—]["'”’)]*$/.test(word.text)) return word.text.length + 3;
+        return word.text.length + 1;
+    });
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+    let elapsed = 0;
+    return weights.map(weight => {
+        const start = Math.round((elapsed / totalWeight) * duration * 1000) / 1000;
+        elapsed += weight;
+        return start;
+    });
+};
+
+/**
+ * Find the word being spoken at a point of the narration
+ *
+ * @param {Array<number>} wordStarts - Start time of every word, in seconds
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Word index, or -1 before the first word
+ */
+export const findCurrentWord = (wordStarts, time) => {
+    let low = 0;
+    let high = wordStarts.length - 1;
+    let current = -1;
+
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (wordStarts[middle] <= time) {
+            current = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return current;
+};
+
+/**
+ * Check whether the narrator is speaking at a point of the narration, to duck
+ * a soundscape under the voice. Ducking starts a moment before a word, and
+ * pauses longer than `hold` (paragraph breaks, the end of the story) count
+ * as silence.
+ *
+ * @param {Array<number>} wordStarts - Start time of every word, in seconds
+ * @param {number} time - Playback position in seconds
+ * @param {number} [hold=1.2] - Seconds a word is assumed to last
+ * @returns {boolean} True while speaking, and always without word timings
+ */
+export const isNarrationSpeaking = (wordStarts, time, hold = 1.2) => {
+    if (!wordStarts?.length) return true;
+
+    const lead = 0.2;
+    const word = findCurrentWord(wordStarts, time + lead);
+    return word >= 0 && wordStarts[word] > time - hold;
+};
+
+/**
+ * Soundscape that plays under a story
+ *
+ * @param {Object} [soundscape] - Story soundscape, `{ id, level, bake }`
+ * @param {string} [mood] - Story mood, for soundscapes that follow it
+ * @returns {string|null} Soundscape ID, or null for none
+ */
+export const resolveSoundscape = (soundscape, mood) => {
+    const id = soundscape?.id === 'mood' ? MOOD_SOUNDSCAPES[mood] : soundscape?.id;
+    return SOUNDSCAPES.some(bed => bed.id === id) ? id : null;
+};
+
+/**
+ * Soundscape to bake into a story's narration audio
+ *
+ * @param {Object} [soundscape] - Story soundscape, `{ id, level, bake }`
+ * @param {string} [mood] - Story mood, for soundscapes that follow it
+ * @returns {Object|undefined} `{ id, level }` for /api/tts, or undefined when nothing is baked
+ */
+export const getBakedSoundscape = (soundscape, mood) => {
+    const id = soundscape?.bake ? resolveSoundscape(soundscape, mood) : null;
+    return id ? { id, level: soundscape.level ?? DEFAULT_SOUNDSCAPE.level } : undefined;
+};
+
+/**
+ * Audio tracks of a story: the narration and, when a parent recorded the
+ * story, their own reading
+ *
+ * @param {Object} story - Story document
+ * @returns {Array<Object>} `{ id, label, audioUrl, duration, timings }` of every track, narration first
+ */
+export const getStoryAudioTracks = (story) => [
+    story?.audioUrl && {
+        id: 'narration',
+        label: 'Narrator',
+        audioUrl: story.audioUrl,
+        duration: story.audioDuration,
+        timings: story.audioTimings
+    },
+    story?.recordedAudio?.audioUrl && {
+        id: 'recording',
+        label: 'Family voice',
+        audioUrl: story.recordedAudio.audioUrl,
+        duration: story.recordedAudio.duration,
+        timings: story.recordedAudio.timings
+    }
+].filter(Boolean);
+
+/**
+ * Volume of a bedtime session under its sleep timer: full until the last
+ * BEDTIME_FADE_SECONDS of a minute timer, then fading out to silence
+ *
+ * @param {Object} [timer] - Sleep timer option from SLEEP_TIMER_OPTIONS
+ * @param {number} elapsed - Seconds the session has been playing
+ * @returns {number} Volume from 0 to 1
+ */
+export const getSleepTimerVolume = (timer, elapsed) => {
+    if (!timer?.minutes) return 1;
+    
+    const remaining = Math.min(1, Math.max(0, (timer.minutes * 60 - elapsed) / BEDTIME_FADE_SECONDS));
+    // Squared, so the fade sounds even rather than dropping off at the end
+    return remaining * remaining;
+};
+
+/**
+ * Index of the first spoken word of every page, counting from the start of
+ * the story
+ *
+ * @param {Array<string>} pages - Page texts, in order
+ * @returns {Array<number>} First word index per page
+ */
+export const getPageWordOffsets = (pages) => {
+    let offset = 0;
+
+    return pages.map(page => {
+        const first = offset;
+        offset += getSpokenWords(page).length;
+        return first;
+    });
+};
+
 /**
  * Save data to local storage with error handling
  * 
@@ -238,4 +623,20 @@ export const loadFromLocalStorage = (key, fallback = null) => {
         console.error(`Error loading from localStorage (${key}):`, error);
         return fallback;
     }
+};
+
+/**
+ * Remove data from local storage with error handling
+ * 
+ * @param {string} key - Storage key
+ * @returns {boolean} Success status
+ */
+export const removeFromLocalStorage = (key) => {
+    try {
+        localStorage.removeItem(key);
+        return true;
+    } catch (error) {
+        console.error(`Error removing from localStorage (${key}):`, error);
+        return false;
+    }
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Parent-recorded narration: silence trimming, WAV encoding and stitching
+ * the recorded pages into one audio track with word timings
+ */
+
+import { RECORDING_PAGE_PAUSE, RECORDING_SILENCE_DB, RECORDING_TRIM_PADDING } from '@/utils/constants';
+import { estimateWordStarts } from '@/utils/helpers';
+
+// Length of the windows whose loudness decides what is silence, in seconds
+const TRIM_WINDOW = 0.02;
+
+/**
+ * Trim the silence before and after a recording: everything outside the
+ * first and last windows louder than RECORDING_SILENCE_DB, with a little
+ * padding so words are not clipped
+ *
+ * @param {Float32Array} samples - Mono samples from -1 to 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} Trimmed samples (empty when the recording is silent)
+ */
+export const trimSilence = (samples, sampleRate) => {
+    const windowLength = Math.max(1, Math.round(TRIM_WINDOW * sampleRate));
+    const threshold = 10 ** (RECORDING_SILENCE_DB / 20);
+
+    const isLoud = (start) => {
+        const end = Math.min(samples.length, start + windowLength);
+        let energy = 0;
+        for (let i = start; i < end; i++) {
+            energy += samples[i] * samples[i];
+        }
+        return Math.sqrt(energy / (end - start)) >= threshold;
+    };
+
+    let first = -1;
+    let last = -1;
+    for (let start = 0; start < samples.length; start += windowLength) {
+        if (isLoud(start)) {
+            if (first === -1) first = start;
+            last = start + windowLength;
+        }
+    }
+
+    if (first === -1) return new Float32Array(0);
+
+    const padding = Math.round(RECORDING_TRIM_PADDING * sampleRate);
+    return samples.slice(Math.max(0, first - padding), Math.min(samples.length, last + padding));
+};
+
+/**
+ * Encode mono samples as a 16-bit PCM WAV file
+ *
+ * @param {Float32Array} samples - Mono samples from -1 to 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Uint8Array} WAV file
+ */
+export const encodeWav = (samples, sampleRate) => {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeText(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    }
+
+    return new Uint8Array(buffer);
+};
+
+/**
+ * Stitch the recordings of every page into one narration track, with a
+ * pause between pages. Word timings are estimated page by page, so
+ * read-along and page turns follow the parent's reading closely.
+ *
+ * @param {Array<string>} pages - Page texts, in order
+ * @param {Array<Float32Array>} recordings - Trimmed recording of every page
+ * @param {number} sampleRate - Sample rate of the recordings in Hz
+ * @returns {Object} `{ wav, duration, timings }`: the WAV file, its length in seconds and the timing map
+ */
+export const buildRecordedTrack = (pages, recordings, sampleRate) => {
+    const pause = Math.round(RECORDING_PAGE_PAUSE * sampleRate);
+    const length = recordings.reduce((total, samples) => total + samples.length, 0) + pause * (recordings.length - 1);
+    const track = new Float32Array(Math.max(0, length));
+    const wordStarts = [];
+
+    let offset = 0;
+    recordings.forEach((samples, index) => {
+        const start = offset / sampleRate;
+        estimateWordStarts(pages[index], samples.length / sampleRate)
+            .forEach(time => wordStarts.push(Math.round((start + time) * 1000) / 1000));
+
+        track.set(samples, offset);
+        offset += samples.length + pause;
+    });
+
+    return {
+        wav: encodeWav(track, sampleRate),
+        duration: track.length / sampleRate,
+        timings: { source: 'recording', wordStarts }
+    };
+};
+
+/**
+ * Recordings of every page of a story, when each page has one that was made
+ * for its current text
+ *
+ * @param {Array<string>} pages - Page texts, in order
+ * @param {Array<Object>} recordings - `{ text, samples }` recorded for each page index
+ * @returns {Array<Float32Array>|null} Samples of every page, or null while some page is missing
+ */
+export const getRecordedPages = (pages, recordings) => {
+    const complete = pages.length > 0 && pages.every((page, index) => recordings[index]?.text === page);
+    return complete ? pages.map((page, index) => recordings[index].samples) : null;
+};